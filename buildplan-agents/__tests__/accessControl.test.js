@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'access-control-'));
+process.env.AGENTS_DB_PATH = path.join(tmp, 'agents.db');
+
+const accessControl = require('../src/services/accessControl');
+
+afterAll(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('Access Control', () => {
+  test('normalizes user references', () => {
+    expect(accessControl.userSubject('123456')).toBe('123456');
+    expect(accessControl.userSubject('id:U0123ABC')).toBe('U0123ABC');
+    expect(accessControl.userSubject(' @Alice ')).toBe('@alice');
+    expect(accessControl.userSubject('alice')).toBe('@alice');
+    expect(accessControl.userSubject('')).toBeNull();
+  });
+
+  test('matches a grant by Slack user ID whatever the username', () => {
+    accessControl.grant('user', accessControl.userSubject('id:U0123ABC'), 'approver', 'test');
+
+    expect(accessControl.roleOf({ id: 'U0123ABC', username: 'bob' })).toBe('approver');
+    expect(accessControl.roleOf({ id: 'U0123ABC', username: 'renamed' })).toBe('approver');
+    expect(accessControl.roleOf({ id: 'U0999XYZ', username: 'u0123abc' })).toBeNull();
+  });
+
+  test('matches a grant by numeric ID or username', () => {
+    accessControl.grant('user', accessControl.userSubject('42'), 'viewer', 'test');
+    accessControl.grant('user', accessControl.userSubject('@Carol'), 'requester', 'test');
+
+    expect(accessControl.roleOf({ id: 42, username: 'dave' })).toBe('viewer');
+    expect(accessControl.roleOf({ id: 7, username: 'carol' })).toBe('requester');
+  });
+
+  test('takes the higher of the user and chat grants', () => {
+    accessControl.grant('chat', '-100', 'approver', 'test');
+
+    expect(accessControl.roleOf({ id: 42 }, { id: -100 })).toBe('approver');
+    expect(accessControl.roleOf({ id: 43 }, { id: -100 })).toBe('approver');
+    expect(accessControl.roleOf({ id: 43 }, { id: -200 })).toBeNull();
+  });
+
+  test('issues API tokens only for usernames', () => {
+    expect(() => accessControl.createApiToken('id:U0123ABC', 'ci', 'test')).toThrow(/@username/);
+
+    const { token } = accessControl.createApiToken('@carol', 'ci', 'test');
+    expect(accessControl.userForApiToken(token)).toMatchObject({ username: 'carol' });
+    expect(accessControl.userForApiToken('bpa_unknown')).toBeNull();
+  });
+});
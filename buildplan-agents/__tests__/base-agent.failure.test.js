@@ -0,0 +1,59 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'base-agent-'));
+Object.assign(process.env, {
+  PROJECT_ROOT: tmp,
+  TASKS_DIR: path.join(tmp, 'tasks'),
+  AGENTS_DB_PATH: path.join(tmp, 'agents.db')
+});
+
+// @octokit/rest is ESM only, which jest can't load; failures never reach GitHub
+jest.mock('../src/utils/github-client', () => ({}));
+
+const BaseAgent = require('../src/agents/base-agent');
+const retryPolicy = require('../src/services/retryPolicy');
+
+const agent = new BaseAgent({}, 'Backend-Agent');
+const taskPath = path.join(process.env.TASKS_DIR, 'in-progress', 'TASK-1-01.md');
+
+beforeEach(() => {
+  jest.spyOn(retryPolicy, 'recordFailure').mockReturnValue({ retry: false, attempt: 1, maxAttempts: 3 });
+  jest.spyOn(agent, 'blockTask').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function classifiedAs() {
+  return retryPolicy.recordFailure.mock.calls[0][1];
+}
+
+describe('BaseAgent failure handling', () => {
+  test('classifies by the HTTP status on the error response', async () => {
+    const cause = Object.assign(new Error('Request failed'), { response: { status: 502 } });
+
+    await agent.handleFailure(taskPath, { message: `Error: ${cause.message}`, cause });
+
+    expect(classifiedAs()).toBe('transient');
+  });
+
+  test('classifies by the status and code on the error', async () => {
+    await agent.handleFailure(taskPath, { message: 'Error: nope', cause: Object.assign(new Error('nope'), { status: 401 }) });
+    await agent.handleFailure(taskPath, { message: 'Error: reset', cause: Object.assign(new Error('reset'), { code: 'ECONNRESET' }) });
+
+    expect(retryPolicy.recordFailure.mock.calls.map(call => call[1])).toEqual(['needs-human', 'transient']);
+  });
+
+  test('keeps a class the agent reported', async () => {
+    await agent.handleFailure(taskPath, { message: 'Tests failed', failureClass: 'code-defect', cause: { status: 503 } });
+
+    expect(classifiedAs()).toBe('code-defect');
+  });
+});
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'control-api-'));
+Object.assign(process.env, {
+  TASKS_DIR: path.join(tmp, 'tasks'),
+  REQUESTS_DIR: path.join(tmp, 'requests'),
+  AGENTS_DB_PATH: path.join(tmp, 'agents.db')
+});
+
+const ControlApi = require('../src/services/controlApi');
+const ControlPlane = require('../src/services/controlPlane');
+const accessControl = require('../src/services/accessControl');
+
+const orchestrator = {
+  agents: { backend: { role: 'Backend-Agent' } },
+  pmAgent: { assignPendingTasks: async () => {} }
+};
+const api = new ControlApi(new ControlPlane(orchestrator));
+let baseUrl;
+let token;
+
+beforeAll(async () => {
+  accessControl.grant('user', '@alice', 'admin', 'test');
+  ({ token } = accessControl.createApiToken('@alice', 'test', 'test'));
+
+  const server = api.serve(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+  api.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function call(method, pathname) {
+  return fetch(`${baseUrl}${pathname}`, { method, headers: { Authorization: `Bearer ${token}` } });
+}
+
+describe('Control API', () => {
+  test('answers a malformed escape in the path with 400', async () => {
+    const response = await call('GET', '/tasks/%E0');
+
+    expect(response.status).toBe(400);
+    expect(await response.json()).toMatchObject({ error: { code: 'INVALID_INPUT' } });
+  });
+
+  test('decodes escaped path parameters', async () => {
+    const response = await call('GET', '/tasks/TASK%2D1');
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).error.message).toMatch(/TASK-1/);
+  });
+
+  test('does not take Object.prototype names for agents', async () => {
+    const response = await call('POST', '/agents/constructor/pause');
+
+    expect(response.status).toBe(404);
+    expect((await response.json()).error.message).toMatch(/Unknown agent constructor/);
+  });
+});
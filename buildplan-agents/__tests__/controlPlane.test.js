@@ -0,0 +1,38 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'control-plane-'));
+Object.assign(process.env, {
+  TASKS_DIR: path.join(tmp, 'tasks'),
+  REQUESTS_DIR: path.join(tmp, 'requests'),
+  AGENTS_DB_PATH: path.join(tmp, 'agents.db')
+});
+
+const ControlPlane = require('../src/services/controlPlane');
+
+const orchestrator = {
+  agents: { backend: { role: 'Backend-Agent', maxWorkload: 2 } },
+  pmAgent: { assignPendingTasks: jest.fn(async () => {}) }
+};
+const controlPlane = new ControlPlane(orchestrator);
+
+afterAll(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('Control Plane agents', () => {
+  test('pauses and resumes an agent', async () => {
+    expect(controlPlane.pauseAgent('backend', 'alice', 'Deploy freeze')).toMatchObject({ name: 'backend', paused: true, pausedBy: 'alice' });
+    expect(controlPlane.isPaused(orchestrator.agents.backend)).toBe(true);
+
+    expect(await controlPlane.resumeAgent('backend', 'alice')).toMatchObject({ paused: false });
+    expect(orchestrator.pmAgent.assignPendingTasks).toHaveBeenCalled();
+  });
+
+  test.each(['constructor', 'toString', '__proto__', 'hasOwnProperty'])('does not take %s for an agent', async name => {
+    expect(() => controlPlane.pauseAgent(name, 'alice')).toThrow(expect.objectContaining({ code: 'NOT_FOUND' }));
+    await expect(controlPlane.resumeAgent(name, 'alice')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(controlPlane.db.prepare('SELECT COUNT(*) AS n FROM agent_pauses').get().n).toBe(0);
+  });
+});
@@ -0,0 +1,56 @@
+const { classify, FAILURE_CLASSES } = require('../src/utils/failure-classifier');
+
+const error = (message, fields = {}) => Object.assign(new Error(message), fields);
+
+describe('Failure Classifier', () => {
+  test.each([
+    ['a rate limit', error('Rate limit reached for gpt-4o')],
+    ['a network error code', error('connect failed', { code: 'ECONNRESET' })],
+    ['an LLM timeout', error('LLM call timed out after 120000ms', { code: 'LLM_TIMEOUT' })],
+    ['an API request timeout', error('Request timed out.')],
+    ['a 503 response', error('Service Unavailable', { status: 503 })],
+    ['a status nested in the response', { message: 'failed', response: { status: 502 } }]
+  ])('treats %s as transient', (name, failure) => {
+    expect(classify(failure).failureClass).toBe('transient');
+  });
+
+  test.each([
+    ['a jest timeout', { message: 'Tests failed', details: 'thrown: "Exceeded timeout of 5000 ms for a test."' }],
+    ['a mocha timeout', { message: 'Tests failed', details: 'Error: Timeout of 2000ms exceeded. For async tests and hooks, ensure "done()" is called' }],
+    ['a test run that timed out', error('Test run timed out after 600s')],
+    ['a failing assertion', { message: 'Tests failed', details: 'Expected: 3\nReceived: 4' }],
+    ['an edit that does not apply', error('src/app.js: hunk 1 does not match the file')]
+  ])('treats %s as a code defect', (name, failure) => {
+    expect(classify(failure).failureClass).toBe('code-defect');
+  });
+
+  test.each([
+    ['a missing module', error("Cannot find module 'express'")],
+    ['a failed install', error('Failed to install dependencies in the worktree for TASK-1-01: npm ERR! code E404')],
+    ['a missing worktree', error('fatal: not a git repository (or any of the parent directories): .git')]
+  ])('treats %s as environmental', (name, failure) => {
+    expect(classify(failure).failureClass).toBe('environmental');
+  });
+
+  test.each([
+    ['bad credentials', error('Bad credentials', { status: 401 })],
+    ['an exhausted quota, even as a 429', error('You exceeded your current quota, please check your plan', { status: 429 })],
+    ['a merge conflict', error('Merge conflict in src/app.js')]
+  ])('treats %s as needing a human', (name, failure) => {
+    expect(classify(failure).failureClass).toBe('needs-human');
+  });
+
+  test('says what matched', () => {
+    expect(classify(error('x', { status: 504 })).reason).toBe('HTTP 504');
+    expect(classify(error('x', { code: 'EAI_AGAIN' })).reason).toBe('EAI_AGAIN');
+    expect(classify(error('socket hang up')).reason).toBe('"socket hang up"');
+  });
+
+  test('defaults to a code defect', () => {
+    expect(classify(error('Generated code was empty'))).toEqual({
+      failureClass: 'code-defect',
+      reason: 'no infrastructure error found'
+    });
+    expect(FAILURE_CLASSES).toContain(classify({}).failureClass);
+  });
+});
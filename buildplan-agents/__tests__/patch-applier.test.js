@@ -0,0 +1,129 @@
+const patchApplier = require('../src/utils/patch-applier');
+
+const FENCE = '```';
+const SOURCE = [
+  'function add(a, b) {',
+  '  return a + b;',
+  '}',
+  '',
+  'function sub(a, b) {',
+  '  return a - b;',
+  '}',
+  ''
+].join('\n');
+
+async function applyResponse(response, files = {}) {
+  return patchApplier.apply(patchApplier.parse(response), async filePath => files[filePath] ?? null);
+}
+
+describe('Patch Applier', () => {
+  describe('parse', () => {
+    test('reads complete files, SEARCH/REPLACE blocks and diffs', () => {
+      const response = [
+        `${FENCE}filename: src/new.js`, 'module.exports = 1;', FENCE,
+        `${FENCE}edit: src/math.js`, '<<<<<<< SEARCH', '  return a + b;', '=======', '  return b + a;', '>>>>>>> REPLACE', FENCE,
+        `${FENCE}diff`, '--- a/src/other.js', '+++ b/src/other.js', '@@ -1,1 +1,1 @@', '-old', '+new', FENCE
+      ].join('\n');
+
+      expect(patchApplier.parse(response)).toEqual([
+        { type: 'file', path: 'src/new.js', content: 'module.exports = 1;' },
+        { type: 'replace', path: 'src/math.js', changes: [{ label: 'block 1', old: ['  return a + b;'], new: ['  return b + a;'] }] },
+        expect.objectContaining({ type: 'diff', path: 'src/other.js', isNew: false, isDelete: false })
+      ]);
+    });
+
+    test('lists the files a partial response names', () => {
+      const partial = `${FENCE}filename: /src\\a.js\nconst a = 1;\n${FENCE}\n${FENCE}diff\n--- /dev/null\n+++ b/src/b.js\n@@ -0,0 +1`;
+
+      expect(patchApplier.listPaths(partial)).toEqual(['src/a.js', 'src/b.js']);
+    });
+  });
+
+  describe('apply', () => {
+    test('applies a diff by its context lines rather than its line numbers', async () => {
+      const response = [
+        `${FENCE}diff`,
+        '--- a/src/math.js',
+        '+++ b/src/math.js',
+        '@@ -40,3 +40,3 @@',
+        ' function sub(a, b) {',
+        '-  return a - b;',
+        '+  return a - b - 0;',
+        ' }',
+        FENCE
+      ].join('\n');
+
+      const { files, errors } = await applyResponse(response, { 'src/math.js': SOURCE });
+
+      expect(errors).toEqual([]);
+      expect(files).toEqual([{ path: 'src/math.js', content: SOURCE.replace('a - b;', 'a - b - 0;') }]);
+    });
+
+    test('keeps context lines from the file when only trailing whitespace differs', async () => {
+      const original = 'const a = 1;   \nconst b = 2;\n';
+      const response = [`${FENCE}diff`, '--- a/x.js', '+++ b/x.js', '@@ -1,2 +1,2 @@', ' const a = 1;', '-const b = 2;', '+const b = 3;', FENCE].join('\n');
+
+      const { files } = await applyResponse(response, { 'x.js': original });
+
+      expect(files[0].content).toBe('const a = 1;   \nconst b = 3;\n');
+    });
+
+    test('preserves CRLF line endings', async () => {
+      const response = [`${FENCE}edit: x.js`, '<<<<<<< SEARCH', 'b', '=======', 'c', '>>>>>>> REPLACE', FENCE].join('\n');
+
+      const { files } = await applyResponse(response, { 'x.js': 'a\r\nb\r\n' });
+
+      expect(files[0].content).toBe('a\r\nc\r\n');
+    });
+
+    test('creates new files from a /dev/null diff', async () => {
+      const response = [`${FENCE}diff`, '--- /dev/null', '+++ b/src/new.js', '@@ -0,0 +1,2 @@', '+const x = 1;', '+module.exports = x;', FENCE].join('\n');
+
+      const { files, errors } = await applyResponse(response);
+
+      expect(errors).toEqual([]);
+      expect(files).toEqual([{ path: 'src/new.js', content: 'const x = 1;\nmodule.exports = x;\n' }]);
+    });
+
+    test('leaves a file out entirely when one of its edits does not match', async () => {
+      const response = [
+        `${FENCE}edit: src/math.js`,
+        '<<<<<<< SEARCH', '  return a + b;', '=======', '  return b + a;', '>>>>>>> REPLACE',
+        '<<<<<<< SEARCH', 'function sub(a, b) {', '  return a * b;', '=======', 'function sub(a, b) {', '  return b * a;', '>>>>>>> REPLACE',
+        FENCE,
+        `${FENCE}filename: src/ok.js`, 'ok', FENCE
+      ].join('\n');
+
+      const { files, errors } = await applyResponse(response, { 'src/math.js': SOURCE });
+
+      expect(files).toEqual([{ path: 'src/ok.js', content: 'ok' }]);
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toBeInstanceOf(patchApplier.PatchError);
+      expect(errors[0]).toMatchObject({ code: 'PATCH_MISMATCH', path: 'src/math.js', change: 'block 2' });
+      expect(errors[0].message).toMatch(/Closest match at line 3:\n\}\n\nfunction sub/);
+    });
+
+    test('rejects a SEARCH block that matches more than one place', async () => {
+      const response = [`${FENCE}edit: src/math.js`, '<<<<<<< SEARCH', '}', '=======', '};', '>>>>>>> REPLACE', FENCE].join('\n');
+
+      const { errors } = await applyResponse(response, { 'src/math.js': SOURCE });
+
+      expect(errors[0].message).toMatch(/matches 2 places \(lines 3, 7\)/);
+    });
+
+    test('refuses to delete files', async () => {
+      const response = [`${FENCE}diff`, '--- a/src/math.js', '+++ /dev/null', '@@ -1,1 +0,0 @@', '-function add(a, b) {', FENCE].join('\n');
+
+      const { files, errors } = await applyResponse(response, { 'src/math.js': SOURCE });
+
+      expect(files).toEqual([]);
+      expect(errors[0].message).toMatch(/deletes the file/);
+    });
+  });
+
+  test('formats errors as a list the model can act on', () => {
+    const error = new patchApplier.PatchError('a.js', 'does not match the file.\nExpected:\nx', 'hunk 1');
+
+    expect(patchApplier.formatErrors([error])).toBe('- a.js: hunk 1 does not match the file.\n  Expected:\n  x');
+  });
+});
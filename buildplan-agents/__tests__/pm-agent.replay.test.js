@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every LLM call is answered from fixtures/llm; a call without a fixture fails
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'pm-replay-'));
+Object.assign(process.env, {
+  PROJECT_ROOT: path.join(tmp, 'root'),
+  TASKS_DIR: path.join(tmp, 'tasks'),
+  REQUESTS_DIR: path.join(tmp, 'requests'),
+  AGENTS_DB_PATH: path.join(tmp, 'agents.db'),
+  LLM_PROVIDER: 'replay',
+  LLM_REPLAY_MODE: 'replay',
+  LLM_FIXTURES_DIR: path.join(__dirname, '..', 'fixtures', 'llm')
+});
+
+const { PMAgent } = require('../src/agents/pm-agent');
+const taskStore = require('../src/services/taskStore');
+const taskFile = require('../src/utils/task-file');
+const ReplayProvider = require('../src/utils/llm-providers/replay-provider');
+
+const REQUEST = `# REQ-1001: Export project line items as CSV
+
+## Analysis
+Users want to download the line items of a project as a CSV file from the project page.`;
+
+afterAll(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('PM agent (replayed LLM)', () => {
+  test('breaks a request into backlog tasks', async () => {
+    const pm = new PMAgent({});
+
+    const taskIds = await pm.createTasksFromRequest('REQ-1001', REQUEST);
+
+    expect(taskIds).toEqual(['TASK-1001-01', 'TASK-1001-02', 'TASK-1001-03']);
+    expect(taskIds.map(id => taskStore.getTask(id))).toEqual([
+      expect.objectContaining({ type: 'backend', status: 'backlog', priority: 'high', request_id: 'REQ-1001' }),
+      expect.objectContaining({ type: 'frontend', status: 'backlog', priority: 'medium' }),
+      expect.objectContaining({ type: 'qa', status: 'backlog', priority: 'medium' })
+    ]);
+    expect(fs.existsSync(path.join(process.env.TASKS_DIR, 'backlog', 'TASK-1001-03.md'))).toBe(true);
+  });
+
+  test('keeps only dependencies on earlier tasks', () => {
+    const dependencies = id => taskFile.load(taskStore.getTaskPath(id)).metadata.depends_on;
+
+    // The fixture has task 1 depend on task 2, which would be a cycle
+    expect(dependencies('TASK-1001-01')).toEqual([]);
+    expect(dependencies('TASK-1001-02')).toEqual(['TASK-1001-01']);
+    expect(dependencies('TASK-1001-03')).toEqual(['TASK-1001-01', 'TASK-1001-02']);
+  });
+
+  test('creates nothing when a call has no fixture', async () => {
+    const pm = new PMAgent({});
+
+    const taskIds = await pm.createTasksFromRequest('REQ-1002', `${REQUEST}\n\nAlso include archived projects.`);
+
+    expect(taskIds).toEqual([]);
+    expect(taskStore.getTask('TASK-1002-01')).toBeFalsy();
+  });
+});
+
+describe('ReplayProvider', () => {
+  const provider = new ReplayProvider({ mode: 'replay', fixturesDir: tmp });
+
+  test('masks timestamps in the fixture key', () => {
+    const at = time => [{ role: 'user', content: `Status at ${time}` }];
+
+    expect(provider.fixtureKey('pm-agent', at('2026-01-01T10:00:00.000Z')))
+      .toBe(provider.fixtureKey('pm-agent', at('2026-03-04T18:30:12Z')));
+    expect(provider.fixtureKey('pm-agent', at('1767261600000')))
+      .toBe(provider.fixtureKey('pm-agent', at('1772648412000')));
+  });
+
+  test('keys on the agent and model', () => {
+    const messages = [{ role: 'user', content: 'Hello' }];
+    const key = provider.fixtureKey('pm-agent', messages);
+
+    expect(provider.fixtureKey('backend-agent', messages)).not.toBe(key);
+    expect(provider.fixtureKey('pm-agent', messages, { model: 'gpt-4o' })).not.toBe(key);
+  });
+
+  test('fails loudly on a missing fixture', async () => {
+    await expect(provider.chat([{ role: 'user', content: 'Hello' }], { agent: 'pm-agent' }))
+      .rejects.toThrow(/No fixture for pm-agent/);
+  });
+});
@@ -0,0 +1,61 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'request-store-'));
+Object.assign(process.env, {
+  REQUESTS_DIR: path.join(tmp, 'requests'),
+  AGENTS_DB_PATH: path.join(tmp, 'agents.db')
+});
+
+// The requests table as the orchestrator created it before the store existed
+const legacy = new Database(process.env.AGENTS_DB_PATH);
+legacy.exec(`
+  CREATE TABLE requests (
+    request_id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    status TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    approved_at DATETIME,
+    completed_at DATETIME
+  );
+  INSERT INTO requests (request_id, title, status) VALUES ('REQ-1', 'Old request', 'approved');
+`);
+legacy.close();
+
+fs.mkdirSync(path.join(process.env.REQUESTS_DIR, 'pending'), { recursive: true });
+fs.writeFileSync(path.join(process.env.REQUESTS_DIR, 'pending', 'REQ-2.md'),
+  '# REQ-2: Dark mode\n\n**Submitted By**: alice\n\nAdd a dark theme.\n');
+fs.writeFileSync(path.join(process.env.REQUESTS_DIR, 'pending', 'REQ-3.md'), 'No heading here.\n');
+
+const requestStore = require('../src/services/requestStore');
+
+afterAll(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('Request Store on a database with the old requests table', () => {
+  test('imports request files', () => {
+    expect(requestStore.reconcile()).toBe(2);
+    expect(requestStore.getRequest('REQ-2')).toMatchObject({ title: 'Dark mode', status: 'pending', submitted_by: 'alice' });
+    expect(requestStore.getRequest('REQ-3')).toMatchObject({ status: 'pending' });
+  });
+
+  test('keeps existing requests', () => {
+    expect(requestStore.getRequest('REQ-1')).toMatchObject({ title: 'Old request', status: 'approved' });
+  });
+
+  test('creates and moves requests', () => {
+    requestStore.createRequest({ id: 'REQ-4', title: 'Export', submittedBy: 'bob', content: '# REQ-4: Export\n' });
+    requestStore.transition('REQ-4', 'in-analysis', { actor: 'PM-Agent' });
+    requestStore.transition('REQ-4', 'awaiting-info', { actor: 'PM-Agent', requiredInfo: [{ item: 'API key' }] });
+
+    expect(requestStore.getRequest('REQ-4')).toMatchObject({
+      status: 'awaiting-info',
+      submitted_by: 'bob',
+      updated_at: expect.any(String)
+    });
+    expect(fs.existsSync(path.join(process.env.REQUESTS_DIR, 'in-analysis', 'REQ-4.md'))).toBe(true);
+  });
+});
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-'));
+Object.assign(process.env, {
+  TASKS_DIR: path.join(tmp, 'tasks'),
+  AGENTS_DB_PATH: path.join(tmp, 'agents.db')
+});
+
+const taskScheduler = require('../src/services/taskScheduler');
+const taskStore = require('../src/services/taskStore');
+const taskFile = require('../src/utils/task-file');
+
+function addTask(id, fields = {}) {
+  taskStore.createTask(taskFile.create({ id, type: 'backend', title: `Task ${id}`, ...fields }), 'test');
+  return taskStore.getTask(id);
+}
+
+function complete(id) {
+  ['in-progress', 'review', 'completed'].forEach(status => taskStore.transition(id, status, { actor: 'test' }));
+}
+
+const ids = rows => rows.map(row => row.task_id);
+
+afterAll(() => {
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('Task Scheduler', () => {
+  test('refuses a dependency that closes a cycle', () => {
+    addTask('TASK-A-01');
+    addTask('TASK-A-02');
+    addTask('TASK-A-03');
+    taskScheduler.addDependency('TASK-A-02', 'TASK-A-01');
+    taskScheduler.addDependency('TASK-A-03', 'TASK-A-02');
+
+    expect(() => taskScheduler.addDependency('TASK-A-01', 'TASK-A-03'))
+      .toThrow(expect.objectContaining({ code: 'DEPENDENCY_CYCLE' }));
+    expect(() => taskScheduler.addDependency('TASK-A-01', 'TASK-A-01'))
+      .toThrow(expect.objectContaining({ code: 'DEPENDENCY_CYCLE' }));
+    expect(taskScheduler.getDependencies('TASK-A-01')).toEqual([]);
+    expect(taskScheduler.getDependents('TASK-A-01')).toEqual(['TASK-A-02']);
+  });
+
+  test('replaces declared dependencies and ignores self references', () => {
+    addTask('TASK-B-01');
+    addTask('TASK-B-02');
+    addTask('TASK-B-03');
+
+    taskScheduler.setDependencies('TASK-B-03', ['TASK-B-01', 'TASK-B-01', 'TASK-B-03']);
+    expect(taskScheduler.getDependencies('TASK-B-03')).toEqual(['TASK-B-01']);
+
+    taskScheduler.setDependencies('TASK-B-03', ['TASK-B-02']);
+    expect(taskScheduler.getDependencies('TASK-B-03')).toEqual(['TASK-B-02']);
+  });
+
+  test('orders tasks after their dependencies, then by priority', () => {
+    const tasks = [
+      addTask('TASK-C-01', { priority: 'low' }),
+      addTask('TASK-C-02', { priority: 'high' }),
+      addTask('TASK-C-03', { priority: 'high' }),
+      addTask('TASK-C-04', { priority: 'medium' })
+    ];
+    taskScheduler.setDependencies('TASK-C-03', ['TASK-C-01']);
+    taskScheduler.setDependencies('TASK-C-04', ['TASK-C-01', 'TASK-C-02']);
+
+    const { ordered, layers, cyclic } = taskScheduler.topologicalSort(tasks);
+
+    expect(ids(ordered)).toEqual(['TASK-C-02', 'TASK-C-01', 'TASK-C-03', 'TASK-C-04']);
+    expect(layers.map(ids)).toEqual([['TASK-C-02', 'TASK-C-01'], ['TASK-C-03', 'TASK-C-04']]);
+    expect(cyclic).toEqual([]);
+  });
+
+  test('reports declared cycles instead of scheduling them', () => {
+    const tasks = [addTask('TASK-D-01'), addTask('TASK-D-02'), addTask('TASK-D-03')];
+    taskScheduler.setDependencies('TASK-D-01', ['TASK-D-02']);
+    taskScheduler.setDependencies('TASK-D-02', ['TASK-D-01']);
+    taskScheduler.setDependencies('TASK-D-03', ['TASK-D-02']);
+
+    const { ordered, cyclic } = taskScheduler.topologicalSort(tasks);
+
+    expect(ordered).toEqual([]);
+    expect(ids(cyclic)).toEqual(['TASK-D-01', 'TASK-D-02', 'TASK-D-03']);
+    expect(taskScheduler.findCycles()).toContainEqual(['TASK-D-01', 'TASK-D-02', 'TASK-D-01']);
+  });
+
+  test('releases backlog tasks once everything they depend on is completed', () => {
+    addTask('TASK-E-01');
+    addTask('TASK-E-02');
+    addTask('TASK-E-03');
+    taskScheduler.setDependencies('TASK-E-02', ['TASK-E-01']);
+    taskScheduler.setDependencies('TASK-E-03', ['TASK-E-01', 'TASK-E-02']);
+    const ready = () => ids(taskScheduler.getReadyTasks()).filter(id => id.startsWith('TASK-E-'));
+
+    expect(ready()).toEqual(['TASK-E-01']);
+
+    complete('TASK-E-01');
+    expect(ready()).toEqual(['TASK-E-02']);
+
+    complete('TASK-E-02');
+    expect(ready()).toEqual(['TASK-E-03']);
+  });
+
+  test('holds back tasks that depend on an unknown task', () => {
+    addTask('TASK-F-01');
+    taskScheduler.setDependencies('TASK-F-01', ['TASK-MISSING']);
+
+    expect(ids(taskScheduler.getReadyTasks())).not.toContain('TASK-F-01');
+  });
+
+  test('picks up depends_on from task files', () => {
+    addTask('TASK-G-01');
+    addTask('TASK-G-02', { depends_on: ['TASK-G-01'] });
+
+    taskScheduler.syncFromTaskFiles();
+
+    expect(taskScheduler.getDependencies('TASK-G-02')).toEqual(['TASK-G-01']);
+  });
+});
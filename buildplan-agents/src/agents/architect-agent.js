@@ -43,6 +43,9 @@ class ArchitectAgent extends BaseAgent {
       // Load architecture skills
       await this.loadSkills(task);
       
+      // Work on the design branch in this task's own worktree
+      await this.openWorktree(taskId, this.branchNameFor('architecture', taskId, 'design'));
+      
       await this.updateTaskProgress(taskPath, 'Analyzing requirements and creating design');
 
       // Generate design document using OpenAI
@@ -94,19 +97,11 @@ class ArchitectAgent extends BaseAgent {
     } catch (error) {
       logger.error(`${this.role}: Error executing task:`, error.message);
       
-      await AgentCollaboration.reportBlocker({
-        taskId: taskPath,
-        agentName: 'architect-agent',
-        type: 'technical',
-        description: error.message,
-        severity: 'high'
-      });
-      
       AgentCollaboration.updateAgentStatus('architect-agent', 'blocked', {
         error: error.message
       });
       
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, cause: error };
     }
   }
 
@@ -1,9 +1,9 @@
 const BaseAgent = require('./base-agent');
 const path = require('path');
 const logger = require('../utils/logger');
-const GitOps = require('../services/gitOps');
 const TestRunner = require('../services/testRunner');
 const SkillLoader = require('../services/skillLoader');
+const Permissions = require('../services/permissions');
 const AgentCollaboration = require('../services/agentCollaboration');
 
 /**
@@ -53,7 +53,7 @@ class BackendAgent extends BaseAgent {
 
       // Generate code using OpenAI
       const codePrompt = this.buildCodeGenerationPrompt(task);
-      const generatedCode = await this.generateArtifact(codePrompt);
+      const generatedCode = await this.generateArtifact(codePrompt, '', { phase: 'Generating code' });
 
       if (!generatedCode) {
         logger.error(`${this.role}: Failed to generate code`);
@@ -67,8 +67,15 @@ class BackendAgent extends BaseAgent {
         phase: 'code-generation'
       });
 
-      // Parse generated code into files
-      const files = this.parseGeneratedCode(generatedCode);
+      // Parse generated code into files, applying any edits to existing ones
+      const generated = await this.applyGeneratedCode(taskId, generatedCode, taskPath);
+
+      if (generated.errors.length > 0) {
+        logger.error(`${this.role}: Generated edits did not apply`);
+        return { success: false, error: `Generated edits did not apply to ${generated.errors.map(e => e.path).join(', ')}` };
+      }
+
+      let files = generated.files;
       
       if (files.length === 0) {
         logger.error(`${this.role}: No files extracted from generated code`);
@@ -79,11 +86,11 @@ class BackendAgent extends BaseAgent {
 
       // Write files locally for testing
       await this.updateTaskProgress(taskPath, 'Writing files locally');
-      await this.writeFilesLocally(files);
+      await this.writeFilesLocally(taskId, files);
 
       // Install dependencies if needed
       await this.updateTaskProgress(taskPath, 'Checking dependencies');
-      const depsResult = await this.installRequiredDependencies(files);
+      const depsResult = await this.installRequiredDependencies(files, this.getWorktreePath(taskId));
       
       if (!depsResult) {
         logger.warn(`${this.role}: Some dependencies may not have installed`);
@@ -98,20 +105,14 @@ class BackendAgent extends BaseAgent {
         phase: 'testing'
       });
       
-      const testResult = await this.runTests(files);
+      // Failing tests are fed back to the model for a bounded number of fixes
+      const repair = await this.runTestsWithRepair(task, taskPath, files);
+      const testResult = repair.testResult;
+      files = repair.files;
       
       if (!testResult.success) {
         logger.error(`${this.role}: Tests failed, not creating PR`);
-        await this.updateTaskProgress(taskPath, 'Tests failed - task blocked');
-        
-        // Report blocker
-        await AgentCollaboration.reportBlocker({
-          taskId,
-          agentName: 'backend-agent',
-          type: 'technical',
-          description: `Tests failed: ${testResult.error || 'Unknown test failure'}`,
-          severity: 'high'
-        });
+        await this.updateTaskProgress(taskPath, `Tests still failing after ${repair.attempts} repair attempt(s)`);
         
         AgentCollaboration.updateAgentStatus('backend-agent', 'blocked', {
           taskId,
@@ -121,7 +122,8 @@ class BackendAgent extends BaseAgent {
         return { 
           success: false, 
           error: `Tests failed: ${testResult.error || 'Unknown test failure'}`,
-          details: testResult.output
+          details: testResult.output,
+          failureClass: 'code-defect'
         };
       }
 
@@ -164,20 +166,11 @@ class BackendAgent extends BaseAgent {
     } catch (error) {
       logger.error(`${this.role}: Error executing task:`, error.message);
       
-      // Report blocker on exception
-      await AgentCollaboration.reportBlocker({
-        taskId: taskPath,
-        agentName: 'backend-agent',
-        type: 'technical',
-        description: error.message,
-        severity: 'high'
-      });
-      
       AgentCollaboration.updateAgentStatus('backend-agent', 'blocked', {
         error: error.message
       });
       
-      return { success: false, error: `Exception: ${error.message}`, details: error.stack };
+      return { success: false, error: `Exception: ${error.message}`, details: error.stack, cause: error };
     }
   }
 
@@ -185,11 +178,13 @@ class BackendAgent extends BaseAgent {
    * Build prompt for code generation
    */
   buildCodeGenerationPrompt(task) {
+    const repositoryContext = this.buildRepositoryContext(task);
+
     return `You are implementing a backend feature. Generate complete, production-ready code.
 
 ## Task Details
 ${task.content}
-
+${repositoryContext ? `\n${repositoryContext}\n` : ''}
 ## Requirements
 - Generate Express.js/Node.js API endpoints
 - Include proper error handling
@@ -199,11 +194,7 @@ ${task.content}
 - Generate corresponding tests
 
 ## Output Format
-Provide the code in this exact format:
-
-\`\`\`filename: path/to/file.js
-// File content here
-\`\`\`
+${this.editFormatInstructions('path/to/file.js')}
 
 Generate all necessary files:
 1. Route handler file
@@ -266,27 +257,18 @@ Start generating now:`;
   }
 
   /**
-   * Write generated files to local filesystem for testing
+   * Write generated files into the task's worktree for testing
    */
-  async writeFilesLocally(files) {
-    const fs = require('fs');
-    const path = require('path');
+  async writeFilesLocally(taskId, files) {
+    const root = this.getWorktreePath(taskId);
     
     for (const file of files) {
       try {
-        const fullPath = path.join(process.env.PROJECT_ROOT, file.path);
-        const dir = path.dirname(fullPath);
-        
-        // Ensure directory exists
-        if (!fs.existsSync(dir)) {
-          fs.mkdirSync(dir, { recursive: true });
-        }
-        
-        // Write file
-        fs.writeFileSync(fullPath, file.content, 'utf8');
+        // Checked against the agent's write scope and recorded in the audit log
+        await Permissions.writeFile('backend-agent', file.path, file.content, { root });
         logger.info(`${this.role}: Wrote ${file.path}`);
       } catch (error) {
-        logger.error(`${this.role}: Failed to write ${file.path}:`, error.message);
+        logger.error(`${this.role}: Failed to write ${file.path}: ${error.message}`);
       }
     }
   }
@@ -294,7 +276,7 @@ Start generating now:`;
   /**
    * Install required dependencies from generated code
    */
-  async installRequiredDependencies(files) {
+  async installRequiredDependencies(files, cwd) {
     try {
       // Look for package.json or import statements to identify dependencies
       const dependencies = this.extractDependencies(files);
@@ -306,7 +288,7 @@ Start generating now:`;
       
       logger.info(`${this.role}: Installing dependencies: ${dependencies.join(', ')}`);
       
-      const result = await this.shell.installPackages(dependencies);
+      const result = await this.shell.installPackages(dependencies, { cwd });
       
       if (!result.success) {
         logger.error(`${this.role}: Failed to install dependencies:`, result.stderr);
@@ -358,7 +340,7 @@ Start generating now:`;
   /**
    * Run tests for generated code
    */
-  async runTests(files) {
+  async runTests(files, cwd) {
     try {
       // Check if test files were generated
       const testFiles = files.filter(f => 
@@ -376,7 +358,7 @@ Start generating now:`;
       logger.info(`${this.role}: Running ${testFiles.length} test file(s)`);
       
       // Try to run tests
-      const result = await this.shell.runTests();
+      const result = await this.shell.runTests('', { cwd });
       
       if (!result.success) {
         const errorOutput = result.stderr || result.stdout || 'No error output captured';
@@ -455,21 +437,10 @@ Backend Agent (AI)
   }
   
   /**
-   * Create feature branch for task
+   * Create the task's feature branch in its own worktree
    */
   async createFeatureBranch(taskId, title) {
-    const branchName = `backend/${taskId}-${(title || 'task').toLowerCase().replace(/\s+/g, '-')}`;
-    
-    logger.info(`${this.role}: Creating branch: ${branchName}`);
-    
-    try {
-      await GitOps.createBranch(branchName);
-      await GitOps.checkoutBranch(branchName);
-      return branchName;
-    } catch (error) {
-      logger.warn(`${this.role}: Could not create branch (may already exist): ${error.message}`);
-      return branchName;
-    }
+    return this.openWorktree(taskId, this.branchNameFor('backend', taskId, title || 'task'));
   }
   
   /**
@@ -4,11 +4,43 @@ const logger = require('../utils/logger');
 const openai = require('../utils/openai-client');
 const github = require('../utils/github-client');
 const fileOps = require('../utils/file-ops');
+const taskFile = require('../utils/task-file');
+const taskStore = require('../services/taskStore');
+const GitOps = require('../services/gitOps');
+const workspace = require('../services/workspaceManager');
+const Permissions = require('../services/permissions');
+const CodeIndex = require('../services/codeIndex');
+const costTracker = require('../services/costTracker');
+const llmContext = require('../utils/llm-context');
+const generationStream = require('../services/generationStream');
+const eventBus = require('../services/eventBus');
+const blockerStore = require('../services/blockerStore');
+const retryPolicy = require('../services/retryPolicy');
+const { classify } = require('../utils/failure-classifier');
 const ShellExecutor = require('../utils/shell-executor');
+const PatchApplier = require('../utils/patch-applier');
+
+// Fix-and-retest rounds after a failing test run before the attempt fails
+const MAX_REPAIR_ATTEMPTS = parseInt(process.env.MAX_REPAIR_ATTEMPTS, 10) || 3;
+// Times the model is asked to redo edits that don't match the files they target
+const MAX_PATCH_RETRIES = parseInt(process.env.MAX_PATCH_RETRIES, 10) || 2;
+// Keep repair prompts within a reasonable context size
+const MAX_TEST_OUTPUT_CHARS = 8000;
+const MAX_FILE_CHARS = 12000;
+// Severity of the blocker raised when a failure of each class can't be retried
+const FAILURE_SEVERITY = {
+  'needs-human': 'high',
+  'environmental': 'high',
+  'code-defect': 'medium',
+  'transient': 'medium'
+};
 
 /**
  * Base class for all specialist AI agents
- * Provides common functionality for task execution, progress tracking, and GitHub operations
+ * Provides common functionality for task execution, progress tracking, and GitHub operations.
+ * Each task is worked on in its own git worktree: files are written and tested
+ * there, committed and pushed from there, and the worktree is removed when the
+ * task completes, is blocked or goes back to the backlog for a retry.
  */
 class BaseAgent {
   constructor(orchestrator, role, systemPromptPath) {
@@ -19,6 +51,7 @@ class BaseAgent {
     this.workload = 0; // Number of active tasks
     this.maxWorkload = 2; // Maximum concurrent tasks
     this.shell = new ShellExecutor(); // Shell command execution capabilities
+    this.worktrees = new Map(); // taskId → { path, branch }
   }
 
   /**
@@ -41,6 +74,13 @@ class BaseAgent {
     return `You are a ${this.role} agent. Execute tasks professionally and autonomously.`;
   }
 
+  /**
+   * Agent key used for per-agent configuration ('Backend-Agent' → 'backend-agent')
+   */
+  get agentKey() {
+    return typeof this.role === 'string' ? this.role.toLowerCase() : 'default';
+  }
+
   /**
    * Check if agent is available to take on new work
    */
@@ -49,40 +89,11 @@ class BaseAgent {
   }
 
   /**
-   * Parse task file frontmatter and content
+   * Load a canonical task file
+   * @returns {Object|null} { metadata, content, path } or null if missing or invalid
    */
   parseTaskFile(taskPath) {
-    const content = fileOps.readFile(taskPath);
-    if (!content) {
-      return null;
-    }
-
-    // Simple frontmatter parser (YAML between --- markers)
-    const frontmatterRegex = /^---\n([\s\S]*?)\n---\n([\s\S]*)$/;
-    const match = content.match(frontmatterRegex);
-
-    if (!match) {
-      return {
-        metadata: {},
-        content: content
-      };
-    }
-
-    const yamlLines = match[1].split('\n');
-    const metadata = {};
-    
-    yamlLines.forEach(line => {
-      const [key, ...valueParts] = line.split(':');
-      if (key && valueParts.length > 0) {
-        const value = valueParts.join(':').trim();
-        metadata[key.trim()] = value;
-      }
-    });
-
-    return {
-      metadata,
-      content: match[2].trim()
-    };
+    return taskFile.load(taskPath);
   }
 
   /**
@@ -109,25 +120,13 @@ class BaseAgent {
       updatedContent += `\n\n## Progress Log\n${progressEntry}`;
     }
 
-    // Update metadata if provided
-    const metadataUpdates = {};
-    if (update.includes('started')) {
-      metadataUpdates.status = 'in-progress';
-      metadataUpdates.started_at = timestamp;
-    } else if (update.includes('completed') || update.includes('PR')) {
-      metadataUpdates.status = 'completed';
-      metadataUpdates.completed_at = timestamp;
+    // Status lives in the task store; only record timestamps here
+    const metadata = { ...task.metadata };
+    if (update.includes('started') && !metadata.started_at) {
+      metadata.started_at = timestamp;
     }
 
-    // Rebuild file with metadata
-    const metadata = { ...task.metadata, ...metadataUpdates };
-    const metadataLines = Object.entries(metadata)
-      .map(([key, value]) => `${key}: ${value}`)
-      .join('\n');
-
-    const newContent = `---\n${metadataLines}\n---\n\n${updatedContent}`;
-    
-    fileOps.writeFile(taskPath, newContent);
+    taskFile.save(taskPath, { metadata, content: updatedContent });
     logger.info(`${this.role}: Updated task ${path.basename(taskPath)}`);
     
     return true;
@@ -141,30 +140,176 @@ class BaseAgent {
   }
 
   /**
-   * Generate code/artifacts using OpenAI
+   * Generate code/artifacts using the agent's configured LLM provider
+   * @param {string} prompt - Prompt
+   * @param {string} context - Optional context placed before the prompt
+   * @param {Object} options - { phase } to stream the response with live
+   *   progress (team chat and the CLI watcher) under that phase name
+   * @returns {Promise<string|null>} Response text, null on failure
    */
-  async generateArtifact(prompt, context = '') {
+  async generateArtifact(prompt, context = '', options = {}) {
+    const progress = options.phase
+      ? generationStream.start({ agent: this.role, taskId: llmContext.current().taskId, phase: options.phase })
+      : null;
+
     try {
       const fullPrompt = context ? `${context}\n\n${prompt}` : prompt;
-      const response = await openai.pmAgentChat(this.systemPrompt, fullPrompt);
+      const response = await openai.pmAgentChat(this.systemPrompt, fullPrompt, {
+        agent: this.agentKey,
+        ...(progress ? { onDelta: progress.onDelta } : {})
+      });
+      if (progress) progress.finish('done');
       return response;
     } catch (error) {
+      if (progress) progress.finish('failed');
       logger.error(`${this.role}: Failed to generate artifact:`, error.message);
       return null;
     }
   }
 
   /**
-   * Create GitHub PR with generated code
+   * Existing project code related to the task (from the code index), so the
+   * model extends what is there instead of recreating it
+   * @param {Object} task - Loaded task ({ metadata, content })
+   * @returns {string} Prompt section, empty when nothing relevant exists
+   */
+  buildRepositoryContext(task) {
+    const query = `${task.metadata.title || ''}\n${task.content}`;
+    const context = CodeIndex.getContext(query, { agent: this.agentKey });
+    if (!context) return '';
+
+    return `## Existing Code
+These files already exist in the project. Reuse and extend them (edit them with
+SEARCH/REPLACE blocks or diffs) rather than recreating what they provide.
+
+${context}`;
+  }
+
+  /**
+   * Build a branch name like `backend/TASK-1-add-login`
+   */
+  branchNameFor(prefix, taskId, suffix = '') {
+    const slug = String(suffix).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+    return `${prefix}/${taskId}${slug ? `-${slug}` : ''}`;
+  }
+
+  /**
+   * Check out the task's branch in its own worktree (reused if already open)
+   * @param {string} taskId - Task ID
+   * @param {string} branchName - Branch to work on
+   * @returns {string} Branch name
+   * @throws {Error} If the worktree can't be created
+   */
+  async openWorktree(taskId, branchName) {
+    const open = this.worktrees.get(taskId);
+    if (open) return open.branch;
+
+    logger.info(`${this.role}: Creating worktree for ${taskId} on ${branchName}`);
+    const result = GitOps.createWorktree(taskId, branchName);
+    if (!result.success) {
+      throw new Error(`Could not create worktree for ${taskId}: ${result.error}`);
+    }
+
+    this.worktrees.set(taskId, { path: result.path, branch: result.branchName });
+    await this.installWorktreeDependencies(taskId, result.path);
+    return result.branchName;
+  }
+
+  /**
+   * Give a worktree its own node_modules, so packages a task installs never
+   * change the main checkout or another task's worktree
+   * @param {string} taskId - Task ID
+   * @param {string} worktreePath - Worktree directory
+   */
+  async installWorktreeDependencies(taskId, worktreePath) {
+    if (!fs.existsSync(path.join(worktreePath, 'package.json')) || fs.existsSync(path.join(worktreePath, 'node_modules'))) {
+      return;
+    }
+
+    logger.info(`${this.role}: Installing dependencies for ${taskId}`);
+    const result = await this.shell.installDependencies({ cwd: worktreePath, cacheDir: workspace.npmCacheDir() });
+    if (!result.success) {
+      throw new Error(`Failed to install dependencies in the worktree for ${taskId}: ${(result.stderr || '').trim().split('\n').slice(-5).join('\n')}`);
+    }
+  }
+
+  /**
+   * Directory of the task's worktree; write files and run commands here
+   * @param {string} taskId - Task ID
+   * @returns {string} Absolute path
+   */
+  getWorktreePath(taskId) {
+    const open = this.worktrees.get(taskId);
+    if (!open) {
+      throw new Error(`No worktree open for ${taskId}`);
+    }
+    return open.path;
+  }
+
+  /**
+   * Remove the task's worktree. With saveWork, uncommitted changes are first
+   * committed to the (unpushed) task branch so a blocked task can resume.
+   * @param {string} taskId - Task ID
+   * @param {Object} options - { saveWork, reason }
+   */
+  async closeWorktree(taskId, options = {}) {
+    const open = this.worktrees.get(taskId);
+    if (!open) return;
+
+    if (options.saveWork) {
+      const changed = GitOps.getChangedFiles({ cwd: open.path })
+        .filter(file => !file.startsWith('node_modules'));
+      if (changed.length > 0) {
+        const result = GitOps.stageAndCommit(changed, `[${taskId}] WIP: ${options.reason || 'blocked'}`, { cwd: open.path });
+        if (result.success) {
+          logger.info(`${this.role}: Saved work in progress for ${taskId} on ${open.branch}`);
+        }
+      }
+    }
+
+    GitOps.removeWorktree(taskId);
+    this.worktrees.delete(taskId);
+  }
+
+  /**
+   * Commit the task's files in its worktree, push the branch and open a PR.
+   * Files with content that isn't on disk yet are written to the worktree first.
+   * @param {string} taskId - Task ID
+   * @param {Array} files - { path, content? } relative to the project root
+   * @param {string} title - PR title
+   * @param {string} description - PR body
+   * @returns {Object|null} { number, url, id, branch, commitSha } or null on failure
    */
   async createPR(taskId, files, title, description) {
     try {
-      const pr = await github.createFeaturePR(
-        taskId,
-        files,
-        title,
-        description
-      );
+      const open = this.worktrees.get(taskId);
+      if (!open) {
+        logger.error(`${this.role}: No worktree for ${taskId}, not creating PR`);
+        return null;
+      }
+
+      for (const file of files) {
+        if (typeof file.content !== 'string') continue;
+        const target = path.join(open.path, file.path);
+        if (!fs.existsSync(target) || fs.readFileSync(target, 'utf8') !== file.content) {
+          await Permissions.writeFile(this.agentKey, file.path, file.content, { root: open.path });
+        }
+      }
+
+      const message = title.startsWith(`[${taskId}]`) ? title : `[${taskId}] ${title}`;
+      const commit = GitOps.stageAndCommit(files.map(f => f.path), message, { cwd: open.path });
+      if (!commit.success) {
+        logger.error(`${this.role}: Failed to commit ${taskId}: ${commit.error}`);
+        return null;
+      }
+
+      const push = GitOps.push(open.branch, true, { cwd: open.path });
+      if (!push.success) {
+        logger.error(`${this.role}: Failed to push ${open.branch}: ${push.error}`);
+        return null;
+      }
+
+      const pr = await github.createPullRequest(open.branch, title, description);
 
       if (!pr) {
         logger.error(`${this.role}: Failed to create PR for ${taskId}`);
@@ -172,13 +317,267 @@ class BaseAgent {
       }
 
       logger.info(`${this.role}: Created PR #${pr.number} for ${taskId}`);
-      return pr;
+      return { ...pr, branch: open.branch, commitSha: commit.commitHash };
     } catch (error) {
-      logger.error(`${this.role}: Error creating PR:`, error.message);
+      logger.error(`${this.role}: Error creating PR: ${error.message}`);
       return null;
     }
   }
 
+  /**
+   * Run the task's tests in its worktree. While they fail, send the failure
+   * output and the current files back to the model, write the fixed files it
+   * returns and test again, up to MAX_REPAIR_ATTEMPTS times. Every attempt is
+   * recorded in the task's Progress Log.
+   * Fixes may be complete files or edits (see applyGeneratedCode). Needs the
+   * subclass to implement runTests(files, cwd), parseGeneratedCode(text) and
+   * writeFilesLocally(taskId, files).
+   * @param {Object} task - Loaded task ({ metadata, content })
+   * @param {string} taskPath - Task file path
+   * @param {Array} files - Generated files ({ path, content })
+   * @returns {Object} { testResult, files, attempts } with files as last written
+   */
+  async runTestsWithRepair(task, taskPath, files) {
+    const taskId = task.metadata.id || path.basename(taskPath, '.md');
+    const cwd = this.getWorktreePath(taskId);
+    let testResult = await this.runTests(files, cwd);
+    let attempts = 0;
+
+    while (!testResult.success && attempts < MAX_REPAIR_ATTEMPTS) {
+      attempts++;
+      await this.updateTaskProgress(
+        taskPath,
+        `Tests failed, repair attempt ${attempts}/${MAX_REPAIR_ATTEMPTS}: ${this.summarizeFailure(testResult)}`
+      );
+
+      const response = await this.generateArtifact(this.buildRepairPrompt(task, files, testResult, cwd), '', {
+        phase: `Fixing failing tests (attempt ${attempts}/${MAX_REPAIR_ATTEMPTS})`
+      });
+      const { files: fixes, errors } = response
+        ? await this.applyGeneratedCode(taskId, response, taskPath)
+        : { files: [], errors: [] };
+
+      if (errors.length > 0) {
+        await this.updateTaskProgress(taskPath, `Repair attempt ${attempts}: edits did not apply to ${errors.map(e => e.path).join(', ')}`);
+        continue;
+      }
+      if (fixes.length === 0) {
+        await this.updateTaskProgress(taskPath, `Repair attempt ${attempts}: model returned no file changes`);
+        continue;
+      }
+
+      await this.writeFilesLocally(taskId, fixes);
+      if (typeof this.installRequiredDependencies === 'function') {
+        await this.installRequiredDependencies(fixes, cwd);
+      }
+
+      const fixedPaths = new Set(fixes.map(f => f.path));
+      files = [...files.filter(f => !fixedPaths.has(f.path)), ...fixes];
+
+      testResult = await this.runTests(files, cwd);
+      await this.updateTaskProgress(
+        taskPath,
+        `Repair attempt ${attempts}: updated ${[...fixedPaths].join(', ')} - tests ${testResult.success ? 'passed' : 'still failing'}`
+      );
+    }
+
+    if (!testResult.success) {
+      logger.warn(`${this.role}: Tests still failing for ${taskId} after ${attempts} repair attempt(s)`);
+    } else if (attempts > 0) {
+      logger.info(`${this.role}: Tests for ${taskId} pass after ${attempts} repair attempt(s)`);
+    }
+
+    return { testResult, files, attempts };
+  }
+
+  /**
+   * First meaningful line of a test failure, for the Progress Log
+   */
+  summarizeFailure(testResult) {
+    const output = String(testResult.output || testResult.error || '');
+    const line = output.split('\n').map(l => l.trim())
+      .find(l => /(fail|error|expected|assert|✕)/i.test(l)) || testResult.error || 'unknown failure';
+    return line.length > 160 ? `${line.slice(0, 157)}...` : line;
+  }
+
+  /**
+   * Prompt asking the model to fix failing tests
+   * @param {Object} task - Loaded task
+   * @param {Array} files - Files written for the task
+   * @param {Object} testResult - { error, output } from runTests
+   * @param {string} cwd - Worktree to read current file contents from
+   * @returns {string} Prompt
+   */
+  buildRepairPrompt(task, files, testResult, cwd) {
+    let output = String(testResult.output || testResult.error || 'No output captured');
+    if (output.length > MAX_TEST_OUTPUT_CHARS) {
+      // Keep the start (first failures) and the end (summary and stack traces)
+      const half = MAX_TEST_OUTPUT_CHARS / 2;
+      output = `${output.slice(0, half)}\n... [truncated] ...\n${output.slice(-half)}`;
+    }
+
+    const current = files.map(file => {
+      const fullPath = path.join(cwd, file.path);
+      let content = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : file.content;
+      if (content.length > MAX_FILE_CHARS) {
+        content = `${content.slice(0, MAX_FILE_CHARS)}\n// ... [truncated]`;
+      }
+      return `\`\`\`filename: ${file.path}\n${content}\n\`\`\``;
+    }).join('\n\n');
+
+    return `The code you generated for this task fails its tests. Fix the code (or the tests, if they are wrong) so the test suite passes.
+
+## Task
+${task.metadata.title || task.metadata.id}
+
+${task.content.substring(0, 2000)}
+
+## Test failure
+${testResult.error || 'Test suite failed'}
+
+\`\`\`
+${output}
+\`\`\`
+
+## Current files
+${current}
+
+## Instructions
+- Return ONLY what changes; do not return files that don't need changes
+- Do not explain outside the code blocks
+
+${this.editFormatInstructions()}`;
+  }
+
+  /**
+   * How the model may write code: complete files for new code, SEARCH/REPLACE
+   * blocks or unified diffs for changes to existing files
+   * @param {string} example - Example path shown in the formats
+   * @returns {string} Prompt section
+   */
+  editFormatInstructions(example = 'path/to/file.js') {
+    return `To create a file, send it complete:
+\`\`\`filename: ${example}
+// full file content
+\`\`\`
+
+To change an existing file, send only the lines that change as SEARCH/REPLACE
+blocks. The SEARCH text must match the current file exactly, once:
+\`\`\`filename: ${example}
+<<<<<<< SEARCH
+lines as they are now
+=======
+lines as they should be
+>>>>>>> REPLACE
+\`\`\`
+
+or as a unified diff with 3 lines of unchanged context around each change:
+\`\`\`diff
+--- a/${example}
++++ b/${example}
+@@ -10,3 +10,3 @@
+ unchanged line
+-removed line
++added line
+ unchanged line
+\`\`\``;
+  }
+
+  /**
+   * Turn a model response into complete files for the task's worktree.
+   * Diffs and SEARCH/REPLACE blocks are applied to the files' current content;
+   * when some don't match, the errors and current content go back to the model
+   * for corrected edits, up to MAX_PATCH_RETRIES times. Nothing is written here,
+   * and if any edit still fails no files are returned, so a response is used
+   * in full or not at all.
+   * Responses made only of complete files go through parseGeneratedCode.
+   * @param {string} taskId - Task ID (whose worktree holds the current files)
+   * @param {string} generated - Model response
+   * @param {string} taskPath - Task file for progress notes (optional)
+   * @returns {Promise<Object>} { files: [{ path, content }], errors: [PatchError] }
+   */
+  async applyGeneratedCode(taskId, generated, taskPath = null) {
+    const edits = PatchApplier.parse(generated);
+    if (edits.every(edit => edit.type === 'file')) {
+      return { files: this.parseGeneratedCode(generated), errors: [] };
+    }
+
+    const root = this.getWorktreePath(taskId);
+    const readCurrent = async (filePath) => {
+      if (!fs.existsSync(path.join(root, filePath))) return null;
+      return Permissions.readFile(this.agentKey, filePath, { root });
+    };
+
+    let { files, errors } = await PatchApplier.apply(edits, readCurrent);
+    let retries = 0;
+
+    while (errors.length > 0 && retries < MAX_PATCH_RETRIES) {
+      retries++;
+      logger.warn(`${this.role}: ${errors.length} edit(s) did not apply for ${taskId}, asking for corrections (${retries}/${MAX_PATCH_RETRIES})`);
+      if (taskPath) {
+        await this.updateTaskProgress(taskPath, `Edits to ${errors.map(e => e.path).join(', ')} did not apply, retry ${retries}/${MAX_PATCH_RETRIES}`);
+      }
+
+      const response = await this.generateArtifact(await this.buildPatchRetryPrompt(errors, readCurrent), '', {
+        phase: 'Redoing edits that did not apply'
+      });
+      const failedPaths = new Set(errors.map(e => e.path));
+      const retry = await PatchApplier.apply(
+        PatchApplier.parse(response || '').filter(edit => failedPaths.has(edit.path)),
+        readCurrent
+      );
+      const redone = new Set([...retry.files, ...retry.errors].map(f => f.path));
+
+      files = [...files, ...retry.files];
+      errors = [...retry.errors, ...errors.filter(e => !redone.has(e.path))];
+    }
+
+    if (errors.length > 0) {
+      logger.error(`${this.role}: Edits for ${taskId} did not apply:\n${PatchApplier.formatErrors(errors)}`);
+      return { files: [], errors };
+    }
+
+    logger.info(`${this.role}: Applied edits to ${files.length} file(s): ${files.map(f => f.path).join(', ')}`);
+    return { files, errors };
+  }
+
+  /**
+   * Prompt asking the model to redo edits that didn't apply
+   * @param {Array} errors - PatchErrors from PatchApplier.apply
+   * @param {Function} readCurrent - async (path) => current content or null
+   * @returns {Promise<string>} Prompt
+   */
+  async buildPatchRetryPrompt(errors, readCurrent) {
+    const paths = [...new Set(errors.map(e => e.path))];
+    const current = await Promise.all(paths.map(async (filePath) => {
+      let content;
+      try {
+        content = await readCurrent(filePath);
+      } catch (error) {
+        return `### ${filePath}\n(cannot be read: ${error.message})`;
+      }
+      if (content === null) return `### ${filePath}\n(file does not exist yet)`;
+      if (content.length > MAX_FILE_CHARS) {
+        content = `${content.slice(0, MAX_FILE_CHARS)}\n// ... [truncated]`;
+      }
+      return `\`\`\`filename: ${filePath}\n${content}\n\`\`\``;
+    }));
+
+    return `Some of the edits you sent don't match the files they target, so nothing has been written yet.
+
+## Problems
+${PatchApplier.formatErrors(errors)}
+
+## Current content
+${current.join('\n\n')}
+
+## Instructions
+- Send again every change you intended for ${paths.join(', ')}, against the content above
+- Only these files; your edits to other files applied and are kept
+
+${this.editFormatInstructions(paths[0])}`;
+  }
+
   /**
    * Send message to team channel
    */
@@ -187,9 +586,9 @@ class BaseAgent {
       return this.orchestrator.teamComms.sendMessage(this.role, message, options);
     }
     // Fallback if teamComms not available
-    return this.orchestrator.notifyTelegram(
+    return this.orchestrator.notifyTeam(
       `<b>${this.role}</b>\n${message}`,
-      { parse_mode: 'HTML' }
+      { format: 'html' }
     );
   }
   
@@ -238,10 +637,11 @@ class BaseAgent {
 
   /**
    * Mark task as complete and move to review
+   * @returns {boolean} False if the task couldn't be moved to review (e.g. a
+   *   person moved it meanwhile); the team is told and the work is kept
    */
   async completeTask(taskPath, prUrl = null) {
-    const fileName = path.basename(taskPath);
-    const reviewPath = path.join(process.env.TASKS_DIR, 'review', fileName);
+    const taskId = path.basename(taskPath, '.md');
 
     // Update with completion info
     let completionMsg = 'Task completed';
@@ -251,16 +651,34 @@ class BaseAgent {
     
     await this.updateTaskProgress(taskPath, completionMsg);
 
+    if (prUrl) {
+      eventBus.publish('pr.opened', { taskId, url: prUrl, agent: this.role });
+    }
+
     // Move to review
-    fileOps.moveFile(taskPath, reviewPath);
+    try {
+      taskStore.transition(taskId, 'review', { actor: this.role, reason: completionMsg });
+    } catch (error) {
+      logger.error(`${this.role}: Could not move ${taskId} to review: ${error.message}`);
+      await this.closeWorktree(taskId, { saveWork: true, reason: completionMsg });
+
+      this.workload = Math.max(0, this.workload - 1);
+      this.currentTask = null;
+
+      await this.notifyPM(
+        `⚠️ <b>Finished but not moved to review:</b> <code>${taskId}</code>\n${error.message}` +
+        `${prUrl ? `\n🔗 <a href="${prUrl}">View PR</a>` : ''}`
+      );
+      return false;
+    }
+    await this.closeWorktree(taskId);
     
     this.workload = Math.max(0, this.workload - 1);
     this.currentTask = null;
 
-    logger.info(`${this.role}: Completed ${fileName}, moved to review`);
+    logger.info(`${this.role}: Completed ${taskId}, moved to review`);
     
     // Send formatted completion message
-    const taskId = fileName.replace('.md', '');
     await this.notifyPM(
       prUrl ? 
         `✅ <b>Task Complete:</b> <code>${taskId}</code>\n🔗 <a href="${prUrl}">View PR</a>` :
@@ -271,20 +689,46 @@ class BaseAgent {
   }
 
   /**
-   * Mark task as blocked
+   * Mark task as blocked, with an open blocker that escalates until someone
+   * resolves it
+   * @param {string} taskPath - Task file path
+   * @param {string} reason - Why
+   * @param {Object} options - { failureClass, retries (automatic retries already made),
+   *   raiseBlocker: false for pauses that have their own way out }
    */
-  async blockTask(taskPath, reason) {
+  async blockTask(taskPath, reason, options = {}) {
+    const { raiseBlocker = true, failureClass = null, retries = 0 } = options;
     const fileName = path.basename(taskPath);
-    const blockedPath = path.join(process.env.TASKS_DIR, 'blocked', fileName);
+    const taskId = path.basename(taskPath, '.md');
+    let blocker = null;
 
     await this.updateTaskProgress(taskPath, `BLOCKED: ${reason}`);
-    fileOps.moveFile(taskPath, blockedPath);
+
+    try {
+      taskStore.transition(taskId, 'blocked', { actor: this.role, reason });
+      if (raiseBlocker) {
+        blocker = blockerStore.raise({
+          taskId,
+          agent: this.role,
+          type: failureClass,
+          description: reason,
+          severity: FAILURE_SEVERITY[failureClass] || 'medium'
+        });
+      }
+    } catch (error) {
+      logger.error(`${this.role}: Could not block ${taskId}: ${error.message}`);
+    }
+    await this.closeWorktree(taskId, { saveWork: true, reason });
 
     this.workload = Math.max(0, this.workload - 1);
     this.currentTask = null;
 
     logger.warn(`${this.role}: Blocked ${fileName} - ${reason}`);
-    await this.notifyPM(`🚫 Blocked ${fileName}: ${reason}`);
+    const retried = retries > 0 ? ` after ${retries} automatic ${retries === 1 ? 'retry' : 'retries'}` : '';
+    await this.notifyPM(blocker
+      ? `🚫 Blocked ${fileName} (${[blocker.id, failureClass].filter(Boolean).join(', ')}${retried}): ${reason}\n` +
+        `👉 <code>/resolve ${blocker.id} [what fixed it]</code>`
+      : `🚫 Blocked ${fileName}: ${reason}`);
 
     return true;
   }
@@ -304,13 +748,23 @@ class BaseAgent {
       await this.notifyPM(`🚀 <b>Started:</b> <code>${taskId}</code>`);
       await this.updateTaskProgress(taskPath, 'Started working on task');
 
-      // Execute task (implemented by subclass)
-      const result = await this.executeTask(taskPath);
+      // Execute task (implemented by subclass); LLM calls made along the way
+      // are charged to this task and its request
+      const stored = taskStore.getTask(taskId);
+      const requestId = stored ? stored.request_id : null;
+      const result = await llmContext.run({ taskId, requestId }, () => this.executeTask(taskPath));
 
       // Handle result - can be boolean (legacy) or object with details
       const success = typeof result === 'object' ? result.success : result;
       
       if (!success) {
+        // Failed because the budget ran out: pause for approval instead
+        const exceeded = costTracker.checkBudget({ taskId, requestId });
+        if (exceeded) {
+          await this.pauseForBudget(taskPath, exceeded);
+          return false;
+        }
+
         let blockReason = 'Execution failed';
         let blockDetails = null;
         
@@ -324,7 +778,12 @@ class BaseAgent {
           await this.updateTaskProgress(taskPath, `Error details:\n${blockDetails}`);
         }
         
-        await this.blockTask(taskPath, blockReason);
+        await this.handleFailure(taskPath, {
+          message: blockReason,
+          details: blockDetails,
+          failureClass: typeof result === 'object' ? result.failureClass : null,
+          cause: typeof result === 'object' ? result.cause : null
+        });
         return false;
       }
 
@@ -332,12 +791,98 @@ class BaseAgent {
       return true;
 
     } catch (error) {
+      if (error.code === 'BUDGET_EXCEEDED') {
+        await this.pauseForBudget(taskPath, error.budget);
+        return false;
+      }
       logger.error(`${this.role}: Error in task workflow:`, error.message);
-      await this.blockTask(taskPath, `Error: ${error.message}`);
+      await this.handleFailure(taskPath, { message: `Error: ${error.message}`, cause: error });
       return false;
     }
   }
 
+  /**
+   * Classify a failed attempt and either put the task back in the backlog to
+   * be retried after a backoff or, once its class has no retries left (or
+   * never gets any), block it for a person to look at
+   * @param {string} taskPath - Task file path
+   * @param {Object} failure - { message, details, failureClass (when the agent
+   *   knows it, e.g. failing tests), cause (the Error, if one was thrown) }
+   */
+  async handleFailure(taskPath, failure) {
+    const taskId = path.basename(taskPath, '.md');
+    const cause = failure.cause || {};
+    const { failureClass, reason } = failure.failureClass
+      ? { failureClass: failure.failureClass, reason: 'reported by the agent' }
+      : classify({ message: failure.message, details: failure.details, status: cause.status, code: cause.code, response: cause.response });
+
+    const decision = retryPolicy.recordFailure(taskId, failureClass, failure.message);
+    logger.warn(`${this.role}: ${taskId} failed (${failureClass}, ${reason}): ${failure.message}`);
+
+    if (!decision.retry) {
+      await this.blockTask(taskPath, failure.message, { failureClass, retries: decision.attempt });
+      eventBus.publish('task.failed', {
+        taskId,
+        agent: this.role,
+        failureClass,
+        error: failure.message,
+        retry: false,
+        attempt: decision.attempt,
+        maxAttempts: decision.maxAttempts
+      });
+      return;
+    }
+
+    const wait = decision.delayMs >= 60000 ? `${Math.round(decision.delayMs / 60000)} min` : `${Math.round(decision.delayMs / 1000)}s`;
+    await this.updateTaskProgress(taskPath,
+      `Attempt failed (${failureClass}): ${failure.message} - automatic retry ${decision.attempt}/${decision.maxAttempts} in ${wait}`);
+
+    try {
+      taskStore.transition(taskId, 'backlog', {
+        actor: this.role,
+        reason: `Retry ${decision.attempt}/${decision.maxAttempts} after ${failureClass} failure: ${failure.message}`
+      });
+    } catch (error) {
+      logger.error(`${this.role}: Could not return ${taskId} to the backlog: ${error.message}`);
+    }
+    await this.closeWorktree(taskId, { saveWork: true, reason: `${failureClass} failure, retrying` });
+
+    this.workload = Math.max(0, this.workload - 1);
+    this.currentTask = null;
+
+    eventBus.publish('task.failed', {
+      taskId,
+      agent: this.role,
+      failureClass,
+      error: failure.message,
+      retry: true,
+      attempt: decision.attempt,
+      maxAttempts: decision.maxAttempts,
+      retryAt: decision.retryAt
+    });
+  }
+
+  /**
+   * Block a task whose task or request budget is used up and ask in the team chat
+   * for more; approving it with /budget moves the task back to the backlog
+   * @param {string} taskPath - Task file path
+   * @param {Object} exceeded - { scope, id, spent, limit } from costTracker.checkBudget
+   */
+  async pauseForBudget(taskPath, exceeded) {
+    const taskId = path.basename(taskPath, '.md');
+    const spent = `$${exceeded.spent.toFixed(2)} of $${exceeded.limit.toFixed(2)}`;
+
+    costTracker.pause(taskId, exceeded);
+    await this.blockTask(taskPath, `LLM budget of ${exceeded.scope} ${exceeded.id} used up (${spent})`, { raiseBlocker: false });
+
+    await this.orchestrator.notifyTeam(
+      `⏸️ <b>Budget Reached</b>\n\n` +
+      `<code>${taskId}</code> is paused: ${exceeded.scope} <code>${exceeded.id}</code> has spent ${spent} on LLM calls.\n\n` +
+      `👉 Approve more with <code>/budget ${exceeded.id} ${Math.ceil(exceeded.limit * 2)}</code>`,
+      { format: 'html' }
+    );
+  }
+
   /**
    * Get current status of this agent
    */
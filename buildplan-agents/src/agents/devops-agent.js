@@ -1,6 +1,5 @@
 const BaseAgent = require('./base-agent');
 const SkillLoader = require('../services/skillLoader');
-const GitOps = require('../services/gitOps');
 const AgentCollaboration = require('../services/agentCollaboration');
 const Permissions = require('../services/permissions');
 const logger = require('../utils/logger');
@@ -80,19 +79,11 @@ class DevOpsAgent extends BaseAgent {
     } catch (error) {
       logger.error(`${this.role}: Error executing task:`, error.message);
       
-      await AgentCollaboration.reportBlocker({
-        taskId: taskPath,
-        agentName: 'devops-agent',
-        type: 'technical',
-        description: error.message,
-        severity: 'high'
-      });
-      
       AgentCollaboration.updateAgentStatus('devops-agent', 'blocked', {
         error: error.message
       });
       
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, cause: error };
     }
   }
 
@@ -179,8 +170,7 @@ Provide the migration SQL and any necessary schema.prisma changes.`;
     
     // Write migration files
     for (const file of files) {
-      const fullPath = path.join(process.env.PROJECT_ROOT, file.path);
-      await Permissions.writeFile('devops-agent', fullPath, file.content);
+      await Permissions.writeFile('devops-agent', file.path, file.content, { root: this.getWorktreePath(taskId) });
     }
     
     // Create PR
@@ -290,8 +280,7 @@ Provide the complete workflow file.`;
     }];
     
     for (const file of files) {
-      const fullPath = path.join(process.env.PROJECT_ROOT, file.path);
-      await Permissions.writeFile('devops-agent', fullPath, file.content);
+      await Permissions.writeFile('devops-agent', file.path, file.content, { root: this.getWorktreePath(taskId) });
     }
     
     const prTitle = `[${taskId}] CI/CD Workflow`;
@@ -351,21 +340,10 @@ Provide the complete workflow file.`;
   }
 
   /**
-   * Create feature branch
+   * Create the task's feature branch in its own worktree
    */
   async createFeatureBranch(taskId, type) {
-    const branchName = `devops/${taskId}-${type}`;
-    
-    logger.info(`${this.role}: Creating branch: ${branchName}`);
-    
-    try {
-      await GitOps.createBranch(branchName);
-      await GitOps.checkoutBranch(branchName);
-      return branchName;
-    } catch (error) {
-      logger.warn(`${this.role}: Could not create branch: ${error.message}`);
-      return branchName;
-    }
+    return this.openWorktree(taskId, this.branchNameFor('devops', taskId, type));
   }
 
   /**
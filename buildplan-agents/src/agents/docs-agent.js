@@ -1,6 +1,5 @@
 const BaseAgent = require('./base-agent');
 const SkillLoader = require('../services/skillLoader');
-const GitOps = require('../services/gitOps');
 const AgentCollaboration = require('../services/agentCollaboration');
 const Permissions = require('../services/permissions');
 const logger = require('../utils/logger');
@@ -81,19 +80,11 @@ class DocsAgent extends BaseAgent {
     } catch (error) {
       logger.error(`${this.role}: Error executing task:`, error.message);
       
-      await AgentCollaboration.reportBlocker({
-        taskId: taskPath,
-        agentName: 'docs-agent',
-        type: 'technical',
-        description: error.message,
-        severity: 'medium'
-      });
-      
       AgentCollaboration.updateAgentStatus('docs-agent', 'blocked', {
         error: error.message
       });
       
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, cause: error };
     }
   }
 
@@ -178,8 +169,7 @@ Provide the complete OpenAPI spec.`;
     }];
     
     for (const file of files) {
-      const fullPath = path.join(process.env.PROJECT_ROOT, file.path);
-      await Permissions.writeFile('docs-agent', fullPath, file.content);
+      await Permissions.writeFile('docs-agent', file.path, file.content, { root: this.getWorktreePath(taskId) });
     }
     
     const prTitle = `[${taskId}] API Documentation`;
@@ -205,8 +195,7 @@ Provide the complete OpenAPI spec.`;
     // Read existing README if it exists
     let existingReadme = '';
     try {
-      const readmePath = path.join(process.env.PROJECT_ROOT, 'README.md');
-      existingReadme = await Permissions.readFile('docs-agent', readmePath);
+      existingReadme = await Permissions.readFile('docs-agent', 'README.md', { root: this.getWorktreePath(taskId) });
     } catch (error) {
       logger.info(`${this.role}: No existing README found, will create new one`);
     }
@@ -244,8 +233,7 @@ Provide the complete README.md content.`;
     }];
     
     for (const file of files) {
-      const fullPath = path.join(process.env.PROJECT_ROOT, file.path);
-      await Permissions.writeFile('docs-agent', fullPath, file.content);
+      await Permissions.writeFile('docs-agent', file.path, file.content, { root: this.getWorktreePath(taskId) });
     }
     
     const prTitle = `[${taskId}] README Update`;
@@ -296,8 +284,7 @@ Use markdown formatting with clear headings and code examples where appropriate.
     }];
     
     for (const file of files) {
-      const fullPath = path.join(process.env.PROJECT_ROOT, file.path);
-      await Permissions.writeFile('docs-agent', fullPath, file.content);
+      await Permissions.writeFile('docs-agent', file.path, file.content, { root: this.getWorktreePath(taskId) });
     }
     
     const prTitle = `[${taskId}] User Guide`;
@@ -354,8 +341,8 @@ Use markdown formatting with clear headings and code examples where appropriate.
     
     for (const filePath of filesToDocument) {
       try {
-        const fullPath = path.join(process.env.PROJECT_ROOT, filePath);
-        const content = await Permissions.readFile('docs-agent', fullPath);
+        const worktree = { root: this.getWorktreePath(taskId) };
+        const content = await Permissions.readFile('docs-agent', filePath, worktree);
         
         // Generate JSDoc comments for this file
         const docPrompt = `Add JSDoc comments to this code file. Include function descriptions, parameters, return types, and examples.\n\nFile: ${filePath}\n\nCode:\n${content}\n\nProvide the complete file with JSDoc comments added.`;
@@ -363,7 +350,7 @@ Use markdown formatting with clear headings and code examples where appropriate.
         const documented = await this.generateArtifact(docPrompt);
         
         if (documented) {
-          await Permissions.writeFile('docs-agent', fullPath, documented);
+          await Permissions.writeFile('docs-agent', filePath, documented, worktree);
           updatedFiles.push(filePath);
         }
       } catch (error) {
@@ -407,8 +394,7 @@ Use markdown formatting with clear headings and code examples where appropriate.
     }];
     
     for (const file of files) {
-      const fullPath = path.join(process.env.PROJECT_ROOT, file.path);
-      await Permissions.writeFile('docs-agent', fullPath, file.content);
+      await Permissions.writeFile('docs-agent', file.path, file.content, { root: this.getWorktreePath(taskId) });
     }
     
     const prTitle = `[${taskId}] Documentation`;
@@ -422,21 +408,10 @@ Use markdown formatting with clear headings and code examples where appropriate.
   }
 
   /**
-   * Create feature branch
+   * Create the task's feature branch in its own worktree
    */
   async createFeatureBranch(taskId, type) {
-    const branchName = `docs/${taskId}-${type}`;
-    
-    logger.info(`${this.role}: Creating branch: ${branchName}`);
-    
-    try {
-      await GitOps.createBranch(branchName);
-      await GitOps.checkoutBranch(branchName);
-      return branchName;
-    } catch (error) {
-      logger.warn(`${this.role}: Could not create branch: ${error.message}`);
-      return branchName;
-    }
+    return this.openWorktree(taskId, this.branchNameFor('docs', taskId, type));
   }
 
   /**
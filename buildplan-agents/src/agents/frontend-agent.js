@@ -1,6 +1,5 @@
 const BaseAgent = require('./base-agent');
 const SkillLoader = require('../services/skillLoader');
-const GitOps = require('../services/gitOps');
 const TestRunner = require('../services/testRunner');
 const Permissions = require('../services/permissions');
 const AgentCollaboration = require('../services/agentCollaboration');
@@ -56,7 +55,7 @@ class FrontendAgent extends BaseAgent {
 
       // Generate UI code
       const codePrompt = this.buildUIGenerationPrompt(task, designAssets);
-      const generatedCode = await this.generateArtifact(codePrompt);
+      const generatedCode = await this.generateArtifact(codePrompt, '', { phase: 'Generating components' });
 
       if (!generatedCode) {
         logger.error(`${this.role}: Failed to generate UI code`);
@@ -70,7 +69,14 @@ class FrontendAgent extends BaseAgent {
         phase: 'code-generation'
       });
 
-      const files = this.parseGeneratedCode(generatedCode);
+      const generated = await this.applyGeneratedCode(taskId, generatedCode, taskPath);
+
+      if (generated.errors.length > 0) {
+        logger.error(`${this.role}: Generated edits did not apply`);
+        return { success: false, error: `Generated edits did not apply to ${generated.errors.map(e => e.path).join(', ')}` };
+      }
+
+      let files = generated.files;
       
       if (files.length === 0) {
         logger.error(`${this.role}: No component files extracted`);
@@ -81,11 +87,11 @@ class FrontendAgent extends BaseAgent {
 
       // Write files locally
       await this.updateTaskProgress(taskPath, 'Writing component files');
-      await this.writeFilesLocally(files);
+      await this.writeFilesLocally(taskId, files);
 
       // Install dependencies if needed
       await this.updateTaskProgress(taskPath, 'Checking dependencies');
-      await this.installRequiredDependencies(files);
+      await this.installRequiredDependencies(files, this.getWorktreePath(taskId));
 
       // Run tests
       await this.updateTaskProgress(taskPath, 'Running component tests');
@@ -95,18 +101,14 @@ class FrontendAgent extends BaseAgent {
         phase: 'testing'
       });
       
-      const testResult = await this.runTests(files);
+      // Failing tests are fed back to the model for a bounded number of fixes
+      const repair = await this.runTestsWithRepair(task, taskPath, files);
+      const testResult = repair.testResult;
+      files = repair.files;
       
       if (!testResult.success) {
-        logger.error(`${this.role}: Tests failed`);
-        
-        await AgentCollaboration.reportBlocker({
-          taskId,
-          agentName: 'frontend-agent',
-          type: 'technical',
-          description: `Component tests failed: ${testResult.error}`,
-          severity: 'high'
-        });
+        logger.error(`${this.role}: Tests failed after ${repair.attempts} repair attempt(s)`);
+        await this.updateTaskProgress(taskPath, `Tests still failing after ${repair.attempts} repair attempt(s)`);
         
         AgentCollaboration.updateAgentStatus('frontend-agent', 'blocked', {
           taskId,
@@ -116,7 +118,8 @@ class FrontendAgent extends BaseAgent {
         return { 
           success: false, 
           error: `Tests failed: ${testResult.error}`,
-          details: testResult.output
+          details: testResult.output,
+          failureClass: 'code-defect'
         };
       }
 
@@ -156,19 +159,11 @@ class FrontendAgent extends BaseAgent {
     } catch (error) {
       logger.error(`${this.role}: Error executing task:`, error.message);
       
-      await AgentCollaboration.reportBlocker({
-        taskId: taskPath,
-        agentName: 'frontend-agent',
-        type: 'technical',
-        description: error.message,
-        severity: 'high'
-      });
-      
       AgentCollaboration.updateAgentStatus('frontend-agent', 'blocked', {
         error: error.message
       });
       
-      return { success: false, error: `Exception: ${error.message}` };
+      return { success: false, error: `Exception: ${error.message}`, cause: error };
     }
   }
 
@@ -194,21 +189,10 @@ class FrontendAgent extends BaseAgent {
   }
 
   /**
-   * Create feature branch for task
+   * Create the task's feature branch in its own worktree
    */
   async createFeatureBranch(taskId, title) {
-    const branchName = `frontend/${taskId}-${(title || 'ui').toLowerCase().replace(/\s+/g, '-')}`;
-    
-    logger.info(`${this.role}: Creating branch: ${branchName}`);
-    
-    try {
-      await GitOps.createBranch(branchName);
-      await GitOps.checkoutBranch(branchName);
-      return branchName;
-    } catch (error) {
-      logger.warn(`${this.role}: Could not create branch: ${error.message}`);
-      return branchName;
-    }
+    return this.openWorktree(taskId, this.branchNameFor('frontend', taskId, title || 'ui'));
   }
 
   /**
@@ -260,14 +244,15 @@ Mockup and design specifications are available in workspace/shared/${task.metada
 Follow the design specifications closely.`;
     }
 
+    const repositoryContext = this.buildRepositoryContext(task);
+    if (repositoryContext) {
+      prompt += `\n\n${repositoryContext}`;
+    }
+
     prompt += `
 
 ## Output Format
-Provide the code in this exact format:
-
-\`\`\`filename: path/to/Component.tsx
-// Component code here
-\`\`\`
+${this.editFormatInstructions('path/to/Component.tsx')}
 
 Generate all necessary files:
 1. Main component file (.tsx)
@@ -310,24 +295,18 @@ Start generating now:`;
   }
 
   /**
-   * Write generated files to local filesystem
+   * Write generated files into the task's worktree
    */
-  async writeFilesLocally(files) {
-    const fs = require('fs');
+  async writeFilesLocally(taskId, files) {
+    const root = this.getWorktreePath(taskId);
     
     for (const file of files) {
       try {
-        const fullPath = path.join(process.env.PROJECT_ROOT, file.path);
-        const dir = path.dirname(fullPath);
-        
-        if (!fs.existsSync(dir)) {
-          fs.mkdirSync(dir, { recursive: true });
-        }
-        
-        fs.writeFileSync(fullPath, file.content, 'utf8');
+        // Checked against the agent's write scope and recorded in the audit log
+        await Permissions.writeFile('frontend-agent', file.path, file.content, { root });
         logger.info(`${this.role}: Wrote ${file.path}`);
       } catch (error) {
-        logger.error(`${this.role}: Failed to write ${file.path}:`, error.message);
+        logger.error(`${this.role}: Failed to write ${file.path}: ${error.message}`);
       }
     }
   }
@@ -335,7 +314,7 @@ Start generating now:`;
   /**
    * Install required dependencies
    */
-  async installRequiredDependencies(files) {
+  async installRequiredDependencies(files, cwd) {
     try {
       const dependencies = this.extractDependencies(files);
       
@@ -344,7 +323,7 @@ Start generating now:`;
       }
       
       logger.info(`${this.role}: Installing dependencies: ${dependencies.join(', ')}`);
-      const result = await this.shell.installPackages(dependencies);
+      const result = await this.shell.installPackages(dependencies, { cwd });
       
       return result.success;
     } catch (error) {
@@ -387,7 +366,7 @@ Start generating now:`;
   /**
    * Run tests for generated components
    */
-  async runTests(files) {
+  async runTests(files, cwd) {
     try {
       const testFiles = files.filter(f => 
         f.path.includes('.test.') || 
@@ -400,7 +379,7 @@ Start generating now:`;
       }
       
       logger.info(`${this.role}: Running ${testFiles.length} test file(s)`);
-      const result = await this.shell.runTests();
+      const result = await this.shell.runTests('', { cwd });
       
       if (!result.success) {
         return { 
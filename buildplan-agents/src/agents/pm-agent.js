@@ -1,14 +1,32 @@
 const path = require('path');
-const fs = require('fs');
 const logger = require('../utils/logger');
 const openai = require('../utils/openai-client');
+const llmContext = require('../utils/llm-context');
+const { taskBreakdownSchema, RequiredInformationSchema } = require('../utils/llm-schemas');
 const fileOps = require('../utils/file-ops');
+const taskFile = require('../utils/task-file');
+const taskStore = require('../services/taskStore');
+const requestStore = require('../services/requestStore');
+const taskScheduler = require('../services/taskScheduler');
+const conversationMemory = require('../services/conversationMemory');
+const PMTools = require('../services/pmTools');
+const reviewButtons = require('../services/reviewButtons');
+const eventBus = require('../services/eventBus');
+const AgentCollaboration = require('../services/agentCollaboration');
+const retryPolicy = require('../services/retryPolicy');
+
+// Task types the PM can break a request into
+const REQUEST_TASK_TYPES = ['design', 'backend', 'frontend', 'devops', 'qa', 'docs'];
+// Model calls a chat message may spend on tool calls before it has to answer
+const MAX_TOOL_ROUNDS = 5;
 
 class PMAgent {
   constructor(orchestrator) {
     this.orchestrator = orchestrator;
     this.db = null;
+    this.reportedCycles = new Set();
     this.systemPrompt = this.loadSystemPrompt();
+    this.tools = new PMTools(this);
   }
 
   loadSystemPrompt() {
@@ -26,90 +44,84 @@ Be concise, professional, and proactive.`;
   async processNewRequest(requestPath) {
     try {
       logger.info(`Processing new request: ${requestPath}`);
+
+      // Files dropped into requests/pending by hand aren't tracked yet
+      const requestId = path.basename(requestPath, '.md');
+      if (!requestStore.getRequest(requestId)) requestStore.reconcile();
+
+      // The file watcher and the periodic tick can both see a new request
+      const request = requestStore.getRequest(requestId);
+      if (!request || request.status !== 'pending') return;
       
       const content = fileOps.readFile(requestPath);
       if (!content) {
-        await this.notifyTelegram('❌ Could not read request file');
+        await this.notifyTeam('❌ Could not read request file');
         return;
       }
 
       // Move request to in-analysis while R&D works on it
       const fileName = path.basename(requestPath);
-      const inAnalysisPath = path.join(process.env.REQUESTS_DIR, 'in-analysis', fileName);
-      fileOps.moveFile(requestPath, inAnalysisPath);
+      requestStore.transition(requestId, 'in-analysis', { actor: 'PM-Agent', reason: 'R&D started' });
 
       // Create an R&D task from this request and assign to RD-Agent
-      const rdTaskId = await this.createRDTaskFromRequest(fileName.replace('.md',''), content);
+      const rdTaskId = await this.createRDTaskFromRequest(requestId, content);
 
-      await this.notifyTelegram(
+      await this.notifyTeam(
         `🔬 <b>R&D Started</b>\nRequest <code>${fileName}</code> assigned to RD-Agent for prototyping.\n` +
         `You'll receive a mockup and research doc for approval.`,
-        { parse_mode: 'HTML' }
+        { format: 'html' }
       );
       
       logger.info(`R&D task created from ${fileName}: ${rdTaskId}`);
     } catch (error) {
       logger.error('Error processing request:', error);
-      await this.notifyTelegram(`❌ Error processing request: ${error.message}`);
-    }
-  }
-
-  async handleTaskUpdate(taskPath) {
-    logger.info(`Task updated: ${taskPath}`);
-    
-    try {
-      // Check if task status changed to review
-      const fileName = path.basename(taskPath);
-      const reviewPath = path.join(process.env.TASKS_DIR, 'review', fileName);
-      
-      if (fs.existsSync(reviewPath)) {
-        const content = fileOps.readFile(reviewPath);
-        const titleMatch = content ? content.match(/title:\s*([^\n]+)/) : null;
-        const title = titleMatch ? titleMatch[1].trim() : fileName;
-        
-        await this.notifyTelegram(
-          `👀 <b>Task Ready for Review</b>\n\n` +
-          `Task: <code>${fileName.replace('.md', '')}</code>\n` +
-          `Title: ${title}\n\n` +
-          `Use <code>/approve ${fileName.replace('.md', '')}</code> to approve\n` +
-          `Use <code>/reject ${fileName.replace('.md', '')} [reason]</code> to request changes`,
-          { parse_mode: 'HTML' }
-        );
-      }
-    } catch (error) {
-      logger.error('Error handling task update:', error);
+      await this.notifyTeam(`❌ Error processing request: ${error.message}`);
     }
   }
 
+  /**
+   * Write today's standup: task counts, plus what the event log shows happened
+   * since the previous standup. Publishes standup.generated, which TeamNotifier
+   * posts to the team chat.
+   */
   async runDailyStandup() {
     try {
       logger.info('Running daily standup');
 
-      // Count tasks
-      const inProgress = fileOps.listFiles(path.join(process.env.TASKS_DIR, 'in-progress')).length;
-      const review = fileOps.listFiles(path.join(process.env.TASKS_DIR, 'review')).length;
-      const completed = fileOps.listFiles(path.join(process.env.TASKS_DIR, 'completed')).length;
-      const blocked = fileOps.listFiles(path.join(process.env.TASKS_DIR, 'blocked')).length;
+      const counts = taskStore.countByStatus();
+      const previous = eventBus.history({ type: 'standup.generated' }).pop();
+      const events = eventBus.history({ after: previous ? previous.id : 0 });
+      const ids = (type, test = () => true) => [...new Set(events
+        .filter(event => event.type === type && test(event.payload))
+        .map(event => event.payload.taskId))];
+
+      const completed = ids('task.transitioned', payload => payload.to === 'completed');
+      const prs = events.filter(event => event.type === 'pr.opened').map(event => event.payload);
+      const blocked = ids('task.transitioned', payload => payload.to === 'blocked');
+      const date = new Date().toISOString().split('T')[0];
 
-      const report = `📊 *Daily Standup - ${new Date().toISOString().split('T')[0]}*\n\n` +
+      let report = `📊 *Daily Standup - ${date}*\n\n` +
         `*Team Status:*\n` +
-        `• In Progress: ${inProgress} tasks\n` +
-        `• Blocked: ${blocked} tasks\n` +
-        `• Awaiting Review: ${review} tasks\n` +
-        `• Completed: ${completed} tasks\n\n` +
-        `Type /status for details`;
+        `• In Progress: ${counts['in-progress'] || 0} tasks\n` +
+        `• Blocked: ${counts.blocked || 0} tasks\n` +
+        `• Awaiting Review: ${counts.review || 0} tasks\n` +
+        `• Completed: ${counts.completed || 0} tasks\n\n`;
 
-      await this.notifyTelegram(report, { parse_mode: 'Markdown' });
+      report += `*Since ${previous ? 'the last standup' : 'the start'}:*\n` +
+        `• Completed: ${completed.length > 0 ? completed.join(', ') : 'none'}\n` +
+        `• PRs opened: ${prs.length > 0 ? prs.map(pr => `${pr.taskId} ${pr.url}`).join(', ') : 'none'}\n` +
+        `• Newly blocked: ${blocked.length > 0 ? blocked.join(', ') : 'none'}\n\n` +
+        `Type /status for details`;
 
       // Save to file
       const standupDir = process.env.STANDUP_DIR;
       fileOps.ensureDirectory(standupDir);
-      const date = new Date().toISOString().split('T')[0];
       fileOps.writeFile(
         path.join(standupDir, `${date}.md`),
         `# Daily Standup - ${date}\n\n${report}`
       );
 
+      eventBus.publish('standup.generated', { date, report });
     } catch (error) {
       logger.error('Error in daily standup:', error);
     }
@@ -121,7 +133,7 @@ Be concise, professional, and proactive.`;
       const report = `📈 *Weekly Report*\n\nGenerated: ${new Date().toLocaleDateString()}\n\n` +
         `This week the team completed several tasks. Check /status for current progress.`;
       
-      await this.notifyTelegram(report, { parse_mode: 'Markdown' });
+      await this.notifyTeam(report, { format: 'markdown' });
     } catch (error) {
       logger.error('Error generating weekly report:', error);
     }
@@ -243,56 +255,67 @@ Be concise, professional, and proactive.`;
       logger.info(`Approving ${taskId} by ${username}`);
 
       // If approving an R&D task in review, finalize and create sprints/tasks
-      const rdTaskPath = path.join(process.env.TASKS_DIR, 'review', `${taskId}.md`);
-      if (fs.existsSync(rdTaskPath)) {
-        const content = fileOps.readFile(rdTaskPath) || '';
-        const typeMatch = content.match(/type:\s*([^\n]+)/);
-        const type = typeMatch ? typeMatch[1].trim().toLowerCase() : '';
+      const task = taskStore.getTask(taskId);
+      if (task && task.status === 'review') {
+        const type = (task.type || '').toLowerCase();
         if (type === 'rd' || type === 'research') {
           // Move to completed first
-          const completedPath = path.join(process.env.TASKS_DIR, 'completed', `${taskId}.md`);
-          fileOps.moveFile(rdTaskPath, completedPath);
-          await this.notifyTelegram(`✅ R&D ${taskId} approved. Creating sprints and tasks from research...`);
+          taskStore.transition(taskId, 'completed', { actor: username, reason: 'R&D approved' });
+          taskScheduler.markCompleted(taskId);
+          await this.notifyTeam(`✅ R&D ${taskId} approved. Creating sprints and tasks from research...`);
 
           // Generate sprints and tasks
           const sprintPlanner = require('../services/sprintPlanner');
           const taskManager = require('../services/taskManager');
-          const sprints = await sprintPlanner.createFromRD(taskId);
+          const sprints = await llmContext.run({ requestId: task.request_id }, () => sprintPlanner.createFromRD(taskId));
           const created = await taskManager.createTasksFromSprints(sprints, taskId);
-          await this.notifyTelegram(`🗂️ Created ${created.length} tasks from R&D. Assigning to agents...`);
+          const request = task.request_id && requestStore.getRequest(task.request_id);
+          if (request && requestStore.TRANSITIONS[request.status].includes('approved')) {
+            requestStore.transition(request.request_id, 'approved', { actor: username, reason: `R&D ${taskId} approved` });
+          }
+          await this.notifyTeam(`🗂️ Created ${created.length} tasks from R&D. Assigning to agents...`);
           await this.assignPendingTasks();
           return;
         }
       }
 
       // Check if it's a request approval (legacy)
-      const requestFile = `${taskId}.md`;
-      const requestPath = path.join(process.env.REQUESTS_DIR, 'in-analysis', requestFile);
-      if (fs.existsSync(requestPath)) {
-        const requestContent = fileOps.readFile(requestPath);
-        await this.notifyTelegram(`⏳ <b>Checking for required information...</b>`, { parse_mode: 'HTML' });
-        const requiredInfo = await this.identifyRequiredInformation(requestContent);
+      const request = requestStore.getRequest(taskId);
+      if (request && request.status === 'awaiting-info') {
+        await this.notifyTeam(
+          `📝 ${taskId} is waiting for information first. Reply with <code>/provide ${taskId} [your answers]</code>`,
+          { format: 'html' }
+        );
+        return;
+      }
+      if (request && request.status === 'in-analysis') {
+        const requestContent = fileOps.readFile(requestStore.getRequestPath(taskId));
+        await this.notifyTeam(`⏳ <b>Checking for required information...</b>`, { format: 'html' });
+        const requiredInfo = await llmContext.run({ requestId: taskId }, () => this.identifyRequiredInformation(requestContent));
         if (requiredInfo && requiredInfo.length > 0) {
-          this.orchestrator.pendingApproval = { taskId, requestPath, requestContent, requiredInfo };
+          requestStore.transition(taskId, 'awaiting-info', { actor: username, reason: 'Information required', requiredInfo });
           const infoRequest = this.formatInformationRequest(requiredInfo);
-          await this.notifyTelegram(
-            `📝 <b>Information Required</b>\n\nBefore I create tasks, I need some details:\n\n${infoRequest}\n\n👉 Reply with <code>/provide [your answers]</code>`,
-            { parse_mode: 'HTML' }
+          await this.notifyTeam(
+            `📝 <b>Information Required</b> for <code>${taskId}</code>\n\nBefore I create tasks, I need some details:\n\n${infoRequest}\n\n` +
+            `👉 Reply with <code>/provide ${taskId} [your answers]</code>`,
+            { format: 'html' }
           );
           return;
         }
-        await this.proceedWithTaskCreation(taskId, requestPath, requestContent);
+        await this.proceedWithTaskCreation(taskId, username);
         return;
       }
 
       // Otherwise, approve a normal task in review
-      const taskPath = path.join(process.env.TASKS_DIR, 'review', `${taskId}.md`);
-      if (fs.existsSync(taskPath)) {
-        const completedPath = path.join(process.env.TASKS_DIR, 'completed', `${taskId}.md`);
-        fileOps.moveFile(taskPath, completedPath);
-        await this.notifyTelegram(`✅ Task ${taskId} approved and completed!`);
+      if (task && task.status === 'review') {
+        taskStore.transition(taskId, 'completed', { actor: username, reason: 'Approved' });
+        taskScheduler.markCompleted(taskId);
+        await this.notifyTeam(`✅ Task ${taskId} approved and completed!`);
+
+        // Completing a task may release tasks that were waiting on it
+        await this.assignPendingTasks();
       } else {
-        await this.notifyTelegram(`❌ Could not find ${taskId} in review or request in analysis`);
+        await this.notifyTeam(`❌ Could not find ${taskId} in review or request in analysis`);
       }
 
     } catch (error) {
@@ -306,10 +329,11 @@ Be concise, professional, and proactive.`;
       logger.info(`Rejecting ${taskId}: ${reason}`);
       
       // Move task from review back to in-progress
-      const reviewPath = path.join(process.env.TASKS_DIR, 'review', `${taskId}.md`);
-      const inProgressPath = path.join(process.env.TASKS_DIR, 'in-progress', `${taskId}.md`);
+      const task = taskStore.getTask(taskId);
       
-      if (fs.existsSync(reviewPath)) {
+      if (task && task.status === 'review') {
+        const reviewPath = taskStore.getTaskPath(taskId);
+
         // Read task content and append rejection feedback
         let content = fileOps.readFile(reviewPath) || '';
         
@@ -317,21 +341,18 @@ Be concise, professional, and proactive.`;
         const rejectionNote = `\n\n---\n## Rejection Feedback\n\n**Rejected by**: ${username}\n**Date**: ${new Date().toISOString()}\n**Reason**: ${reason}\n\n**Status**: Needs revision\n`;
         content += rejectionNote;
         
-        // Write updated content to in-progress
-        fileOps.writeFile(inProgressPath, content);
+        fileOps.writeFileAtomic(reviewPath, content);
+        taskStore.transition(taskId, 'in-progress', { actor: username, reason: `Rejected: ${reason}` });
         
-        // Remove from review
-        fs.unlinkSync(reviewPath);
-        
-        await this.notifyTelegram(
+        await this.notifyTeam(
           `❌ <b>Task Rejected</b>\n\n` +
           `Task: <code>${taskId}</code>\n` +
           `Reason: ${reason}\n\n` +
           `Task moved back to in-progress for revision.`,
-          { parse_mode: 'HTML' }
+          { format: 'html' }
         );
       } else {
-        await this.notifyTelegram(`❌ Could not find task ${taskId} in review`);
+        await this.notifyTeam(`❌ Could not find task ${taskId} in review`);
       }
       
     } catch (error) {
@@ -339,6 +360,125 @@ Be concise, professional, and proactive.`;
       throw error;
     }
   }
+
+  /**
+   * Write a new request to requests/pending; the next tick analyzes it
+   * @param {string} description - What the user wants, first line becomes the title
+   * @param {string} username - Who submitted it
+   * @returns {Object} { requestId, title }
+   */
+  createRequest(description, username) {
+    const requestId = `REQ-${Date.now()}`;
+
+    // Extract title from description (first line or first 50 chars)
+    const firstLine = description.split('\n')[0].replace(/^#+\s*/, '').trim();
+    const title = firstLine.substring(0, 50) || 'New Request';
+
+    const requestContent = `# ${requestId}: ${title}\n\n` +
+      `**Submitted By**: ${username}\n` +
+      `**Date**: ${new Date().toISOString()}\n` +
+      `**Priority**: Medium\n` +
+      `**Status**: Pending\n\n` +
+      `${description}\n`;
+
+    requestStore.createRequest({ id: requestId, title, submittedBy: username, content: requestContent });
+
+    logger.info(`Request created: ${requestId} by ${username}`);
+    return { requestId, title };
+  }
+
+  /**
+   * Send a blocked task back to the backlog with instructions for the next
+   * attempt, e.g. a smaller scope, and assign it again
+   * @param {string} taskId - Blocked task
+   * @param {string} instructions - What to do differently
+   * @param {string} username - Who asked for the retry
+   */
+  async retryTask(taskId, instructions, username) {
+    const task = taskStore.getTask(taskId);
+    if (!task || task.status !== 'blocked') {
+      throw new Error(`${taskId} is not blocked${task ? ` (it is ${task.status})` : ''}`);
+    }
+
+    const taskPath = taskStore.getTaskPath(taskId);
+    let content = fileOps.readFile(taskPath) || '';
+    content += `\n\n---\n## Retry Instructions\n\n**Requested by**: ${username}\n**Date**: ${new Date().toISOString()}\n\n${instructions}\n`;
+    fileOps.writeFileAtomic(taskPath, content);
+
+    taskStore.transition(taskId, 'backlog', { actor: username, reason: `Retry: ${instructions}` });
+    logger.info(`Retrying ${taskId} for ${username}: ${instructions}`);
+
+    await this.notifyTeam(`🔁 ${taskId} is back in the backlog for another attempt`);
+    await this.assignPendingTasks();
+  }
+
+  /**
+   * Close an open blocker with what fixed it. The resolution is appended to
+   * the task file, so the next attempt sees it, and a blocked task goes back
+   * to the backlog to be assigned again.
+   * @param {string} blockerId - Open blocker, BLK-<n>
+   * @param {string} resolution - What fixed it
+   * @param {string} username - Who resolved it
+   */
+  async resolveBlocker(blockerId, resolution, username) {
+    const blocker = AgentCollaboration.resolveBlocker(blockerId, resolution, username);
+    if (!blocker) {
+      throw new Error(`${blockerId} is not an open blocker`);
+    }
+
+    const task = blocker.taskId ? taskStore.getTask(blocker.taskId) : null;
+    if (!task) return;
+
+    const taskPath = taskStore.getTaskPath(task.task_id);
+    let content = fileOps.readFile(taskPath) || '';
+    content += `\n\n---\n## Blocker Resolution\n\n**Blocker**: ${blocker.id} (${blocker.severity})\n**Resolved by**: ${username}\n**Date**: ${blocker.resolvedAt}\n\n${resolution}\n`;
+    fileOps.writeFileAtomic(taskPath, content);
+
+    if (task.status === 'blocked') {
+      taskStore.transition(task.task_id, 'backlog', { actor: username, reason: `Resolved ${blocker.id}: ${resolution}` });
+      logger.info(`Resolved ${blocker.id}, ${task.task_id} back in the backlog`);
+      await this.assignPendingTasks();
+    }
+  }
+
+  /**
+   * Hand a task that hasn't started, or is blocked, to another agent by
+   * changing its type
+   * @param {string} taskId - Backlog or blocked task
+   * @param {string} type - New task type, e.g. 'frontend'
+   * @param {string} username - Who asked for it
+   */
+  async reassignTask(taskId, type, username) {
+    const task = taskStore.getTask(taskId);
+    if (!task || !['backlog', 'blocked'].includes(task.status)) {
+      throw new Error(`${taskId} can only be reassigned from the backlog or blocked${task ? ` (it is ${task.status})` : ''}`);
+    }
+    if (!this.orchestrator.getAgentForTask(type)) {
+      throw new Error(`No agent handles ${type} tasks`);
+    }
+
+    taskStore.updateTask(taskId, { type }, username);
+    if (task.status === 'blocked') {
+      taskStore.transition(taskId, 'backlog', { actor: username, reason: `Reassigned to ${type}` });
+    }
+
+    await this.notifyTeam(`🔀 ${taskId} reassigned to ${this.orchestrator.getAgentForTask(type).role}`);
+    await this.assignPendingTasks();
+  }
+
+  /**
+   * Change a task's priority
+   * @param {string} taskId - Task ID
+   * @param {string} priority - high, medium or low
+   * @param {string} username - Who changed it
+   */
+  reprioritizeTask(taskId, priority, username) {
+    const task = taskStore.getTask(taskId);
+    if (!task) {
+      throw new Error(`Unknown task ${taskId}`);
+    }
+    return taskStore.updateTask(taskId, { priority }, username);
+  }
   
   /**
    * Identify information that needs to be gathered from user
@@ -356,36 +496,12 @@ Identify:
 3. Configuration values that can't be determined automatically
 4. Any other prerequisites that need human action
 
-For each item, provide:
-- What is needed
-- Why it's needed
-- Where to get it
-
-Format as:
-ITEM: [description]
-WHY: [reason]
-WHERE: [how to obtain]
-
-If NO information is needed, respond with: "NONE"`;
-      
-      const response = await openai.pmAgentChat(this.systemPrompt, prompt);
+For each item, provide what is needed, why it's needed, and where to get it.
+If NO information is needed, return an empty list of items.`;
       
-      if (response.trim().toUpperCase() === 'NONE') {
-        return [];
-      }
-      
-      // Parse the response
-      const items = [];
-      const itemRegex = /ITEM:\s*([^\n]+)\nWHY:\s*([^\n]+)\nWHERE:\s*([^\n]+)/g;
-      let match;
-      
-      while ((match = itemRegex.exec(response)) !== null) {
-        items.push({
-          item: match[1].trim(),
-          why: match[2].trim(),
-          where: match[3].trim()
-        });
-      }
+      const { items } = await openai.pmAgentJSON(this.systemPrompt, prompt, RequiredInformationSchema, {
+        name: 'required_information'
+      });
       
       return items;
     } catch (error) {
@@ -407,60 +523,59 @@ If NO information is needed, respond with: "NONE"`;
   
   /**
    * Proceed with task creation after all info is gathered
+   * @param {string} requestId - Request in analysis or awaiting information
+   * @param {string} username - Who approved it
    */
-  async proceedWithTaskCreation(taskId, requestPath, requestContent) {
+  async proceedWithTaskCreation(requestId, username) {
     // Move request to approved
-    const approvedPath = path.join(process.env.REQUESTS_DIR, 'approved', path.basename(requestPath));
-    fileOps.moveFile(requestPath, approvedPath);
+    const approvedPath = requestStore.transition(requestId, 'approved', { actor: username, reason: 'Approved' });
+    const requestContent = fileOps.readFile(approvedPath);
     
-    await this.notifyTelegram(`✅ Request ${taskId} approved! Creating tasks...`);
+    await this.notifyTeam(`✅ Request ${requestId} approved! Creating tasks...`);
     
     // Create task files from the analysis
-    const tasksCreated = await this.createTasksFromRequest(taskId, requestContent);
+    const tasksCreated = await this.createTasksFromRequest(requestId, requestContent);
     
     if (tasksCreated.length > 0) {
-      await this.notifyTelegram(
+      await this.notifyTeam(
         `🎯 <b>Created ${tasksCreated.length} Tasks</b>\n` +
         tasksCreated.map(t => `• <code>${t}</code>`).join('\n') +
         `\n\n🤖 Agents starting work...`,
-        { parse_mode: 'HTML' }
+        { format: 'html' }
       );
       
       // Assign tasks to agents
       await this.assignPendingTasks();
     } else {
-      await this.notifyTelegram(`⚠️ No tasks created. Please check the request format.`);
+      await this.notifyTeam(`⚠️ No tasks created. Please check the request format.`);
     }
   }
   
   /**
    * Process provided information and proceed with task creation
+   * @param {string} requestId - Request awaiting information
+   * @param {string} information - The user's answers
+   * @param {string} username - Who provided them
    */
-  async provideInformation(information, username) {
+  async provideInformation(requestId, information, username) {
     try {
-      const pending = this.orchestrator.pendingApproval;
+      const request = requestStore.getRequest(requestId);
       
-      if (!pending) {
-        await this.notifyTelegram('❌ No pending approval waiting for information');
+      if (!request || request.status !== 'awaiting-info') {
+        await this.notifyTeam(`❌ ${requestId} is not waiting for information`);
         return;
       }
       
-      logger.info(`Information provided by ${username} for ${pending.taskId}`);
+      logger.info(`Information provided by ${username} for ${requestId}`);
       
       // Store the provided information in the request file
-      const updatedContent = `${pending.requestContent}\n\n---\n\n## Provided Information\n\n${information}\n`;
-      
-      // Update the approved request file
-      const approvedPath = path.join(process.env.REQUESTS_DIR, 'approved', `${pending.taskId}.md`);
-      fileOps.ensureDirectory(path.dirname(approvedPath));
-      fileOps.writeFile(approvedPath, updatedContent);
-      
-      await this.notifyTelegram('✅ <b>Information received!</b> Proceeding with task creation...', { parse_mode: 'HTML' });
+      const requestPath = requestStore.getRequestPath(requestId);
+      const updatedContent = `${fileOps.readFile(requestPath) || ''}\n\n---\n\n## Provided Information\n\n${information}\n`;
+      fileOps.writeFile(requestPath, updatedContent);
       
-      // Clear pending state and proceed
-      this.orchestrator.pendingApproval = null;
+      await this.notifyTeam('✅ <b>Information received!</b> Proceeding with task creation...', { format: 'html' });
       
-      await this.proceedWithTaskCreation(pending.taskId, pending.requestPath, updatedContent);
+      await this.proceedWithTaskCreation(requestId, username);
       
     } catch (error) {
       logger.error('Error processing provided information:', error);
@@ -475,19 +590,18 @@ If NO information is needed, respond with: "NONE"`;
     try {
       logger.info(`Modifying ${requestId} by ${username}: ${modifications}`);
       
-      // Find the request in in-analysis
-      const requestFile = `${requestId}.md`;
-      const requestPath = path.join(process.env.REQUESTS_DIR, 'in-analysis', requestFile);
+      // Find the request in analysis
+      const request = requestStore.getRequest(requestId);
       
-      if (!fs.existsSync(requestPath)) {
-        await this.notifyTelegram(`❌ Request ${requestId} not found in analysis`);
+      if (!request || !['in-analysis', 'awaiting-info'].includes(request.status)) {
+        await this.notifyTeam(`❌ Request ${requestId} not found in analysis`);
         return;
       }
       
       // Read original request
-      const originalRequest = fileOps.readFile(requestPath);
+      const originalRequest = fileOps.readFile(requestStore.getRequestPath(requestId));
       
-      await this.notifyTelegram(`⏳ <b>Updating analysis...</b>`, { parse_mode: 'HTML' });
+      await this.notifyTeam(`⏳ <b>Updating analysis...</b>`, { format: 'html' });
       
       // Re-analyze with modifications
       const modificationPrompt = `The user has requested changes to the analysis.
@@ -506,16 +620,17 @@ Provide an UPDATED analysis (max 400 words) incorporating these changes:
 
 IMPORTANT: Apply the user's modifications exactly as requested.`;
       
-      const updatedAnalysis = await openai.pmAgentChat(this.systemPrompt, modificationPrompt);
+      const updatedAnalysis = await llmContext.run({ requestId }, () => openai.pmAgentChat(this.systemPrompt, modificationPrompt));
       
       // Send updated analysis
       const formattedAnalysis = this.convertMarkdownToHtml(updatedAnalysis);
+      const keyboard = reviewButtons.forRequest(requestId);
       
-      await this.notifyTelegram(
+      await this.notifyTeam(
         `✅ <b>Updated Analysis</b>\n\n` +
         `${formattedAnalysis}\n\n` +
-        `👉 Type <code>/approve</code> to proceed or <code>/modify</code> again`,
-        { parse_mode: 'HTML' }
+        `👉 Type <code>/approve ${requestId}</code> to proceed or <code>/modify ${requestId}</code> again`,
+        { format: 'html', ...(keyboard ? { buttons: keyboard } : {}) }
       );
       
       logger.info(`Request ${requestId} modified`);
@@ -537,32 +652,30 @@ IMPORTANT: Apply the user's modifications exactly as requested.`;
 ${requestContent}
 
 For each task, provide:
-1. Task type (design, backend, frontend, devops, qa, docs)
+1. Task type
 2. Brief title
 3. Description
+4. Priority
+5. Which earlier tasks (by number, starting at 1) must be finished first`;
 
-Format each task as:
-TASK: [type] - [title]
-DESCRIPTION: [description]
-
-Generate the tasks now:`;
-
-      const tasksText = await openai.pmAgentChat(this.systemPrompt, taskPrompt);
-      
-      // Parse tasks from response
-      const tasks = this.parseTasksFromText(tasksText);
+      const { tasks } = await llmContext.run({ requestId }, () =>
+        openai.pmAgentJSON(this.systemPrompt, taskPrompt, taskBreakdownSchema(REQUEST_TASK_TYPES), { name: 'task_breakdown' })
+      );
       const taskIds = [];
       
+      const idFor = (index) => `TASK-${requestId.replace('REQ-', '')}-${String(index + 1).padStart(2, '0')}`;
+      
       for (let i = 0; i < tasks.length; i++) {
         const task = tasks[i];
-        const taskId = `TASK-${requestId.replace('REQ-', '')}-${String(i + 1).padStart(2, '0')}`;
+        const taskId = idFor(i);
         
-        // Create task file
-        const taskContent = this.formatTaskFile(taskId, requestId, task);
-        const taskPath = path.join(process.env.TASKS_DIR, 'backlog', `${taskId}.md`);
+        // Only earlier tasks can be dependencies, which also rules out cycles
+        task.dependsOn = (task.dependsOn || [])
+          .filter(n => n >= 1 && n <= i)
+          .map(n => idFor(n - 1));
         
-        fileOps.ensureDirectory(path.dirname(taskPath));
-        fileOps.writeFile(taskPath, taskContent);
+        // Register task and write its file
+        taskStore.createTask(this.formatTaskFile(taskId, requestId, task), 'PM-Agent');
         
         taskIds.push(taskId);
         logger.info(`Created task: ${taskId} (${task.type})`);
@@ -577,63 +690,20 @@ Generate the tasks now:`;
   }
 
   /**
-   * Parse tasks from OpenAI response
-   */
-  parseTasksFromText(text) {
-    const tasks = [];
-    const taskRegex = /TASK:\s*\[([^\]]+)\]\s*-\s*([^\n]+)\s*DESCRIPTION:\s*([^\n]+(?:\n(?!TASK:)[^\n]+)*)/gi;
-    
-    let match;
-    while ((match = taskRegex.exec(text)) !== null) {
-      tasks.push({
-        type: match[1].trim().toLowerCase(),
-        title: match[2].trim(),
-        description: match[3].trim()
-      });
-    }
-    
-    // Fallback: if no tasks found, create a generic backend task
-    if (tasks.length === 0) {
-      logger.warn('No tasks parsed from OpenAI response, creating default task');
-      tasks.push({
-        type: 'backend',
-        title: 'Implement feature',
-        description: text.substring(0, 500)
-      });
-    }
-    
-    return tasks;
-  }
-
-  /**
-   * Format task file with metadata
+   * Build a canonical task from a parsed task breakdown entry
    */
   formatTaskFile(taskId, requestId, task) {
-    return `---
-id: ${taskId}
-request_id: ${requestId}
-type: ${task.type}
-title: ${task.title}
-status: pending
-assigned_to: none
-created_at: ${new Date().toISOString()}
-priority: medium
----
-
-# ${taskId}: ${task.title}
-
-## Description
-${task.description}
-
-## Requirements
-- Follow project conventions
-- Include tests
-- Add documentation
-- Create PR when complete
-
-## Progress Log
-- [${new Date().toISOString()}] PM Agent: Task created from ${requestId}
-`;
+    return taskFile.create({
+      id: taskId,
+      request_id: requestId,
+      type: task.type,
+      title: task.title,
+      priority: task.priority || 'medium',
+      depends_on: task.dependsOn || []
+    }, {
+      description: task.description,
+      source: requestId
+    });
   }
 
   /**
@@ -647,30 +717,23 @@ ${task.description}
       title: `R&D for ${requestId}`,
       description: `Create research & mockup for request ${requestId}.\n\n${content.substring(0, 1000)}`
     };
-    const taskContent = this.formatTaskFile(taskId, requestId, task);
-    const taskPath = path.join(process.env.TASKS_DIR, 'backlog', `${taskId}.md`);
-    fileOps.ensureDirectory(path.dirname(taskPath));
-    fileOps.writeFile(taskPath, taskContent);
+    taskStore.createTask(this.formatTaskFile(taskId, requestId, task), 'PM-Agent');
     await this.assignPendingTasks();
     return taskId;
   }
 
   async assignPendingTasks() {
     try {
-      const backlogDir = path.join(process.env.TASKS_DIR, 'backlog');
-      const backlogTasks = fileOps.listFiles(backlogDir);
+      // Pick up depends_on edits made to task files since the last run
+      taskScheduler.syncFromTaskFiles();
+      await this.reportDependencyCycles();
       
-      for (const taskPath of backlogTasks) {
-        // Read task to get type
-        const content = fileOps.readFile(taskPath);
-        if (!content) continue;
-        
-        // Extract task type from frontmatter
-        const typeMatch = content.match(/type:\s*([^\n]+)/);
-        if (!typeMatch) continue;
-        
-        const taskType = typeMatch[1].trim();
-        const taskId = path.basename(taskPath, '.md');
+      // Only tasks whose dependencies are all completed, in dependency order
+      const readyTasks = taskScheduler.getReadyTasks();
+      
+      for (const task of readyTasks) {
+        const taskType = task.type;
+        const taskId = task.task_id;
         
         // Get appropriate agent
         const agent = this.orchestrator.getAgentForTask(taskType);
@@ -679,10 +742,26 @@ ${task.description}
           logger.warn(`No available agent for task ${taskId} (type: ${taskType})`);
           continue;
         }
-        
+
+        // Paused agents keep their tasks in the backlog until resumed
+        if (this.orchestrator.controlPlane && this.orchestrator.controlPlane.isPaused(agent)) {
+          logger.debug(`${agent.role} is paused, leaving ${taskId} in the backlog`);
+          continue;
+        }
+
+        // Tasks whose last attempt failed wait out their retry backoff
+        const retryAt = retryPolicy.waitingUntil(taskId);
+        if (retryAt) {
+          logger.debug(`${taskId} is waiting to be retried at ${retryAt}`);
+          continue;
+        }
+
         // Move to in-progress
-        const inProgressPath = path.join(process.env.TASKS_DIR, 'in-progress', path.basename(taskPath));
-        fileOps.moveFile(taskPath, inProgressPath);
+        const inProgressPath = taskStore.transition(taskId, 'in-progress', {
+          actor: 'PM-Agent',
+          reason: `Assigned to ${agent.role}`,
+          assignedAgent: agent.role
+        });
         
         logger.info(`Assigned ${taskId} to ${agent.role}`);
         
@@ -690,8 +769,6 @@ ${task.description}
         agent.runTaskWorkflow(inProgressPath).catch(err => {
           logger.error(`Agent ${agent.role} failed on ${taskId}:`, err);
         });
-        
-        await this.notifyTelegram(`🚀 ${agent.role} started working on ${taskId}`);
       }
       
     } catch (error) {
@@ -699,16 +776,34 @@ ${task.description}
     }
   }
 
+  /**
+   * Warn once about each dependency cycle; tasks in a cycle can never be released
+   */
+  async reportDependencyCycles() {
+    for (const cycle of taskScheduler.findCycles()) {
+      const signature = [...cycle.slice(0, -1)].sort().join(',');
+      if (this.reportedCycles.has(signature)) continue;
+      this.reportedCycles.add(signature);
+
+      logger.warn(`Dependency cycle: ${cycle.join(' → ')}`);
+      await this.notifyTeam(
+        `🔁 <b>Dependency cycle</b>\n\n${cycle.map(id => `<code>${id}</code>`).join(' → ')}\n\n` +
+        `These tasks will not start until one of their <code>depends_on</code> entries is removed.`,
+        { format: 'html' }
+      );
+    }
+  }
+
   async tick() {
     // Periodic check for new work
     logger.debug('PM Agent tick');
     
-    // Check for pending requests
-    const pendingDir = path.join(process.env.REQUESTS_DIR, 'pending');
-    const pending = fileOps.listFiles(pendingDir);
+    // Check for pending requests, including files dropped into requests/pending by hand
+    requestStore.reconcile();
+    const pending = requestStore.listRequests({ status: 'pending' }).reverse();
     
-    for (const file of pending) {
-      await this.processNewRequest(file);
+    for (const request of pending) {
+      await this.processNewRequest(requestStore.getRequestPath(request.request_id));
     }
     
     // Check for tasks ready to assign
@@ -716,7 +811,7 @@ ${task.description}
   }
 
   /**
-   * Escape HTML special characters for Telegram
+   * Escape HTML special characters for chat messages
    */
   escapeHtml(text) {
     return text
@@ -726,7 +821,7 @@ ${task.description}
   }
   
   /**
-   * Convert markdown to HTML for Telegram
+   * Convert markdown to HTML for chat messages
    */
   convertMarkdownToHtml(markdown) {
     let html = markdown;
@@ -767,11 +862,19 @@ ${task.description}
   }
 
   /**
-   * Handle conversational queries from user
-   * @param {string} query - The user's natural language question
-   * @returns {Promise<string>} - Formatted response
+   * Answer a chat message, continuing the conversation stored for its thread
+   * so follow-ups ("what about the second one?") resolve against earlier answers.
+   * The model can call PMTools to act on tasks; actions that need confirmation
+   * are handed to onConfirmation instead of running.
+   * @param {string} query - The user's message
+   * @param {Object} options - { threadId (e.g. slack:<channel id>), author,
+   *   user and chat (from the channel, to check tool calls against their role),
+   *   onConfirmation(action) for each action waiting on the user }
+   * @returns {Promise<string>} Markdown response
    */
-  async handleConversationalQuery(query) {
+  async handleConversationalQuery(query, options = {}) {
+    const { threadId = 'default', author = null, user = null, chat = null, onConfirmation = () => {} } = options;
+
     try {
       logger.info(`Handling conversational query: ${query}`);
       
@@ -779,7 +882,9 @@ ${task.description}
       const context = await this.gatherProjectContext();
       
       // Build comprehensive prompt
-      const conversationalPrompt = `You are the PM for the BuildPlan AI development team. The user is asking you a question. Respond as a real PM would - be helpful, actionable, and use the context provided.
+      const conversationalPrompt = `You are the PM for the BuildPlan AI development team. The user is asking you a question. Respond as a real PM would - be helpful, actionable, and use the context provided. If the question refers back to the conversation so far ("the second one", "that task"), answer about what it refers to.
+
+You can act, not just answer: use the tools to look tasks up and to approve, reject, retry, reassign, reprioritize or assign tasks and to create requests when the user asks for it. Never act on a task you haven't identified; look it up first if the ID isn't given. Some actions wait for the user to confirm with a button; say so instead of claiming they are done.
 
 ## Current Project Context:
 ${context}
@@ -789,7 +894,49 @@ ${query}
 
 Provide a clear, actionable response. If discussing blockers, provide specific details about what's wrong and what needs to be done. If asked about status, give a comprehensive overview. Be conversational but professional.`;
       
-      const response = await openai.pmAgentChat(this.systemPrompt, conversationalPrompt);
+      const messages = [
+        { role: 'system', content: this.systemPrompt },
+        ...conversationMemory.toMessages(threadId),
+        { role: 'user', content: conversationalPrompt }
+      ];
+      const actions = [];
+      let response;
+
+      for (let round = 0; ; round++) {
+        const canUseTools = round < MAX_TOOL_ROUNDS;
+        const reply = await openai.complete(messages, {
+          agent: 'pm-agent',
+          tools: this.tools.definitions(),
+          toolChoice: canUseTools ? 'auto' : 'none'
+        });
+
+        if (!canUseTools || !reply.toolCalls || reply.toolCalls.length === 0) {
+          response = reply.content || '';
+          break;
+        }
+
+        messages.push({ role: 'assistant', content: reply.content, toolCalls: reply.toolCalls });
+        for (const call of reply.toolCalls) {
+          const result = await this.tools.call(call, { threadId, username: author, user, chat });
+          actions.push(result);
+          if (result.pendingAction) onConfirmation(result.pendingAction);
+          messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: result.output });
+        }
+      }
+      
+      // Store the bare question, not the prompt around it; context is rebuilt each turn.
+      // Actions go into the answer so later turns know what was already done.
+      const taken = actions.filter(action => !action.readOnly);
+      conversationMemory.addTurn(threadId, { role: 'user', author, content: query });
+      conversationMemory.addTurn(threadId, {
+        role: 'assistant',
+        author: 'PM-Agent',
+        content: taken.length > 0
+          ? `${response}\n\n(Actions: ${taken.map(action => `${action.summary}: ${action.output}`).join('; ')})`
+          : response,
+        metadata: taken.length > 0 ? { actions: taken.map(({ name, args, output }) => ({ name, args, output })) } : null
+      });
+      conversationMemory.summarize(threadId);
       
       return response;
       
@@ -858,13 +1005,15 @@ Provide a clear, actionable response. If discussing blockers, provide specific d
       }
       
       // Get recent requests
-      const pendingRequests = fileOps.listFiles(path.join(process.env.REQUESTS_DIR, 'pending'));
-      const analysisRequests = fileOps.listFiles(path.join(process.env.REQUESTS_DIR, 'in-analysis'));
+      const openRequests = requestStore.listRequests({ status: requestStore.OPEN_STATUSES });
       
-      if (pendingRequests.length > 0 || analysisRequests.length > 0) {
-        context += `### Pending Requests:\n`;
-        context += `- Awaiting analysis: ${pendingRequests.length}\n`;
-        context += `- In analysis: ${analysisRequests.length}\n\n`;
+      if (openRequests.length > 0) {
+        context += `### Open Requests:\n`;
+        for (const request of openRequests.slice(0, 10)) {
+          context += `- ${request.request_id} [${request.status}]: ${request.title || 'Untitled'}` +
+            `${request.submitted_by ? ` (from ${request.submitted_by})` : ''}\n`;
+        }
+        context += `\n`;
       }
       
       return context;
@@ -875,8 +1024,8 @@ Provide a clear, actionable response. If discussing blockers, provide specific d
     }
   }
 
-  async notifyTelegram(message, options = {}) {
-    return this.orchestrator.notifyTelegram(message, options);
+  async notifyTeam(message, options = {}) {
+    return this.orchestrator.notifyTeam(message, options);
   }
 }
 
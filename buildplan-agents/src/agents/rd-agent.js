@@ -48,7 +48,7 @@ class RDAgent extends BaseAgent {
       // Add progress and announce
       await this.updateTaskProgress(taskPath, 'Generated research document and mockup');
       const preview = mockupUrl ? `🔗 <a href=\"${mockupUrl}\">Figma Mockup</a>` : `📄 <code>${mockupPath}</code>`;
-      await this.sendToTeam(`R&D deliverables ready for <code>${taskId}</code>\n• Research: <code>${researchPath}</code>\n• Mockup: ${preview}`, { parse_mode: 'HTML' });
+      await this.sendToTeam(`R&D deliverables ready for <code>${taskId}</code>\n• Research: <code>${researchPath}</code>\n• Mockup: ${preview}`, { format: 'html' });
 
       // Mark task complete and move to review
       await this.completeTask(taskPath);
@@ -56,7 +56,7 @@ class RDAgent extends BaseAgent {
       return { success: true, researchPath, mockupPath, mockupUrl };
     } catch (error) {
       logger.error('RD-Agent error:', error);
-      return { success: false, error: error.message };
+      return { success: false, error: error.message, cause: error };
     }
   }
 
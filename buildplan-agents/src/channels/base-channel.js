@@ -0,0 +1,179 @@
+const logger = require('../utils/logger');
+
+/**
+ * BaseChannel
+ * Common interface every chat platform adapter implements, so the
+ * orchestrator never depends on a platform SDK.
+ *
+ * Adapters turn platform events into these shapes and hand them to
+ * dispatchMessage() / dispatchButton():
+ *   message: { id, text, chat: { id, type, title }, from: { id, username, first_name }, replyToId }
+ *   button:  { id, data, chat: { id }, from, messageId }
+ *
+ * Outgoing text is HTML (the subset in ./formatting), Telegram's legacy
+ * Markdown or plain text, chosen with options.format. Buttons are rows of
+ * { text, data }; `data` comes back as button.data when pressed. Message IDs
+ * are whatever the platform uses (a number, a Slack ts) and only ever passed
+ * back to the same channel.
+ */
+class BaseChannel {
+  /**
+   * @param {string} name - Channel name (telegram, slack, discord, web)
+   * @param {Object} config - { teamChatId, ... } platform settings
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.commandHandlers = [];
+    this.messageHandlers = [];
+    this.buttonHandlers = [];
+  }
+
+  /**
+   * Chat the team's notifications go to
+   * @returns {string|number} Chat ID
+   */
+  get teamChatId() {
+    return this.config.teamChatId;
+  }
+
+  /**
+   * Longest message to send in one piece, leaving room for formatting
+   * @returns {number} Characters
+   */
+  get maxMessageLength() {
+    return 4000;
+  }
+
+  /**
+   * Run handler for messages matching a command pattern
+   * @param {RegExp} pattern - e.g. /\/status/
+   * @param {Function} handler - (message, match)
+   */
+  onCommand(pattern, handler) {
+    this.commandHandlers.push({ pattern, handler });
+  }
+
+  /**
+   * Run handler for every message, commands included
+   * @param {Function} handler - (message)
+   */
+  onMessage(handler) {
+    this.messageHandlers.push(handler);
+  }
+
+  /**
+   * Run handler for every button press; handlers ignore data that isn't theirs
+   * @param {Function} handler - (button)
+   */
+  onButton(handler) {
+    this.buttonHandlers.push(handler);
+  }
+
+  /**
+   * Hand an incoming message to the command handlers it matches, then to the
+   * message handlers
+   * @param {Object} message - Normalized message
+   */
+  async dispatchMessage(message) {
+    if (message.text) {
+      for (const { pattern, handler } of this.commandHandlers) {
+        const match = message.text.match(pattern);
+        if (match) {
+          await this.runHandler(handler, message, match);
+        }
+      }
+    }
+    for (const handler of this.messageHandlers) {
+      await this.runHandler(handler, message);
+    }
+  }
+
+  /**
+   * Hand a button press to the button handlers
+   * @param {Object} button - Normalized button press
+   */
+  async dispatchButton(button) {
+    for (const handler of this.buttonHandlers) {
+      await this.runHandler(handler, button);
+    }
+  }
+
+  async runHandler(handler, ...args) {
+    try {
+      await handler(...args);
+    } catch (error) {
+      logger.error(`[${this.name}] Handler failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Connect to the platform and start receiving messages
+   */
+  async start() {
+    throw new Error(`${this.name}: start() must be implemented by channel`);
+  }
+
+  /**
+   * Disconnect
+   */
+  async stop() {}
+
+  /**
+   * Send a message
+   * @param {string|number} chatId - Chat ID
+   * @param {string} text - Message
+   * @param {Object} options - { format: 'html' | 'markdown' | 'plain',
+   *   buttons: [[{ text, data }]], forceReply: placeholder text to ask for a
+   *   reply (the reply comes back with replyToId set to this message) }
+   * @returns {Promise<Object>} { chatId, messageId }
+   */
+  async send(chatId, text, options = {}) {
+    throw new Error(`${this.name}: send() must be implemented by channel`);
+  }
+
+  /**
+   * Replace a message's text and buttons (none unless options.buttons is given).
+   * Throws an error with `retryAfter` (seconds) when rate limited.
+   * @param {string|number} chatId - Chat ID
+   * @param {string|number} messageId - Message ID from send()
+   * @param {string} text - New text
+   * @param {Object} options - { format, buttons }
+   */
+  async edit(chatId, messageId, text, options = {}) {
+    throw new Error(`${this.name}: edit() must be implemented by channel`);
+  }
+
+  /**
+   * Remove a message's buttons, keeping its text
+   * @param {string|number} chatId - Chat ID
+   * @param {string|number} messageId - Message ID from send()
+   */
+  async clearButtons(chatId, messageId) {
+    throw new Error(`${this.name}: clearButtons() must be implemented by channel`);
+  }
+
+  /**
+   * Acknowledge a button press, optionally showing the presser a short note
+   * @param {Object} button - The press
+   * @param {Object} options - { text, alert (make the note hard to miss) }
+   */
+  async answerButton(button, options = {}) {}
+
+  /**
+   * Send a file
+   * @param {string|number} chatId - Chat ID
+   * @param {Object} file - { filename, content (string or Buffer), contentType }
+   */
+  async sendFile(chatId, file) {
+    throw new Error(`${this.name}: sendFile() must be implemented by channel`);
+  }
+
+  /**
+   * Show that a reply is on its way, where the platform supports it
+   * @param {string|number} chatId - Chat ID
+   */
+  async sendTyping(chatId) {}
+}
+
+module.exports = BaseChannel;
@@ -0,0 +1,148 @@
+const BaseChannel = require('./base-channel');
+const formatting = require('./formatting');
+const logger = require('../utils/logger');
+
+// Discord allows 5 rows of 5 buttons per message
+const MAX_ROWS = 5;
+const MAX_BUTTONS_PER_ROW = 5;
+
+/**
+ * DiscordChannel
+ * Chat through a Discord bot. Discord reserves "/" for registered
+ * application commands, so commands are typed with DISCORD_COMMAND_PREFIX
+ * (default "!", e.g. !status) and treated as "/status". Buttons are message
+ * components; reply prompts are answered with Discord's Reply.
+ */
+class DiscordChannel extends BaseChannel {
+  constructor(config = {}) {
+    super('discord', config);
+    this.discord = require('discord.js');
+    const { Client, GatewayIntentBits, Partials, Events } = this.discord;
+
+    this.client = new Client({
+      intents: [
+        GatewayIntentBits.Guilds,
+        GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.MessageContent,
+        GatewayIntentBits.DirectMessages
+      ],
+      partials: [Partials.Channel]
+    });
+    // Button interactions must be answered within 3 seconds, by answerButton or after dispatch
+    this.interactions = new Map();
+
+    this.client.on(Events.MessageCreate, (message) => {
+      if (message.author.bot) return;
+
+      const prefix = config.commandPrefix || '!';
+      const text = message.content.startsWith(prefix) ? `/${message.content.slice(prefix.length)}` : message.content;
+      this.dispatchMessage({
+        id: message.id,
+        text,
+        chat: { id: message.channelId, type: message.guildId ? 'guild' : 'dm', title: message.channel && message.channel.name },
+        from: { id: message.author.id, username: message.author.username },
+        replyToId: message.reference ? message.reference.messageId : null
+      });
+    });
+
+    this.client.on(Events.InteractionCreate, async (interaction) => {
+      if (!interaction.isButton()) return;
+      this.interactions.set(interaction.id, interaction);
+
+      await this.dispatchButton({
+        id: interaction.id,
+        data: interaction.customId,
+        chat: { id: interaction.channelId },
+        from: { id: interaction.user.id, username: interaction.user.username },
+        messageId: interaction.message.id
+      });
+
+      this.interactions.delete(interaction.id);
+      if (!interaction.replied && !interaction.deferred) {
+        await interaction.deferUpdate().catch(() => {});
+      }
+    });
+
+    this.client.on(Events.Error, (error) => {
+      logger.error(`[Discord] Client error: ${error.message}`);
+    });
+  }
+
+  get maxMessageLength() {
+    return 1900;
+  }
+
+  async start() {
+    await this.client.login(this.config.token);
+  }
+
+  async stop() {
+    await this.client.destroy();
+  }
+
+  async send(chatId, text, options = {}) {
+    const channel = await this.client.channels.fetch(String(chatId));
+    const content = this.toMarkdown(options.forceReply ? `${text}\n*(reply to this message)*` : text, options.format);
+    const sent = await channel.send({ content, components: this.components(options.buttons) });
+    return { chatId, messageId: sent.id };
+  }
+
+  async edit(chatId, messageId, text, options = {}) {
+    const message = await this.fetchMessage(chatId, messageId);
+    try {
+      await message.edit({ content: this.toMarkdown(text, options.format), components: this.components(options.buttons) });
+    } catch (error) {
+      if (error.status === 429) error.retryAfter = (error.retryAfter || 1000) / 1000;
+      throw error;
+    }
+  }
+
+  async clearButtons(chatId, messageId) {
+    const message = await this.fetchMessage(chatId, messageId);
+    await message.edit({ components: [] });
+  }
+
+  async answerButton(button, options = {}) {
+    const interaction = this.interactions.get(button.id);
+    if (!interaction || interaction.replied || interaction.deferred) return;
+
+    if (options.text) {
+      await interaction.reply({ content: options.text, ephemeral: true });
+    } else {
+      await interaction.deferUpdate();
+    }
+  }
+
+  async sendFile(chatId, file) {
+    const channel = await this.client.channels.fetch(String(chatId));
+    await channel.send({ files: [new this.discord.AttachmentBuilder(Buffer.from(file.content), { name: file.filename })] });
+  }
+
+  async sendTyping(chatId) {
+    const channel = await this.client.channels.fetch(String(chatId));
+    await channel.sendTyping();
+  }
+
+  async fetchMessage(chatId, messageId) {
+    const channel = await this.client.channels.fetch(String(chatId));
+    return channel.messages.fetch(String(messageId));
+  }
+
+  toMarkdown(text, format) {
+    if (format === 'html') return formatting.htmlToMarkdown(text);
+    if (format === 'markdown') return formatting.htmlToMarkdown(formatting.legacyMarkdownToHtml(text));
+    return text;
+  }
+
+  components(buttons) {
+    const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = this.discord;
+    return (buttons || []).slice(0, MAX_ROWS).map(row => new ActionRowBuilder().addComponents(
+      row.slice(0, MAX_BUTTONS_PER_ROW).map(button => new ButtonBuilder()
+        .setCustomId(button.data)
+        .setLabel(button.text.substring(0, 80))
+        .setStyle(ButtonStyle.Secondary))
+    ));
+  }
+}
+
+module.exports = DiscordChannel;
@@ -0,0 +1,176 @@
+/**
+ * Message formatting shared by the chat channels.
+ *
+ * Messages are written in the small HTML subset Telegram understands (<b>,
+ * <i>, <s>, <code>, <pre>, <a href>) or in Telegram's legacy Markdown
+ * (*bold*, _italic_, `code`); each channel converts them to what its
+ * platform renders.
+ */
+
+// Tags kept by sanitizeHtml; everything else is shown as text
+const ALLOWED_TAGS = ['b', 'i', 's', 'u', 'code', 'pre'];
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+/**
+ * Escape HTML special characters
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function unescapeHtml(text) {
+  return text.replace(/&(amp|lt|gt|quot|#39);/g, entity => ENTITIES[entity]);
+}
+
+/**
+ * Convert Markdown (an LLM answer, a markdown file) to the HTML subset
+ * @param {string} markdown - Markdown
+ * @returns {string} HTML
+ */
+function markdownToHtml(markdown) {
+  let html = escapeHtml(markdown);
+
+  // Headers (### Header -> <b>Header</b>)
+  html = html.replace(/^###\s+(.+)$/gm, '<b>📌 $1</b>');
+  html = html.replace(/^##\s+(.+)$/gm, '<b>🔹 $1</b>');
+  html = html.replace(/^#\s+(.+)$/gm, '<b>▪️ $1</b>');
+
+  // Bold (**text** or __text__)
+  html = html.replace(/\*\*(.+?)\*\*/g, '<b>$1</b>');
+  html = html.replace(/__(.+?)__/g, '<b>$1</b>');
+
+  // Italic (*text* or _text_)
+  html = html.replace(/\*(.+?)\*/g, '<i>$1</i>');
+  html = html.replace(/_(.+?)_/g, '<i>$1</i>');
+
+  // Code blocks (```code```)
+  html = html.replace(/```([\s\S]*?)```/g, '<pre>$1</pre>');
+
+  // Inline code (`code`)
+  html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
+
+  // Links [text](url)
+  html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
+
+  // Bullet points (- item or * item)
+  html = html.replace(/^[\*\-]\s+(.+)$/gm, '  • $1');
+
+  // Strikethrough (~~text~~)
+  html = html.replace(/~~(.+?)~~/g, '<s>$1</s>');
+
+  return html;
+}
+
+/**
+ * Convert Telegram's legacy Markdown (*bold*, _italic_) to the HTML subset
+ * @param {string} markdown - Legacy Markdown
+ * @returns {string} HTML
+ */
+function legacyMarkdownToHtml(markdown) {
+  return escapeHtml(markdown)
+    .replace(/```([\s\S]*?)```/g, '<pre>$1</pre>')
+    .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+    .replace(/\*([^*\n]+)\*/g, '<b>$1</b>')
+    .replace(/(^|[\s(])_([^_\n]+)_(?=[\s).,!?:;]|$)/gm, '$1<i>$2</i>')
+    .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
+}
+
+/**
+ * Reduce HTML to the allowed tags and http(s) links, escaping the rest, so it
+ * can be put in a page as is
+ * @param {string} html - HTML from a message
+ * @returns {string} Safe HTML
+ */
+function sanitizeHtml(html) {
+  return String(html).split(/(<[^>]*>)/).map(part => {
+    const tag = part.match(/^<(\/?)([a-z]+)([^>]*)>$/i);
+    if (!tag) {
+      // Text: keep entities, escape any stray < or >
+      return part.replace(/&(?!(amp|lt|gt|quot|#39);)/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    const [, closing, name, attributes] = tag;
+    const lower = name.toLowerCase();
+    if (ALLOWED_TAGS.includes(lower)) {
+      return `<${closing}${lower}>`;
+    }
+    if (lower === 'a') {
+      if (closing) return '</a>';
+      const href = (attributes.match(/href\s*=\s*"([^"]*)"/i) || [])[1];
+      return href && /^https?:\/\//i.test(href)
+        ? `<a href="${href.replace(/"/g, '&quot;')}" target="_blank" rel="noopener">`
+        : '<a>';
+    }
+    return escapeHtml(part);
+  }).join('');
+}
+
+/**
+ * Convert the HTML subset to Slack mrkdwn (which keeps &amp; &lt; &gt;)
+ * @param {string} html - HTML
+ * @returns {string} mrkdwn
+ */
+function htmlToMrkdwn(html) {
+  return String(html)
+    .replace(/<pre>([\s\S]*?)<\/pre>/gi, '```$1```')
+    .replace(/<code>([\s\S]*?)<\/code>/gi, '`$1`')
+    .replace(/<b>([\s\S]*?)<\/b>/gi, '*$1*')
+    .replace(/<i>([\s\S]*?)<\/i>/gi, '_$1_')
+    .replace(/<s>([\s\S]*?)<\/s>/gi, '~$1~')
+    .replace(/<a href="([^"]+)">([\s\S]*?)<\/a>/gi, '<$1|$2>')
+    .replace(/<\/?[a-z][a-z0-9]*(\s[^>]*)?>/gi, '');
+}
+
+/**
+ * Convert the HTML subset to Discord's Markdown
+ * @param {string} html - HTML
+ * @returns {string} Markdown
+ */
+function htmlToMarkdown(html) {
+  return unescapeHtml(String(html)
+    .replace(/<pre>([\s\S]*?)<\/pre>/gi, '```\n$1\n```')
+    .replace(/<code>([\s\S]*?)<\/code>/gi, '`$1`')
+    .replace(/<b>([\s\S]*?)<\/b>/gi, '**$1**')
+    .replace(/<i>([\s\S]*?)<\/i>/gi, '*$1*')
+    .replace(/<s>([\s\S]*?)<\/s>/gi, '~~$1~~')
+    .replace(/<a href="([^"]+)">([\s\S]*?)<\/a>/gi, '[$2]($1)')
+    .replace(/<\/?[a-z][a-z0-9]*(\s[^>]*)?>/gi, ''));
+}
+
+/**
+ * Strip the HTML subset to plain text
+ * @param {string} html - HTML
+ * @returns {string} Text
+ */
+function htmlToText(html) {
+  return unescapeHtml(String(html).replace(/<[^>]*>/g, ''));
+}
+
+/**
+ * Convert a message in one of the channel formats to HTML
+ * @param {string} text - Message
+ * @param {string} format - 'html', 'markdown' (legacy) or 'plain'
+ * @returns {string} HTML
+ */
+function toHtml(text, format) {
+  if (format === 'html') return text;
+  if (format === 'markdown') return legacyMarkdownToHtml(text);
+  return escapeHtml(text);
+}
+
+module.exports = {
+  escapeHtml,
+  markdownToHtml,
+  legacyMarkdownToHtml,
+  sanitizeHtml,
+  htmlToMrkdwn,
+  htmlToMarkdown,
+  htmlToText,
+  toHtml
+};
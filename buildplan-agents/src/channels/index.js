@@ -0,0 +1,70 @@
+const logger = require('../utils/logger');
+
+/**
+ * Chat channel registry
+ * Picks the platform the team talks to the orchestrator on:
+ *
+ *   CHAT_PLATFORM=telegram   TELEGRAM_BOT_TOKEN, TELEGRAM_CHAT_ID (default)
+ *   CHAT_PLATFORM=slack      SLACK_BOT_TOKEN, SLACK_APP_TOKEN, SLACK_CHANNEL_ID
+ *   CHAT_PLATFORM=discord    DISCORD_BOT_TOKEN, DISCORD_CHANNEL_ID, DISCORD_COMMAND_PREFIX
+ *   CHAT_PLATFORM=web        WEB_CHAT_PORT, WEB_CHAT_HOST (users sign in with API tokens)
+ *
+ * SDKs are only loaded for the platform in use.
+ */
+
+const CHANNELS = {
+  telegram: () => {
+    const TelegramChannel = require('./telegram-channel');
+    return new TelegramChannel({
+      token: process.env.TELEGRAM_BOT_TOKEN,
+      teamChatId: process.env.TELEGRAM_CHAT_ID
+    });
+  },
+  slack: () => {
+    const SlackChannel = require('./slack-channel');
+    return new SlackChannel({
+      token: process.env.SLACK_BOT_TOKEN,
+      appToken: process.env.SLACK_APP_TOKEN,
+      teamChatId: process.env.SLACK_CHANNEL_ID
+    });
+  },
+  discord: () => {
+    const DiscordChannel = require('./discord-channel');
+    return new DiscordChannel({
+      token: process.env.DISCORD_BOT_TOKEN,
+      teamChatId: process.env.DISCORD_CHANNEL_ID,
+      commandPrefix: process.env.DISCORD_COMMAND_PREFIX
+    });
+  },
+  web: () => {
+    const WebChannel = require('./web-channel');
+    return new WebChannel({
+      port: parseInt(process.env.WEB_CHAT_PORT || '4320', 10),
+      host: process.env.WEB_CHAT_HOST,
+      authenticate: token => require('../services/accessControl').userForApiToken(token)
+    });
+  }
+};
+
+/**
+ * Create the channel for a platform
+ * @param {string} platform - Defaults to CHAT_PLATFORM, then telegram
+ * @returns {BaseChannel} Channel
+ */
+function createChannel(platform = process.env.CHAT_PLATFORM || 'telegram') {
+  const factory = CHANNELS[platform.toLowerCase()];
+  if (!factory) {
+    throw new Error(`Unknown CHAT_PLATFORM "${platform}". Available: ${Object.keys(CHANNELS).join(', ')}`);
+  }
+
+  const channel = factory();
+  if (!channel.teamChatId) {
+    logger.warn(`[Channels] No team chat configured for ${channel.name}; notifications will fail`);
+  }
+  return channel;
+}
+
+module.exports = {
+  createChannel,
+  CHANNELS: Object.keys(CHANNELS)
+};
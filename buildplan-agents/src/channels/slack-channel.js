@@ -0,0 +1,163 @@
+const BaseChannel = require('./base-channel');
+const formatting = require('./formatting');
+const logger = require('../utils/logger');
+
+/**
+ * SlackChannel
+ * Chat through a Slack app in Socket Mode, so no public URL is needed.
+ * Commands are slash commands (each one registered in the app's manifest)
+ * and buttons are Block Kit buttons. Slack has no ForceReply, so reply prompts
+ * ask for a reply in the prompt's thread, which comes back with replyToId
+ * set to the prompt.
+ */
+class SlackChannel extends BaseChannel {
+  constructor(config = {}) {
+    super('slack', config);
+    const { App, LogLevel } = require('@slack/bolt');
+    this.app = new App({
+      token: config.token,
+      appToken: config.appToken,
+      socketMode: true,
+      logLevel: LogLevel.WARN
+    });
+    this.usernames = new Map();
+
+    this.app.command(/.*/, async ({ command, ack }) => {
+      await ack();
+      await this.dispatchMessage({
+        id: null,
+        text: `${command.command} ${command.text || ''}`.trim(),
+        chat: { id: command.channel_id, type: 'channel', title: command.channel_name },
+        from: { id: command.user_id, username: command.user_name },
+        replyToId: null
+      });
+    });
+
+    this.app.message(async ({ message }) => {
+      // Edits, joins and the bot's own messages have a subtype or bot_id
+      if (message.subtype || message.bot_id) return;
+      await this.dispatchMessage({
+        id: message.ts,
+        text: unescapeSlack(message.text || ''),
+        chat: { id: message.channel, type: message.channel_type },
+        from: { id: message.user, username: await this.usernameOf(message.user) },
+        replyToId: message.thread_ts && message.thread_ts !== message.ts ? message.thread_ts : null
+      });
+    });
+
+    this.app.action(/.*/, async ({ ack, body, action }) => {
+      await ack();
+      await this.dispatchButton({
+        id: body.trigger_id,
+        data: action.value,
+        chat: { id: body.channel.id },
+        from: { id: body.user.id, username: body.user.username || body.user.name },
+        messageId: body.message.ts
+      });
+    });
+  }
+
+  get maxMessageLength() {
+    // Limit of a section block's text
+    return 2900;
+  }
+
+  async start() {
+    await this.app.start();
+  }
+
+  async stop() {
+    await this.app.stop();
+  }
+
+  async send(chatId, text, options = {}) {
+    const mrkdwn = this.toMrkdwn(options.forceReply ? `${text}\n_Reply in this thread_` : text, options.format);
+    const result = await this.app.client.chat.postMessage({
+      channel: chatId,
+      text: mrkdwn,
+      blocks: this.blocks(mrkdwn, options.buttons),
+      unfurl_links: false
+    });
+    return { chatId, messageId: result.ts };
+  }
+
+  async edit(chatId, messageId, text, options = {}) {
+    const mrkdwn = this.toMrkdwn(text, options.format);
+    try {
+      await this.app.client.chat.update({ channel: chatId, ts: messageId, text: mrkdwn, blocks: this.blocks(mrkdwn, options.buttons) });
+    } catch (error) {
+      if (error.code === 'slack_webapi_rate_limited_error') error.retryAfter = error.retryAfter || 1;
+      throw error;
+    }
+  }
+
+  async clearButtons(chatId, messageId) {
+    const { messages } = await this.app.client.conversations.history({ channel: chatId, latest: messageId, inclusive: true, limit: 1 });
+    const message = messages && messages[0];
+    if (!message) return;
+    await this.app.client.chat.update({
+      channel: chatId,
+      ts: messageId,
+      text: message.text,
+      blocks: (message.blocks || []).filter(block => block.type !== 'actions')
+    });
+  }
+
+  async answerButton(button, options = {}) {
+    if (!options.text) return;
+    await this.app.client.chat.postEphemeral({ channel: button.chat.id, user: button.from.id, text: options.text });
+  }
+
+  async sendFile(chatId, file) {
+    await this.app.client.files.uploadV2({
+      channel_id: chatId,
+      filename: file.filename,
+      content: Buffer.isBuffer(file.content) ? file.content.toString('utf8') : file.content
+    });
+  }
+
+  toMrkdwn(text, format) {
+    // Telegram's legacy Markdown is already close to mrkdwn
+    if (format === 'markdown') return text;
+    return formatting.htmlToMrkdwn(format === 'html' ? text : formatting.escapeHtml(text));
+  }
+
+  blocks(mrkdwn, buttons) {
+    const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: mrkdwn || ' ' } }];
+    for (const [r, row] of (buttons || []).entries()) {
+      blocks.push({
+        type: 'actions',
+        elements: row.map((button, i) => ({
+          type: 'button',
+          text: { type: 'plain_text', text: button.text.substring(0, 75), emoji: true },
+          value: button.data,
+          action_id: `button_${r}_${i}`
+        }))
+      });
+    }
+    return blocks;
+  }
+
+  /**
+   * Slack's display name for a user ID, which access control and
+   * attribution use as the username
+   */
+  async usernameOf(userId) {
+    if (!this.usernames.has(userId)) {
+      try {
+        const { user } = await this.app.client.users.info({ user: userId });
+        this.usernames.set(userId, user.name);
+      } catch (error) {
+        logger.warn(`[Slack] Could not look up user ${userId}: ${error.message}`);
+        return null;
+      }
+    }
+    return this.usernames.get(userId);
+  }
+}
+
+function unescapeSlack(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+module.exports = SlackChannel;
@@ -0,0 +1,120 @@
+const BaseChannel = require('./base-channel');
+const logger = require('../utils/logger');
+
+const PARSE_MODES = { html: 'HTML', markdown: 'Markdown' };
+
+/**
+ * TelegramChannel
+ * Chat through a Telegram bot (long polling). Commands are typed as usual,
+ * buttons are inline keyboards and reply prompts use ForceReply.
+ */
+class TelegramChannel extends BaseChannel {
+  constructor(config = {}) {
+    super('telegram', config);
+    const TelegramBot = require('node-telegram-bot-api');
+    this.bot = new TelegramBot(config.token, { polling: false });
+
+    this.bot.on('polling_error', (error) => {
+      logger.error('Telegram polling error:', error);
+    });
+
+    this.bot.on('message', (msg) => {
+      // Always log chat metadata to help configure group chat routing
+      // (especially the numeric chat.id for supergroups: -100xxxxxxxxxx)
+      const chatTitle = msg.chat && (msg.chat.title || msg.chat.username || msg.chat.first_name);
+      logger.info(`[Telegram] inbound chat.id=${msg.chat?.id} type=${msg.chat?.type} title=${chatTitle || ''}`);
+
+      this.dispatchMessage({
+        id: msg.message_id,
+        text: msg.text,
+        chat: { id: msg.chat.id, type: msg.chat.type, title: chatTitle },
+        from: msg.from,
+        replyToId: msg.reply_to_message ? msg.reply_to_message.message_id : null
+      });
+    });
+
+    this.bot.on('callback_query', (query) => {
+      this.dispatchButton({
+        id: query.id,
+        data: query.data,
+        chat: query.message.chat,
+        from: query.from,
+        messageId: query.message.message_id
+      });
+    });
+  }
+
+  async start() {
+    // If this bot token was previously configured for webhook delivery, Telegram will
+    // reject getUpdates polling with a 409 conflict. We proactively clear any webhook
+    // so local dev polling "just works".
+    try {
+      await this.bot.deleteWebHook({ drop_pending_updates: true });
+    } catch (e) {
+      // Non-fatal; polling may still work if no webhook is set.
+      logger.warn('Could not delete Telegram webhook (continuing):', e.message || e);
+    }
+    await this.bot.startPolling();
+  }
+
+  async stop() {
+    await this.bot.stopPolling();
+  }
+
+  async send(chatId, text, options = {}) {
+    const sent = await this.bot.sendMessage(chatId, text, this.messageOptions(options));
+    return { chatId, messageId: sent.message_id };
+  }
+
+  async edit(chatId, messageId, text, options = {}) {
+    try {
+      await this.bot.editMessageText(text, { chat_id: chatId, message_id: messageId, ...this.messageOptions(options) });
+    } catch (error) {
+      if (/message is not modified/i.test(error.message)) return;
+
+      const retryAfter = error.response && error.response.body && error.response.body.parameters &&
+        error.response.body.parameters.retry_after;
+      if (retryAfter) error.retryAfter = retryAfter;
+      throw error;
+    }
+  }
+
+  async clearButtons(chatId, messageId) {
+    await this.bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: messageId });
+  }
+
+  async answerButton(button, options = {}) {
+    await this.bot.answerCallbackQuery(button.id, {
+      ...(options.text ? { text: options.text } : {}),
+      ...(options.alert ? { show_alert: true } : {})
+    });
+  }
+
+  async sendFile(chatId, file) {
+    await this.bot.sendDocument(chatId, Buffer.from(file.content), {}, {
+      filename: file.filename,
+      contentType: file.contentType || 'text/plain'
+    });
+  }
+
+  async sendTyping(chatId) {
+    await this.bot.sendChatAction(chatId, 'typing');
+  }
+
+  messageOptions(options) {
+    const result = {};
+    if (PARSE_MODES[options.format]) {
+      result.parse_mode = PARSE_MODES[options.format];
+    }
+    if (options.forceReply) {
+      result.reply_markup = { force_reply: true, input_field_placeholder: String(options.forceReply) };
+    } else if (options.buttons) {
+      result.reply_markup = {
+        inline_keyboard: options.buttons.map(row => row.map(button => ({ text: button.text, callback_data: button.data })))
+      };
+    }
+    return result;
+  }
+}
+
+module.exports = TelegramChannel;
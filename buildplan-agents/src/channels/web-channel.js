@@ -0,0 +1,220 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const BaseChannel = require('./base-channel');
+const formatting = require('./formatting');
+const logger = require('../utils/logger');
+
+// Messages replayed to a browser that connects later
+const HISTORY_LIMIT = 200;
+const ROOM = 'web';
+// Close code for a hello with an unknown or revoked token
+const UNAUTHORIZED = 4001;
+
+/**
+ * WebChannel
+ * Built-in chat served on a local port: a single room at
+ * http://WEB_CHAT_HOST:WEB_CHAT_PORT/ talking to the bot over a WebSocket.
+ * For teams without Telegram, Slack or Discord, and for driving the
+ * orchestrator from scripts and tests with any WebSocket client. Each person
+ * signs in with their own API token (node src/commands/api-token.js, ?token=
+ * in the page URL); config.authenticate turns it into the user it was issued
+ * for, whose grants then apply. A socket sees nothing, history included, and
+ * anything it sends other than hello is dropped until it has signed in. It
+ * listens on localhost only unless WEB_CHAT_HOST says otherwise.
+ *
+ * Protocol (JSON frames):
+ *   client → { type: 'hello', token }
+ *            { type: 'message', text, replyTo }
+ *            { type: 'button', messageId, data }
+ *   server → { type: 'welcome', username }, then the history as messages
+ *            { type: 'message', message: { id, html, buttons, forceReply, file } }
+ *            { type: 'edit', message }  { type: 'notice', text, alert }  { type: 'typing' }
+ * A hello with an unknown token gets a notice and the socket is closed with
+ * code 4001.
+ */
+class WebChannel extends BaseChannel {
+  constructor(config = {}) {
+    super('web', { teamChatId: ROOM, ...config });
+    const { WebSocketServer } = require('ws');
+    this.WebSocketServer = WebSocketServer;
+    this.server = null;
+    this.sockets = new Set();
+    this.history = [];
+    this.nextMessageId = 1;
+    this.nextButtonId = 1;
+    // Pressed buttons waiting for answerButton, by press ID
+    this.presses = new Map();
+  }
+
+  async start() {
+    const page = fs.readFileSync(path.join(__dirname, 'web-chat.html'), 'utf8');
+    this.server = http.createServer((req, res) => {
+      if (req.method === 'GET' && (req.url === '/' || req.url === '/index.html')) {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(page);
+        return;
+      }
+      res.writeHead(404);
+      res.end();
+    });
+
+    const wss = new this.WebSocketServer({ server: this.server });
+    wss.on('connection', socket => this.connect(socket));
+
+    const port = this.config.port;
+    const host = this.config.host || '127.0.0.1';
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    logger.info(`[WebChat] Chat at http://${host}:${this.server.address().port}/`);
+  }
+
+  async stop() {
+    for (const socket of this.sockets) socket.terminate();
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  get maxMessageLength() {
+    return 16000;
+  }
+
+  /**
+   * Port the chat is listening on (useful with port 0)
+   * @returns {number|null} Port
+   */
+  get port() {
+    return this.server ? this.server.address().port : null;
+  }
+
+  connect(socket) {
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('message', raw => {
+      let frame;
+      try {
+        frame = JSON.parse(raw);
+      } catch (error) {
+        return;
+      }
+      if (!frame || (!socket.user && frame.type !== 'hello')) return;
+      this.receive(socket, frame).catch(error => logger.error(`[WebChat] ${error.message}`));
+    });
+  }
+
+  /**
+   * Sign a socket in and send it the history
+   * @param {WebSocket} socket - Connection
+   * @param {string} token - API token from the hello
+   * @returns {boolean} Whether the token was accepted
+   */
+  signIn(socket, token) {
+    const user = token && this.config.authenticate ? this.config.authenticate(String(token)) : null;
+    if (!user) {
+      this.deliver(socket, { type: 'notice', text: 'Unknown or revoked API token', alert: true });
+      socket.close(UNAUTHORIZED);
+      return false;
+    }
+
+    socket.user = { id: user.id, username: user.username, first_name: user.username };
+    this.sockets.add(socket);
+    this.deliver(socket, { type: 'welcome', username: user.username });
+    for (const message of this.history) {
+      this.deliver(socket, { type: 'message', message });
+    }
+    return true;
+  }
+
+  /**
+   * Handle a frame from a browser or script
+   * @param {WebSocket} socket - Sender
+   * @param {Object} frame - Parsed frame
+   */
+  async receive(socket, frame) {
+    if (frame.type === 'hello') {
+      if (!socket.user) this.signIn(socket, frame.token);
+      return;
+    }
+
+    if (frame.type === 'message' && frame.text) {
+      const message = this.record({ html: formatting.escapeHtml(frame.text), from: socket.user.username });
+      this.broadcast({ type: 'message', message });
+      await this.dispatchMessage({
+        id: message.id,
+        text: String(frame.text),
+        chat: { id: ROOM, type: 'group', title: 'Web chat' },
+        from: socket.user,
+        replyToId: frame.replyTo || null
+      });
+    } else if (frame.type === 'button' && frame.data) {
+      const id = `press-${this.nextButtonId++}`;
+      this.presses.set(id, socket);
+      await this.dispatchButton({ id, data: frame.data, chat: { id: ROOM }, from: socket.user, messageId: frame.messageId });
+      this.presses.delete(id);
+    }
+  }
+
+  async send(chatId, text, options = {}) {
+    const message = this.record({
+      html: formatting.sanitizeHtml(formatting.toHtml(text, options.format)),
+      buttons: options.buttons || [],
+      forceReply: options.forceReply ? String(options.forceReply) : null
+    });
+    this.broadcast({ type: 'message', message });
+    return { chatId, messageId: message.id };
+  }
+
+  async edit(chatId, messageId, text, options = {}) {
+    const message = this.history.find(m => m.id === Number(messageId));
+    if (!message) return;
+    message.html = formatting.sanitizeHtml(formatting.toHtml(text, options.format));
+    message.buttons = options.buttons || [];
+    this.broadcast({ type: 'edit', message });
+  }
+
+  async clearButtons(chatId, messageId) {
+    const message = this.history.find(m => m.id === Number(messageId));
+    if (!message) return;
+    message.buttons = [];
+    this.broadcast({ type: 'edit', message });
+  }
+
+  async answerButton(button, options = {}) {
+    const socket = this.presses.get(button.id);
+    if (socket && options.text) {
+      this.deliver(socket, { type: 'notice', text: options.text, alert: Boolean(options.alert) });
+    }
+  }
+
+  async sendFile(chatId, file) {
+    const message = this.record({
+      html: `📎 ${formatting.escapeHtml(file.filename)}`,
+      file: { filename: file.filename, content: Buffer.from(file.content).toString('base64'), contentType: file.contentType || 'text/plain' }
+    });
+    this.broadcast({ type: 'message', message });
+  }
+
+  async sendTyping(chatId) {
+    this.broadcast({ type: 'typing' });
+  }
+
+  record(fields) {
+    const message = { id: this.nextMessageId++, from: null, buttons: [], forceReply: null, file: null, ...fields };
+    this.history.push(message);
+    if (this.history.length > HISTORY_LIMIT) this.history.shift();
+    return message;
+  }
+
+  broadcast(frame) {
+    for (const socket of this.sockets) this.deliver(socket, frame);
+  }
+
+  deliver(socket, frame) {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(frame));
+  }
+}
+
+module.exports = WebChannel;
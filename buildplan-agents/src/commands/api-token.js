@@ -0,0 +1,74 @@
+require('dotenv').config();
+
+const accessControl = require('../services/accessControl');
+
+/**
+ * BuildPlan API Tokens
+ * Issue, list and revoke tokens for the HTTP API and the web chat. A token
+ * acts as the user it is issued for, so give that user a role with /grant
+ * first. Run on the machine the orchestrator runs on, so tokens never pass
+ * through the chat.
+ * Usage: node src/commands/api-token.js <create|list|revoke> [options]
+ */
+
+function showHelp() {
+  console.log(`
+BuildPlan API Tokens
+
+Usage: node src/commands/api-token.js <command>
+
+Commands:
+  create <@username> [label]   Issue a token acting as @username (shown once)
+  list                         List tokens
+  revoke <id>                  Revoke a token
+
+Examples:
+  node src/commands/api-token.js create @alice ci
+  node src/commands/api-token.js revoke 3
+`);
+}
+
+function run(args) {
+  const [command, ...rest] = args;
+  const issuer = process.env.USER || process.env.USERNAME || 'cli';
+
+  if (command === 'create' && rest[0]) {
+    const { id, token } = accessControl.createApiToken(rest[0], rest.slice(1).join(' ') || null, issuer);
+    const role = accessControl.roleOf({ username: rest[0].replace(/^@/, '') }, null);
+    console.log(`Token ${id} for ${rest[0]} (${role || 'no role yet, /grant one'}):\n\n  ${token}\n\nIt won't be shown again.`);
+    return 0;
+  }
+
+  if (command === 'list') {
+    const tokens = accessControl.listApiTokens();
+    if (tokens.length === 0) {
+      console.log('No API tokens');
+    }
+    for (const t of tokens) {
+      const state = t.revoked_at ? `revoked ${t.revoked_at}` : `last used ${t.last_used_at || 'never'}`;
+      console.log(`${String(t.id).padStart(4)}  @${t.username}${t.label ? ` (${t.label})` : ''}  created ${t.created_at} by ${t.created_by}, ${state}`);
+    }
+    return 0;
+  }
+
+  if (command === 'revoke' && rest[0]) {
+    const revoked = accessControl.revokeApiToken(parseInt(rest[0], 10), issuer);
+    console.log(revoked ? `Revoked token ${rest[0]}` : `No live token ${rest[0]}`);
+    return revoked ? 0 : 1;
+  }
+
+  showHelp();
+  return command && !['--help', '-h'].includes(command) ? 1 : 0;
+}
+
+// CLI execution
+if (require.main === module) {
+  try {
+    process.exit(run(process.argv.slice(2)));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { run };
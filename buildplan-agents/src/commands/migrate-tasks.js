@@ -0,0 +1,162 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const fileOps = require('../utils/file-ops');
+const taskFile = require('../utils/task-file');
+const { TASK_STATUSES, LEGACY_STATUSES } = require('../utils/task-schema');
+const workspace = require('../services/workspaceManager');
+const taskStore = require('../services/taskStore');
+
+/**
+ * BuildPlan Task Migration
+ * Rewrites existing task files into the canonical format (utils/task-schema) and
+ * converts TaskManager JSON specs from workspace/pm-agent/backlog into task files
+ * in TASKS_DIR, then registers everything with the task store.
+ * Usage: node src/commands/migrate-tasks.js [--dry-run] [--json-dir <dir>]
+ */
+
+/**
+ * Fill in what older markdown tasks are missing
+ * @param {string} filePath - Task file path
+ * @param {string} status - Directory the file was found in
+ * @returns {Object} { metadata, content }
+ */
+function normalizeMarkdownTask(filePath, status) {
+  return taskFile.normalize(fileOps.readFile(filePath) || '', {
+    id: path.basename(filePath, '.md'),
+    status,
+    created_at: fs.statSync(filePath).mtime.toISOString()
+  });
+}
+
+/**
+ * Convert a TaskManager JSON spec into a canonical task
+ * @param {Object} spec - Parsed JSON spec
+ * @returns {Object} { metadata, content }
+ */
+function convertJsonSpec(spec) {
+  const task = taskFile.create({
+    id: spec.id,
+    sprint_id: spec.sprintId,
+    rd_task_id: spec.rdTaskId,
+    type: spec.type || 'unknown',
+    title: spec.title || spec.id,
+    assigned_to: spec.assignedAgent || 'none',
+    priority: spec.priority || 'medium',
+    depends_on: spec.dependencies || [],
+    created_at: spec.createdAt
+  }, {
+    description: (spec.metadata && spec.metadata.description) || spec.title,
+    createdBy: 'Task Migration',
+    source: spec.sprintId ? `${spec.sprintId} (JSON spec)` : 'JSON spec'
+  });
+
+  task.metadata.status = LEGACY_STATUSES[spec.status] || spec.status || 'backlog';
+  return task;
+}
+
+async function migrateTasks(options = {}) {
+  const { dryRun = false, jsonDir = workspace.resolveAgentPath('pm-agent', 'backlog') } = options;
+  const tasksDir = process.env.TASKS_DIR || 'tasks';
+  const summary = { rewritten: [], unchanged: [], converted: [], failed: [] };
+
+  console.log(`📦 Migrating tasks in ${tasksDir}${dryRun ? ' (dry run)' : ''}\n`);
+
+  // 1. Markdown tasks already in TASKS_DIR
+  for (const status of TASK_STATUSES) {
+    for (const filePath of fileOps.listFiles(path.join(tasksDir, status))) {
+      const taskId = path.basename(filePath, '.md');
+      const task = normalizeMarkdownTask(filePath, status);
+      const validation = taskFile.validate(task.metadata);
+
+      if (!validation.success) {
+        summary.failed.push({ taskId, error: validation.error });
+        continue;
+      }
+
+      const serialized = taskFile.serialize({ metadata: validation.data, content: task.content });
+      if (serialized === fileOps.readFile(filePath)) {
+        summary.unchanged.push(taskId);
+        continue;
+      }
+
+      if (!dryRun) taskFile.save(filePath, task);
+      summary.rewritten.push(taskId);
+    }
+  }
+
+  // 2. JSON specs TaskManager used to write to the PM workspace
+  for (const jsonPath of fileOps.listFiles(jsonDir, '.json')) {
+    const name = path.basename(jsonPath, '.json');
+    try {
+      const task = convertJsonSpec(JSON.parse(fileOps.readFile(jsonPath)));
+      const validation = taskFile.validate(task.metadata);
+
+      if (!validation.success) {
+        summary.failed.push({ taskId: name, error: validation.error });
+        continue;
+      }
+
+      const { id, status } = validation.data;
+      if (TASK_STATUSES.some(s => fileOps.fileExists(path.join(tasksDir, s, `${id}.md`)))) {
+        summary.failed.push({ taskId: id, error: 'a task file with this ID already exists' });
+        continue;
+      }
+
+      if (!dryRun) {
+        taskFile.save(path.join(tasksDir, status, `${id}.md`), task);
+        fs.renameSync(jsonPath, `${jsonPath}.migrated`);
+      }
+      summary.converted.push(id);
+    } catch (error) {
+      summary.failed.push({ taskId: name, error: error.message });
+    }
+  }
+
+  // 3. Register new files with the task store and fix any misplaced ones
+  if (!dryRun) {
+    taskStore.reconcile();
+  }
+
+  console.log(`✏️  Rewritten: ${summary.rewritten.length}`);
+  summary.rewritten.forEach(id => console.log(`   • ${id}`));
+  console.log(`🔁 Converted from JSON: ${summary.converted.length}`);
+  summary.converted.forEach(id => console.log(`   • ${id}`));
+  console.log(`✅ Already canonical: ${summary.unchanged.length}`);
+
+  if (summary.failed.length > 0) {
+    console.log(`\n❌ Could not migrate: ${summary.failed.length}`);
+    summary.failed.forEach(f => console.log(`   • ${f.taskId}: ${f.error}`));
+  }
+
+  const unknownTypes = dryRun ? [] : [...summary.rewritten, ...summary.converted]
+    .map(id => taskStore.getTask(id))
+    .filter(task => task && task.type === 'unknown');
+  if (unknownTypes.length > 0) {
+    console.log(`\n⚠️  Set a type on these tasks so they can be assigned: ${unknownTypes.map(t => t.task_id).join(', ')}`);
+  }
+
+  return summary;
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const jsonDirIndex = args.indexOf('--json-dir');
+  const options = {
+    dryRun: args.includes('--dry-run')
+  };
+  if (jsonDirIndex !== -1 && args[jsonDirIndex + 1]) {
+    options.jsonDir = path.resolve(args[jsonDirIndex + 1]);
+  }
+
+  migrateTasks(options)
+    .then(summary => process.exit(summary.failed.length > 0 ? 1 : 0))
+    .catch(error => {
+      console.error(`\n❌ Migration failed: ${error.message}\n`);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateTasks };
@@ -1,4 +1,5 @@
 const SkillLoader = require('../services/skillLoader');
+const frontmatter = require('../utils/frontmatter');
 const fs = require('fs').promises;
 const path = require('path');
 const readline = require('readline');
@@ -41,9 +42,9 @@ async function listSkills(options = {}) {
 
         try {
           const skillContent = await fs.readFile(skillPath, 'utf8');
-          const skill = SkillLoader.parseSkill(skillContent);
+          const skill = SkillLoader.parseSkill(skillContent, path.join(cat, skillDir, 'SKILL.md'));
 
-          if (agent && !skill.agents.includes(agent)) continue;
+          if (agent && skill.agents.length > 0 && !skill.agents.includes(agent.toLowerCase())) continue;
 
           console.log(`  • ${skill.name} (${skill.version})`);
 
@@ -130,13 +131,13 @@ async function validateSkill(skillPath) {
 
   try {
     const skillContent = await fs.readFile(skillPath, 'utf8');
-    const skill = SkillLoader.parseSkill(skillContent);
+    const skill = SkillLoader.parseSkill(skillContent, skillPath);
 
     console.log('✅ Skill is valid!\n');
     console.log(`Name: ${skill.name}`);
     console.log(`Version: ${skill.version}`);
     console.log(`Description: ${skill.description}`);
-    console.log(`Agents: ${skill.agents.join(', ')}`);
+    console.log(`Agents: ${skill.agents.join(', ') || 'any'}`);
     console.log(`Category: ${skill.category || 'Not specified'}`);
 
     if (skill.dependencies.length > 0) {
@@ -149,7 +150,8 @@ async function validateSkill(skillPath) {
 
     console.log('\n');
   } catch (error) {
-    console.error(`❌ Skill is invalid: ${error.message}\n`);
+    // FrontmatterError messages already list one file:line:column problem per line
+    console.error(`❌ Skill is invalid:\n${error.message}\n`);
     process.exit(1);
   }
 }
@@ -179,17 +181,14 @@ async function createSkill() {
     const dependencies = dependenciesStr ? dependenciesStr.split(',').map(d => d.trim()).filter(Boolean) : [];
 
     // Generate SKILL.md content
-    const skillContent = `---
-name: ${name}
-version: ${version}
-category: ${category}
-description: ${description}
-agents:
-${agents.map(a => `  - ${a}`).join('\n')}
-${dependencies.length > 0 ? `dependencies:\n${dependencies.map(d => `  - ${d}`).join('\n')}` : ''}
----
-
-# ${name}
+    const skillContent = frontmatter.stringify({
+      name,
+      version,
+      category,
+      description,
+      agents,
+      dependencies
+    }, `# ${name}
 
 ${description}
 
@@ -210,7 +209,7 @@ ${description}
 ## Notes
 
 - Add important notes here
-`;
+`);
 
     // Create directory structure
     const skillDir = path.join(SKILLS_DIR, category, name.toLowerCase().replace(/\s+/g, '-'));
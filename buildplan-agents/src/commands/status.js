@@ -1,3 +1,5 @@
+require('dotenv').config();
+
 const AgentCollaboration = require('../services/agentCollaboration');
 const ProgressTracker = require('../services/progressTracker');
 
@@ -106,7 +108,9 @@ function displayAllAgents() {
   if (openBlockers.length > 0) {
     console.log('\nTop Blockers:');
     openBlockers.slice(0, 3).forEach(blocker => {
-      console.log(`  • ${blocker.taskId} (${blocker.severity}): ${blocker.description.substring(0, 50)}...`);
+      const escalated = blocker.escalation !== 'none' ? `, escalated to ${blocker.escalation}` : '';
+      const failureClass = blocker.type ? `${blocker.type}, ` : '';
+      console.log(`  • ${blocker.id} ${blocker.taskId} (${failureClass}${blocker.severity}${escalated}): ${blocker.description.substring(0, 50)}...`);
     });
   }
 
@@ -205,6 +209,9 @@ Examples:
   node src/commands/status.js --agent backend-agent
   node src/commands/status.js --agent backend-agent --watch
   node src/commands/status.js --collaboration
+
+Agent statuses (from the event log) and open blockers are read from agents.db. For
+tasks and live progress, open the dashboard at http://127.0.0.1:${process.env.API_PORT || 4321}/
 `);
 }
 
@@ -0,0 +1,145 @@
+const http = require('http');
+require('dotenv').config();
+
+/**
+ * BuildPlan Generation Watcher
+ * Live view of what the agents are generating, read from the stream the
+ * running orchestrator serves on STREAM_PORT (see services/generationStream)
+ * Usage: node src/commands/watch.js [--task <id>] [--agent <name>] [--port <port>]
+ */
+
+const RECONNECT_DELAY_MS = 3000;
+
+const STATUS_ICONS = {
+  running: '✍️ ',
+  done: '✅',
+  failed: '❌'
+};
+
+/**
+ * Render all known generations, running ones first
+ */
+function render(generations, options) {
+  const shown = [...generations.values()]
+    .filter(g => !options.task || g.taskId === options.task)
+    .filter(g => !options.agent || g.agent.toLowerCase() === options.agent.toLowerCase())
+    .sort((a, b) => (b.status === 'running') - (a.status === 'running') || b.startedAt.localeCompare(a.startedAt));
+
+  console.clear();
+  console.log('╔══════════════════════════════════════════╗');
+  console.log('║      BuildPlan Live Generations          ║');
+  console.log('╚══════════════════════════════════════════╝');
+  console.log(`\nUpdated: ${new Date().toLocaleTimeString()}\n`);
+
+  if (shown.length === 0) {
+    console.log('Nothing generating right now.');
+  }
+
+  for (const g of shown) {
+    const started = new Date(g.startedAt);
+    const ended = g.finishedAt ? new Date(g.finishedAt) : new Date();
+    const seconds = Math.round((ended - started) / 1000);
+
+    console.log(`${STATUS_ICONS[g.status] || '•'} ${g.agent}${g.taskId ? ` ${g.taskId}` : ''} - ${g.phase}`);
+    console.log(`   ~${g.tokens.toLocaleString('en-US')} tokens, ${seconds}s`);
+    g.files.forEach(file => console.log(`   📄 ${file}`));
+    console.log('');
+  }
+
+  console.log('[Press Ctrl+C to exit]');
+}
+
+/**
+ * Connect to the orchestrator's event stream and redraw on every event;
+ * reconnects when the orchestrator restarts
+ */
+function runWatch(options = {}) {
+  const port = options.port || process.env.STREAM_PORT || 4319;
+  const generations = new Map();
+
+  const connect = () => {
+    const req = http.get({ host: '127.0.0.1', port, path: '/events' }, (res) => {
+      let buffer = '';
+      res.setEncoding('utf8');
+
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let boundary;
+
+        // SSE events are separated by a blank line
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+          const raw = buffer.slice(0, boundary);
+          buffer = buffer.slice(boundary + 2);
+
+          const event = (raw.match(/^event: (.+)$/m) || [])[1];
+          const data = (raw.match(/^data: (.+)$/m) || [])[1];
+          if (!event || !data) continue;
+
+          const payload = JSON.parse(data);
+          if (event === 'snapshot') {
+            generations.clear();
+            payload.forEach(g => generations.set(g.id, g));
+          } else {
+            generations.set(payload.id, payload);
+          }
+          render(generations, options);
+        }
+      });
+
+      res.on('end', () => {
+        console.log(`\nStream closed, reconnecting in ${RECONNECT_DELAY_MS / 1000}s...`);
+        setTimeout(connect, RECONNECT_DELAY_MS);
+      });
+    });
+
+    req.on('error', (error) => {
+      console.log(`Cannot reach the orchestrator on port ${port} (${error.code || error.message}); retrying in ${RECONNECT_DELAY_MS / 1000}s...`);
+      setTimeout(connect, RECONNECT_DELAY_MS);
+    });
+  };
+
+  connect();
+}
+
+/**
+ * Show help
+ */
+function showHelp() {
+  console.log(`
+BuildPlan Generation Watcher
+
+Usage: node src/commands/watch.js [options]
+
+Shows what the agents are generating right now: phase, tokens so far and the
+files the response names. The orchestrator must be running.
+
+Options:
+  --task <id>                 Only show generations for this task
+  --agent <name>              Only show generations by this agent (e.g. Backend-Agent)
+  --port <port>               Stream port (default: STREAM_PORT or 4319)
+
+Examples:
+  node src/commands/watch.js
+  node src/commands/watch.js --task TASK-001-02
+`);
+}
+
+// CLI execution
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help') || args.includes('-h')) {
+    showHelp();
+    process.exit(0);
+  }
+
+  const options = {
+    task: args.includes('--task') ? args[args.indexOf('--task') + 1] : null,
+    agent: args.includes('--agent') ? args[args.indexOf('--agent') + 1] : null,
+    port: args.includes('--port') ? parseInt(args[args.indexOf('--port') + 1], 10) : null
+  };
+
+  runWatch(options);
+}
+
+module.exports = { runWatch, render };
@@ -1,30 +1,44 @@
-const TelegramBot = require('node-telegram-bot-api');
 const cron = require('node-cron');
 const chokidar = require('chokidar');
 const path = require('path');
-const Database = require('better-sqlite3');
 const logger = require('./utils/logger');
 const fileOps = require('./utils/file-ops');
+const database = require('./utils/database');
+const taskStore = require('./services/taskStore');
+const requestStore = require('./services/requestStore');
+const gitOps = require('./services/gitOps');
+const codeIndex = require('./services/codeIndex');
+const costTracker = require('./services/costTracker');
+const generationStream = require('./services/generationStream');
+const conversationMemory = require('./services/conversationMemory');
+const reviewButtons = require('./services/reviewButtons');
+const accessControl = require('./services/accessControl');
+const docBrowser = require('./services/docBrowser');
+const callbackSigner = require('./utils/callback-signer');
+const ControlPlane = require('./services/controlPlane');
+const ControlApi = require('./services/controlApi');
+const TeamNotifier = require('./services/teamNotifier');
+const BlockerMonitor = require('./services/blockerMonitor');
+const RetryScheduler = require('./services/retryScheduler');
+const { createChannel } = require('./channels');
+const formatting = require('./channels/formatting');
 
 require('dotenv').config();
 
 class AgentOrchestrator {
   constructor() {
-    this.telegramBot = new TelegramBot(process.env.TELEGRAM_BOT_TOKEN, { polling: true });
-    // If this bot token was previously configured for webhook delivery, Telegram will
-    // reject getUpdates polling with a 409 conflict. We proactively clear any webhook
-    // so local dev polling "just works".
-    this._ensurePollingMode = async () => {
-      try {
-        await this.telegramBot.deleteWebHook({ drop_pending_updates: true });
-      } catch (e) {
-        // Non-fatal; polling may still work if no webhook is set.
-        logger.warn('Could not delete Telegram webhook (continuing):', e.message || e);
-      }
-    };
+    // Team chat: Telegram, Slack, Discord or the built-in web chat (CHAT_PLATFORM)
+    this.channel = createChannel();
+    // Operations on requests, tasks and agents, for chat commands and the HTTP API
+    this.controlPlane = new ControlPlane(this);
+    this.controlApi = new ControlApi(this.controlPlane);
     this.pmAgent = null;
     this.db = null;
-    this.pendingApproval = null; // Stores state when waiting for user information
+    // Commands waiting for the user to pick which request they meant
+    this.requestPicks = new Map();
+    this.nextPickId = 1;
+    // Reply prompts from review buttons, by prompt message ID
+    this.reviewReplies = new Map();
     
     // Specialist AI agents
     this.agents = {
@@ -49,6 +63,14 @@ class AgentOrchestrator {
       const TeamCommsService = require('./services/teamComms');
       this.teamComms = new TeamCommsService(this);
       logger.info('✅ Team Communication service loaded');
+
+      // 1c. Post chat notices for task, request and standup events
+      this.teamNotifier = new TeamNotifier(this);
+      this.teamNotifier.start();
+
+      // 1d. Escalate blockers that are past their SLA
+      this.blockerMonitor = new BlockerMonitor();
+      this.blockerMonitor.start();
       
       // 2. Load PM Agent
       const { PMAgent } = require('./agents/pm-agent');
@@ -58,11 +80,15 @@ class AgentOrchestrator {
       // 2b. Load Specialist Agents
       this.loadSpecialistAgents();
       logger.info('✅ Specialist agents loaded');
+
+      // 2c. Start failed tasks again once their retry backoff runs out
+      this.retryScheduler = new RetryScheduler(this);
+      this.retryScheduler.start();
       
-      // 3. Setup Telegram bot
-      await this._ensurePollingMode();
-      this.setupTelegramHandlers();
-      logger.info('✅ Telegram bot ready');
+      // 3. Connect to the team chat
+      this.setupChatHandlers();
+      await this.channel.start();
+      logger.info(`✅ ${this.channel.name} chat ready`);
       
       // 4. Setup file watchers
       this.setupFileWatchers();
@@ -76,6 +102,18 @@ class AgentOrchestrator {
       this.startPMAgentLoop();
       logger.info('✅ PM Agent running');
       
+      // 6b. Serve live generation progress to `node src/commands/watch.js`
+      const streamPort = parseInt(process.env.STREAM_PORT || '4319', 10);
+      if (streamPort > 0) {
+        generationStream.serve(streamPort);
+      }
+
+      // 6c. Serve the HTTP API for other tools
+      const apiPort = parseInt(process.env.API_PORT || '4321', 10);
+      if (apiPort > 0) {
+        this.controlApi.serve(apiPort, process.env.API_HOST || '127.0.0.1');
+      }
+      
       // 7. Send startup notification
       await this.teamComms.teamAnnouncement('🚀 <b>BuildPlan AI Team is now online!</b>\n\n' +
         '👥 All agents are ready to collaborate\n' +
@@ -147,8 +185,7 @@ class AgentOrchestrator {
   }
 
   async setupDatabase() {
-    const dbPath = path.join(__dirname, '..', 'agents.db');
-    this.db = new Database(dbPath);
+    this.db = database.getConnection();
     
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS agents (
@@ -159,38 +196,25 @@ class AgentOrchestrator {
         last_active DATETIME DEFAULT CURRENT_TIMESTAMP,
         tasks_completed INTEGER DEFAULT 0
       );
-
-      CREATE TABLE IF NOT EXISTS task_queue (
-        task_id TEXT PRIMARY KEY,
-        type TEXT NOT NULL,
-        priority TEXT NOT NULL,
-        status TEXT NOT NULL,
-        assigned_agent TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        started_at DATETIME,
-        completed_at DATETIME
-      );
-
-      CREATE TABLE IF NOT EXISTS requests (
-        request_id TEXT PRIMARY KEY,
-        title TEXT NOT NULL,
-        status TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        approved_at DATETIME,
-        completed_at DATETIME
-      );
     `);
     
     logger.info('Database tables created/verified');
+
+    // Task state lives in task_queue; repair any task files left out of sync
+    // by a crash mid-transition and import files created outside the store
+    taskStore.reconcile();
+    requestStore.reconcile();
+    accessControl.seedAdmins();
+
+    // Worktrees of tasks that are no longer in progress were orphaned by a crash
+    gitOps.cleanupWorktrees(taskStore.listTasks({ status: 'in-progress' }).map(t => t.task_id));
   }
 
   setupFileWatchers() {
     const requestsPath = path.join(process.env.REQUESTS_DIR, 'pending');
-    const tasksPath = path.join(process.env.TASKS_DIR, 'in-progress');
     
     // Ensure directories exist
     fileOps.ensureDirectory(requestsPath);
-    fileOps.ensureDirectory(tasksPath);
     
     // Watch for new requests
     chokidar.watch(requestsPath, {
@@ -212,24 +236,12 @@ class AgentOrchestrator {
       }
     });
 
-    // Watch for task updates
-    chokidar.watch(tasksPath, {
-      persistent: true,
-      awaitWriteFinish: {
-        stabilityThreshold: 2000,
-        pollInterval: 100
-      }
-    }).on('change', async (filePath) => {
-      logger.info(`📝 Task updated: ${filePath}`);
-      try {
-        await this.pmAgent.handleTaskUpdate(filePath);
-      } catch (error) {
-        logger.error('Error handling task update:', error);
-      }
-    });
-    
+    // Task changes need no watcher: taskStore publishes them on the event bus
     logger.info(`Watching: ${requestsPath}`);
-    logger.info(`Watching: ${tasksPath}`);
+
+    // Keep the code index agents draw prompt context from in sync with the project
+    codeIndex.refresh();
+    codeIndex.watch();
   }
 
   setupCronJobs() {
@@ -267,17 +279,9 @@ class AgentOrchestrator {
     logger.info(`PM Agent checking every ${interval / 1000 / 60} minutes`);
   }
 
-  setupTelegramHandlers() {
-    // Store last request ID for quick approval
-    this.lastRequestId = null;
-    
-    // Handle errors
-    this.telegramBot.on('polling_error', (error) => {
-      logger.error('Telegram polling error:', error);
-    });
-
-    // /request command - submit new request via Telegram (supports multiline)
-    this.telegramBot.onText(/\/request([\s\S]+)/, async (msg, match) => {
+  setupChatHandlers() {
+    // /request command - submit new request from chat (supports multiline)
+    this.onCommand(/\/request\b([\s\S]+)/, 'request', async (msg, match) => {
       try {
         const description = match[1].trim();
         
@@ -287,31 +291,12 @@ class AgentOrchestrator {
         }
         
         const username = msg.from.username || msg.from.first_name;
-        
-        // Create request file
-        const requestId = `REQ-${Date.now()}`;
-        this.lastRequestId = requestId; // Store for quick approval
-        
-        // Extract title from description (first line or first 50 chars)
-        const firstLine = description.split('\n')[0].replace(/^#+\s*/, '').trim();
-        const title = firstLine.substring(0, 50) || 'New Request';
-        
-        const requestContent = `# ${requestId}: ${title}\n\n` +
-          `**Submitted By**: ${username}\n` +
-          `**Date**: ${new Date().toISOString()}\n` +
-          `**Priority**: Medium\n` +
-          `**Status**: Pending\n\n` +
-          `${description}\n`;
-        
-        const requestPath = path.join(process.env.REQUESTS_DIR, 'pending', `${requestId}.md`);
-        fileOps.writeFile(requestPath, requestContent);
+        const { title } = this.controlPlane.createRequest(description, username);
         
         await this.sendFormattedMessage(msg.chat.id, 
           `📝 <b>Request Created</b>\n<i>${title}...</i>\n\n⏳ Analyzing...`
         );
         
-        logger.info(`Request created: ${requestId} by ${username}`);
-        
       } catch (error) {
         logger.error('Error in /request:', error);
         await this.sendFormattedMessage(msg.chat.id, '❌ <b>Error</b>: Could not create request');
@@ -319,103 +304,174 @@ class AgentOrchestrator {
     });
 
     // /standup command
-    this.telegramBot.onText(/\/standup/, async (msg) => {
+    this.onCommand(/\/standup/, 'standup', async (msg) => {
       try {
         const report = await this.pmAgent.getLatestStandup();
-        await this.telegramBot.sendMessage(msg.chat.id, report, { parse_mode: 'Markdown' });
+        await this.channel.send(msg.chat.id, report, { format: 'markdown' });
       } catch (error) {
         logger.error('Error in /standup:', error);
-        await this.telegramBot.sendMessage(msg.chat.id, '❌ Error generating standup');
+        await this.channel.send(msg.chat.id, '❌ Error generating standup');
       }
     });
 
     // /modify command - request changes to pending analysis
-    this.telegramBot.onText(/\/modify([\s\S]+)/, async (msg, match) => {
-      try {
-        const modifications = match[1].trim();
+    this.onCommand(/\/modify([\s\S]+)/, 'modify', async (msg, match) => {
+      const { requestId, text: modifications } = this.parseRequestArgs(match[1]);
         
-        if (!modifications) {
-          await this.sendFormattedMessage(msg.chat.id, '❌ Please specify what you want to modify');
-          return;
-        }
+      if (!modifications) {
+        await this.sendFormattedMessage(msg.chat.id, '❌ Please specify what you want to modify');
+        return;
+      }
         
-        if (!this.lastRequestId) {
-          await this.sendFormattedMessage(msg.chat.id, '❌ No active request to modify. Submit one first with /request');
-          return;
-        }
+      await this.withRequest(msg, {
+        requestId,
+        statuses: ['in-analysis', 'awaiting-info'],
+        action: 'modify request',
+        none: '❌ No request in analysis to modify. Submit one first with /request',
+        run: id => this.controlPlane.modifyRequest(id, modifications, msg.from.username)
+      });
+    });
+    
+    // /provide command - submit required information
+    this.onCommand(/\/provide([\s\S]+)/, 'provide', async (msg, match) => {
+      const { requestId, text: information } = this.parseRequestArgs(match[1]);
         
-        await this.pmAgent.modifyRequest(this.lastRequestId, modifications, msg.from.username);
-      } catch (error) {
-        logger.error('Error in /modify:', error);
-        await this.sendFormattedMessage(msg.chat.id, '❌ <b>Error</b>: Could not modify request');
+      if (!information) {
+        await this.sendFormattedMessage(msg.chat.id, '❌ Please provide the requested information');
+        return;
       }
+        
+      await this.withRequest(msg, {
+        requestId,
+        statuses: ['awaiting-info'],
+        action: 'process information',
+        none: '❌ No request is waiting for information',
+        run: id => this.controlPlane.provideInformation(id, information, msg.from.username)
+      });
     });
     
-    // /provide command - submit required information
-    this.telegramBot.onText(/\/provide([\s\S]+)/, async (msg, match) => {
+    // /approve [id] - approve a task or request; without an ID, the request in analysis
+    this.onCommand(/\/approve\s*(.*)/, 'approve', async (msg, match) => {
+      await this.withRequest(msg, {
+        requestId: match[1].trim() || null,
+        statuses: ['in-analysis'],
+        action: 'approve',
+        none: '❌ No request to approve. Submit one first with /request',
+        run: id => this.controlPlane.approve(id, msg.from.username)
+      });
+    });
+
+    // /requests - list open requests
+    this.onCommand(/\/requests/, 'requests', async (msg) => {
       try {
-        const information = match[1].trim();
-        
-        if (!information) {
-          await this.sendFormattedMessage(msg.chat.id, '❌ Please provide the requested information');
+        const requests = requestStore.listRequests({ status: requestStore.OPEN_STATUSES });
+        if (requests.length === 0) {
+          await this.sendFormattedMessage(msg.chat.id, '📭 No open requests. Submit one with /request');
           return;
         }
-        
-        await this.pmAgent.provideInformation(information, msg.from.username);
+
+        const lines = requests.map(r =>
+          `• <code>${r.request_id}</code> <b>${r.status}</b> - ${this.escapeHtml(r.title || 'Untitled')}` +
+          `${r.submitted_by ? ` <i>(${this.escapeHtml(r.submitted_by)})</i>` : ''}`
+        );
+        await this.sendFormattedMessage(msg.chat.id, `📂 <b>Open Requests</b>\n\n${lines.join('\n')}`);
       } catch (error) {
-        logger.error('Error in /provide:', error);
-        await this.sendFormattedMessage(msg.chat.id, '❌ <b>Error</b>: Could not process information');
+        logger.error('Error in /requests:', error);
+        await this.sendFormattedMessage(msg.chat.id, '❌ Error listing requests');
       }
     });
-    
-    // /approve command - now supports just /approve (uses last request)
-    this.telegramBot.onText(/\/approve\s*(.*)/, async (msg, match) => {
+
+    // Run a command that was waiting for the user to pick a request
+    this.channel.onButton(async (button) => {
+      const match = (callbackSigner.verify(button.data) || '').match(/^reqpick:(\d+):(.+)$/);
+      if (!match) return;
+
+      const pick = this.requestPicks.get(parseInt(match[1], 10));
+      if (pick && pick.userId !== button.from.id) {
+        await this.channel.answerButton(button, { text: 'Only the person who ran the command can pick' });
+        return;
+      }
+      this.requestPicks.delete(parseInt(match[1], 10));
+
       try {
-        let taskId = match[1].trim();
-        
-        // If no ID provided, use last request
-        if (!taskId && this.lastRequestId) {
-          taskId = this.lastRequestId;
-        }
-        
-        if (!taskId) {
-          await this.sendFormattedMessage(msg.chat.id, '❌ No request to approve. Submit one first with /request');
-          return;
-        }
-        
-        await this.pmAgent.approveTask(taskId, msg.from.username);
+        await this.channel.answerButton(button, { text: pick ? match[2] : 'This choice has expired' });
+        await this.channel.edit(button.chat.id, button.messageId,
+          pick ? `👉 ${match[2]}` : '⌛ This choice has expired, run the command again');
       } catch (error) {
-        logger.error('Error in /approve:', error);
-        await this.sendFormattedMessage(msg.chat.id, '❌ <b>Error</b>: Could not approve');
+        logger.error('Error answering request picker:', error);
+      }
+
+      if (pick) {
+        await this.runForRequest(button.chat.id, match[2], pick);
       }
     });
 
-    // /reject command
-    this.telegramBot.onText(/\/reject (.+)/, async (msg, match) => {
+    // /reject [id] [reason] - send a task in review back, or turn down a request
+    this.onCommand(/\/reject (.+)/, 'reject', async (msg, match) => {
+      const [id, ...reason] = match[1].trim().split(/\s+/);
       try {
-        const parts = match[1].split(' ');
-        const taskId = parts[0];
-        const reason = parts.slice(1).join(' ') || 'No reason provided';
-        await this.pmAgent.rejectTask(taskId, reason, msg.from.username);
+        await this.controlPlane.reject(id, reason.join(' '), msg.from.username);
       } catch (error) {
         logger.error('Error in /reject:', error);
-        await this.telegramBot.sendMessage(msg.chat.id, '❌ Error rejecting task');
+        await this.sendFormattedMessage(msg.chat.id, this.describeError(error, `Could not reject ${id}`));
+      }
+    });
+
+    // /cancel [task-id] [reason] - cancel a task that isn't finished
+    this.onCommand(/\/cancel (.+)/, 'cancel', async (msg, match) => {
+      const [taskId, ...reason] = match[1].trim().split(/\s+/);
+      try {
+        await this.controlPlane.cancelTask(taskId, reason.join(' ') || null, msg.from.username);
+      } catch (error) {
+        logger.error('Error in /cancel:', error);
+        await this.sendFormattedMessage(msg.chat.id, this.describeError(error, `Could not cancel ${taskId}`));
+      }
+    });
+
+    // /agents - list agents, whether they are paused and what they are working on
+    this.onCommand(/\/agents/, 'agents', async (msg) => {
+      const lines = this.controlPlane.listAgents().map(agent =>
+        `${agent.paused ? '⏸️' : '▶️'} <b>${agent.name}</b> (${agent.role})` +
+        `${agent.tasks.length > 0 ? `: ${agent.tasks.map(id => `<code>${id}</code>`).join(', ')}` : ''}` +
+        `${agent.paused ? `\n   <i>paused by ${this.escapeHtml(agent.pausedBy || 'unknown')}${agent.reason ? `: ${this.escapeHtml(agent.reason)}` : ''}</i>` : ''}`
+      );
+      await this.sendFormattedMessage(msg.chat.id, `🤖 <b>Agents</b>\n\n${lines.join('\n')}`);
+    });
+
+    // /pause [agent] [reason] and /resume [agent] - stop or restart giving an agent new tasks
+    this.onCommand(/\/pause (.+)/, 'pause', async (msg, match) => {
+      const [name, ...reason] = match[1].trim().split(/\s+/);
+      try {
+        this.controlPlane.pauseAgent(name.toLowerCase(), msg.from.username, reason.join(' ') || null);
+        await this.sendFormattedMessage(msg.chat.id, `⏸️ <b>${this.escapeHtml(name)}</b> gets no new tasks until <code>/resume ${this.escapeHtml(name)}</code>`);
+      } catch (error) {
+        await this.sendFormattedMessage(msg.chat.id, this.describeError(error, `Could not pause ${name}`));
+      }
+    });
+
+    this.onCommand(/\/resume (.+)/, 'resume', async (msg, match) => {
+      const name = match[1].trim().toLowerCase();
+      try {
+        await this.controlPlane.resumeAgent(name, msg.from.username);
+        await this.sendFormattedMessage(msg.chat.id, `▶️ <b>${this.escapeHtml(name)}</b> is taking tasks again`);
+      } catch (error) {
+        await this.sendFormattedMessage(msg.chat.id, this.describeError(error, `Could not resume ${name}`));
       }
     });
 
     // /status command
-    this.telegramBot.onText(/\/status/, async (msg) => {
+    this.onCommand(/\/status/, 'status', async (msg) => {
       try {
         const status = await this.pmAgent.getStatus();
-        await this.telegramBot.sendMessage(msg.chat.id, status, { parse_mode: 'Markdown' });
+        await this.channel.send(msg.chat.id, status, { format: 'markdown' });
       } catch (error) {
         logger.error('Error in /status:', error);
-        await this.telegramBot.sendMessage(msg.chat.id, '❌ Error getting status');
+        await this.channel.send(msg.chat.id, '❌ Error getting status');
       }
     });
 
     // /blockers command - show all blocked tasks
-    this.telegramBot.onText(/\/blockers/, async (msg) => {
+    this.onCommand(/\/blockers/, 'blockers', async (msg) => {
       try {
         const PMConversation = require('./services/pmConversation');
         const pmConvo = new PMConversation();
@@ -431,7 +487,7 @@ class AgentOrchestrator {
     });
 
     // /blocker [task-id] - get detailed blocker information for a specific task
-    this.telegramBot.onText(/\/blocker (.+)/, async (msg, match) => {
+    this.onCommand(/\/blocker (.+)/, 'blocker', async (msg, match) => {
       try {
         const taskId = match[1].trim();
         const PMConversation = require('./services/pmConversation');
@@ -447,15 +503,205 @@ class AgentOrchestrator {
       }
     });
 
+    // /resolve [BLK-id] [what fixed it] - close a blocker; its task goes back to the backlog
+    this.onCommand(/\/resolve\b\s*([\s\S]*)/, 'resolve', async (msg, match) => {
+      const [, blockerId, resolution] = match[1].trim().match(/^(\S*)\s*([\s\S]*)$/);
+      if (!blockerId) {
+        await this.sendFormattedMessage(msg.chat.id, '❌ Usage: <code>/resolve BLK-12 what fixed it</code> (see /blockers for IDs)');
+        return;
+      }
+      try {
+        await this.controlPlane.resolveBlocker(blockerId, resolution, msg.from.username);
+      } catch (error) {
+        logger.error('Error in /resolve:', error);
+        await this.sendFormattedMessage(msg.chat.id, this.describeError(error, `Could not resolve ${blockerId}`));
+      }
+    });
+
+    // /graph [request-id] - show the task dependency graph
+    this.onCommand(/\/graph\s*(.*)/, 'graph', async (msg, match) => {
+      try {
+        const taskScheduler = require('./services/taskScheduler');
+        const requestId = match[1].trim() || null;
+        
+        await this.sendFormattedMessage(msg.chat.id, taskScheduler.renderGraph(requestId));
+      } catch (error) {
+        logger.error('Error in /graph:', error);
+        await this.sendFormattedMessage(msg.chat.id, '❌ Error rendering task graph');
+      }
+    });
+
+    // /audit [agent] [denied] [count] - show recent agent file access
+    this.onCommand(/\/audit\s*(.*)/, 'audit', async (msg, match) => {
+      try {
+        const Permissions = require('./services/permissions');
+        const filters = { limit: 20 };
+        
+        for (const arg of match[1].trim().split(/\s+/).filter(Boolean)) {
+          if (arg === 'denied' || arg === 'allowed') {
+            filters.allowed = arg === 'allowed';
+          } else if (['read', 'write'].includes(arg)) {
+            filters.action = arg;
+          } else if (/^\d+$/.test(arg)) {
+            filters.limit = Math.min(parseInt(arg, 10), 100);
+          } else {
+            filters.agent = arg.toLowerCase();
+          }
+        }
+        
+        await this.sendFormattedMessage(msg.chat.id, Permissions.formatAuditLog(Permissions.getAuditLog(filters)));
+      } catch (error) {
+        logger.error('Error in /audit:', error);
+        await this.sendFormattedMessage(msg.chat.id, '❌ Error reading the audit log');
+      }
+    });
+
+    // /costs [days|request-id|task-id] - LLM spend by request, agent and day
+    this.onCommand(/\/costs\s*(.*)/, 'costs', async (msg, match) => {
+      try {
+        const arg = match[1].trim();
+        let filters = {};
+        let label = 'all time';
+
+        if (/^\d+$/.test(arg)) {
+          filters = { days: parseInt(arg, 10) };
+          label = `last ${arg} days`;
+        } else if (arg) {
+          filters = costTracker.scopeOf(arg) === 'request' ? { requestId: arg } : { taskId: arg };
+          label = arg;
+        }
+
+        await this.sendFormattedMessage(msg.chat.id, costTracker.formatSummary(costTracker.getSummary(filters), label));
+      } catch (error) {
+        logger.error('Error in /costs:', error);
+        await this.sendFormattedMessage(msg.chat.id, '❌ Error reading LLM costs');
+      }
+    });
+
+    // /budget [id] [usd] - list budgets, or approve a new limit and resume paused tasks
+    this.onCommand(/\/budget\s*(.*)/, 'budget', async (msg, match) => {
+      try {
+        const [id, amount] = match[1].trim().split(/\s+/).filter(Boolean);
+
+        if (!id) {
+          await this.sendFormattedMessage(msg.chat.id, costTracker.formatBudgets());
+          return;
+        }
+
+        const limitUsd = parseFloat(amount);
+        if (!amount || isNaN(limitUsd) || limitUsd < 0) {
+          await this.sendFormattedMessage(msg.chat.id, '❌ Usage: <code>/budget [task-or-request-id] [usd]</code> (0 removes the limit)');
+          return;
+        }
+
+        const released = costTracker.setBudget(id, limitUsd, msg.from.username);
+        for (const taskId of released) {
+          const task = taskStore.getTask(taskId);
+          if (task && task.status === 'blocked') {
+            taskStore.transition(taskId, 'backlog', { actor: msg.from.username, reason: `Budget for ${id} raised to $${limitUsd}` });
+          }
+        }
+
+        await this.sendFormattedMessage(msg.chat.id,
+          `✅ Budget for <code>${this.escapeHtml(id)}</code> set to ${limitUsd > 0 ? `$${limitUsd.toFixed(2)}` : 'no limit'}` +
+          (released.length > 0 ? `\n\n▶️ Resuming: ${released.map(t => `<code>${t}</code>`).join(', ')}` : ''));
+
+        if (released.length > 0) {
+          await this.pmAgent.assignPendingTasks();
+        }
+      } catch (error) {
+        logger.error('Error in /budget:', error);
+        await this.sendFormattedMessage(msg.chat.id, '❌ Error updating budget');
+      }
+    });
+
+    // /grant [@user|user-id|id:<user-id>|chat|chat:<id>] [role] - give a user or chat a role
+    this.onCommand(/\/grant\s*(.*)/, 'grant', async (msg, match) => {
+      try {
+        const [ref, role] = match[1].trim().split(/\s+/);
+        const subject = this.parseSubject(ref, msg);
+        if (!subject || !accessControl.ROLES.includes(role)) {
+          await this.sendFormattedMessage(msg.chat.id,
+            `Usage: <code>/grant @username|id:&lt;user-id&gt;|chat|chat:&lt;id&gt; ${accessControl.ROLES.join('|')}</code>`);
+          return;
+        }
+
+        accessControl.grant(subject.type, subject.id, role, msg.from.username || String(msg.from.id));
+        await this.sendFormattedMessage(msg.chat.id,
+          `🔑 ${subject.type === 'chat' ? 'Chat' : 'User'} <code>${this.escapeHtml(subject.id)}</code> is now <b>${role}</b>`);
+      } catch (error) {
+        logger.error('Error in /grant:', error);
+        await this.sendFormattedMessage(msg.chat.id, '❌ Error granting access');
+      }
+    });
+
+    // /revoke [@user|user-id|id:<user-id>|chat|chat:<id>] - remove a user's or chat's access
+    this.onCommand(/\/revoke\s*(.*)/, 'revoke', async (msg, match) => {
+      try {
+        const subject = this.parseSubject(match[1].trim(), msg);
+        if (!subject) {
+          await this.sendFormattedMessage(msg.chat.id, 'Usage: <code>/revoke @username|id:&lt;user-id&gt;|chat|chat:&lt;id&gt;</code>');
+          return;
+        }
+
+        const removed = accessControl.revoke(subject.type, subject.id, msg.from.username || String(msg.from.id));
+        await this.sendFormattedMessage(msg.chat.id, removed
+          ? `🚫 Revoked access for <code>${this.escapeHtml(subject.id)}</code>`
+          : `⚠️ <code>${this.escapeHtml(subject.id)}</code> had no access to revoke`);
+      } catch (error) {
+        logger.error('Error in /revoke:', error);
+        await this.sendFormattedMessage(msg.chat.id, '❌ Error revoking access');
+      }
+    });
+
+    // /access [log] [@user] [command] [denied] [count] - list grants, or the command audit log
+    this.onCommand(/\/access\s*(.*)/, 'access', async (msg, match) => {
+      try {
+        const args = match[1].trim().split(/\s+/).filter(Boolean);
+        if (args[0] !== 'log') {
+          await this.sendFormattedMessage(msg.chat.id, accessControl.formatGrants(accessControl.listGrants()));
+          return;
+        }
+
+        const filters = { limit: 20 };
+        for (const arg of args.slice(1)) {
+          if (arg === 'denied' || arg === 'allowed') {
+            filters.allowed = arg === 'allowed';
+          } else if (/^\d+$/.test(arg)) {
+            filters.limit = Math.min(parseInt(arg, 10), 100);
+          } else if (arg.startsWith('@')) {
+            filters.username = arg;
+          } else {
+            filters.command = arg.replace(/^\//, '');
+          }
+        }
+        await this.sendFormattedMessage(msg.chat.id, accessControl.formatAuditLog(accessControl.getAuditLog(filters)));
+      } catch (error) {
+        logger.error('Error in /access:', error);
+        await this.sendFormattedMessage(msg.chat.id, '❌ Error reading access');
+      }
+    });
+
+    // /forget - clear the PM's memory of this chat
+    this.onCommand(/\/forget/, 'forget', async (msg) => {
+      try {
+        const deleted = conversationMemory.clear(`${this.channel.name}:${msg.chat.id}`);
+        await this.sendFormattedMessage(msg.chat.id, `🧹 Forgot this conversation (${deleted} messages). Next question starts fresh.`);
+      } catch (error) {
+        logger.error('Error in /forget:', error);
+        await this.sendFormattedMessage(msg.chat.id, '❌ Error clearing the conversation');
+      }
+    });
+
     // /todo command - show TODO.md
-    this.telegramBot.onText(/\/todo/, async (msg) => {
+    this.onCommand(/\/todo/, 'todo', async (msg) => {
       try {
         const todoPath = path.join(process.env.PROJECT_ROOT, 'TODO.md');
         const content = fileOps.readFile(todoPath);
         
         if (content) {
-          // Format markdown for Telegram - let sendFormattedMessage handle splitting
-          const formatted = this.formatMarkdownForTelegram(content);
+          // Format markdown for chat - let sendFormattedMessage handle splitting
+          const formatted = formatting.markdownToHtml(content);
           
           await this.sendFormattedMessage(msg.chat.id, 
             `📋 <b>TODO.md</b>\n\n${formatted}`
@@ -469,25 +715,39 @@ class AgentOrchestrator {
       }
     });
     
-    // /doc command - retrieve any document
-    this.telegramBot.onText(/\/doc (.+)/, async (msg, match) => {
+    // /doc [path or name] - read a project document, a page at a time
+    this.onCommand(/\/doc\b\s*(.*)/, 'doc', async (msg, match) => {
       try {
-        const filename = match[1].trim();
-        const docPath = path.join(process.env.PROJECT_ROOT, filename);
-        const content = fileOps.readFile(docPath);
-        
-        if (content) {
-          // Format markdown files, show raw for others - let sendFormattedMessage handle splitting
-          const formatted = filename.endsWith('.md') ?
-            this.formatMarkdownForTelegram(content) :
-            `<pre>${this.escapeHtml(content)}</pre>`;
-          
-          await this.sendFormattedMessage(msg.chat.id, 
-            `📄 <b>${filename}</b>\n\n${formatted}`
-          );
-        } else {
-          await this.sendFormattedMessage(msg.chat.id, `⚠️ File not found: ${filename}`);
+        const query = match[1].trim();
+        if (!query) {
+          await this.sendFormattedMessage(msg.chat.id,
+            `Usage: <code>/doc [path or part of a name]</code>\n\nReadable: <code>${this.escapeHtml(docBrowser.allowedPatterns.join(', '))}</code>`);
+          return;
         }
+
+        const found = docBrowser.find(query);
+        if (found.path) {
+          await this.sendDocPage(msg.chat.id, found.path, 1);
+          return;
+        }
+        if (found.matches.length === 1) {
+          await this.sendDocPage(msg.chat.id, found.matches[0], 1);
+          return;
+        }
+
+        const heading = `⚠️ No readable file named <code>${this.escapeHtml(query)}</code>`;
+        if (found.matches.length === 0) {
+          await this.sendFormattedMessage(msg.chat.id, heading);
+          return;
+        }
+
+        await this.channel.send(msg.chat.id, `${heading}. Did you mean:`, {
+          format: 'html',
+          buttons: found.matches.map(file => [{
+            text: file,
+            data: callbackSigner.sign(`doc:${docBrowser.refFor(file)}:1`)
+          }])
+        });
       } catch (error) {
         logger.error('Error in /doc:', error);
         await this.sendFormattedMessage(msg.chat.id, '❌ Error reading document');
@@ -495,7 +755,7 @@ class AgentOrchestrator {
     });
     
     // /template command - show request template
-    this.telegramBot.onText(/\/template/, async (msg) => {
+    this.onCommand(/\/template/, 'template', async (msg) => {
       const template = `📝 <b>Request Template</b>\n\n` +
         `Copy and fill out this template for best results:\n\n` +
         `<pre>` +
@@ -520,26 +780,44 @@ class AgentOrchestrator {
     });
 
     // /help command
-    this.telegramBot.onText(/\/help/, async (msg) => {
+    this.onCommand(/\/help/, 'help', async (msg) => {
       const help = `<b>🤖 BuildPlan AI Team</b>\n\n` +
         `💬 <b>Talk to your PM!</b> Just send a message:\n` +
         `   <i>"What blockers do we have?"</i>\n` +
         `   <i>"What's the status of the project?"</i>\n` +
-        `   <i>"What should we work on next?"</i>\n\n` +
+        `   <i>"What should we work on next?"</i>\n` +
+        `   <i>"Retry the blocked backend task with a smaller scope"</i>\n` +
+        `   (approvals, rejections, retries, reassignments and blocker resolutions ask you to confirm)\n\n` +
         `<b>Core Commands:</b>\n` +
         `📝 /request [description] - Submit work request\n` +
         `📑 /template - Get structured request template\n` +
-        `✏️ /modify [changes] - Request changes to analysis\n` +
-        `✅ /approve - Approve latest request\n` +
-        `📝 /provide [info] - Submit required information\n` +
-        `📋 /status - Check team progress\n\n` +
+        `✏️ /modify [request-id] [changes] - Request changes to analysis\n` +
+        `✅ /approve [id] - Approve a request or a task in review\n` +
+        `❌ /reject [id] [reason] - Send a task back, or turn down a request\n` +
+        `🗑️ /cancel [task-id] [reason] - Cancel a task\n` +
+        `📝 /provide [request-id] [info] - Submit required information\n` +
+        `📂 /requests - List open requests\n` +
+        `📋 /status - Check team progress\n` +
+        `🧹 /forget - Start a fresh conversation with the PM\n\n` +
         `<b>Info & Reports:</b>\n` +
         `📊 /standup - Daily team report\n` +
         `📋 /todo - View TODO.md\n` +
-        `📄 /doc [filename] - Get any document\n\n` +
+        `📄 /doc [path or name] - Read a project document\n\n` +
         `<b>Debugging & Blockers:</b>\n` +
-        `🚫 /blockers - List all blocked tasks\n` +
-        `🔍 /blocker [task-id] - Get detailed blocker info\n\n` +
+        `🚫 /blockers - List blocked tasks, their failure class and blocker IDs\n` +
+        `🔍 /blocker [task-id] - Get detailed blocker info\n` +
+        `🔓 /resolve [BLK-id] [what fixed it] - Close a blocker and put its task back in the backlog\n` +
+        `🕸️ /graph [request-id] - Show task dependency graph\n` +
+        `🤖 /agents - List agents and what they are working on\n` +
+        `⏸️ /pause [agent] [reason] / /resume [agent] - Stop or restart giving an agent tasks\n` +
+        `🔐 /audit [agent] [denied] [count] - Show agent file access\n\n` +
+        `<b>Admin:</b>\n` +
+        `🔑 /grant [@user|chat] [role] - Give a user or chat a role (viewer, requester, approver, admin)\n` +
+        `🚫 /revoke [@user|chat] - Remove access\n` +
+        `📜 /access [log] - List access, or who did what\n\n` +
+        `<b>Costs:</b>\n` +
+        `💰 /costs [days|request-id|task-id] - LLM spend by request, agent and day\n` +
+        `💳 /budget [id] [usd] - List budgets or approve more for a paused task/request\n\n` +
         `<b>Quick Start:</b>\n` +
         `1. Type <code>/template</code> to see request format\n` +
         `2. Submit with <code>/request [details]</code>\n` +
@@ -552,13 +830,91 @@ class AgentOrchestrator {
       await this.sendFormattedMessage(msg.chat.id, help);
     });
     
+    // Page through a /doc document, or open one of its search matches
+    this.channel.onButton(async (button) => {
+      const match = (callbackSigner.verify(button.data) || '').match(/^doc:([\w-]+):(\d+)$/);
+      if (!match) return;
+
+      const access = accessControl.authorize(button.from, button.chat, 'doc', match[1]);
+      if (!access.allowed) {
+        await this.channel.answerButton(button, { text: `Only ${access.required}s can do this`, alert: true });
+        return;
+      }
+
+      try {
+        const docPath = docBrowser.pathForRef(match[1]);
+        if (!docPath) {
+          await this.channel.answerButton(button, { text: 'That file is gone' });
+          return;
+        }
+
+        await this.channel.answerButton(button);
+        await this.sendDocPage(button.chat.id, docPath, parseInt(match[2], 10), button.messageId);
+      } catch (error) {
+        logger.error('Error handling doc button:', error);
+      }
+    });
+
+    // Confirm or cancel an action the PM proposed in chat
+    this.channel.onButton(async (button) => {
+      const match = (callbackSigner.verify(button.data) || '').match(/^pmaction:(\d+):(confirm|cancel)$/);
+      if (!match) return;
+
+      try {
+        const username = button.from.username || button.from.first_name;
+        const action = this.pmAgent.tools.getAction(parseInt(match[1], 10));
+        const access = accessControl.authorize(button.from, button.chat, action ? action.tool : 'pmaction',
+          action ? action.args : match[1], action ? this.pmAgent.tools.requiredRole(action.tool) : 'approver');
+        if (!access.allowed) {
+          await this.channel.answerButton(button, { text: `Only ${access.required}s can do this`, alert: true });
+          return;
+        }
+
+        await this.channel.answerButton(button, { text: match[2] === 'confirm' ? 'Working on it...' : 'Cancelled' });
+
+        const result = await this.pmAgent.tools.resolve(parseInt(match[1], 10), match[2] === 'confirm', username);
+        const icon = match[2] === 'cancel' ? '✖️' : result.success ? '✅' : '❌';
+
+        await this.channel.edit(button.chat.id, button.messageId,
+          `${icon} ${result.summary ? `${result.summary}\n` : ''}${result.output}`);
+      } catch (error) {
+        logger.error('Error handling PM action button:', error);
+      }
+    });
+
+    // Approve / Reject / Request changes / View diff buttons on review notifications
+    this.channel.onButton(async (button) => {
+      const press = reviewButtons.parse(button.data);
+      if (!press) return;
+
+      // Modifying a request is a requester's job; deciding on work an approver's
+      const command = { approve: 'approve', reject: 'reject', changes: 'reject', modify: 'modify', diff: 'diff' }[press.action] || 'approve';
+      const access = accessControl.authorize(button.from, button.chat, command, press.id);
+      if (!access.allowed) {
+        await this.channel.answerButton(button, { text: `Only ${access.required}s can do this`, alert: true });
+        return;
+      }
+
+      try {
+        await this.handleReviewButton(button, press);
+      } catch (error) {
+        logger.error('Error handling review button:', error);
+        await this.sendFormattedMessage(button.chat.id, error.code === 'BUDGET_EXCEEDED'
+          ? `⏸️ ${this.escapeHtml(error.message)}`
+          : `❌ <b>Error</b>: Could not ${press.action} ${press.id}`);
+      }
+    });
+
     // Catch-all: Handle conversational messages (non-commands)
-    this.telegramBot.on('message', async (msg) => {
+    this.channel.onMessage(async (msg) => {
       try {
-        // Always log chat metadata to help configure group chat routing
-        // (especially the numeric chat.id for supergroups: -100xxxxxxxxxx)
-        const chatTitle = msg.chat && (msg.chat.title || msg.chat.username || msg.chat.first_name);
-        logger.info(`[Telegram] inbound chat.id=${msg.chat?.id} type=${msg.chat?.type} title=${chatTitle || ''}`);
+        // Answers to a review button's "why?" prompt, from whoever pressed the button
+        const reviewReply = msg.replyToId && this.reviewReplies.get(msg.replyToId);
+        if (reviewReply && msg.text && reviewReply.pressedBy === msg.from.id) {
+          this.reviewReplies.delete(msg.replyToId);
+          await this.handleReviewReply(msg, reviewReply);
+          return;
+        }
 
         // Skip if it's a command (starts with /)
         if (msg.text && msg.text.startsWith('/')) {
@@ -570,19 +926,42 @@ class AgentOrchestrator {
           return;
         }
 
+        // Unknown users in a group chat are ignored rather than answered
+        const access = accessControl.authorize(msg.from, msg.chat, 'chat');
+        if (!access.allowed) {
+          return;
+        }
+
         logger.info(`Conversational query from ${msg.from.username}: ${msg.text}`);
 
         // Show typing indicator
-        await this.telegramBot.sendChatAction(msg.chat.id, 'typing');
+        await this.channel.sendTyping(msg.chat.id);
 
         // Route to PM Agent for conversational response
-        const response = await this.pmAgent.handleConversationalQuery(msg.text);
+        const confirmations = [];
+        const response = await this.pmAgent.handleConversationalQuery(msg.text, {
+          threadId: `${this.channel.name}:${msg.chat.id}`,
+          author: msg.from.username,
+          user: msg.from,
+          chat: msg.chat,
+          onConfirmation: action => confirmations.push(action)
+        });
 
         // Convert markdown response to HTML
         const formattedResponse = this.pmAgent.convertMarkdownToHtml(response);
 
         await this.sendFormattedMessage(msg.chat.id, formattedResponse);
 
+        // Actions the PM wants to take that change work wait for a button press
+        for (const action of confirmations) {
+          await this.channel.send(msg.chat.id, this.pmAgent.tools.formatConfirmation(action), {
+            buttons: [[
+              { text: '✅ Confirm', data: callbackSigner.sign(`pmaction:${action.id}:confirm`) },
+              { text: '✖️ Cancel', data: callbackSigner.sign(`pmaction:${action.id}:cancel`) }
+            ]]
+          });
+        }
+
       } catch (error) {
         logger.error('Error in conversational handler:', error);
         await this.sendFormattedMessage(msg.chat.id, 
@@ -593,16 +972,264 @@ class AgentOrchestrator {
   }
   
   /**
-   * Send formatted message using HTML parse mode
-   * Automatically splits long messages to fit Telegram's 4096 char limit
+   * Register a command handler that only runs for users whose role allows
+   * the command (see services/accessControl)
+   * @param {RegExp} pattern - Command pattern
+   * @param {string} command - Command name for access checks and the audit log
+   * @param {Function} handler - (msg, match) handler
+   */
+  onCommand(pattern, command, handler) {
+    this.channel.onCommand(pattern, async (msg, match) => {
+      const access = accessControl.authorize(msg.from, msg.chat, command, match[1] ? match[1].trim() : null);
+      if (!access.allowed) {
+        await this.sendFormattedMessage(msg.chat.id, access.role
+          ? `⛔ /${command} needs the <b>${access.required}</b> role; you are ${access.role}`
+          : `⛔ You don't have access to this bot. Ask an admin to <code>/grant</code> you a role (grant it to <code>id:${msg.from.id}</code>)`);
+        return;
+      }
+      return handler(msg, match);
+    });
+  }
+
+  /**
+   * Parse a /grant or /revoke subject: @username, a user ID (id:<id> unless
+   * it's numeric), "chat" for the current chat or chat:<id>
+   * @param {string} ref - Subject reference
+   * @param {Object} msg - Chat message, for "chat"
+   * @returns {Object|null} { type, id }
+   */
+  parseSubject(ref, msg) {
+    if (!ref) return null;
+    if (ref === 'chat') return { type: 'chat', id: String(msg.chat.id) };
+    const chat = ref.match(/^chat:(\S+)$/);
+    if (chat) return { type: 'chat', id: chat[1] };
+    const user = accessControl.userSubject(ref);
+    return user ? { type: 'user', id: user } : null;
+  }
+
+  /**
+   * Act on a review button press. Approve acts at once and View diff sends
+   * the task branch's changes; the others ask for a reason in a reply.
+   * @param {Object} button - Button press from the channel
+   * @param {Object} press - From reviewButtons.parse()
+   */
+  async handleReviewButton(button, press) {
+    const chatId = button.chat.id;
+    const username = button.from.username || button.from.first_name;
+
+    if (!press.valid) {
+      await this.channel.answerButton(button, {
+        text: press.reason === 'stale' ? `${press.id} has moved on since this message` : 'This button is not valid',
+        alert: true
+      });
+      if (press.reason === 'stale') {
+        await this.channel.clearButtons(chatId, button.messageId).catch(() => {});
+      }
+      return;
+    }
+
+    if (press.action === 'diff') {
+      await this.channel.answerButton(button);
+      await this.sendTaskDiff(chatId, press.id);
+      return;
+    }
+
+    if (press.action === 'approve') {
+      await this.channel.answerButton(button, { text: `Approving ${press.id}...` });
+      await this.channel.clearButtons(chatId, button.messageId).catch(() => {});
+      await this.controlPlane.approve(press.id, username);
+      return;
+    }
+
+    const questions = {
+      reject: `Why are you rejecting ${press.id}?`,
+      changes: `What should change in ${press.id}?`,
+      modify: `What should change in the analysis of ${press.id}?`
+    };
+    await this.channel.answerButton(button);
+    const prompt = await this.channel.send(chatId, questions[press.action], { forceReply: 'Reply with the details' });
+    this.reviewReplies.set(prompt.messageId, { ...press, pressedBy: button.from.id });
+  }
+
+  /**
+   * Finish a reject / request changes / modify started from a review button
+   * @param {Object} msg - The reply
+   * @param {Object} press - The button press that asked for it
+   */
+  async handleReviewReply(msg, press) {
+    const username = msg.from.username || msg.from.first_name;
+    const text = msg.text.trim();
+
+    if (!reviewButtons.isCurrent(press.id, press.version)) {
+      await this.sendFormattedMessage(msg.chat.id, `⌛ <code>${press.id}</code> has moved on since that button was pressed; nothing was changed`);
+      return;
+    }
+
+    try {
+      if (press.action === 'modify') {
+        await this.controlPlane.modifyRequest(press.id, text, username);
+      } else {
+        await this.controlPlane.reject(press.id, press.action === 'changes' ? `Changes requested: ${text}` : text, username);
+      }
+    } catch (error) {
+      logger.error(`Error handling ${press.action} reply for ${press.id}:`, error);
+      await this.sendFormattedMessage(msg.chat.id,
+        this.describeError(error, `Could not ${press.action === 'modify' ? 'modify' : 'reject'} ${press.id}`));
+    }
+  }
+
+  /**
+   * Send the changes on a task's branch: a stat summary, and the diff inline
+   * when it is short or as a .diff file otherwise
+   * @param {number} chatId - Chat to send to
+   * @param {string} taskId - Task ID
+   */
+  async sendTaskDiff(chatId, taskId) {
+    const gitOps = require('./services/gitOps');
+    const branch = gitOps.findTaskBranch(taskId);
+    if (!branch) {
+      await this.sendFormattedMessage(chatId, `🔍 No branch found for <code>${taskId}</code>`);
+      return;
+    }
+
+    const { stat, diff } = gitOps.getBranchDiff(branch);
+    if (!diff) {
+      await this.sendFormattedMessage(chatId, `🔍 <code>${this.escapeHtml(branch)}</code> has no changes against ${gitOps.defaultBranch}`);
+      return;
+    }
+
+    if (diff.length <= 3000) {
+      await this.sendFormattedMessage(chatId, `🔍 <b>${this.escapeHtml(branch)}</b>\n<pre>${this.escapeHtml(diff)}</pre>`);
+      return;
+    }
+
+    await this.sendFormattedMessage(chatId, `🔍 <b>${this.escapeHtml(branch)}</b>\n<pre>${this.escapeHtml(stat)}</pre>`);
+    await this.channel.sendFile(chatId, { filename: `${taskId}.diff`, content: diff, contentType: 'text/x-diff' });
+  }
+
+  /**
+   * Split "[REQ-id] rest" command arguments
+   * @param {string} args - Text after the command
+   * @returns {Object} { requestId, text }
+   */
+  parseRequestArgs(args) {
+    const match = args.trim().match(/^(REQ-\d+)\b\s*([\s\S]*)$/i);
+    return match
+      ? { requestId: match[1].toUpperCase(), text: match[2].trim() }
+      : { requestId: null, text: args.trim() };
+  }
+
+  /**
+   * Run a command against a request. Without an explicit ID the target is the
+   * only request in one of `statuses` (the user's own first); if several
+   * qualify, the user picks one from an inline keyboard.
+   * @param {Object} msg - Chat message
+   * @param {Object} command - { requestId, statuses, action (for errors), none (message), run(id) }
+   */
+  async withRequest(msg, command) {
+    if (command.requestId) {
+      await this.runForRequest(msg.chat.id, command.requestId, command);
+      return;
+    }
+
+    const { request, candidates } = requestStore.resolve(command.statuses, msg.from.username);
+    if (request) {
+      await this.runForRequest(msg.chat.id, request.request_id, command);
+      return;
+    }
+    if (candidates.length === 0) {
+      await this.sendFormattedMessage(msg.chat.id, command.none);
+      return;
+    }
+
+    const pickId = this.nextPickId++;
+    this.requestPicks.set(pickId, { ...command, userId: msg.from.id });
+    // Unanswered pickers shouldn't pile up
+    setTimeout(() => this.requestPicks.delete(pickId), 60 * 60 * 1000).unref();
+
+    await this.channel.send(msg.chat.id, `Which request do you want to ${command.action}?`, {
+      buttons: candidates.slice(0, 10).map(r => [{
+        text: `${r.request_id} (${r.status}) ${(r.title || '').substring(0, 30)}`,
+        data: callbackSigner.sign(`reqpick:${pickId}:${r.request_id}`)
+      }])
+    });
+  }
+
+  async runForRequest(chatId, requestId, command) {
+    try {
+      await command.run(requestId);
+    } catch (error) {
+      logger.error(`Error trying to ${command.action} ${requestId}:`, error);
+      await this.sendFormattedMessage(chatId, this.describeError(error, `Could not ${command.action} ${requestId}`));
+    }
+  }
+
+  /**
+   * Chat text for a failed command: the reason when the user can act on it
+   * (a paused budget, or a target that is missing or in the wrong state)
+   * @param {Error} error - What was thrown
+   * @param {string} fallback - Shown for anything else
+   * @returns {string} HTML
+   */
+  describeError(error, fallback) {
+    if (error.code === 'BUDGET_EXCEEDED') {
+      return `⏸️ ${this.escapeHtml(error.message)}`;
+    }
+    if (['NOT_FOUND', 'INVALID_STATE', 'INVALID_INPUT'].includes(error.code)) {
+      return `❌ ${this.escapeHtml(error.message)}`;
+    }
+    return `❌ <b>Error</b>: ${this.escapeHtml(fallback)}`;
+  }
+
+  /**
+   * Show one page of a document with Prev/Next buttons, editing messageId
+   * in place when paging
+   * @param {number} chatId - Chat ID
+   * @param {string} docPath - Path relative to PROJECT_ROOT, from docBrowser
+   * @param {number} page - Page number, from 1
+   * @param {number} messageId - Message to replace, optional
+   */
+  async sendDocPage(chatId, docPath, page, messageId = null) {
+    // Keep a page, once formatted, inside one message on every platform
+    const result = docBrowser.readPage(docPath, page, Math.min(3000, this.channel.maxMessageLength - 500));
+    if (result.error) {
+      await this.sendFormattedMessage(chatId, `⚠️ ${this.escapeHtml(docPath)}: ${result.error}`);
+      return;
+    }
+
+    const body = docPath.endsWith('.md')
+      ? formatting.markdownToHtml(result.content)
+      : `<pre>${this.escapeHtml(result.content)}</pre>`;
+    const text = `📄 <b>${this.escapeHtml(docPath)}</b>${result.pages > 1 ? ` (page ${result.page}/${result.pages})` : ''}\n\n${body}`;
+
+    const ref = docBrowser.refFor(docPath);
+    const buttons = [];
+    if (result.page > 1) {
+      buttons.push({ text: '◀️ Prev', data: callbackSigner.sign(`doc:${ref}:${result.page - 1}`) });
+    }
+    if (result.page < result.pages) {
+      buttons.push({ text: 'Next ▶️', data: callbackSigner.sign(`doc:${ref}:${result.page + 1}`) });
+    }
+    const options = { format: 'html', buttons: buttons.length > 0 ? [buttons] : [] };
+
+    if (messageId) {
+      await this.channel.edit(chatId, messageId, text, options);
+    } else {
+      await this.channel.send(chatId, text, options);
+    }
+  }
+
+  /**
+   * Send formatted message as HTML
+   * Automatically splits long messages to fit the chat platform's limit
    */
   async sendFormattedMessage(chatId, message) {
-    const MAX_LENGTH = 4000; // Leave some margin for safety
+    const MAX_LENGTH = this.channel.maxMessageLength;
     
     try {
       // If message fits in one chunk, send it
       if (message.length <= MAX_LENGTH) {
-        await this.telegramBot.sendMessage(chatId, message, { parse_mode: 'HTML' });
+        await this.channel.send(chatId, message, { format: 'html' });
         return;
       }
       
@@ -612,7 +1239,7 @@ class AgentOrchestrator {
       for (let i = 0; i < chunks.length; i++) {
         const chunk = chunks[i];
         const prefix = i > 0 ? `<i>(continued ${i + 1}/${chunks.length})</i>\n\n` : '';
-        await this.telegramBot.sendMessage(chatId, prefix + chunk, { parse_mode: 'HTML' });
+        await this.channel.send(chatId, prefix + chunk, { format: 'html' });
         
         // Small delay between chunks to avoid rate limiting
         if (i < chunks.length - 1) {
@@ -624,12 +1251,12 @@ class AgentOrchestrator {
       // Fallback to plain text
       const plainText = message.replace(/<[^>]*>/g, '');
       if (plainText.length <= MAX_LENGTH) {
-        await this.telegramBot.sendMessage(chatId, plainText);
+        await this.channel.send(chatId, plainText);
       } else {
         // Split plain text too
         const chunks = this.splitMessage(plainText, MAX_LENGTH);
         for (const chunk of chunks) {
-          await this.telegramBot.sendMessage(chatId, chunk);
+          await this.channel.send(chatId, chunk);
           await new Promise(resolve => setTimeout(resolve, 200));
         }
       }
@@ -682,66 +1309,46 @@ class AgentOrchestrator {
    * Escape HTML special characters
    */
   escapeHtml(text) {
-    return text
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;');
+    return formatting.escapeHtml(text);
   }
-  
+
   /**
-   * Convert markdown to Telegram HTML format
+   * Send a message to the team chat
+   * @param {string} message - Message
+   * @param {Object} options - { format, buttons } (see channels/base-channel)
+   * @returns {Promise<Object|null>} { chatId, messageId }, null if sending failed
    */
-  formatMarkdownForTelegram(markdown) {
-    let html = markdown;
-    
-    // Escape HTML first
-    html = this.escapeHtml(html);
-    
-    // Headers (### Header -> <b>Header</b>)
-    html = html.replace(/^###\s+(.+)$/gm, '<b>📌 $1</b>');
-    html = html.replace(/^##\s+(.+)$/gm, '<b>🔹 $1</b>');
-    html = html.replace(/^#\s+(.+)$/gm, '<b>▪️ $1</b>');
-    
-    // Bold (**text** or __text__)
-    html = html.replace(/\*\*(.+?)\*\*/g, '<b>$1</b>');
-    html = html.replace(/__(.+?)__/g, '<b>$1</b>');
-    
-    // Italic (*text* or _text_)
-    html = html.replace(/\*(.+?)\*/g, '<i>$1</i>');
-    html = html.replace(/_(.+?)_/g, '<i>$1</i>');
-    
-    // Code blocks (```code```)
-    html = html.replace(/```([\s\S]*?)```/g, '<pre>$1</pre>');
-    
-    // Inline code (`code`)
-    html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-    
-    // Links [text](url)
-    html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2">$1</a>');
-    
-    // Bullet points (- item or * item)
-    html = html.replace(/^[\*\-]\s+(.+)$/gm, '  • $1');
-    
-    // Strikethrough (~~text~~)
-    html = html.replace(/~~(.+?)~~/g, '<s>$1</s>');
-    
-    return html;
-  }
-
-  async notifyTelegram(message, options = {}) {
+  async notifyTeam(message, options = {}) {
     try {
-      await this.telegramBot.sendMessage(process.env.TELEGRAM_CHAT_ID, message, options);
-      logger.info(`Telegram notification sent: ${message.substring(0, 50)}...`);
+      const sent = await this.channel.send(this.channel.teamChatId, message, options);
+      logger.info(`Team notification sent: ${message.substring(0, 50)}...`);
+      return sent;
     } catch (error) {
-      logger.error('Failed to send Telegram message:', error);
+      logger.error(`Failed to send ${this.channel.name} message:`, error);
+      return null;
     }
   }
 
+  /**
+   * Replace the text of a message sent with notifyTeam. Errors (rate limits,
+   * with error.retryAfter) are left to the caller.
+   * @param {string|number} messageId - messageId from notifyTeam
+   * @param {string} message - New text
+   * @param {Object} options - { format, buttons }
+   */
+  async editTeamMessage(messageId, message, options = {}) {
+    return this.channel.edit(this.channel.teamChatId, messageId, message, options);
+  }
+
   async shutdown() {
     logger.info('🛑 Shutting down Agent Orchestrator');
-    if (this.db) {
-      this.db.close();
-    }
+    await this.channel.stop().catch(error => logger.warn(`Could not disconnect from ${this.channel.name}: ${error.message}`));
+    generationStream.close();
+    this.controlApi.close();
+    if (this.teamNotifier) this.teamNotifier.stop();
+    if (this.blockerMonitor) this.blockerMonitor.stop();
+    if (this.retryScheduler) this.retryScheduler.stop();
+    database.close();
     process.exit(0);
   }
 }
@@ -0,0 +1,436 @@
+const crypto = require('crypto');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+
+/**
+ * Roles, lowest first; each role can do everything the ones before it can
+ */
+const ROLES = ['viewer', 'requester', 'approver', 'admin'];
+
+/**
+ * Lowest role allowed to run each command. `chat` is talking to the PM,
+ * `diff` the View diff button; commands missing here need admin.
+ */
+const COMMAND_ROLES = {
+  help: 'viewer',
+  template: 'viewer',
+  status: 'viewer',
+  standup: 'viewer',
+  blockers: 'viewer',
+  blocker: 'viewer',
+  graph: 'viewer',
+  requests: 'viewer',
+  costs: 'viewer',
+  todo: 'viewer',
+  forget: 'viewer',
+  chat: 'viewer',
+  diff: 'viewer',
+  doc: 'viewer',
+  request: 'requester',
+  modify: 'requester',
+  provide: 'requester',
+  approve: 'approver',
+  reject: 'approver',
+  budget: 'approver',
+  audit: 'admin',
+  grant: 'admin',
+  revoke: 'admin',
+  access: 'admin',
+  tasks: 'viewer',
+  agents: 'viewer',
+  retry: 'approver',
+  reassign: 'approver',
+  cancel: 'approver',
+  pause: 'approver',
+  resume: 'approver',
+  resolve: 'approver',
+  feed: 'viewer'
+};
+
+// Viewer commands only read, so they stay out of the audit log unless denied
+const READ_ONLY_ROLE = 'viewer';
+
+/**
+ * AccessControl
+ * Allowlist of chat users and chats with roles, stored in agents.db
+ * (access_grants), and the audit log of what they did (access_audit). A user's
+ * role is the higher of their own grant and the grant of the chat they write
+ * in; anyone with neither is refused. Users in CHAT_ADMINS (or TELEGRAM_ADMINS)
+ * are admins. API tokens (api_tokens, only their hash is kept) act as the user
+ * they were issued for, so that user's grants decide what a token can do.
+ */
+class AccessControl {
+  constructor() {
+    this.schemaReady = false;
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      this.ensureSchema(db);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  /**
+   * Create tables
+   * @param {Database} db - Connection
+   */
+  ensureSchema(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS access_grants (
+        subject_type TEXT NOT NULL,
+        subject_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        granted_by TEXT,
+        granted_at DATETIME NOT NULL,
+        PRIMARY KEY (subject_type, subject_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS access_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT,
+        username TEXT,
+        chat_id TEXT,
+        command TEXT NOT NULL,
+        target TEXT,
+        role TEXT,
+        allowed INTEGER NOT NULL,
+        created_at DATETIME NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_access_audit_created ON access_audit(created_at);
+
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        username TEXT NOT NULL,
+        label TEXT,
+        created_by TEXT,
+        created_at DATETIME NOT NULL,
+        last_used_at DATETIME,
+        revoked_at DATETIME
+      );
+    `);
+  }
+
+  /**
+   * User IDs or @usernames from CHAT_ADMINS, or TELEGRAM_ADMINS as before
+   * @returns {Array} Subject IDs
+   */
+  get configuredAdmins() {
+    return (process.env.CHAT_ADMINS || process.env.TELEGRAM_ADMINS || '')
+      .split(',')
+      .map(entry => this.userSubject(entry))
+      .filter(Boolean);
+  }
+
+  /**
+   * Make sure the CHAT_ADMINS users are admins (run at startup)
+   */
+  seedAdmins() {
+    const admins = this.configuredAdmins;
+    if (admins.length === 0) {
+      logger.warn('[AccessControl] CHAT_ADMINS is not set; only users granted a role with /grant can use the bot');
+      return;
+    }
+    for (const subjectId of admins) {
+      this.grant('user', subjectId, 'admin', 'CHAT_ADMINS');
+    }
+  }
+
+  /**
+   * Normalize a user reference: a platform user ID, kept as it is, or a
+   * username stored as @name. IDs that aren't numeric, like Slack's U0123ABC,
+   * need the id: prefix to tell them from usernames.
+   * @param {string} ref - "123456", "id:U0123ABC", "@alice" or "alice"
+   * @returns {string|null} Subject ID
+   */
+  userSubject(ref) {
+    const value = String(ref || '').trim();
+    if (!value) return null;
+    const id = value.match(/^id:(\S+)$/i);
+    if (id) return id[1];
+    if (/^-?\d+$/.test(value)) return value;
+    return `@${value.replace(/^@/, '').toLowerCase()}`;
+  }
+
+  /**
+   * Give a user or chat a role, replacing any role it had
+   * @param {string} subjectType - 'user' or 'chat'
+   * @param {string} subjectId - User ID or @username, or chat ID
+   * @param {string} role - One of ROLES
+   * @param {string} grantedBy - Who granted it
+   */
+  grant(subjectType, subjectId, role, grantedBy) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role ${role}; use one of ${ROLES.join(', ')}`);
+    }
+
+    this.db.prepare(`
+      INSERT INTO access_grants (subject_type, subject_id, role, granted_by, granted_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(subject_type, subject_id) DO UPDATE SET
+        role = excluded.role, granted_by = excluded.granted_by, granted_at = excluded.granted_at
+    `).run(subjectType, String(subjectId), role, grantedBy || null, new Date().toISOString());
+
+    logger.info(`[AccessControl] ${subjectType} ${subjectId} is now ${role} (${grantedBy})`);
+  }
+
+  /**
+   * Remove a user's or chat's access
+   * @param {string} subjectType - 'user' or 'chat'
+   * @param {string} subjectId - User ID or @username, or chat ID
+   * @param {string} revokedBy - Who revoked it
+   * @returns {boolean} Whether there was a grant to remove
+   */
+  revoke(subjectType, subjectId, revokedBy) {
+    const removed = this.db.prepare('DELETE FROM access_grants WHERE subject_type = ? AND subject_id = ?')
+      .run(subjectType, String(subjectId)).changes > 0;
+
+    if (removed) {
+      logger.info(`[AccessControl] ${subjectType} ${subjectId} revoked (${revokedBy})`);
+    }
+    return removed;
+  }
+
+  /**
+   * All grants, highest role first
+   * @returns {Array} access_grants rows
+   */
+  listGrants() {
+    return this.db.prepare('SELECT * FROM access_grants ORDER BY subject_type DESC, granted_at').all()
+      .sort((a, b) => ROLES.indexOf(b.role) - ROLES.indexOf(a.role));
+  }
+
+  /**
+   * Users granted a role or higher who can be @mentioned in the team chat
+   * (grants by user ID can't be)
+   * @param {string} role - Lowest role
+   * @returns {Array} @usernames
+   */
+  mentionable(role) {
+    return this.listGrants()
+      .filter(grant => grant.subject_type === 'user' && grant.subject_id.startsWith('@') && this.hasRole(grant.role, role))
+      .map(grant => grant.subject_id);
+  }
+
+  /**
+   * Effective role of a chat user in a chat
+   * @param {Object} user - Message `from` ({ id, username })
+   * @param {Object} chat - Message chat ({ id }), optional
+   * @returns {string|null} Role, null without access
+   */
+  roleOf(user, chat) {
+    const subjects = [
+      ['user', String(user && user.id)],
+      ['user', user && user.username ? `@${user.username.toLowerCase()}` : null],
+      ['chat', chat ? String(chat.id) : null]
+    ].filter(([, id]) => id && id !== 'undefined');
+
+    const roles = subjects
+      .map(([type, id]) => this.db.prepare('SELECT role FROM access_grants WHERE subject_type = ? AND subject_id = ?').get(type, id))
+      .filter(Boolean)
+      .map(row => row.role);
+
+    return roles.sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0] || null;
+  }
+
+  /**
+   * @param {string} role - Role held, may be null
+   * @param {string} required - Lowest role needed
+   * @returns {boolean} True if `role` is at least `required`
+   */
+  hasRole(role, required) {
+    return Boolean(role) && ROLES.indexOf(role) >= ROLES.indexOf(required);
+  }
+
+  /**
+   * Lowest role allowed to run a command
+   * @param {string} command - Command name without the slash
+   * @returns {string} Role
+   */
+  requiredRole(command) {
+    return COMMAND_ROLES[command] || 'admin';
+  }
+
+  /**
+   * Check whether a user may run a command, and record it in the audit log
+   * (everything beyond viewing, plus every refusal)
+   * @param {Object} user - Message `from`
+   * @param {Object} chat - Message chat
+   * @param {string} command - Command name, e.g. 'approve'
+   * @param {string} target - What it acts on, e.g. a task ID
+   * @param {string} required - Role needed, defaults to the command's
+   * @returns {Object} { allowed, role, required }
+   */
+  authorize(user, chat, command, target = null, required = this.requiredRole(command)) {
+    const role = this.roleOf(user, chat);
+    const allowed = this.hasRole(role, required);
+
+    if (!allowed || required !== READ_ONLY_ROLE) {
+      this.record(user, chat, command, target, role, allowed);
+    }
+    if (!allowed) {
+      logger.warn(`[AccessControl] Denied /${command} to ${user && (user.username || user.id)} (${role || 'no role'}, needs ${required})`);
+    }
+    return { allowed, role, required };
+  }
+
+  record(user, chat, command, target, role, allowed) {
+    try {
+      this.db.prepare(`
+        INSERT INTO access_audit (user_id, username, chat_id, command, target, role, allowed, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        user && user.id !== undefined ? String(user.id) : null,
+        user ? (user.username || user.first_name || null) : null,
+        chat ? String(chat.id) : null,
+        command,
+        target ? String(target).substring(0, 200) : null,
+        role,
+        allowed ? 1 : 0,
+        new Date().toISOString()
+      );
+    } catch (error) {
+      logger.error(`[AccessControl] Failed to write audit entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recent audit entries, newest first
+   * @param {Object} filters - { username, command, allowed, limit }
+   * @returns {Array} access_audit rows
+   */
+  getAuditLog(filters = {}) {
+    const { username = null, command = null, allowed = null, limit = 20 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (username) {
+      conditions.push('LOWER(username) = ?');
+      params.push(username.replace(/^@/, '').toLowerCase());
+    }
+    if (command) {
+      conditions.push('command = ?');
+      params.push(command);
+    }
+    if (allowed !== null) {
+      conditions.push('allowed = ?');
+      params.push(allowed ? 1 : 0);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM access_audit ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(row => ({ ...row, allowed: row.allowed === 1 }));
+  }
+
+  /**
+   * Issue an API token that acts as a user. The token is only returned here.
+   * @param {string} username - @username the token acts as
+   * @param {string} label - What it is for, e.g. 'ci'
+   * @param {string} createdBy - Who issued it
+   * @returns {Object} { id, token }
+   */
+  createApiToken(username, label, createdBy) {
+    const subject = this.userSubject(username);
+    if (!subject || !subject.startsWith('@')) {
+      throw new Error('API tokens are issued for a @username');
+    }
+
+    const token = `bpa_${crypto.randomBytes(24).toString('base64url')}`;
+    const { lastInsertRowid } = this.db.prepare(`
+      INSERT INTO api_tokens (token_hash, username, label, created_by, created_at) VALUES (?, ?, ?, ?, ?)
+    `).run(this.hashToken(token), subject.slice(1), label || null, createdBy || null, new Date().toISOString());
+
+    logger.info(`[AccessControl] API token ${lastInsertRowid} issued for ${subject} (${createdBy})`);
+    return { id: lastInsertRowid, token };
+  }
+
+  /**
+   * The user an API token acts as
+   * @param {string} token - Token from the Authorization header
+   * @returns {Object|null} { id, username } like a message `from`, null if unknown or revoked
+   */
+  userForApiToken(token) {
+    if (!token) return null;
+    const row = this.db.prepare('SELECT * FROM api_tokens WHERE token_hash = ? AND revoked_at IS NULL').get(this.hashToken(token));
+    if (!row) return null;
+
+    this.db.prepare('UPDATE api_tokens SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+    return { id: `api:${row.id}`, username: row.username };
+  }
+
+  /**
+   * @returns {Array} api_tokens rows without the hash, newest first
+   */
+  listApiTokens() {
+    return this.db.prepare(`
+      SELECT id, username, label, created_by, created_at, last_used_at, revoked_at FROM api_tokens ORDER BY id DESC
+    `).all();
+  }
+
+  /**
+   * @param {number} id - Token ID
+   * @param {string} revokedBy - Who revoked it
+   * @returns {boolean} Whether a live token was revoked
+   */
+  revokeApiToken(id, revokedBy) {
+    const revoked = this.db.prepare('UPDATE api_tokens SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL')
+      .run(new Date().toISOString(), id).changes > 0;
+    if (revoked) {
+      logger.info(`[AccessControl] API token ${id} revoked (${revokedBy})`);
+    }
+    return revoked;
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Format grants for chat (HTML)
+   * @param {Array} grants - Rows from listGrants()
+   * @returns {string} Formatted list
+   */
+  formatGrants(grants) {
+    if (grants.length === 0) {
+      return '📭 Nobody has access yet. Set CHAT_ADMINS or use /grant';
+    }
+
+    const lines = grants.map(g =>
+      `• ${g.subject_type === 'chat' ? '💬 chat ' : '👤 '}<code>${escape(g.subject_id)}</code> - <b>${g.role}</b>` +
+      `${g.granted_by ? ` <i>(by ${escape(g.granted_by)})</i>` : ''}`
+    );
+    return `🔑 <b>Access</b>\n\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Format audit entries for chat (HTML)
+   * @param {Array} entries - Rows from getAuditLog()
+   * @returns {string} Formatted log
+   */
+  formatAuditLog(entries) {
+    if (entries.length === 0) {
+      return '📭 No matching actions recorded';
+    }
+
+    const lines = entries.map(e => {
+      const time = new Date(e.created_at).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      return `${e.allowed ? '✅' : '⛔'} ${time} <b>${escape(e.username || e.user_id || '?')}</b> /${e.command}` +
+        `${e.target ? ` <code>${escape(e.target.substring(0, 60))}</code>` : ''}`;
+    });
+    return `📜 <b>Command Audit</b> (newest first)\n\n${lines.join('\n')}`;
+  }
+}
+
+function escape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+const accessControl = new AccessControl();
+accessControl.ROLES = ROLES;
+
+module.exports = accessControl;
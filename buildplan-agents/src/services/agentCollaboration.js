@@ -1,10 +1,15 @@
 const logger = require('../utils/logger');
 const EventEmitter = require('events');
+const eventBus = require('./eventBus');
+const blockerStore = require('./blockerStore');
 
 /**
  * AgentCollaboration
  * Manages communication, coordination, and handoffs between agents
- * Handles dependencies, blockers, and agent-to-agent messaging
+ * Handles dependencies, blockers, and agent-to-agent messaging. Blockers are
+ * kept by BlockerStore; agent statuses are published on the event bus and
+ * rebuilt from its log, so both survive restarts and other processes (the
+ * status CLI) see them too.
  */
 class AgentCollaboration extends EventEmitter {
   constructor() {
@@ -12,8 +17,11 @@ class AgentCollaboration extends EventEmitter {
     this.messages = [];
     this.dependencies = new Map();
     this.handoffs = new Map();
-    this.blockers = new Map();
     this.agentStatus = new Map();
+
+    this.syncAgentStatus = eventBus.projection('agent.status', ({ payload, createdAt }) => {
+      this.agentStatus.set(payload.agent, { status: payload.status, metadata: payload.metadata, updatedAt: createdAt });
+    });
   }
 
   /**
@@ -237,26 +245,19 @@ class AgentCollaboration extends EventEmitter {
   }
 
   /**
-   * Report blocker
-   * @param {Object} blocker - Blocker details
-   * @returns {string} Blocker ID
+   * Report blocker. A task has one open blocker at a time, so reporting again
+   * for the same task returns the open one.
+   * @param {Object} blocker - { taskId, agentName, type, description, severity }
+   * @returns {string} Blocker ID (BLK-<n>)
    */
   reportBlocker(blocker) {
-    const blockerId = `BLOCKER-${Date.now()}`;
-    
-    const fullBlocker = {
-      id: blockerId,
+    const raised = blockerStore.raise({
       taskId: blocker.taskId,
-      agentName: blocker.agentName,
+      agent: blocker.agentName,
       type: blocker.type, // technical, dependency, information, external
       description: blocker.description,
-      severity: blocker.severity || 'medium',
-      status: 'open',
-      reportedAt: new Date().toISOString(),
-      escalated: false
-    };
-
-    this.blockers.set(blockerId, fullBlocker);
+      severity: blocker.severity
+    });
 
     // Send to PM-Agent
     this.sendMessage({
@@ -265,77 +266,64 @@ class AgentCollaboration extends EventEmitter {
       subject: `BLOCKER: ${blocker.taskId}`,
       body: `Task blocked: ${blocker.description}`,
       priority: 'high',
-      metadata: { blockerId, type: blocker.type, severity: blocker.severity }
+      metadata: { blockerId: raised.id, type: raised.type, severity: raised.severity }
     });
 
-    logger.warn(`[AgentCollaboration] Blocker reported: ${blockerId} by ${blocker.agentName}`);
-    return blockerId;
+    return raised.id;
   }
 
   /**
    * Resolve blocker
    * @param {string} blockerId - Blocker ID
    * @param {string} resolution - How it was resolved
+   * @param {string} actor - Who resolved it
+   * @returns {Object|null} Blocker, or null if it was not open
    */
-  resolveBlocker(blockerId, resolution) {
-    const blocker = this.blockers.get(blockerId);
-    
-    if (blocker) {
-      blocker.status = 'resolved';
-      blocker.resolvedAt = new Date().toISOString();
-      blocker.resolution = resolution;
-      this.blockers.set(blockerId, blocker);
+  resolveBlocker(blockerId, resolution, actor = 'pm-agent') {
+    const blocker = blockerStore.resolve(blockerId, resolution, actor);
 
+    if (blocker) {
       // Notify agent
       this.sendMessage({
         from: 'pm-agent',
-        to: blocker.agentName,
+        to: blocker.agent,
         subject: `Blocker Resolved: ${blocker.taskId}`,
         body: `Your blocker has been resolved: ${resolution}`,
-        metadata: { blockerId }
+        metadata: { blockerId: blocker.id }
       });
-
-      logger.info(`[AgentCollaboration] Blocker resolved: ${blockerId}`);
     }
+    return blocker;
   }
 
   /**
-   * Escalate blocker to PM
+   * Escalate blocker to the PM, or from the PM to a human
    * @param {string} blockerId - Blocker ID
+   * @param {string} level - 'pm' or 'human'
+   * @returns {Object|null} Blocker, or null if it was resolved or already escalated that far
    */
-  escalateBlocker(blockerId) {
-    const blocker = this.blockers.get(blockerId);
-    
-    if (blocker && !blocker.escalated) {
-      blocker.escalated = true;
-      blocker.escalatedAt = new Date().toISOString();
-      this.blockers.set(blockerId, blocker);
+  escalateBlocker(blockerId, level = 'pm') {
+    const blocker = blockerStore.escalate(blockerId, level);
 
+    if (blocker) {
       // Send escalation message
       this.sendMessage({
         from: 'system',
         to: 'pm-agent',
         subject: `ESCALATED BLOCKER: ${blocker.taskId}`,
-        body: `Blocker requires immediate attention:\n\nTask: ${blocker.taskId}\nType: ${blocker.type}\nSeverity: ${blocker.severity}\nDescription: ${blocker.description}`,
+        body: `Blocker requires ${level === 'human' ? 'a human' : 'immediate attention'}:\n\nTask: ${blocker.taskId}\nType: ${blocker.type}\nSeverity: ${blocker.severity}\nDescription: ${blocker.description}`,
         priority: 'urgent',
-        metadata: { blockerId, escalated: true }
+        metadata: { blockerId: blocker.id, escalated: level }
       });
-
-      logger.warn(`[AgentCollaboration] Blocker escalated: ${blockerId}`);
     }
+    return blocker;
   }
 
   /**
-   * Get all open blockers
+   * Get all open blockers, most severe first
    * @returns {Array} Open blockers
    */
   getOpenBlockers() {
-    return Array.from(this.blockers.values())
-      .filter(b => b.status === 'open')
-      .sort((a, b) => {
-        const severityOrder = { urgent: 0, high: 1, medium: 2, low: 3 };
-        return severityOrder[a.severity] - severityOrder[b.severity];
-      });
+    return blockerStore.listOpen();
   }
 
   /**
@@ -345,11 +333,7 @@ class AgentCollaboration extends EventEmitter {
    * @param {Object} metadata - Additional info
    */
   updateAgentStatus(agentName, status, metadata = {}) {
-    this.agentStatus.set(agentName, {
-      status,
-      metadata,
-      updatedAt: new Date().toISOString()
-    });
+    eventBus.publish('agent.status', { agent: agentName, status, metadata });
 
     logger.info(`[AgentCollaboration] Agent status updated: ${agentName} → ${status}`);
   }
@@ -360,6 +344,7 @@ class AgentCollaboration extends EventEmitter {
    * @returns {Object} Status info
    */
   getAgentStatus(agentName) {
+    this.syncAgentStatus();
     return this.agentStatus.get(agentName) || { status: 'unknown', updatedAt: null };
   }
 
@@ -368,6 +353,7 @@ class AgentCollaboration extends EventEmitter {
    * @returns {Object} All agent statuses
    */
   getAllAgentStatuses() {
+    this.syncAgentStatus();
     const statuses = {};
     for (const [agent, status] of this.agentStatus.entries()) {
       statuses[agent] = status;
@@ -456,6 +442,7 @@ class AgentCollaboration extends EventEmitter {
     }
 
     // Agent Statuses
+    this.syncAgentStatus();
     report += `**Agent Statuses**:\n`;
     for (const [agent, status] of this.agentStatus.entries()) {
       report += `- ${agent}: ${status.status}\n`;
@@ -1,43 +1,73 @@
 const logger = require('../utils/logger');
 const workspace = require('./workspaceManager');
 const fileOps = require('../utils/file-ops');
+const eventBus = require('./eventBus');
 
 /**
  * ApprovalWorkflow
  * Handles iterative approval of R&D outputs (mockups, research)
- * Tracks approval state, iterations, and user feedback
+ * Tracks approval state, iterations, and user feedback as approval.* events,
+ * replayed from the event log so pending approvals survive restarts
  */
 class ApprovalWorkflow {
   constructor() {
     this.pendingApprovals = new Map(); // taskId -> { taskId, researchPath, mockupPath, iterationCount, feedback: [] }
+    this.sync = eventBus.projection('approval.*', event => this.apply(event));
+  }
+
+  /**
+   * Fold an approval.* event into pendingApprovals
+   * @param {Object} event - Event from the bus
+   */
+  apply({ type, payload, createdAt }) {
+    if (type === 'approval.registered') {
+      this.pendingApprovals.set(payload.taskId, {
+        taskId: payload.taskId,
+        researchPath: payload.researchPath,
+        mockupPath: payload.mockupPath,
+        mockupUrl: payload.mockupUrl,
+        iterationCount: 0,
+        feedback: [],
+        status: 'pending'
+      });
+      return;
+    }
+
+    const entry = this.pendingApprovals.get(payload.taskId);
+    if (!entry) return;
+
+    if (type === 'approval.feedback') {
+      entry.feedback.push({ timestamp: createdAt, text: payload.text });
+      entry.iterationCount++;
+    } else if (type === 'approval.approved') {
+      entry.status = 'approved';
+      entry.approvedAt = createdAt;
+    } else if (type === 'approval.rejected') {
+      this.pendingApprovals.delete(payload.taskId);
+    }
   }
 
   /**
    * Register an R&D task for approval
    */
   registerForApproval(taskId, { researchPath, mockupPath, mockupUrl }) {
-    const entry = {
+    eventBus.publish('approval.registered', {
       taskId,
-      researchPath,
-      mockupPath,
-      mockupUrl,
-      iterationCount: 0,
-      feedback: [],
-      status: 'pending'
-    };
-    this.pendingApprovals.set(taskId, entry);
+      researchPath: researchPath || null,
+      mockupPath: mockupPath || null,
+      mockupUrl: mockupUrl || null
+    });
     logger.info(`[ApprovalWorkflow] Registered ${taskId} for approval`);
-    return entry;
+    return this.getPending(taskId);
   }
 
   /**
    * Record user feedback for iteration
    */
   recordFeedback(taskId, feedbackText) {
-    const entry = this.pendingApprovals.get(taskId);
-    if (!entry) throw new Error(`No pending approval for ${taskId}`);
-    entry.feedback.push({ timestamp: new Date().toISOString(), text: feedbackText });
-    entry.iterationCount++;
+    if (!this.getPending(taskId)) throw new Error(`No pending approval for ${taskId}`);
+    eventBus.publish('approval.feedback', { taskId, text: feedbackText });
+    const entry = this.getPending(taskId);
     logger.info(`[ApprovalWorkflow] Feedback recorded for ${taskId}, iteration ${entry.iterationCount}`);
     return entry;
   }
@@ -46,10 +76,9 @@ class ApprovalWorkflow {
    * Approve and finalize
    */
   approve(taskId) {
-    const entry = this.pendingApprovals.get(taskId);
-    if (!entry) throw new Error(`No pending approval for ${taskId}`);
-    entry.status = 'approved';
-    entry.approvedAt = new Date().toISOString();
+    if (!this.getPending(taskId)) throw new Error(`No pending approval for ${taskId}`);
+    eventBus.publish('approval.approved', { taskId });
+    const entry = this.getPending(taskId);
     logger.info(`[ApprovalWorkflow] Approved ${taskId} after ${entry.iterationCount} iterations`);
     return entry;
   }
@@ -58,21 +87,21 @@ class ApprovalWorkflow {
    * Reject (cancel)
    */
   reject(taskId, reason) {
-    const entry = this.pendingApprovals.get(taskId);
-    if (!entry) throw new Error(`No pending approval for ${taskId}`);
-    entry.status = 'rejected';
-    entry.rejectedAt = new Date().toISOString();
-    entry.rejectionReason = reason;
-    this.pendingApprovals.delete(taskId);
+    const pending = this.getPending(taskId);
+    if (!pending) throw new Error(`No pending approval for ${taskId}`);
+    eventBus.publish('approval.rejected', { taskId, reason: reason || null });
+    const entry = { ...pending, status: 'rejected', rejectedAt: new Date().toISOString(), rejectionReason: reason };
     logger.warn(`[ApprovalWorkflow] Rejected ${taskId}: ${reason}`);
     return entry;
   }
 
   getPending(taskId) {
+    this.sync();
     return this.pendingApprovals.get(taskId);
   }
 
   getAll() {
+    this.sync();
     return Array.from(this.pendingApprovals.values());
   }
 }
@@ -0,0 +1,71 @@
+const logger = require('../utils/logger');
+const eventBus = require('./eventBus');
+const blockerStore = require('./blockerStore');
+const AgentCollaboration = require('./agentCollaboration');
+
+/**
+ * BlockerMonitor
+ * Keeps open blockers moving. Every BLOCKER_CHECK_INTERVAL it escalates the
+ * blockers whose severity SLA has run out, first to the PM and then to a
+ * human (TeamNotifier posts both), and it closes a task's open blocker once
+ * the task leaves blocked some other way than /resolve: /retry, /reassign,
+ * /cancel or a budget approval.
+ */
+class BlockerMonitor {
+  constructor() {
+    this.interval = parseInt(process.env.BLOCKER_CHECK_INTERVAL, 10) || 60000;
+    this.timer = null;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Start the escalation timer and follow task transitions
+   */
+  start() {
+    if (this.timer) return;
+
+    this.unsubscribe = eventBus.subscribe('task.transitioned', event => this.onTaskTransitioned(event.payload));
+    this.timer = setInterval(() => {
+      try {
+        this.check();
+      } catch (error) {
+        logger.error(`[BlockerMonitor] Escalation check failed: ${error.message}`);
+      }
+    }, this.interval);
+    this.timer.unref();
+
+    logger.info(`[BlockerMonitor] Checking blocker SLAs every ${this.interval / 1000}s`);
+  }
+
+  /**
+   * Stop the timer and unsubscribe
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    if (this.unsubscribe) this.unsubscribe();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Escalate every open blocker that is past its SLA by one level
+   * @param {Date} now - Current time
+   * @returns {Array} Blockers escalated
+   */
+  check(now = new Date()) {
+    return blockerStore.overdue(now)
+      .map(({ blocker, level }) => AgentCollaboration.escalateBlocker(blocker.id, level))
+      .filter(Boolean);
+  }
+
+  onTaskTransitioned({ taskId, from, to, actor, reason }) {
+    if (from !== 'blocked' && !['completed', 'cancelled'].includes(to)) return;
+
+    const blocker = blockerStore.openForTask(taskId);
+    if (blocker) {
+      AgentCollaboration.resolveBlocker(blocker.id, reason || `${taskId} moved to ${to}`, actor);
+    }
+  }
+}
+
+module.exports = BlockerMonitor;
@@ -0,0 +1,234 @@
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const eventBus = require('./eventBus');
+
+/**
+ * Minutes an open blocker may wait, by severity, before it is escalated to
+ * the PM and then to a human: [pm, human]
+ */
+const DEFAULT_SLA = {
+  urgent: [15, 60],
+  high: [60, 240],
+  medium: [240, 1440],
+  low: [1440, 4320]
+};
+
+const SEVERITIES = Object.keys(DEFAULT_SLA);
+
+// Escalation levels in order; a blocker only ever moves up
+const LEVELS = ['none', 'pm', 'human'];
+
+function loadSla() {
+  if (!process.env.BLOCKER_SLA) return DEFAULT_SLA;
+  try {
+    return { ...DEFAULT_SLA, ...JSON.parse(process.env.BLOCKER_SLA) };
+  } catch (error) {
+    logger.warn(`[BlockerStore] Ignoring invalid BLOCKER_SLA: ${error.message}`);
+    return DEFAULT_SLA;
+  }
+}
+
+/**
+ * BlockerStore
+ * Blockers agents run into, persisted in agents.db (blockers) with their
+ * escalation level and resolution. IDs are shown as BLK-<n>. A task has at
+ * most one open blocker: raising another for it returns the open one.
+ * Publishes blocker.raised, blocker.escalated and blocker.resolved.
+ */
+class BlockerStore {
+  constructor() {
+    this.schemaReady = false;
+    this.sla = loadSla();
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS blockers (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          task_id TEXT,
+          agent TEXT NOT NULL,
+          type TEXT,
+          description TEXT NOT NULL,
+          severity TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'open',
+          escalation TEXT NOT NULL DEFAULT 'none',
+          raised_at DATETIME NOT NULL,
+          escalated_at DATETIME,
+          resolved_at DATETIME,
+          resolved_by TEXT,
+          resolution TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_blockers_status ON blockers(status, task_id);
+      `);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  /**
+   * Record a blocker, or return the open one for the same task
+   * @param {Object} blocker - { taskId, agent, type, description, severity }
+   * @returns {Object} Blocker
+   */
+  raise(blocker) {
+    const taskId = blocker.taskId || null;
+    const existing = taskId ? this.openForTask(taskId) : null;
+    if (existing) return existing;
+
+    const severity = SEVERITIES.includes(blocker.severity) ? blocker.severity : 'medium';
+    const id = this.db.prepare(`
+      INSERT INTO blockers (task_id, agent, type, description, severity, raised_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(taskId, blocker.agent, blocker.type || null, blocker.description, severity, new Date().toISOString()).lastInsertRowid;
+
+    const raised = this.get(id);
+    logger.warn(`[BlockerStore] ${raised.id} raised by ${raised.agent}${taskId ? ` on ${taskId}` : ''} (${severity}): ${raised.description}`);
+    eventBus.publish('blocker.raised', {
+      blockerId: raised.id,
+      taskId,
+      agent: raised.agent,
+      type: raised.type,
+      description: raised.description,
+      severity
+    });
+    return raised;
+  }
+
+  /**
+   * Move an open blocker up to an escalation level
+   * @param {string} blockerId - BLK-<n>
+   * @param {string} level - 'pm' or 'human'
+   * @returns {Object|null} Blocker, or null if it is resolved or already that high
+   */
+  escalate(blockerId, level) {
+    const blocker = this.get(blockerId);
+    if (!blocker || blocker.status !== 'open' || LEVELS.indexOf(level) <= LEVELS.indexOf(blocker.escalation)) {
+      return null;
+    }
+
+    this.db.prepare('UPDATE blockers SET escalation = ?, escalated_at = ? WHERE id = ?')
+      .run(level, new Date().toISOString(), blocker.rowId);
+
+    logger.warn(`[BlockerStore] ${blocker.id} escalated to ${level}`);
+    eventBus.publish('blocker.escalated', {
+      blockerId: blocker.id,
+      taskId: blocker.taskId,
+      severity: blocker.severity,
+      level
+    });
+    return this.get(blockerId);
+  }
+
+  /**
+   * Close an open blocker
+   * @param {string} blockerId - BLK-<n>
+   * @param {string} resolution - What fixed it
+   * @param {string} actor - Who resolved it
+   * @returns {Object|null} Blocker, or null if it was not open
+   */
+  resolve(blockerId, resolution, actor) {
+    const blocker = this.get(blockerId);
+    if (!blocker || blocker.status !== 'open') return null;
+
+    this.db.prepare(`
+      UPDATE blockers SET status = 'resolved', resolved_at = ?, resolved_by = ?, resolution = ? WHERE id = ?
+    `).run(new Date().toISOString(), actor, resolution || null, blocker.rowId);
+
+    logger.info(`[BlockerStore] ${blocker.id} resolved by ${actor}`);
+    eventBus.publish('blocker.resolved', {
+      blockerId: blocker.id,
+      taskId: blocker.taskId,
+      actor,
+      resolution: resolution || null
+    });
+    return this.get(blockerId);
+  }
+
+  /**
+   * Get a blocker
+   * @param {string|number} blockerId - BLK-<n>, or just n
+   * @returns {Object|null} Blocker
+   */
+  get(blockerId) {
+    const rowId = parseInt(String(blockerId).replace(/^BLK-/i, ''), 10);
+    if (Number.isNaN(rowId)) return null;
+    const row = this.db.prepare('SELECT * FROM blockers WHERE id = ?').get(rowId);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Open blockers, most severe first, then oldest first
+   * @returns {Array} Blockers
+   */
+  listOpen() {
+    return this.db.prepare("SELECT * FROM blockers WHERE status = 'open' ORDER BY id").all()
+      .map(row => this.fromRow(row))
+      .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+  }
+
+  /**
+   * The open blocker on a task
+   * @param {string} taskId - Task ID
+   * @returns {Object|null} Blocker
+   */
+  openForTask(taskId) {
+    const row = this.db.prepare("SELECT * FROM blockers WHERE status = 'open' AND task_id = ? ORDER BY id LIMIT 1").get(taskId);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Open blockers whose SLA for the next escalation level has run out
+   * @param {Date} now - Current time
+   * @returns {Array} { blocker, level }
+   */
+  overdue(now = new Date()) {
+    const due = [];
+
+    for (const blocker of this.listOpen()) {
+      const [toPm, toHuman] = this.slaFor(blocker.severity);
+      const waited = (now - new Date(blocker.raisedAt)) / 60000;
+
+      // One level per check, so the PM always hears before a human does
+      if (blocker.escalation === 'none' && waited >= toPm) {
+        due.push({ blocker, level: 'pm' });
+      } else if (blocker.escalation === 'pm' && waited >= toHuman) {
+        due.push({ blocker, level: 'human' });
+      }
+    }
+
+    return due;
+  }
+
+  /**
+   * Minutes before escalating to the PM and to a human
+   * @param {string} severity - Blocker severity
+   * @returns {Array} [pm, human]
+   */
+  slaFor(severity) {
+    return this.sla[severity] || this.sla.medium;
+  }
+
+  fromRow(row) {
+    return {
+      id: `BLK-${row.id}`,
+      rowId: row.id,
+      taskId: row.task_id,
+      agent: row.agent,
+      type: row.type,
+      description: row.description,
+      severity: row.severity,
+      status: row.status,
+      escalation: row.escalation,
+      raisedAt: row.raised_at,
+      escalatedAt: row.escalated_at,
+      resolvedAt: row.resolved_at,
+      resolvedBy: row.resolved_by,
+      resolution: row.resolution
+    };
+  }
+}
+
+module.exports = new BlockerStore();
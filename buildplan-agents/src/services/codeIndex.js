@@ -0,0 +1,433 @@
+const fs = require('fs');
+const path = require('path');
+const chokidar = require('chokidar');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const GitOps = require('./gitOps');
+const Permissions = require('./permissions');
+const workspace = require('./workspaceManager');
+
+const INDEXED_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.prisma', '.sql', '.graphql', '.css', '.yml', '.yaml'];
+const INDEXED_FILES = ['package.json'];
+const IGNORED_DIRS = ['node_modules', '.git', 'dist', 'build', 'coverage', '.next', 'out', 'logs', 'vendor'];
+const MAX_FILE_BYTES = 256 * 1024;
+
+// Chunks end at a top-level statement once they reach MIN lines, or at MAX regardless
+const MIN_CHUNK_LINES = 40;
+const MAX_CHUNK_LINES = 120;
+const TOP_LEVEL = /^(export\s|module\.exports|exports\.|(async\s+)?function[\s*]|class\s|const\s|let\s|var\s|router\.|app\.|model\s|describe\()/;
+
+// Rough size of a prompt in tokens, enough to keep context within budget
+const CHARS_PER_TOKEN = 4;
+const DEFAULT_CONTEXT_TOKENS = parseInt(process.env.CODE_CONTEXT_TOKENS, 10) || 6000;
+const MAX_WHOLE_FILE_CHARS = 8000;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'will', 'should', 'must',
+  'can', 'not', 'all', 'any', 'use', 'add', 'new', 'when', 'into', 'each', 'have', 'has',
+  'task', 'implement', 'create', 'make', 'file', 'files', 'code', 'return', 'returns', 'const',
+  'function', 'require', 'module', 'exports', 'export', 'import', 'async', 'await', 'true', 'false', 'null'
+]);
+
+/**
+ * Split identifiers into lowercase words: "blockerService.js" → blocker, service, js
+ * @param {string} text - Code or prose
+ * @returns {Array} Words
+ */
+function words(text) {
+  return (String(text).match(/[A-Za-z][A-Za-z0-9]*/g) || [])
+    .flatMap(word => word.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2').split(' '))
+    .map(word => word.toLowerCase())
+    .filter(word => word.length > 1);
+}
+
+/**
+ * CodeIndex
+ * Local index of the project in PROJECT_ROOT so agents can see what already
+ * exists before generating code: the file tree, each file's exported symbols
+ * (and Express routes), and chunks ranked with BM25 through SQLite FTS5.
+ * refresh() only re-reads files whose size or mtime changed; watch() keeps the
+ * index current while the orchestrator runs.
+ */
+class CodeIndex {
+  constructor() {
+    this.root = path.resolve(process.env.PROJECT_ROOT || process.cwd());
+    this.schemaReady = false;
+    this.indexed = false;
+    this.watcher = null;
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS code_files (
+          path TEXT PRIMARY KEY,
+          root TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          mtime_ms REAL NOT NULL,
+          symbols TEXT NOT NULL DEFAULT '[]',
+          indexed_at DATETIME NOT NULL
+        );
+        CREATE VIRTUAL TABLE IF NOT EXISTS code_chunks USING fts5(
+          path UNINDEXED,
+          start_line UNINDEXED,
+          end_line UNINDEXED,
+          content UNINDEXED,
+          terms,
+          path_terms,
+          tokenize = 'porter unicode61'
+        );
+      `);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  /**
+   * Whether a project-relative path is source worth indexing
+   */
+  isIndexable(relativePath) {
+    const segments = relativePath.split('/');
+    if (segments.some(segment => IGNORED_DIRS.includes(segment))) return false;
+    if (this.isInsideWorktrees(path.join(this.root, relativePath))) return false;
+
+    const name = segments[segments.length - 1];
+    if (name.endsWith('.min.js') || name.endsWith('.d.ts')) return false;
+    return INDEXED_FILES.includes(name) || INDEXED_EXTENSIONS.includes(path.extname(name));
+  }
+
+  isInsideWorktrees(absolutePath) {
+    const relative = path.relative(workspace.worktreesRoot(), absolutePath);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+  }
+
+  /**
+   * Project files to index: tracked and untracked-but-not-ignored files when
+   * the project is a git repository, otherwise a directory walk
+   * @returns {Array} Paths relative to the project root, with forward slashes
+   */
+  listSourceFiles() {
+    let files;
+    try {
+      files = GitOps.exec('git ls-files -co --exclude-standard', { cwd: this.root, quiet: true, maxBuffer: 64 * 1024 * 1024 })
+        .split('\n')
+        .filter(Boolean);
+    } catch (error) {
+      files = [];
+      const walk = (dir) => {
+        for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+          if (entry.isDirectory() && IGNORED_DIRS.includes(entry.name)) continue;
+          const fullPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) walk(fullPath);
+          else if (entry.isFile()) files.push(path.relative(this.root, fullPath).split(path.sep).join('/'));
+        }
+      };
+      if (fs.existsSync(this.root)) walk(this.root);
+    }
+    return files.filter(file => this.isIndexable(file));
+  }
+
+  /**
+   * Bring the index in line with the project, re-reading only changed files
+   * @returns {Object} { files, changed, removed }
+   */
+  refresh() {
+    try {
+      const db = this.db;
+      // PROJECT_ROOT changed since the last run: start over
+      if (db.prepare('SELECT 1 FROM code_files WHERE root != ? LIMIT 1').get(this.root)) {
+        db.exec('DELETE FROM code_files; DELETE FROM code_chunks;');
+      }
+
+      const known = new Map(db.prepare('SELECT path, size, mtime_ms FROM code_files').all().map(row => [row.path, row]));
+      const files = this.listSourceFiles();
+      let changed = 0;
+
+      db.transaction(() => {
+        for (const file of files) {
+          const previous = known.get(file);
+          known.delete(file);
+
+          let stat;
+          try {
+            stat = fs.statSync(path.join(this.root, file));
+          } catch (error) {
+            continue;
+          }
+          if (previous && previous.size === stat.size && previous.mtime_ms === stat.mtimeMs) continue;
+
+          if (this.indexFile(file, stat)) changed++;
+        }
+
+        for (const file of known.keys()) {
+          this.removeFile(file);
+        }
+      })();
+
+      this.indexed = true;
+      logger.info(`[CodeIndex] Indexed ${files.length} files in ${this.root} (${changed} updated, ${known.size} removed)`);
+      return { files: files.length, changed, removed: known.size };
+    } catch (error) {
+      logger.error(`[CodeIndex] Failed to refresh index: ${error.message}`);
+      return { files: 0, changed: 0, removed: 0 };
+    }
+  }
+
+  /**
+   * (Re)index one file
+   * @param {string} relativePath - Path relative to the project root
+   * @param {fs.Stats} stat - Stat of the file, read if omitted
+   * @returns {boolean} True if the file was indexed
+   */
+  indexFile(relativePath, stat = null) {
+    const fullPath = path.join(this.root, relativePath);
+    try {
+      stat = stat || fs.statSync(fullPath);
+      if (stat.size > MAX_FILE_BYTES) {
+        this.removeFile(relativePath);
+        return false;
+      }
+
+      const content = fs.readFileSync(fullPath, 'utf8');
+      const symbols = this.extractSymbols(content, relativePath);
+      const pathTerms = [...words(relativePath), ...symbols.flatMap(words)].join(' ');
+      const db = this.db;
+
+      db.prepare('DELETE FROM code_chunks WHERE path = ?').run(relativePath);
+      const insert = db.prepare(`
+        INSERT INTO code_chunks (path, start_line, end_line, content, terms, path_terms)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      for (const chunk of this.chunk(content)) {
+        insert.run(relativePath, chunk.startLine, chunk.endLine, chunk.content, words(chunk.content).join(' '), pathTerms);
+      }
+
+      db.prepare(`
+        INSERT INTO code_files (path, root, size, mtime_ms, symbols, indexed_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(path) DO UPDATE SET root = excluded.root, size = excluded.size,
+          mtime_ms = excluded.mtime_ms, symbols = excluded.symbols, indexed_at = excluded.indexed_at
+      `).run(relativePath, this.root, stat.size, stat.mtimeMs, JSON.stringify(symbols), new Date().toISOString());
+      return true;
+    } catch (error) {
+      logger.warn(`[CodeIndex] Could not index ${relativePath}: ${error.message}`);
+      return false;
+    }
+  }
+
+  removeFile(relativePath) {
+    const db = this.db;
+    db.prepare('DELETE FROM code_chunks WHERE path = ?').run(relativePath);
+    db.prepare('DELETE FROM code_files WHERE path = ?').run(relativePath);
+  }
+
+  /**
+   * Names a file makes available to others: exports, Express routes and
+   * Prisma models
+   * @param {string} content - File content
+   * @param {string} relativePath - Used to pick patterns by file type
+   * @returns {Array} Symbol names, e.g. ['BlockerService', 'GET /blockers']
+   */
+  extractSymbols(content, relativePath) {
+    const symbols = new Set();
+    const add = (name) => { if (name) symbols.add(name.trim()); };
+    const each = (regex, fn) => { for (const match of content.matchAll(regex)) fn(match); };
+    const names = (list) => list.split(',').map(item => item.split(/\s+as\s+|:/).pop().trim()).filter(item => /^[A-Za-z_$][\w$]*$/.test(item));
+
+    if (relativePath.endsWith('.prisma')) {
+      each(/^(?:model|enum)\s+(\w+)/gm, m => add(m[1]));
+      return [...symbols];
+    }
+
+    each(/^export\s+(?:default\s+)?(?:async\s+)?(?:function\*?|class|const|let|var|interface|type|enum)\s+([A-Za-z_$][\w$]*)/gm, m => add(m[1]));
+    each(/^export\s*\{([^}]+)\}/gm, m => names(m[1]).forEach(add));
+    each(/^module\.exports\s*=\s*\{([^}]*)\}/gm, m => names(m[1]).forEach(add));
+    each(/^module\.exports\s*=\s*(?:new\s+)?([A-Za-z_$][\w$]*)/gm, m => add(m[1]));
+    each(/^(?:module\.)?exports\.([A-Za-z_$][\w$]*)\s*=/gm, m => add(m[1]));
+    each(/\b(?:router|app)\.(get|post|put|patch|delete)\(\s*['"`]([^'"`]+)/g, m => add(`${m[1].toUpperCase()} ${m[2]}`));
+
+    return [...symbols];
+  }
+
+  /**
+   * Split a file into chunks that end at top-level statements where possible
+   * @param {string} content - File content
+   * @returns {Array} { startLine, endLine, content } with 1-based lines
+   */
+  chunk(content) {
+    const lines = content.split(/\r?\n/);
+    const chunks = [];
+    let start = 0;
+
+    for (let i = 1; i <= lines.length; i++) {
+      const size = i - start;
+      const boundary = i === lines.length ||
+        size >= MAX_CHUNK_LINES ||
+        (size >= MIN_CHUNK_LINES && TOP_LEVEL.test(lines[i]));
+      if (!boundary) continue;
+
+      const text = lines.slice(start, i).join('\n');
+      if (text.trim()) {
+        chunks.push({ startLine: start + 1, endLine: i, content: text });
+      }
+      start = i;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Chunks most relevant to a query, best first
+   * @param {string} query - Free text, e.g. a task's title and description
+   * @param {Object} options - { limit, agent } (agent: only files it may read)
+   * @returns {Array} { path, startLine, endLine, content, score }
+   */
+  search(query, options = {}) {
+    const { limit = 30, agent = null } = options;
+    if (!this.indexed) this.refresh();
+
+    const terms = [...new Set(words(query).filter(word => word.length > 2 && !STOPWORDS.has(word)))].slice(0, 40);
+    if (terms.length === 0) return [];
+
+    // Columns: path, start_line, end_line, content, terms, path_terms
+    const rows = this.db.prepare(`
+      SELECT path, start_line AS startLine, end_line AS endLine, content,
+        -bm25(code_chunks, 0, 0, 0, 0, 1.0, 3.0) AS score
+      FROM code_chunks
+      WHERE code_chunks MATCH ?
+      ORDER BY score DESC
+      LIMIT ?
+    `).all(terms.map(term => `"${term}"`).join(' OR '), limit * 3);
+
+    return rows
+      .filter(row => !agent || Permissions.canRead(agent, row.path))
+      .slice(0, limit);
+  }
+
+  /**
+   * Existing code relevant to a task, formatted for a generation prompt and
+   * kept within a token budget: a tree of the related directories with each
+   * file's exports, then the best matching files (whole when small enough,
+   * otherwise their matching chunks)
+   * @param {string} query - Task title and description
+   * @param {Object} options - { agent, maxTokens }
+   * @returns {string} Markdown, empty when nothing relevant is indexed
+   */
+  getContext(query, options = {}) {
+    const { agent = null, maxTokens = DEFAULT_CONTEXT_TOKENS } = options;
+    try {
+      const matches = this.search(query, { agent });
+      if (matches.length === 0) return '';
+
+      const byFile = new Map();
+      for (const match of matches) {
+        const entry = byFile.get(match.path) || { path: match.path, score: 0, chunks: [] };
+        entry.score += match.score;
+        entry.chunks.push(match);
+        byFile.set(match.path, entry);
+      }
+      const ranked = [...byFile.values()].sort((a, b) => b.score - a.score);
+
+      let budget = maxTokens * CHARS_PER_TOKEN;
+      const sections = [];
+
+      const tree = this.formatTree(ranked.slice(0, 10).map(file => file.path), agent);
+      if (tree.length < budget / 3) {
+        sections.push(`### Related files\n\`\`\`\n${tree}\n\`\`\``);
+        budget -= tree.length;
+      }
+
+      for (const file of ranked) {
+        const fullPath = path.join(this.root, file.path);
+        const whole = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+
+        let section;
+        if (whole !== null && whole.length <= MAX_WHOLE_FILE_CHARS && whole.length < budget) {
+          section = `\`\`\`filename: ${file.path}\n${whole.replace(/\n$/, '')}\n\`\`\``;
+        } else {
+          const chunks = file.chunks
+            .sort((a, b) => a.startLine - b.startLine)
+            .map(chunk => `// ${file.path} lines ${chunk.startLine}-${chunk.endLine}\n${chunk.content}`)
+            .join('\n// ...\n');
+          section = `\`\`\`\n${chunks}\n\`\`\``;
+        }
+
+        if (section.length > budget) continue;
+        sections.push(section);
+        budget -= section.length;
+        if (budget < 200) break;
+      }
+
+      return sections.join('\n\n');
+    } catch (error) {
+      logger.error(`[CodeIndex] Failed to build context: ${error.message}`);
+      return '';
+    }
+  }
+
+  /**
+   * Indexed files in the directories of the given paths, with their symbols
+   * @param {Array} paths - Project-relative paths
+   * @param {string} agent - Only list files this agent may read
+   * @returns {string} One directory per block, one file per line
+   */
+  formatTree(paths, agent = null) {
+    const dirs = [...new Set(paths.map(p => path.posix.dirname(p)))].slice(0, 5);
+    const list = this.db.prepare(`
+      SELECT path, symbols FROM code_files
+      WHERE path LIKE ? ESCAPE '\\' AND path NOT LIKE ? ESCAPE '\\'
+      ORDER BY path LIMIT 25
+    `);
+    const escape = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+    return dirs.map(dir => {
+      const prefix = dir === '.' ? '' : `${escape(dir)}/`;
+      const files = list.all(`${prefix}%`, `${prefix}%/%`)
+        .filter(row => !agent || Permissions.canRead(agent, row.path))
+        .map(row => {
+          const symbols = JSON.parse(row.symbols);
+          const name = path.posix.basename(row.path);
+          return `  ${name}${symbols.length > 0 ? ` - ${symbols.slice(0, 12).join(', ')}` : ''}`;
+        });
+      return `${dir === '.' ? './' : `${dir}/`}\n${files.join('\n')}`;
+    }).join('\n');
+  }
+
+  /**
+   * Re-index files as they change while the orchestrator runs
+   */
+  watch() {
+    if (this.watcher) return this.watcher;
+    if (!this.indexed) this.refresh();
+
+    const relative = (filePath) => path.relative(this.root, filePath).split(path.sep).join('/');
+    this.watcher = chokidar.watch(this.root, {
+      persistent: true,
+      ignoreInitial: true,
+      ignored: (filePath) => {
+        const rel = relative(filePath);
+        return rel.split('/').some(segment => IGNORED_DIRS.includes(segment)) || this.isInsideWorktrees(filePath);
+      },
+      awaitWriteFinish: {
+        stabilityThreshold: 1000,
+        pollInterval: 100
+      }
+    });
+
+    const update = (filePath) => {
+      const rel = relative(filePath);
+      if (this.isIndexable(rel)) this.indexFile(rel);
+    };
+    this.watcher
+      .on('add', update)
+      .on('change', update)
+      .on('unlink', (filePath) => this.removeFile(relative(filePath)))
+      .on('error', (error) => logger.warn(`[CodeIndex] Watcher error: ${error.message}`));
+
+    logger.info(`[CodeIndex] Watching ${this.root}`);
+    return this.watcher;
+  }
+}
+
+module.exports = new CodeIndex();
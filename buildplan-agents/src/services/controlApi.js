@@ -0,0 +1,518 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const logger = require('../utils/logger');
+const accessControl = require('./accessControl');
+const requestStore = require('./requestStore');
+const { z } = require('zod/v4');
+const { TASK_STATUSES } = require('../utils/task-schema');
+const generationStream = require('./generationStream');
+const eventBus = require('./eventBus');
+const { EVENT_TYPES } = require('../utils/event-schema');
+const { version } = require('../../package.json');
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Comment lines keep proxies and idle timeouts from closing event streams
+const KEEP_ALIVE_MS = 15000;
+// Events a reconnecting stream catches up on at most
+const MAX_REPLAY = 1000;
+
+// HTTP status for each error code thrown by the control plane and stores
+const STATUS_CODES = {
+  INVALID_INPUT: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  INVALID_STATE: 409,
+  INVALID_TRANSITION: 409
+};
+
+const ERROR_RESPONSES = {
+  400: 'Invalid parameters or body',
+  401: 'Missing or unknown API token',
+  403: "The token's user doesn't have the role this needs",
+  404: 'No such request, task or agent',
+  409: 'The target is not in a state this applies to'
+};
+
+const reason = z.string().optional().describe('Why, shown to the team');
+
+/**
+ * Routes of the API. `command` is the chat command whose role (see
+ * accessControl) a caller needs; `status` 202 routes run the control plane's
+ * check for the target first, so a missing target or wrong state is a 404 or
+ * 409, then leave the work (which calls the model) running and return the
+ * target as it is now. Handlers get { params, query, body, actor }. `stream` routes answer
+ * with Server-Sent Events instead; since EventSource can't send headers, they
+ * also take the token as ?access_token=.
+ */
+const ROUTES = [
+  {
+    method: 'GET', path: '/requests', command: 'requests',
+    summary: 'List requests, newest first',
+    query: z.object({ status: z.enum(Object.keys(requestStore.TRANSITIONS)).optional() }),
+    run: (cp, { query }) => ({ requests: cp.listRequests(query) })
+  },
+  {
+    method: 'POST', path: '/requests', command: 'request', status: 201,
+    summary: 'Submit a request; the PM analyzes it on its next check',
+    body: z.object({ description: z.string().min(1).describe('What is wanted; the first line becomes the title') }),
+    run: (cp, { body, actor }) => ({ request: cp.createRequest(body.description, actor) })
+  },
+  {
+    method: 'GET', path: '/requests/{id}', command: 'requests',
+    summary: 'Get a request and its status history',
+    run: (cp, { params }) => ({ request: cp.getRequest(params.id) })
+  },
+  {
+    method: 'POST', path: '/requests/{id}/modify', command: 'modify', status: 202,
+    summary: 'Redo the analysis of a request in analysis with changes',
+    body: z.object({ modifications: z.string().min(1) }),
+    run: (cp, { params, body, actor }) => {
+      cp.checkModifyRequest(params.id, body.modifications);
+      inBackground(() => cp.modifyRequest(params.id, body.modifications, actor), `modify ${params.id}`);
+      return { request: cp.getRequest(params.id) };
+    }
+  },
+  {
+    method: 'POST', path: '/requests/{id}/provide', command: 'provide', status: 202,
+    summary: 'Answer the questions of a request awaiting information, then create its tasks',
+    body: z.object({ information: z.string().min(1) }),
+    run: (cp, { params, body, actor }) => {
+      cp.checkProvideInformation(params.id, body.information);
+      inBackground(() => cp.provideInformation(params.id, body.information, actor), `provide ${params.id}`);
+      return { request: cp.getRequest(params.id) };
+    }
+  },
+  {
+    method: 'POST', path: '/requests/{id}/approve', command: 'approve', status: 202,
+    summary: 'Approve a request in analysis; its tasks are created unless the PM needs more information',
+    run: (cp, { params, actor }) => {
+      cp.getRequest(params.id);
+      cp.checkApprove(params.id);
+      inBackground(() => cp.approve(params.id, actor), `approve ${params.id}`);
+      return { request: cp.getRequest(params.id) };
+    }
+  },
+  {
+    method: 'POST', path: '/requests/{id}/reject', command: 'reject',
+    summary: 'Turn down an open request',
+    body: z.object({ reason }),
+    run: async (cp, { params, body, actor }) => {
+      cp.getRequest(params.id);
+      return { request: await cp.reject(params.id, body.reason, actor) };
+    }
+  },
+  {
+    method: 'GET', path: '/tasks', command: 'tasks',
+    summary: 'List tasks in creation order',
+    query: z.object({
+      status: z.enum(TASK_STATUSES).optional(),
+      requestId: z.string().optional(),
+      assignedAgent: z.string().optional().describe('Agent role, e.g. Backend-Agent')
+    }),
+    run: (cp, { query }) => ({ tasks: cp.listTasks(query) })
+  },
+  {
+    method: 'GET', path: '/tasks/{id}', command: 'tasks',
+    summary: 'Get a task and its status history',
+    run: (cp, { params }) => ({ task: cp.getTask(params.id) })
+  },
+  {
+    method: 'GET', path: '/tasks/{id}/diff', command: 'diff',
+    summary: "Changes on the task's branch against the default branch",
+    run: (cp, { params }) => ({ diff: cp.getTaskDiff(params.id) })
+  },
+  {
+    method: 'POST', path: '/tasks/{id}/approve', command: 'approve', status: 202,
+    summary: 'Approve a task in review, completing it',
+    run: (cp, { params, actor }) => {
+      cp.getTask(params.id);
+      cp.checkApprove(params.id);
+      inBackground(() => cp.approve(params.id, actor), `approve ${params.id}`);
+      return { task: cp.getTask(params.id) };
+    }
+  },
+  {
+    method: 'POST', path: '/tasks/{id}/reject', command: 'reject',
+    summary: 'Send a task in review back to its agent with feedback',
+    body: z.object({ reason }),
+    run: async (cp, { params, body, actor }) => {
+      cp.getTask(params.id);
+      return { task: await cp.reject(params.id, body.reason, actor) };
+    }
+  },
+  {
+    method: 'POST', path: '/tasks/{id}/retry', command: 'retry',
+    summary: 'Put a blocked task back in the backlog with instructions for the next attempt',
+    body: z.object({ instructions: z.string().min(1) }),
+    run: async (cp, { params, body, actor }) => ({ task: await cp.retryTask(params.id, body.instructions, actor) })
+  },
+  {
+    method: 'POST', path: '/tasks/{id}/reassign', command: 'reassign',
+    summary: 'Give a backlog or blocked task to another agent by changing its type',
+    body: z.object({ type: z.string().min(1).describe('Task type, e.g. frontend') }),
+    run: async (cp, { params, body, actor }) => ({ task: await cp.reassignTask(params.id, body.type, actor) })
+  },
+  {
+    method: 'POST', path: '/tasks/{id}/cancel', command: 'cancel',
+    summary: 'Cancel a task that is not finished',
+    body: z.object({ reason }),
+    run: async (cp, { params, body, actor }) => ({ task: await cp.cancelTask(params.id, body.reason, actor) })
+  },
+  {
+    method: 'GET', path: '/agents', command: 'agents',
+    summary: 'List agents with their status, workload and the generation they are running',
+    run: (cp) => ({ agents: cp.listAgents() })
+  },
+  {
+    method: 'POST', path: '/agents/{id}/pause', command: 'pause',
+    summary: 'Stop giving an agent new tasks',
+    body: z.object({ reason }),
+    run: (cp, { params, body, actor }) => ({ agent: cp.pauseAgent(params.id, actor, body.reason || null) })
+  },
+  {
+    method: 'POST', path: '/agents/{id}/resume', command: 'resume',
+    summary: 'Let a paused agent take tasks again',
+    run: async (cp, { params, actor }) => ({ agent: await cp.resumeAgent(params.id, actor) })
+  },
+  {
+    method: 'GET', path: '/reports/standup', command: 'standup',
+    summary: 'The latest daily standup',
+    run: (cp) => cp.standup()
+  },
+  {
+    method: 'GET', path: '/reports/progress', command: 'status',
+    summary: 'Task counts, completion, velocity, blockers and stale tasks',
+    run: (cp) => ({ progress: cp.progress() })
+  },
+  {
+    method: 'GET', path: '/reports/blockers', command: 'blockers',
+    summary: 'Blocked tasks and why',
+    run: (cp) => ({ blockers: cp.blockers() })
+  },
+  {
+    method: 'GET', path: '/blockers', command: 'blockers',
+    summary: 'Open blockers with their failure class, retries, severity and escalation level, most severe first',
+    run: (cp) => ({ blockers: cp.openBlockers() })
+  },
+  {
+    method: 'POST', path: '/blockers/{id}/resolve', command: 'resolve',
+    summary: 'Resolve an open blocker; its task, if blocked, goes back to the backlog with the resolution',
+    body: z.object({ resolution: z.string().min(1).describe('What fixed it') }),
+    run: async (cp, { params, body, actor }) => ({ blocker: await cp.resolveBlocker(params.id, body.resolution, actor) })
+  },
+  {
+    method: 'GET', path: '/feed', command: 'feed',
+    summary: 'Recent agent-to-agent messages, oldest first',
+    query: z.object({ limit: z.coerce.number().int().min(1).max(200).optional() }),
+    run: (cp, { query }) => ({ messages: cp.teamFeed(query.limit) })
+  },
+  {
+    method: 'GET', path: '/event-log', command: 'feed',
+    summary: 'Domain events from the event log, oldest first',
+    query: z.object({
+      type: z.string().optional().describe(`An event type, a prefix such as task.*, or *. Types: ${EVENT_TYPES.join(', ')}`),
+      after: z.coerce.number().int().min(0).optional().describe('Only events with a higher id'),
+      limit: z.coerce.number().int().min(1).max(MAX_REPLAY).default(100)
+    }),
+    run: (cp, { query }) => ({ events: eventBus.history(query) })
+  },
+  {
+    method: 'GET', path: '/events', command: 'feed',
+    summary: "Live feed: a 'snapshot' event with recent messages and generations, then 'event' (every domain event, " +
+      "with its id), 'message' (team messages) and 'generation' (generation progress) events. A client reconnecting " +
+      'with Last-Event-ID first gets the domain events it missed.',
+    stream: (cp, req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+
+      const send = (event) => (data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      const sendEvent = (event) => res.write(`id: ${event.id}\nevent: event\ndata: ${JSON.stringify(event)}\n\n`);
+      const onGeneration = send('generation');
+
+      send('snapshot')({ messages: cp.teamFeed(), generations: generationStream.snapshot() });
+      const lastEventId = parseInt(req.headers['last-event-id'], 10);
+      if (lastEventId > 0) {
+        eventBus.history({ after: lastEventId, limit: MAX_REPLAY }).forEach(sendEvent);
+      }
+
+      const subscriptions = [
+        eventBus.subscribe('*', sendEvent),
+        eventBus.subscribe('team.message', event => send('message')(event.payload))
+      ];
+      ['start', 'progress', 'end'].forEach(event => generationStream.on(event, onGeneration));
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        subscriptions.forEach(unsubscribe => unsubscribe());
+        ['start', 'progress', 'end'].forEach(event => generationStream.off(event, onGeneration));
+      });
+    }
+  }
+].map(route => ({
+  ...route,
+  pattern: new RegExp(`^${route.path.replace(/\{(\w+)\}/g, '(?<$1>[^/]+)')}$`)
+}));
+
+/**
+ * Run checked work after the response has gone out, logging a failure
+ * @param {Function} start - Starts the work, returning a promise
+ * @param {string} label - What it is, for the log
+ */
+function inBackground(start, label) {
+  setImmediate(() => {
+    Promise.resolve()
+      .then(start)
+      .catch(error => logger.error(`[ControlApi] ${label} failed: ${error.message}`));
+  });
+}
+
+function apiError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * ControlApi
+ * JSON API over the control plane for tools that integrate with the
+ * orchestrator. Callers send `Authorization: Bearer <token>` with a token from
+ * `node src/commands/api-token.js`; the token acts as the user it was issued
+ * for, with that user's role, and calls are recorded in the access audit log
+ * like chat commands. GET /openapi.json describes every route and needs no token.
+ * GET / serves the dashboard, a page over these routes that asks for a token.
+ */
+class ControlApi {
+  /**
+   * @param {ControlPlane} controlPlane - Operations the routes call
+   */
+  constructor(controlPlane) {
+    this.controlPlane = controlPlane;
+    this.server = null;
+    this.dashboard = fs.readFileSync(path.join(__dirname, 'dashboard.html'), 'utf8');
+  }
+
+  /**
+   * Serve the API
+   * @param {number} port - Port to listen on
+   * @param {string} host - Interface to listen on, localhost by default
+   * @returns {Object} The http.Server
+   */
+  serve(port, host = '127.0.0.1') {
+    if (this.server) return this.server;
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        logger.error(`[ControlApi] ${req.method} ${req.url}: ${error.message}`);
+        this.send(res, 500, { error: { code: 'INTERNAL', message: 'Internal error' } });
+      });
+    });
+
+    this.server.on('error', (error) => {
+      logger.error(`[ControlApi] Could not serve the API on port ${port}: ${error.message}`);
+      this.server = null;
+    });
+
+    this.server.listen(port, host, () => {
+      logger.info(`[ControlApi] Serving the API and dashboard on http://${host}:${this.server.address().port}/ (spec at /openapi.json)`);
+    });
+
+    return this.server;
+  }
+
+  /**
+   * Stop serving the API
+   */
+  close() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && url.pathname === '/openapi.json') {
+      this.send(res, 200, this.spec());
+      return;
+    }
+    if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/dashboard')) {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(this.dashboard);
+      return;
+    }
+    if (req.method === 'GET' && url.pathname === '/health') {
+      this.send(res, 200, { ok: true });
+      return;
+    }
+
+    const route = ROUTES.find(r => r.method === req.method && r.pattern.test(url.pathname));
+    if (!route) {
+      this.send(res, 404, { error: { code: 'NOT_FOUND', message: `No route for ${req.method} ${url.pathname}` } });
+      return;
+    }
+
+    try {
+      const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '') ||
+        (route.stream ? url.searchParams.get('access_token') : null);
+      const user = accessControl.userForApiToken(token);
+      if (!user) {
+        throw apiError('Missing or unknown API token', 'UNAUTHORIZED');
+      }
+
+      const params = this.routeParams(route, url.pathname);
+      const access = accessControl.authorize(user, null, route.command, params.id);
+      if (!access.allowed) {
+        throw apiError(`@${user.username} is ${access.role || 'not on the allowlist'} and this needs the ${access.required} role`, 'FORBIDDEN');
+      }
+
+      if (route.stream) {
+        route.stream(this.controlPlane, req, res);
+        return;
+      }
+
+      const query = this.validate(route.query, Object.fromEntries(url.searchParams), 'query');
+      const body = this.validate(route.body, route.body ? await this.readBody(req) : {}, 'body');
+      const result = await route.run(this.controlPlane, { params, query, body, actor: user.username });
+      this.send(res, route.status || 200, result);
+    } catch (error) {
+      const status = STATUS_CODES[error.code];
+      if (!status) throw error;
+      this.send(res, status, { error: { code: error.code, message: error.message } });
+    }
+  }
+
+  /**
+   * Decode a route's path parameters
+   * @returns {Object} Parameter name → decoded value
+   * @throws {Error} code INVALID_INPUT when a parameter has a malformed %-escape
+   */
+  routeParams(route, pathname) {
+    return Object.fromEntries(Object.entries(pathname.match(route.pattern).groups || {}).map(([key, value]) => {
+      try {
+        return [key, decodeURIComponent(value)];
+      } catch (error) {
+        throw apiError(`Malformed ${key} in the path: ${value}`, 'INVALID_INPUT');
+      }
+    }));
+  }
+
+  validate(schema, value, where) {
+    if (!schema) return {};
+    const result = schema.safeParse(value);
+    if (!result.success) {
+      const problems = result.error.issues.map(issue => `${issue.path.join('.') || where}: ${issue.message}`);
+      throw apiError(`Invalid ${where}: ${problems.join('; ')}`, 'INVALID_INPUT');
+    }
+    return result.data;
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let size = 0;
+      const chunks = [];
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(apiError('Body too large', 'INVALID_INPUT'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        try {
+          resolve(text.trim() ? JSON.parse(text) : {});
+        } catch (error) {
+          reject(apiError('Body is not valid JSON', 'INVALID_INPUT'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  send(res, status, data) {
+    if (res.headersSent) return;
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+  }
+
+  /**
+   * OpenAPI 3.1 description of the routes
+   * @returns {Object} Spec
+   */
+  spec() {
+    const jsonSchema = schema => {
+      const { $schema, ...rest } = z.toJSONSchema(schema, { io: 'input' });
+      return rest;
+    };
+    const errors = Object.fromEntries(Object.keys(ERROR_RESPONSES).map(status => [
+      status, { $ref: `#/components/responses/Error${status}` }
+    ]));
+
+    const paths = {};
+    for (const route of ROUTES) {
+      const pathParams = [...route.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+        name, in: 'path', required: true, schema: { type: 'string' }
+      }));
+      const queryParams = route.query
+        ? Object.entries(jsonSchema(route.query).properties).map(([name, schema]) => ({ name, in: 'query', required: false, schema }))
+        : [];
+      if (route.stream) {
+        queryParams.push({ name: 'access_token', in: 'query', required: false, description: 'API token, for clients that cannot set headers', schema: { type: 'string' } });
+      }
+
+      paths[route.path] = paths[route.path] || {};
+      paths[route.path][route.method.toLowerCase()] = {
+        tags: [route.path.split('/')[1]],
+        summary: route.summary,
+        description: `Needs the ${accessControl.requiredRole(route.command)} role.` +
+          (route.status === 202 ? ' Returns once the work has started; the result is posted to the team chat.' : ''),
+        parameters: [...pathParams, ...queryParams],
+        ...(route.body ? { requestBody: { required: true, content: { 'application/json': { schema: jsonSchema(route.body) } } } } : {}),
+        responses: {
+          [route.status || 200]: route.stream
+            ? { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }
+            : { description: 'OK', content: { 'application/json': { schema: { type: 'object' } } } },
+          ...errors
+        }
+      };
+    }
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: 'BuildPlan Agent Orchestrator API',
+        version,
+        description: 'Requests, tasks, agents and reports of the BuildPlan agent team.'
+      },
+      security: [{ bearerAuth: [] }],
+      paths,
+      components: {
+        securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+        schemas: {
+          Error: {
+            type: 'object',
+            properties: {
+              error: {
+                type: 'object',
+                properties: { code: { type: 'string' }, message: { type: 'string' } },
+                required: ['code', 'message']
+              }
+            }
+          }
+        },
+        responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([status, description]) => [
+          `Error${status}`,
+          { description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+        ]))
+      }
+    };
+  }
+}
+
+module.exports = ControlApi;
@@ -0,0 +1,452 @@
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const taskStore = require('./taskStore');
+const requestStore = require('./requestStore');
+const progressTracker = require('./progressTracker');
+const generationStream = require('./generationStream');
+const gitOps = require('./gitOps');
+const taskFile = require('../utils/task-file');
+const blockerStore = require('./blockerStore');
+const retryPolicy = require('./retryPolicy');
+
+// Diffs longer than this are cut, with `truncated` set
+const MAX_DIFF_CHARS = 200000;
+
+function controlError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * ControlPlane
+ * The operations the team can run on requests, tasks and agents, shared by the
+ * chat commands and the HTTP API (controlApi). Each checks that its target
+ * exists and is in a state the operation applies to before handing it to the
+ * PM, and throws an Error with code NOT_FOUND, INVALID_STATE or INVALID_INPUT
+ * otherwise. The operations that call the model have a check* method that runs
+ * those checks alone, so a caller that leaves the work running in the
+ * background can still refuse a missing target or wrong state up front. Paused
+ * agents (agent_pauses in agents.db) are given no new tasks.
+ */
+class ControlPlane {
+  /**
+   * @param {AgentOrchestrator} orchestrator - Owner of the PM and the agents
+   */
+  constructor(orchestrator) {
+    this.orchestrator = orchestrator;
+    this.schemaReady = false;
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS agent_pauses (
+          agent TEXT PRIMARY KEY,
+          paused_by TEXT,
+          reason TEXT,
+          paused_at DATETIME NOT NULL
+        );
+      `);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  get pm() {
+    return this.orchestrator.pmAgent;
+  }
+
+  /**
+   * @param {Object} filter - { status (one or an array) }
+   * @returns {Array} Request rows, newest first
+   */
+  listRequests(filter = {}) {
+    return requestStore.listRequests(filter);
+  }
+
+  /**
+   * @param {string} requestId - Request ID
+   * @returns {Object} Request row with its transitions
+   */
+  getRequest(requestId) {
+    const request = requestStore.getRequest(requestId);
+    if (!request) {
+      throw controlError(`Unknown request ${requestId}`, 'NOT_FOUND');
+    }
+    return { ...request, transitions: requestStore.getTransitions(requestId) };
+  }
+
+  /**
+   * Submit a request; the PM analyzes it on its next tick
+   * @param {string} description - What is wanted, first line becomes the title
+   * @param {string} actor - Who submitted it
+   * @returns {Object} Request row
+   */
+  createRequest(description, actor) {
+    if (!description || !description.trim()) {
+      throw controlError('A request needs a description', 'INVALID_INPUT');
+    }
+    const { requestId } = this.pm.createRequest(description.trim(), actor);
+    return requestStore.getRequest(requestId);
+  }
+
+  /**
+   * Re-run the analysis of a request with changes
+   * @param {string} requestId - Request in analysis or awaiting information
+   * @param {string} modifications - What to change
+   * @param {string} actor - Who asked
+   * @returns {Promise} Settles when the updated analysis has been posted
+   */
+  modifyRequest(requestId, modifications, actor) {
+    this.checkModifyRequest(requestId, modifications);
+    return this.pm.modifyRequest(requestId, modifications, actor);
+  }
+
+  /**
+   * Throw unless modifyRequest() would start
+   * @param {string} requestId - Request ID
+   * @param {string} modifications - What to change
+   */
+  checkModifyRequest(requestId, modifications) {
+    this.requireRequest(requestId, ['in-analysis', 'awaiting-info'], 'modified');
+    this.requireText(modifications, 'Say what to modify');
+  }
+
+  /**
+   * Answer the questions of a request awaiting information, then create its tasks
+   * @param {string} requestId - Request awaiting information
+   * @param {string} information - The answers
+   * @param {string} actor - Who answered
+   * @returns {Promise} Settles once the tasks are created
+   */
+  provideInformation(requestId, information, actor) {
+    this.checkProvideInformation(requestId, information);
+    return this.pm.provideInformation(requestId, information, actor);
+  }
+
+  /**
+   * Throw unless provideInformation() would start
+   * @param {string} requestId - Request ID
+   * @param {string} information - The answers
+   */
+  checkProvideInformation(requestId, information) {
+    this.requireRequest(requestId, ['awaiting-info'], 'given information');
+    this.requireText(information, 'Give the requested information');
+  }
+
+  /**
+   * Approve a task in review, or a request in analysis
+   * @param {string} id - Task or request ID
+   * @param {string} actor - Who approved it
+   * @returns {Promise} Settles once the approval has been carried out
+   */
+  approve(id, actor) {
+    this.checkApprove(id);
+    return this.pm.approveTask(id, actor);
+  }
+
+  /**
+   * Throw unless approve() would start
+   * @param {string} id - Task or request ID
+   */
+  checkApprove(id) {
+    const task = taskStore.getTask(id);
+    if (task) {
+      if (task.status !== 'review') {
+        throw controlError(`${id} is ${task.status}; only tasks in review can be approved`, 'INVALID_STATE');
+      }
+    } else {
+      this.requireRequest(id, ['in-analysis'], 'approved');
+    }
+  }
+
+  /**
+   * Send a task in review back to its agent, or turn down an open request
+   * @param {string} id - Task or request ID
+   * @param {string} reason - What needs to change, or why the request is turned down
+   * @param {string} actor - Who rejected it
+   * @returns {Promise<Object>} Task or request row
+   */
+  async reject(id, reason, actor) {
+    reason = reason || 'No reason provided';
+
+    if (taskStore.getTask(id)) {
+      this.requireTask(id, ['review'], 'rejected');
+      await this.pm.rejectTask(id, reason, actor);
+      return taskStore.getTask(id);
+    }
+
+    this.requireRequest(id, requestStore.OPEN_STATUSES, 'rejected');
+    requestStore.transition(id, 'rejected', { actor, reason });
+    return requestStore.getRequest(id);
+  }
+
+  /**
+   * @param {Object} filter - { status, requestId, assignedAgent }
+   * @returns {Array} Task rows
+   */
+  listTasks(filter = {}) {
+    return taskStore.listTasks(filter);
+  }
+
+  /**
+   * @param {string} taskId - Task ID
+   * @returns {Object} Task row with its transitions, Progress Log entries
+   *   (newest first) and the pull request links they mention
+   */
+  getTask(taskId) {
+    const task = taskStore.getTask(taskId);
+    if (!task) {
+      throw controlError(`Unknown task ${taskId}`, 'NOT_FOUND');
+    }
+
+    const file = taskFile.load(taskStore.getTaskPath(taskId));
+    const content = file ? file.content : '';
+    const log = (content.split(/^## Progress Log\s*$/m)[1] || '').split(/^## /m)[0];
+    const progressLog = log.split('\n').map(line => line.trim()).filter(line => line.startsWith('- ')).map(line => line.slice(2));
+    const prLinks = [...new Set(content.match(/https?:\/\/\S+\/pull\/\d+/g) || [])];
+
+    return { ...task, transitions: taskStore.getTransitions(taskId), progressLog, prLinks };
+  }
+
+  /**
+   * Changes on a task's branch against the default branch
+   * @param {string} taskId - Task ID
+   * @returns {Object} { branch, stat, diff, truncated }; branch is null if there is none
+   */
+  getTaskDiff(taskId) {
+    if (!taskStore.getTask(taskId)) {
+      throw controlError(`Unknown task ${taskId}`, 'NOT_FOUND');
+    }
+
+    const branch = gitOps.findTaskBranch(taskId);
+    if (!branch) {
+      return { branch: null, stat: '', diff: '', truncated: false };
+    }
+    const { stat, diff } = gitOps.getBranchDiff(branch);
+    return { branch, stat, diff: diff.substring(0, MAX_DIFF_CHARS), truncated: diff.length > MAX_DIFF_CHARS };
+  }
+
+  /**
+   * Put a blocked task back in the backlog with instructions for the next attempt
+   * @param {string} taskId - Blocked task
+   * @param {string} instructions - What to do differently
+   * @param {string} actor - Who asked
+   * @returns {Promise<Object>} Task row
+   */
+  async retryTask(taskId, instructions, actor) {
+    this.requireTask(taskId, ['blocked'], 'retried');
+    this.requireText(instructions, 'Say what the agent should do differently');
+    await this.pm.retryTask(taskId, instructions, actor);
+    return taskStore.getTask(taskId);
+  }
+
+  /**
+   * Record what fixed an open blocker and put its task, if blocked, back in
+   * the backlog with the resolution added to the task file
+   * @param {string} blockerId - BLK-<n>
+   * @param {string} resolution - What fixed it
+   * @param {string} actor - Who resolved it
+   * @returns {Promise<Object>} Blocker
+   */
+  async resolveBlocker(blockerId, resolution, actor) {
+    const blocker = blockerStore.get(blockerId);
+    if (!blocker) {
+      throw controlError(`Unknown blocker ${blockerId}`, 'NOT_FOUND');
+    }
+    if (blocker.status !== 'open') {
+      throw controlError(`${blocker.id} was already resolved by ${blocker.resolvedBy}`, 'INVALID_STATE');
+    }
+    this.requireText(resolution, 'Say what fixed the blocker');
+    await this.pm.resolveBlocker(blocker.id, resolution.trim(), actor);
+    return blockerStore.get(blocker.id);
+  }
+
+  /**
+   * Give a backlog or blocked task to another agent by changing its type
+   * @param {string} taskId - Task ID
+   * @param {string} type - New task type, e.g. 'frontend'
+   * @param {string} actor - Who asked
+   * @returns {Promise<Object>} Task row
+   */
+  async reassignTask(taskId, type, actor) {
+    this.requireTask(taskId, ['backlog', 'blocked'], 'reassigned');
+    if (!type || !this.orchestrator.getAgentForTask(type)) {
+      throw controlError(`No agent handles ${type} tasks`, 'INVALID_INPUT');
+    }
+    await this.pm.reassignTask(taskId, type, actor);
+    return taskStore.getTask(taskId);
+  }
+
+  /**
+   * Cancel a task that isn't finished. An agent already working on it is not
+   * interrupted, but its result can no longer move the task.
+   * @param {string} taskId - Task ID
+   * @param {string} reason - Why
+   * @param {string} actor - Who cancelled it
+   * @returns {Promise<Object>} Task row
+   */
+  async cancelTask(taskId, reason, actor) {
+    this.requireTask(taskId, ['backlog', 'in-progress', 'review', 'blocked'], 'cancelled');
+    taskStore.transition(taskId, 'cancelled', { actor, reason: reason || null });
+    return taskStore.getTask(taskId);
+  }
+
+  /**
+   * Specialist agents with their pause state, the tasks they are working on
+   * and the generation they are running, if any
+   * @returns {Array} { name, role, status, paused, pausedBy, pausedAt, reason,
+   *   tasks, workload, maxWorkload, generation }; status is working, idle or paused
+   */
+  listAgents() {
+    const pauses = new Map(this.db.prepare('SELECT * FROM agent_pauses').all().map(row => [row.agent, row]));
+    const inProgress = taskStore.listTasks({ status: 'in-progress' });
+    const running = generationStream.snapshot().filter(generation => generation.status === 'running');
+
+    return Object.entries(this.orchestrator.agents)
+      .filter(([, agent]) => agent)
+      .map(([name, agent]) => {
+        const pause = pauses.get(name);
+        const tasks = inProgress.filter(t => t.assigned_agent === agent.role).map(t => t.task_id);
+        const generation = running.find(g => g.agent === agent.role) || null;
+        return {
+          name,
+          role: agent.role,
+          status: pause ? 'paused' : (tasks.length > 0 || generation ? 'working' : 'idle'),
+          paused: Boolean(pause),
+          pausedBy: pause ? pause.paused_by : null,
+          pausedAt: pause ? pause.paused_at : null,
+          reason: pause ? pause.reason : null,
+          tasks,
+          workload: tasks.length,
+          maxWorkload: agent.maxWorkload || null,
+          generation
+        };
+      });
+  }
+
+  /**
+   * Stop giving an agent new tasks; tasks it is working on carry on
+   * @param {string} name - Agent name, e.g. 'backend'
+   * @param {string} actor - Who paused it
+   * @param {string} reason - Why
+   * @returns {Object} Agent, as in listAgents()
+   */
+  pauseAgent(name, actor, reason = null) {
+    this.requireAgent(name);
+    this.db.prepare(`
+      INSERT INTO agent_pauses (agent, paused_by, reason, paused_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT(agent) DO UPDATE SET paused_by = excluded.paused_by, reason = excluded.reason, paused_at = excluded.paused_at
+    `).run(name, actor || null, reason, new Date().toISOString());
+    logger.info(`[ControlPlane] Paused ${name} (${actor})`);
+    return this.listAgents().find(agent => agent.name === name);
+  }
+
+  /**
+   * Let a paused agent take tasks again
+   * @param {string} name - Agent name
+   * @param {string} actor - Who resumed it
+   * @returns {Promise<Object>} Agent, as in listAgents()
+   */
+  async resumeAgent(name, actor) {
+    this.requireAgent(name);
+    if (this.db.prepare('DELETE FROM agent_pauses WHERE agent = ?').run(name).changes > 0) {
+      logger.info(`[ControlPlane] Resumed ${name} (${actor})`);
+      await this.pm.assignPendingTasks();
+    }
+    return this.listAgents().find(agent => agent.name === name);
+  }
+
+  /**
+   * @param {BaseAgent} agent - Specialist agent
+   * @returns {boolean} True if the agent is paused
+   */
+  isPaused(agent) {
+    const name = Object.keys(this.orchestrator.agents).find(key => this.orchestrator.agents[key] === agent);
+    return Boolean(name && this.db.prepare('SELECT 1 FROM agent_pauses WHERE agent = ?').get(name));
+  }
+
+  /**
+   * Recent agent-to-agent messages, oldest first
+   * @param {number} limit - How many
+   * @returns {Array} { timestamp, agent, message, type, taskId, ... }
+   */
+  teamFeed(limit = 50) {
+    return this.orchestrator.teamComms ? this.orchestrator.teamComms.getRecentConversation(limit) : [];
+  }
+
+  /**
+   * @returns {Promise<Object>} { report } - The latest standup
+   */
+  async standup() {
+    return { report: await this.pm.getLatestStandup() };
+  }
+
+  /**
+   * @returns {Object} Overall progress with the stale task IDs
+   */
+  progress() {
+    const progress = progressTracker.getOverallProgress();
+    if (!progress) {
+      throw new Error('Could not load progress');
+    }
+    return { ...progress, stale: progressTracker.getStaleTasks() };
+  }
+
+  /**
+   * @returns {Array} Blocked tasks: { taskId, title, reason, blockedSince }
+   */
+  blockers() {
+    return progressTracker.getBlockersList();
+  }
+
+  /**
+   * @returns {Array} Open blockers, most severe first (see BlockerStore), with
+   *   the automatic retries their task had before it was blocked; type is the
+   *   failure class
+   */
+  openBlockers() {
+    return blockerStore.listOpen().map(blocker => ({
+      ...blocker,
+      retries: blocker.taskId ? retryPolicy.retriesFor(blocker.taskId) : 0
+    }));
+  }
+
+  requireRequest(requestId, statuses, action) {
+    const request = requestStore.getRequest(requestId);
+    if (!request) {
+      throw controlError(`Unknown request ${requestId}`, 'NOT_FOUND');
+    }
+    if (!statuses.includes(request.status)) {
+      throw controlError(`${requestId} is ${request.status}; only requests ${statuses.join(' or ')} can be ${action}`, 'INVALID_STATE');
+    }
+    return request;
+  }
+
+  requireTask(taskId, statuses, action) {
+    const task = taskStore.getTask(taskId);
+    if (!task) {
+      throw controlError(`Unknown task ${taskId}`, 'NOT_FOUND');
+    }
+    if (!statuses.includes(task.status)) {
+      throw controlError(`${taskId} is ${task.status}; only ${statuses.join(', ')} tasks can be ${action}`, 'INVALID_STATE');
+    }
+    return task;
+  }
+
+  requireAgent(name) {
+    if (!Object.hasOwn(this.orchestrator.agents, name)) {
+      throw controlError(`Unknown agent ${name}; use one of ${Object.keys(this.orchestrator.agents).join(', ')}`, 'NOT_FOUND');
+    }
+  }
+
+  requireText(text, message) {
+    if (!text || !String(text).trim()) {
+      throw controlError(message, 'INVALID_INPUT');
+    }
+  }
+}
+
+module.exports = ControlPlane;
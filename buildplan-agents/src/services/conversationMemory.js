@@ -0,0 +1,222 @@
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const openai = require('../utils/openai-client');
+
+// Unsummarized turns a thread may hold before older ones are folded into its summary
+const DEFAULT_MAX_TURNS = 12;
+// Turns kept word for word when a thread is summarized
+const DEFAULT_KEEP_TURNS = 6;
+
+/**
+ * ConversationMemory
+ * Conversation threads stored in agents.db so chats survive restarts. A thread
+ * is identified by a string such as `telegram:<chat id>` (any chat platform's
+ * name works) or `team`. Each has its turns (conversation_turns) and a running
+ * summary (conversation_summaries): once a thread has more than
+ * CONVERSATION_MAX_TURNS unsummarized turns, all but the latest
+ * CONVERSATION_KEEP_TURNS are folded into the summary by the model.
+ */
+class ConversationMemory {
+  constructor() {
+    this.schemaReady = false;
+    this.summarizing = new Set();
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      this.ensureSchema(db);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  get maxTurns() {
+    return parseInt(process.env.CONVERSATION_MAX_TURNS, 10) || DEFAULT_MAX_TURNS;
+  }
+
+  get keepTurns() {
+    return Math.min(parseInt(process.env.CONVERSATION_KEEP_TURNS, 10) || DEFAULT_KEEP_TURNS, this.maxTurns);
+  }
+
+  /**
+   * Create tables
+   * @param {Database} db - Connection
+   */
+  ensureSchema(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS conversation_turns (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        thread_id TEXT NOT NULL,
+        role TEXT NOT NULL,
+        author TEXT,
+        content TEXT NOT NULL,
+        metadata TEXT,
+        summarized INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_conversation_turns_thread ON conversation_turns(thread_id, id);
+
+      CREATE TABLE IF NOT EXISTS conversation_summaries (
+        thread_id TEXT PRIMARY KEY,
+        summary TEXT NOT NULL,
+        turns INTEGER NOT NULL DEFAULT 0,
+        updated_at DATETIME NOT NULL
+      );
+    `);
+  }
+
+  /**
+   * Append a turn to a thread
+   * @param {string} threadId - Thread ID
+   * @param {Object} turn - { role: 'user'|'assistant'|'agent', author, content, metadata }
+   * @returns {number} Turn ID
+   */
+  addTurn(threadId, turn) {
+    const result = this.db.prepare(`
+      INSERT INTO conversation_turns (thread_id, role, author, content, metadata, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(
+      threadId,
+      turn.role,
+      turn.author || null,
+      turn.content,
+      turn.metadata ? JSON.stringify(turn.metadata) : null,
+      turn.timestamp || new Date().toISOString()
+    );
+    return result.lastInsertRowid;
+  }
+
+  /**
+   * Latest turns of a thread, oldest first
+   * @param {string} threadId - Thread ID
+   * @param {Object} options - { limit, includeSummarized }
+   * @returns {Array} { id, role, author, content, metadata, createdAt }
+   */
+  getTurns(threadId, options = {}) {
+    const { limit = this.maxTurns, includeSummarized = false } = options;
+    const rows = this.db.prepare(`
+      SELECT * FROM conversation_turns
+      WHERE thread_id = ? ${includeSummarized ? '' : 'AND summarized = 0'}
+      ORDER BY id DESC LIMIT ?
+    `).all(threadId, limit);
+
+    return rows.reverse().map(row => ({
+      id: row.id,
+      role: row.role,
+      author: row.author,
+      content: row.content,
+      metadata: row.metadata ? JSON.parse(row.metadata) : {},
+      createdAt: row.created_at
+    }));
+  }
+
+  /**
+   * Running summary of a thread's older turns
+   * @param {string} threadId - Thread ID
+   * @returns {string|null} Summary
+   */
+  getSummary(threadId) {
+    const row = this.db.prepare('SELECT summary FROM conversation_summaries WHERE thread_id = ?').get(threadId);
+    return row ? row.summary : null;
+  }
+
+  /**
+   * A thread as chat messages for the model: its summary as a system message,
+   * then the unsummarized turns
+   * @param {string} threadId - Thread ID
+   * @returns {Array} [{ role, content }]
+   */
+  toMessages(threadId) {
+    const messages = [];
+    const summary = this.getSummary(threadId);
+
+    if (summary) {
+      messages.push({ role: 'system', content: `Summary of the earlier conversation:\n${summary}` });
+    }
+    for (const turn of this.getTurns(threadId)) {
+      messages.push({ role: turn.role === 'assistant' ? 'assistant' : 'user', content: turn.content });
+    }
+    return messages;
+  }
+
+  /**
+   * Keep only the latest `keep` turns of a thread
+   * @param {string} threadId - Thread ID
+   * @param {number} keep - Turns to keep
+   */
+  trim(threadId, keep) {
+    this.db.prepare(`
+      DELETE FROM conversation_turns WHERE thread_id = ? AND id NOT IN (
+        SELECT id FROM conversation_turns WHERE thread_id = ? ORDER BY id DESC LIMIT ?
+      )
+    `).run(threadId, threadId, keep);
+  }
+
+  /**
+   * Forget a thread entirely
+   * @param {string} threadId - Thread ID
+   * @returns {number} Turns deleted
+   */
+  clear(threadId) {
+    const deleted = this.db.prepare('DELETE FROM conversation_turns WHERE thread_id = ?').run(threadId).changes;
+    this.db.prepare('DELETE FROM conversation_summaries WHERE thread_id = ?').run(threadId);
+    logger.info(`[ConversationMemory] Cleared ${threadId} (${deleted} turns)`);
+    return deleted;
+  }
+
+  /**
+   * Fold a thread's older turns into its summary once it has more than
+   * CONVERSATION_MAX_TURNS unsummarized turns. Turns stay unsummarized if the
+   * model call fails, so nothing is lost.
+   * @param {string} threadId - Thread ID
+   * @returns {Promise<boolean>} Whether a summary was written
+   */
+  async summarize(threadId) {
+    if (this.summarizing.has(threadId)) return false;
+
+    const turns = this.getTurns(threadId, { limit: 1000 });
+    if (turns.length <= this.maxTurns) return false;
+
+    this.summarizing.add(threadId);
+    try {
+      const older = turns.slice(0, turns.length - this.keepTurns);
+      const previous = this.getSummary(threadId);
+      const transcript = older
+        .map(turn => `${turn.role === 'assistant' ? 'PM' : (turn.author || 'User')}: ${turn.content}`)
+        .join('\n\n');
+
+      const summary = await openai.pmAgentChat(
+        'You maintain the running summary of a conversation between a user and the project manager of an AI development team.',
+        `${previous ? `Current summary:\n${previous}\n\n` : ''}New conversation to add:\n${transcript}\n\n` +
+        'Write the updated summary in under 300 words. Keep what later questions may refer back to: ' +
+        'what was asked, the answers given, any numbered or ordered lists with their items in order, ' +
+        'task and request IDs, and decisions. Reply with the summary only.',
+        { agent: 'pm-agent', temperature: 0.2 }
+      );
+
+      const save = this.db.transaction(() => {
+        this.db.prepare(`
+          INSERT INTO conversation_summaries (thread_id, summary, turns, updated_at)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(thread_id) DO UPDATE SET summary = excluded.summary,
+            turns = conversation_summaries.turns + excluded.turns, updated_at = excluded.updated_at
+        `).run(threadId, summary.trim(), older.length, new Date().toISOString());
+        this.db.prepare('UPDATE conversation_turns SET summarized = 1 WHERE thread_id = ? AND id <= ?')
+          .run(threadId, older[older.length - 1].id);
+      });
+      save();
+
+      logger.info(`[ConversationMemory] Summarized ${older.length} turns of ${threadId}`);
+      return true;
+    } catch (error) {
+      logger.warn(`[ConversationMemory] Could not summarize ${threadId}: ${error.message}`);
+      return false;
+    } finally {
+      this.summarizing.delete(threadId);
+    }
+  }
+}
+
+module.exports = new ConversationMemory();
@@ -0,0 +1,388 @@
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const taskStore = require('./taskStore');
+
+/**
+ * USD per million tokens [input, output], matched on the longest model-name
+ * prefix (so dated snapshots like gpt-4o-2024-08-06 use the gpt-4o price).
+ * Add or override entries with LLM_PRICES='{"my-model": [1.5, 6]}'.
+ */
+const MODEL_PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'gpt-4-turbo': [10, 30],
+  'gpt-4': [30, 60],
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'o1-mini': [1.1, 4.4],
+  'o1': [15, 60],
+  'o3-mini': [1.1, 4.4],
+  'claude-3-haiku': [0.25, 1.25],
+  'claude-3-5-haiku': [0.8, 4],
+  'claude-3-5-sonnet': [3, 15],
+  'claude-3-7-sonnet': [3, 15],
+  'claude-sonnet-4': [3, 15],
+  'claude-3-opus': [15, 75],
+  'claude-opus-4': [15, 75]
+};
+
+function loadPrices() {
+  if (!process.env.LLM_PRICES) return MODEL_PRICES;
+  try {
+    return { ...MODEL_PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+  } catch (error) {
+    logger.warn(`[CostTracker] Ignoring invalid LLM_PRICES: ${error.message}`);
+    return MODEL_PRICES;
+  }
+}
+
+// Spend limits in USD; 0 turns a limit off
+function defaultLimit(envVar, fallback) {
+  const value = parseFloat(process.env[envVar]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * CostTracker
+ * Records token usage and estimated cost of every LLM call in agents.db
+ * (llm_usage), tagged with agent, task and request, and enforces spend limits:
+ * each task (TASK_BUDGET_USD) and request (REQUEST_BUDGET_USD) has a budget,
+ * raised per ID with /budget. Once one is used up, further calls for it are
+ * refused with code BUDGET_EXCEEDED and the task is paused until approved.
+ */
+class CostTracker {
+  constructor() {
+    this.schemaReady = false;
+    this.prices = loadPrices();
+    this.unpricedModels = new Set();
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS llm_usage (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent TEXT NOT NULL,
+          task_id TEXT,
+          request_id TEXT,
+          provider TEXT NOT NULL,
+          model TEXT,
+          prompt_tokens INTEGER NOT NULL DEFAULT 0,
+          completion_tokens INTEGER NOT NULL DEFAULT 0,
+          total_tokens INTEGER NOT NULL DEFAULT 0,
+          cost_usd REAL NOT NULL DEFAULT 0,
+          created_at DATETIME NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_llm_usage_task ON llm_usage(task_id);
+        CREATE INDEX IF NOT EXISTS idx_llm_usage_request ON llm_usage(request_id);
+        CREATE INDEX IF NOT EXISTS idx_llm_usage_created ON llm_usage(created_at);
+
+        CREATE TABLE IF NOT EXISTS cost_budgets (
+          scope_id TEXT PRIMARY KEY,
+          scope TEXT NOT NULL CHECK(scope IN ('task', 'request')),
+          limit_usd REAL NOT NULL,
+          approved_by TEXT,
+          updated_at DATETIME NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS budget_pauses (
+          task_id TEXT PRIMARY KEY,
+          scope TEXT NOT NULL,
+          scope_id TEXT NOT NULL,
+          spent_usd REAL NOT NULL,
+          limit_usd REAL NOT NULL,
+          paused_at DATETIME NOT NULL
+        );
+      `);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  /**
+   * Price of a model
+   * @param {string} model - Model name as reported by the provider
+   * @returns {Array|null} [input, output] USD per million tokens, null if unknown
+   */
+  priceFor(model) {
+    const name = String(model || '').toLowerCase();
+    const prefix = Object.keys(this.prices)
+      .filter(key => name.startsWith(key.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.prices[prefix] : null;
+  }
+
+  /**
+   * Estimated cost of a call
+   * @param {string} model - Model name
+   * @param {Object} usage - { promptTokens, completionTokens }
+   * @returns {number} USD (0 for models without a known price)
+   */
+  estimateCost(model, usage = {}) {
+    const price = this.priceFor(model);
+    if (!price) {
+      if (model && !this.unpricedModels.has(model)) {
+        this.unpricedModels.add(model);
+        logger.warn(`[CostTracker] No price for model ${model}; its calls are recorded at $0 (set LLM_PRICES)`);
+      }
+      return 0;
+    }
+    return ((usage.promptTokens || 0) * price[0] + (usage.completionTokens || 0) * price[1]) / 1e6;
+  }
+
+  /**
+   * Store one LLM call
+   * @param {Object} call - { agent, taskId, requestId, provider, model, usage, billable }
+   *   billable: false for calls that cost nothing (local models, replayed fixtures)
+   * @returns {number} Estimated cost in USD
+   */
+  record(call) {
+    const { agent, taskId = null, requestId = null, provider, model = null, usage = {}, billable = true } = call;
+    const cost = billable ? this.estimateCost(model, usage) : 0;
+
+    try {
+      this.db.prepare(`
+        INSERT INTO llm_usage (agent, task_id, request_id, provider, model, prompt_tokens, completion_tokens, total_tokens, cost_usd, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        agent, taskId, requestId, provider, model,
+        usage.promptTokens || 0, usage.completionTokens || 0, usage.totalTokens || 0,
+        cost, new Date().toISOString()
+      );
+    } catch (error) {
+      logger.error(`[CostTracker] Failed to record usage for ${agent}: ${error.message}`);
+    }
+
+    logger.debug(`[CostTracker] ${agent}${taskId ? ` ${taskId}` : ''}: ${usage.totalTokens || 0} tokens, $${cost.toFixed(4)}`);
+    return cost;
+  }
+
+  /**
+   * 'request' for REQ-… IDs, 'task' for everything else
+   */
+  scopeOf(id) {
+    return String(id).startsWith('REQ-') ? 'request' : 'task';
+  }
+
+  /**
+   * Total estimated spend of a task or request
+   * @param {string} id - Task or request ID
+   * @returns {number} USD
+   */
+  getSpent(id) {
+    const column = this.scopeOf(id) === 'request' ? 'request_id' : 'task_id';
+    return this.db.prepare(`SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM llm_usage WHERE ${column} = ?`).get(id).spent;
+  }
+
+  /**
+   * Spend limit of a task or request: the one approved with /budget, otherwise
+   * TASK_BUDGET_USD / REQUEST_BUDGET_USD
+   * @param {string} id - Task or request ID
+   * @returns {number|null} USD, null when unlimited
+   */
+  getLimit(id) {
+    const row = this.db.prepare('SELECT limit_usd FROM cost_budgets WHERE scope_id = ?').get(id);
+    const limit = row ? row.limit_usd
+      : this.scopeOf(id) === 'request' ? defaultLimit('REQUEST_BUDGET_USD', 10) : defaultLimit('TASK_BUDGET_USD', 2);
+    return limit > 0 ? limit : null;
+  }
+
+  /**
+   * First budget the context has used up, checking the task before its request
+   * @param {Object} context - { taskId, requestId } (see utils/llm-context)
+   * @returns {Object|null} { scope, id, spent, limit } or null when within budget
+   */
+  checkBudget(context = {}) {
+    for (const id of [context.taskId, context.requestId].filter(Boolean)) {
+      const limit = this.getLimit(id);
+      if (limit === null) continue;
+      const spent = this.getSpent(id);
+      if (spent >= limit) {
+        return { scope: this.scopeOf(id), id, spent, limit };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Refuse an LLM call whose task or request is over budget
+   * @param {Object} context - { taskId, requestId }
+   * @throws {Error} code BUDGET_EXCEEDED, with `budget` from checkBudget()
+   */
+  assertWithinBudget(context = {}) {
+    const exceeded = this.checkBudget(context);
+    if (!exceeded) return;
+
+    const error = new Error(
+      `${exceeded.scope === 'request' ? 'Request' : 'Task'} ${exceeded.id} has used its LLM budget ` +
+      `($${exceeded.spent.toFixed(2)} of $${exceeded.limit.toFixed(2)}); raise it with /budget ${exceeded.id} <usd>`
+    );
+    error.code = 'BUDGET_EXCEEDED';
+    error.budget = exceeded;
+    throw error;
+  }
+
+  /**
+   * Remember that a task stopped because of a budget, so approving that budget
+   * resumes it
+   * @param {string} taskId - Paused task
+   * @param {Object} exceeded - From checkBudget()
+   */
+  pause(taskId, exceeded) {
+    this.db.prepare(`
+      INSERT INTO budget_pauses (task_id, scope, scope_id, spent_usd, limit_usd, paused_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(task_id) DO UPDATE SET scope = excluded.scope, scope_id = excluded.scope_id,
+        spent_usd = excluded.spent_usd, limit_usd = excluded.limit_usd, paused_at = excluded.paused_at
+    `).run(taskId, exceeded.scope, exceeded.id, exceeded.spent, exceeded.limit, new Date().toISOString());
+    logger.warn(`[CostTracker] Paused ${taskId}: ${exceeded.id} spent $${exceeded.spent.toFixed(2)} of $${exceeded.limit.toFixed(2)}`);
+  }
+
+  /**
+   * Set the budget of a task or request (0 removes the limit) and release the
+   * tasks it was holding back
+   * @param {string} id - Task or request ID
+   * @param {number} limitUsd - New limit in USD
+   * @param {string} approvedBy - Who approved it
+   * @returns {Array} IDs of paused tasks that are now within every budget
+   */
+  setBudget(id, limitUsd, approvedBy = null) {
+    const scope = this.scopeOf(id);
+    this.db.prepare(`
+      INSERT INTO cost_budgets (scope_id, scope, limit_usd, approved_by, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(scope_id) DO UPDATE SET limit_usd = excluded.limit_usd,
+        approved_by = excluded.approved_by, updated_at = excluded.updated_at
+    `).run(id, scope, limitUsd, approvedBy, new Date().toISOString());
+    logger.info(`[CostTracker] Budget for ${id} set to $${limitUsd} by ${approvedBy || 'unknown'}`);
+
+    const released = this.db.prepare('SELECT task_id FROM budget_pauses WHERE scope_id = ?').all(id)
+      .map(row => row.task_id)
+      .filter(taskId => {
+        const task = taskStore.getTask(taskId);
+        return !this.checkBudget({ taskId, requestId: task && task.request_id });
+      });
+
+    const remove = this.db.prepare('DELETE FROM budget_pauses WHERE task_id = ?');
+    released.forEach(taskId => remove.run(taskId));
+    return released;
+  }
+
+  /**
+   * Budgets set with /budget and tasks currently paused
+   * @returns {Object} { budgets, paused }
+   */
+  listBudgets() {
+    return {
+      budgets: this.db.prepare('SELECT * FROM cost_budgets ORDER BY updated_at DESC').all()
+        .map(row => ({ ...row, spent: this.getSpent(row.scope_id) })),
+      paused: this.db.prepare('SELECT * FROM budget_pauses ORDER BY paused_at').all()
+    };
+  }
+
+  /**
+   * Spend broken down by request, agent, day and task
+   * @param {Object} filters - { days, requestId, taskId }
+   * @returns {Object} { total, calls, tokens, byRequest, byAgent, byDay, byTask }
+   */
+  getSummary(filters = {}) {
+    const { days = null, requestId = null, taskId = null } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (days) {
+      conditions.push('created_at >= ?');
+      params.push(new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString());
+    }
+    if (requestId) {
+      conditions.push('request_id = ?');
+      params.push(requestId);
+    }
+    if (taskId) {
+      conditions.push('task_id = ?');
+      params.push(taskId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const totals = 'COUNT(*) AS calls, COALESCE(SUM(total_tokens), 0) AS tokens, COALESCE(SUM(cost_usd), 0) AS cost';
+    const group = (expression) => this.db.prepare(`
+      SELECT ${expression} AS key, ${totals} FROM llm_usage ${where}
+      GROUP BY key ORDER BY cost DESC, calls DESC LIMIT 15
+    `).all(...params);
+
+    const overall = this.db.prepare(`SELECT ${totals} FROM llm_usage ${where}`).get(...params);
+
+    return {
+      total: overall.cost,
+      calls: overall.calls,
+      tokens: overall.tokens,
+      byRequest: group("COALESCE(request_id, '(no request)')"),
+      byAgent: group('agent'),
+      byDay: this.db.prepare(`
+        SELECT substr(created_at, 1, 10) AS key, ${totals} FROM llm_usage ${where}
+        GROUP BY key ORDER BY key DESC LIMIT 14
+      `).all(...params),
+      byTask: group("COALESCE(task_id, '(no task)')")
+    };
+  }
+
+  /**
+   * Format a summary for Telegram (HTML)
+   * @param {Object} summary - From getSummary()
+   * @param {string} label - What the summary covers, e.g. 'last 7 days'
+   * @returns {string} Formatted report
+   */
+  formatSummary(summary, label = 'all time') {
+    if (summary.calls === 0) {
+      return `📭 No LLM usage recorded (${label})`;
+    }
+
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const money = (value) => `$${value.toFixed(value < 1 ? 4 : 2)}`;
+    const section = (title, rows) => rows.length === 0 ? '' :
+      `\n<b>${title}</b>\n` + rows.map(row =>
+        `• <code>${escape(row.key)}</code> ${money(row.cost)} (${row.calls} calls, ${row.tokens.toLocaleString('en-US')} tokens)`
+      ).join('\n') + '\n';
+
+    // A single request's report lists its tasks instead
+    const single = summary.byRequest.length === 1;
+
+    return `<b>💰 LLM Costs</b> (${escape(label)})\n\n` +
+      `Total: <b>${money(summary.total)}</b> over ${summary.calls} calls, ${summary.tokens.toLocaleString('en-US')} tokens\n` +
+      (single ? section('By task', summary.byTask) : section('By request', summary.byRequest)) +
+      section('By agent', summary.byAgent) +
+      section('By day', summary.byDay);
+  }
+
+  /**
+   * Format budgets and paused tasks for Telegram (HTML)
+   * @returns {string} Formatted list
+   */
+  formatBudgets() {
+    const { budgets, paused } = this.listBudgets();
+    const taskDefault = defaultLimit('TASK_BUDGET_USD', 2);
+    const requestDefault = defaultLimit('REQUEST_BUDGET_USD', 10);
+    const limit = (value) => (value > 0 ? `$${value.toFixed(2)}` : 'no limit');
+
+    let text = `<b>💳 LLM Budgets</b>\n\nDefaults: ${limit(taskDefault)} per task, ${limit(requestDefault)} per request\n`;
+
+    if (budgets.length > 0) {
+      text += '\n<b>Approved</b>\n' + budgets.map(b =>
+        `• <code>${b.scope_id}</code> $${b.spent.toFixed(2)} of ${limit(b.limit_usd)}${b.approved_by ? ` (${b.approved_by})` : ''}`
+      ).join('\n') + '\n';
+    }
+
+    if (paused.length > 0) {
+      text += '\n<b>⏸️ Paused</b>\n' + paused.map(p =>
+        `• <code>${p.task_id}</code> - ${p.scope_id} at $${p.spent_usd.toFixed(2)} of $${p.limit_usd.toFixed(2)}`
+      ).join('\n') + '\n';
+    }
+
+    return text + '\nRaise a budget with <code>/budget [task-or-request-id] [usd]</code>';
+  }
+}
+
+module.exports = new CostTracker();
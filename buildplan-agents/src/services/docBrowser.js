@@ -0,0 +1,277 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const permissions = require('./permissions');
+const logger = require('../utils/logger');
+
+// Readable from /doc unless DOC_PATHS says otherwise (globs relative to PROJECT_ROOT)
+const DEFAULT_DOC_PATHS = ['docs/**', 'tasks/**', 'requests/**', 'standups/**', 'architecture/**', '*.md'];
+
+// Never readable, whatever DOC_PATHS allows (matched against the lowercased path)
+const DENIED_PATTERNS = [
+  '**/.env*',
+  '**/*secret*',
+  '**/*credential*',
+  '**/*password*',
+  '**/*.pem',
+  '**/*.key',
+  '**/id_rsa*',
+  '**/.git/**',
+  '**/node_modules/**'
+];
+
+// Characters per page; leaves room for the header and HTML formatting
+const PAGE_SIZE = 3000;
+const MAX_FILE_BYTES = 512 * 1024;
+// Files looked at when searching, so a huge tree can't stall the bot
+const MAX_SCAN_FILES = 5000;
+const MAX_MATCHES = 8;
+
+/**
+ * DocBrowser
+ * Backs the /doc command: reads project documents only from the DOC_PATHS
+ * allowlist, never secrets, and never outside PROJECT_ROOT (symlinks
+ * included). Names that don't match a file exactly are searched for, and files
+ * are split into pages the bot steps through with buttons. Pages are
+ * addressed by a short hash of the path so the buttons fit Telegram's
+ * callback_data and keep working after a restart.
+ */
+class DocBrowser {
+  get root() {
+    return path.resolve(process.env.PROJECT_ROOT || '.');
+  }
+
+  get allowedPatterns() {
+    return process.env.DOC_PATHS
+      ? process.env.DOC_PATHS.split(',').map(p => p.trim()).filter(Boolean)
+      : DEFAULT_DOC_PATHS;
+  }
+
+  /**
+   * Whether a path relative to PROJECT_ROOT may be shown
+   * @param {string} relativePath - Path relative to PROJECT_ROOT
+   * @returns {boolean} True if allowlisted and not a secret
+   */
+  isAllowed(relativePath) {
+    const normalized = permissions.normalizePath(relativePath);
+    if (!normalized || normalized.startsWith('../') || normalized === '..' || path.isAbsolute(normalized)) {
+      return false;
+    }
+    // `**/` also matches nothing, so the denied patterns cover top-level files too
+    if (permissions.matchesPatterns(normalized.toLowerCase(), DENIED_PATTERNS)) {
+      return false;
+    }
+    return permissions.matchesPatterns(normalized, this.allowedPatterns);
+  }
+
+  /**
+   * Find the document a /doc argument means. Paths that exist but aren't
+   * readable are treated like missing ones, so /doc can't probe for files.
+   * @param {string} query - File path relative to PROJECT_ROOT, or part of a name
+   * @returns {Object} { path } for an exact, readable file, otherwise
+   *   { matches } (best first, possibly empty)
+   */
+  find(query) {
+    const exact = this.safePath(query);
+    if (exact) {
+      return { path: exact };
+    }
+
+    const target = path.resolve(this.root, String(query).trim());
+    if (fs.existsSync(target) && fs.statSync(target).isFile()) {
+      logger.warn(`[DocBrowser] Refused /doc ${query}`);
+    }
+    return { matches: this.search(query) };
+  }
+
+  /**
+   * Resolve a path to a readable file inside PROJECT_ROOT
+   * @param {string} query - Path relative to PROJECT_ROOT
+   * @returns {string|null} Normalized relative path, null if missing or not allowed
+   */
+  safePath(query) {
+    try {
+      const root = fs.realpathSync(this.root);
+      const target = path.resolve(root, String(query).trim());
+      if (!fs.existsSync(target) || !fs.statSync(target).isFile()) {
+        return null;
+      }
+
+      // Resolve symlinks before checking, so a link can't point outside the root
+      const relative = path.relative(root, fs.realpathSync(target));
+      if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+        return null;
+      }
+
+      const normalized = permissions.normalizePath(relative);
+      return this.isAllowed(normalized) && this.isAllowed(permissions.normalizePath(path.relative(root, target)))
+        ? normalized
+        : null;
+    } catch (error) {
+      logger.warn(`[DocBrowser] Could not resolve ${query}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Fuzzy search allowlisted files by name
+   * @param {string} query - Part of a file name or path
+   * @returns {Array} Relative paths, best match first
+   */
+  search(query) {
+    const needle = String(query).trim().toLowerCase().replace(/\\/g, '/');
+    if (!needle) return [];
+
+    return this.listDocs()
+      .map(file => ({ file, score: this.score(needle, file.toLowerCase()) }))
+      .filter(m => m.score > 0)
+      .sort((a, b) => b.score - a.score || a.file.length - b.file.length)
+      .slice(0, MAX_MATCHES)
+      .map(m => m.file);
+  }
+
+  score(needle, file) {
+    const name = path.posix.basename(file);
+    const stem = name.replace(/\.[^.]+$/, '');
+    const term = path.posix.basename(needle);
+
+    if (name === term || stem === term) return 100;
+    if (name.includes(term)) return 80;
+    if (file.includes(needle)) return 60;
+    if (isSubsequence(term, name)) return 40;
+    if (isSubsequence(needle, file)) return 20;
+    return 0;
+  }
+
+  /**
+   * All readable documents
+   * @returns {Array} Relative paths
+   */
+  listDocs() {
+    const files = new Set();
+    let scanned = 0;
+
+    const walk = (relativeDir, depth) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(path.join(this.root, relativeDir), { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      for (const entry of entries) {
+        if (scanned >= MAX_SCAN_FILES) return;
+        const relative = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+
+        if (entry.isDirectory()) {
+          if (depth > 0 && !permissions.matchesPatterns(`${relative.toLowerCase()}/x`, DENIED_PATTERNS)) {
+            walk(relative, depth - 1);
+          }
+        } else if (entry.isFile()) {
+          scanned++;
+          if (this.isAllowed(relative)) files.add(relative);
+        }
+      }
+    };
+
+    // Only walk where an allowed pattern can match: the part before the first wildcard
+    for (const pattern of this.allowedPatterns) {
+      const segments = permissions.normalizePath(pattern).split('/');
+      const firstGlob = segments.findIndex(segment => /[*?]/.test(segment));
+      const base = segments.slice(0, firstGlob === -1 ? segments.length - 1 : firstGlob).join('/');
+      const depth = pattern.includes('**') ? Infinity : segments.length - base.split('/').filter(Boolean).length - 1;
+      walk(base, depth);
+    }
+
+    return [...files].sort();
+  }
+
+  /**
+   * Short, stable reference to a document for button data
+   * @param {string} relativePath - Path relative to PROJECT_ROOT
+   * @returns {string} 10-character hash
+   */
+  refFor(relativePath) {
+    return crypto.createHash('sha256').update(relativePath).digest('base64url').slice(0, 10);
+  }
+
+  /**
+   * Find a document by refFor()
+   * @param {string} ref - Document reference
+   * @returns {string|null} Relative path
+   */
+  pathForRef(ref) {
+    return this.listDocs().find(file => this.refFor(file) === ref) || null;
+  }
+
+  /**
+   * Read one page of a document
+   * @param {string} relativePath - Path from find() or pathForRef()
+   * @param {number} page - Page number, from 1
+   * @param {number} pageSize - Characters per page
+   * @returns {Object} { content, page, pages } or { error }
+   */
+  readPage(relativePath, page = 1, pageSize = PAGE_SIZE) {
+    const safe = this.safePath(relativePath);
+    if (!safe) {
+      return { error: 'File not found' };
+    }
+
+    const fullPath = path.join(this.root, safe);
+    if (fs.statSync(fullPath).size > MAX_FILE_BYTES) {
+      return { error: `File is larger than ${MAX_FILE_BYTES / 1024} KB` };
+    }
+
+    const content = fs.readFileSync(fullPath, 'utf8');
+    if (content.includes('\u0000')) {
+      return { error: 'Binary file' };
+    }
+
+    const pages = paginate(content, pageSize);
+    const current = Math.min(Math.max(1, page), pages.length);
+    return { content: pages[current - 1], page: current, pages: pages.length };
+  }
+}
+
+function isSubsequence(needle, haystack) {
+  let i = 0;
+  for (const char of haystack) {
+    if (char === needle[i]) i++;
+    if (i === needle.length) return true;
+  }
+  return needle.length === 0;
+}
+
+/**
+ * Split text into pages of at most `size` characters, at line breaks where possible
+ */
+function paginate(text, size) {
+  const pages = [];
+  let current = '';
+
+  for (const line of text.split('\n')) {
+    let rest = line;
+    while (rest.length > size) {
+      if (current) {
+        pages.push(current);
+        current = '';
+      }
+      pages.push(rest.slice(0, size));
+      rest = rest.slice(size);
+    }
+
+    if (current && current.length + rest.length + 1 > size) {
+      pages.push(current);
+      current = rest;
+    } else {
+      current = current ? `${current}\n${rest}` : rest;
+    }
+  }
+
+  if (current || pages.length === 0) {
+    pages.push(current);
+  }
+  return pages;
+}
+
+module.exports = new DocBrowser();
@@ -0,0 +1,172 @@
+const EventEmitter = require('events');
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const { EVENT_SCHEMAS } = require('../utils/event-schema');
+
+/**
+ * Whether an event type matches a subscription pattern: '*', 'task.*' or an exact type
+ * @param {string} pattern - Pattern
+ * @param {string} type - Event type
+ * @returns {boolean} True if it matches
+ */
+function matches(pattern, type) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith('.*')) return type.startsWith(pattern.slice(0, -1));
+  return pattern === type;
+}
+
+/**
+ * EventBus
+ * Domain events (see utils/event-schema) shared by every service. Each event
+ * is validated, appended to event_log in agents.db and then handed to the
+ * subscribers whose pattern matches it. Services that used to keep state in
+ * memory rebuild it from the log with projection(), so it survives restarts
+ * and is the same in CLI commands that read agents.db; chat notices and the
+ * dashboard subscribe instead of being called by the code that changes state.
+ */
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per subscriber, and every dashboard connection subscribes
+    this.setMaxListeners(0);
+    this.schemaReady = false;
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS event_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          type TEXT NOT NULL,
+          payload TEXT NOT NULL,
+          created_at DATETIME NOT NULL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_event_log_type ON event_log(type, id);
+      `);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  /**
+   * Record an event and notify subscribers. Publishers call this after their
+   * own state change is committed; if the log can't be written the event is
+   * still delivered, without an id.
+   * @param {string} type - Event type
+   * @param {Object} payload - Payload matching the type's schema
+   * @returns {Object} { id, type, payload, createdAt }
+   */
+  publish(type, payload) {
+    const schema = EVENT_SCHEMAS[type];
+    if (!schema) {
+      const error = new Error(`Unknown event type ${type}`);
+      error.code = 'INVALID_EVENT';
+      throw error;
+    }
+
+    const result = schema.safeParse(payload);
+    if (!result.success) {
+      const error = new Error(`Invalid ${type} event: ${result.error.issues.map(i => `${i.path.join('.')}: ${i.message}`).join('; ')}`);
+      error.code = 'INVALID_EVENT';
+      throw error;
+    }
+
+    const event = { id: null, type, payload: result.data, createdAt: new Date().toISOString() };
+    try {
+      event.id = this.db.prepare('INSERT INTO event_log (type, payload, created_at) VALUES (?, ?, ?)')
+        .run(type, JSON.stringify(event.payload), event.createdAt).lastInsertRowid;
+    } catch (error) {
+      logger.error(`[EventBus] Could not record ${type}: ${error.message}`);
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  /**
+   * Call a handler for every event published from now on that matches a
+   * pattern. Handlers run after the publisher has moved on; what they throw
+   * or reject with is logged, never passed back to the publisher.
+   * @param {string} pattern - '*', 'task.*' or an exact type
+   * @param {Function} handler - (event) => void or Promise
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(pattern, handler) {
+    const listener = (event) => {
+      if (!matches(pattern, event.type)) return;
+      Promise.resolve()
+        .then(() => handler(event))
+        .catch(error => logger.error(`[EventBus] ${pattern} subscriber failed on ${event.type} ${event.id}: ${error.message}`));
+    };
+
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+
+  /**
+   * Events from the log, oldest first
+   * @param {Object} filter - { type (pattern), after (event id), since (ISO time), limit }
+   * @returns {Array} { id, type, payload, createdAt }
+   */
+  history(filter = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filter.type && filter.type !== '*') {
+      if (filter.type.endsWith('.*')) {
+        conditions.push('type LIKE ?');
+        params.push(`${filter.type.slice(0, -1)}%`);
+      } else {
+        conditions.push('type = ?');
+        params.push(filter.type);
+      }
+    }
+    if (filter.after) {
+      conditions.push('id > ?');
+      params.push(filter.after);
+    }
+    if (filter.since) {
+      conditions.push('created_at >= ?');
+      params.push(filter.since);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const limit = filter.limit ? `LIMIT ${parseInt(filter.limit, 10)}` : '';
+    return this.db.prepare(`SELECT * FROM event_log ${where} ORDER BY id ${limit}`).all(...params)
+      .map(row => ({ id: row.id, type: row.type, payload: JSON.parse(row.payload), createdAt: row.created_at }));
+  }
+
+  /**
+   * Run a handler over past events, e.g. to rebuild a view after a restart
+   * @param {Object} filter - As for history()
+   * @param {Function} handler - (event) => void, called in order
+   * @returns {number} ID of the last event replayed, or filter.after
+   */
+  replay(filter, handler) {
+    let last = filter.after || 0;
+    for (const event of this.history(filter)) {
+      handler(event);
+      last = event.id;
+    }
+    return last;
+  }
+
+  /**
+   * State folded from the log. Returns a function that applies the events
+   * recorded since it last ran; call it before reading the state, so it is
+   * complete however the events got into agents.db.
+   * @param {string} pattern - Event types the state is built from
+   * @param {Function} apply - (event) => void
+   * @returns {Function} Catch up with the log
+   */
+  projection(pattern, apply) {
+    let last = 0;
+    return () => {
+      last = this.replay({ type: pattern, after: last }, apply);
+    };
+  }
+}
+
+module.exports = new EventBus();
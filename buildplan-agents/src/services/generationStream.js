@@ -0,0 +1,187 @@
+const http = require('http');
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const patchApplier = require('../utils/patch-applier');
+const eventBus = require('./eventBus');
+
+// Minimum gap between 'progress' events for one generation
+const PROGRESS_INTERVAL_MS = 500;
+// Finished generations kept for clients that connect afterwards
+const RECENT_LIMIT = 10;
+
+/**
+ * GenerationStream
+ * Live progress of streamed LLM generations: phase, approximate tokens
+ * generated so far and the files the response names. Emits 'start',
+ * 'progress' and 'end' with a snapshot of the generation; TeamComms turns
+ * them into an edited-in-place Telegram message, and serve() exposes them as
+ * Server-Sent Events for `node src/commands/watch.js`.
+ */
+class GenerationStream extends EventEmitter {
+  constructor() {
+    super();
+    this.active = new Map();
+    this.recent = [];
+    this.nextId = 1;
+    this.server = null;
+  }
+
+  /**
+   * Begin tracking a generation
+   * @param {Object} info - { agent, taskId, phase }
+   * @returns {Object} Handle with onDelta(delta, text) for OpenAIClient and finish(status)
+   */
+  start(info) {
+    const id = `GEN-${this.nextId++}`;
+    const generation = {
+      id,
+      agent: info.agent,
+      taskId: info.taskId || null,
+      phase: info.phase,
+      status: 'running',
+      tokens: 0,
+      files: [],
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    this.active.set(id, { generation, lastEmitAt: 0, pending: null });
+    this.emit('start', { ...generation });
+    this.publishPhase(generation);
+
+    return {
+      id,
+      onDelta: (delta, text) => this.update(id, text),
+      finish: (status = 'done') => this.finish(id, status)
+    };
+  }
+
+  /**
+   * Record the response text generated so far
+   * @param {string} id - Generation ID
+   * @param {string} text - Full response text so far
+   */
+  update(id, text) {
+    const entry = this.active.get(id);
+    if (!entry) return;
+
+    const { generation } = entry;
+    const files = patchApplier.listPaths(text);
+    const filesChanged = files.length !== generation.files.length;
+
+    // ~4 characters per token; close enough for a progress display
+    generation.tokens = Math.ceil(text.length / 4);
+    generation.files = files;
+
+    const wait = entry.lastEmitAt + PROGRESS_INTERVAL_MS - Date.now();
+    if (filesChanged || wait <= 0) {
+      this.emitProgress(entry);
+    } else if (!entry.pending) {
+      entry.pending = setTimeout(() => this.emitProgress(entry), wait);
+    }
+  }
+
+  emitProgress(entry) {
+    clearTimeout(entry.pending);
+    entry.pending = null;
+    entry.lastEmitAt = Date.now();
+    this.emit('progress', { ...entry.generation });
+  }
+
+  /**
+   * Stop tracking a generation
+   * @param {string} id - Generation ID
+   * @param {string} status - 'done' or 'failed'
+   */
+  finish(id, status = 'done') {
+    const entry = this.active.get(id);
+    if (!entry) return;
+
+    clearTimeout(entry.pending);
+    this.active.delete(id);
+
+    const generation = { ...entry.generation, status, finishedAt: new Date().toISOString() };
+    this.recent = [generation, ...this.recent].slice(0, RECENT_LIMIT);
+    this.emit('end', generation);
+    this.publishPhase(generation);
+  }
+
+  // Starts and ends go on the event bus; progress is too frequent to keep
+  publishPhase(generation) {
+    eventBus.publish('agent.phase', {
+      agent: generation.agent,
+      taskId: generation.taskId,
+      phase: generation.phase,
+      status: generation.status,
+      generationId: generation.id
+    });
+  }
+
+  /**
+   * Generations in progress followed by recently finished ones
+   * @returns {Array} Generation snapshots
+   */
+  snapshot() {
+    return [...[...this.active.values()].map(entry => ({ ...entry.generation })), ...this.recent];
+  }
+
+  /**
+   * Serve the stream on localhost: GET /events sends a 'snapshot' event, then
+   * 'start', 'progress' and 'end' events as they happen
+   * @param {number} port - Port to listen on
+   * @returns {Object} The http.Server
+   */
+  serve(port) {
+    if (this.server) return this.server;
+
+    this.server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== '/events') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found\n');
+        return;
+      }
+
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+
+      const send = (event) => (data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      const listeners = { start: send('start'), progress: send('progress'), end: send('end') };
+
+      send('snapshot')(this.snapshot());
+      Object.entries(listeners).forEach(([event, listener]) => this.on(event, listener));
+
+      // Comment lines keep proxies and idle timeouts from closing the connection
+      const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+      req.on('close', () => {
+        clearInterval(keepAlive);
+        Object.entries(listeners).forEach(([event, listener]) => this.off(event, listener));
+      });
+    });
+
+    this.server.on('error', (error) => {
+      logger.error(`[GenerationStream] Could not serve progress on port ${port}: ${error.message}`);
+      this.server = null;
+    });
+
+    this.server.listen(port, '127.0.0.1', () => {
+      logger.info(`[GenerationStream] Serving generation progress on http://127.0.0.1:${port}/events`);
+    });
+
+    return this.server;
+  }
+
+  /**
+   * Stop serving the stream
+   */
+  close() {
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+}
+
+module.exports = new GenerationStream();
@@ -1,46 +1,54 @@
 const { execSync } = require('child_process');
+const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const workspace = require('./workspaceManager');
 
 /**
  * GitOps
  * Handles Git operations for agents: branches, commits, PRs
- * Wraps git CLI commands with error handling and validation
+ * Wraps git CLI commands with error handling and validation.
+ * Agents work on tasks in their own worktree (see createWorktree) so that
+ * concurrent tasks never share a checkout; pass { cwd: worktreePath } to run
+ * the branch/commit/push helpers inside one.
  */
 class GitOps {
   constructor() {
     this.repoPath = process.env.PROJECT_ROOT || process.cwd();
-    this.defaultBranch = 'main';
+    this.defaultBranch = process.env.GITHUB_DEFAULT_BRANCH || 'main';
   }
 
   /**
    * Execute a git command
    * @param {string} command - Git command to execute
-   * @param {Object} options - Execution options
+   * @param {Object} options - Execution options ({ quiet } skips the error log for expected failures)
    * @returns {string} Command output
    */
   exec(command, options = {}) {
+    const { cwd, silent, quiet, ...execOptions } = options;
     try {
-      const cwd = options.cwd || this.repoPath;
       const result = execSync(command, {
-        cwd,
+        cwd: cwd || this.repoPath,
         encoding: 'utf8',
-        stdio: options.silent ? 'pipe' : ['pipe', 'pipe', 'pipe'],
-        ...options
+        stdio: silent ? 'pipe' : ['pipe', 'pipe', 'pipe'],
+        ...execOptions
       });
       return result.trim();
     } catch (error) {
-      logger.error(`[GitOps] Command failed: ${command}`, error);
+      if (!quiet) {
+        logger.error(`[GitOps] Command failed: ${command}`, error);
+      }
       throw new Error(`Git command failed: ${error.message}`);
     }
   }
 
   /**
    * Get current branch name
+   * @param {Object} options - { cwd } to ask a worktree
    * @returns {string} Current branch name
    */
-  getCurrentBranch() {
-    return this.exec('git rev-parse --abbrev-ref HEAD', { silent: true });
+  getCurrentBranch(options = {}) {
+    return this.exec('git rev-parse --abbrev-ref HEAD', { silent: true, cwd: options.cwd });
   }
 
   /**
@@ -50,7 +58,7 @@ class GitOps {
    */
   branchExists(branchName) {
     try {
-      this.exec(`git rev-parse --verify ${branchName}`, { silent: true });
+      this.exec(`git rev-parse --verify ${branchName}`, { silent: true, quiet: true });
       return true;
     } catch (error) {
       return false;
@@ -130,16 +138,17 @@ class GitOps {
   /**
    * Stage files for commit
    * @param {Array<string>} files - File paths to stage (relative to repo root)
+   * @param {Object} options - { cwd } to stage in a worktree
    * @returns {Object} Result object
    */
-  stageFiles(files) {
+  stageFiles(files, options = {}) {
     try {
       if (!Array.isArray(files) || files.length === 0) {
         throw new Error('No files provided to stage');
       }
 
       for (const file of files) {
-        this.exec(`git add "${file}"`, { silent: true });
+        this.exec(`git add -- "${file}"`, { silent: true, cwd: options.cwd });
       }
 
       logger.info(`[GitOps] Staged ${files.length} file(s)`);
@@ -153,7 +162,7 @@ class GitOps {
   /**
    * Commit staged changes
    * @param {string} message - Commit message
-   * @param {Object} options - Commit options
+   * @param {Object} options - Commit options ({ cwd } to commit in a worktree)
    * @returns {Object} Result object with commit hash
    */
   commit(message, options = {}) {
@@ -163,17 +172,20 @@ class GitOps {
       }
 
       // Check if there are staged changes
-      const staged = this.exec('git diff --cached --name-only', { silent: true });
+      const staged = this.exec('git diff --cached --name-only', { silent: true, cwd: options.cwd });
       if (!staged) {
         throw new Error('No staged changes to commit');
       }
 
-      // Create commit
-      const author = options.author || 'BuildPlan Agent <agent@buildplan.dev>';
-      this.exec(`git -c user.name="BuildPlan Agent" -c user.email="agent@buildplan.dev" commit -m "${message}"`, { silent: true });
+      // Create commit (message on stdin so quotes in task titles are safe)
+      this.exec('git -c user.name="BuildPlan Agent" -c user.email="agent@buildplan.dev" commit -F -', {
+        silent: true,
+        cwd: options.cwd,
+        input: message
+      });
 
       // Get commit hash
-      const commitHash = this.exec('git rev-parse HEAD', { silent: true });
+      const commitHash = this.exec('git rev-parse HEAD', { silent: true, cwd: options.cwd });
 
       logger.info(`[GitOps] Created commit: ${commitHash.substring(0, 7)}`);
       return { success: true, commitHash, message };
@@ -189,27 +201,28 @@ class GitOps {
    * @param {string} message - Commit message
    * @returns {Object} Result object
    */
-  stageAndCommit(files, message) {
-    const stageResult = this.stageFiles(files);
+  stageAndCommit(files, message, options = {}) {
+    const stageResult = this.stageFiles(files, options);
     if (!stageResult.success) {
       return stageResult;
     }
 
-    return this.commit(message);
+    return this.commit(message, options);
   }
 
   /**
    * Push branch to remote
    * @param {string} branchName - Branch name (default: current branch)
    * @param {boolean} setUpstream - Set upstream tracking (default: true)
+   * @param {Object} options - { cwd } to push from a worktree
    * @returns {Object} Result object
    */
-  push(branchName = null, setUpstream = true) {
+  push(branchName = null, setUpstream = true, options = {}) {
     try {
-      const branch = branchName || this.getCurrentBranch();
+      const branch = branchName || this.getCurrentBranch(options);
       const upstreamFlag = setUpstream ? '-u' : '';
 
-      this.exec(`git push ${upstreamFlag} origin ${branch}`, { silent: false });
+      this.exec(`git push ${upstreamFlag} origin ${branch}`, { silent: false, cwd: options.cwd });
 
       logger.info(`[GitOps] Pushed branch: ${branch}`);
       return { success: true, branch };
@@ -276,13 +289,47 @@ class GitOps {
     }
   }
 
+  /**
+   * Find the branch an agent worked on a task in (agents name them
+   * <area>/<taskId>-<slug>)
+   * @param {string} taskId - Task ID
+   * @returns {string|null} Branch name
+   */
+  findTaskBranch(taskId) {
+    try {
+      const branches = this.exec(`git branch --list "*/${taskId}*" --format="%(refname:short)"`, { silent: true, quiet: true });
+      return branches.split('\n').map(b => b.trim()).find(Boolean) || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Changes a branch makes relative to where it left the base branch
+   * @param {string} branchName - Branch to compare
+   * @param {string} baseBranch - Base branch (default: main)
+   * @returns {Object} { stat, diff }, empty strings if the diff can't be computed
+   */
+  getBranchDiff(branchName, baseBranch = this.defaultBranch) {
+    try {
+      return {
+        stat: this.exec(`git diff --stat ${baseBranch}...${branchName}`, { silent: true }),
+        diff: this.exec(`git diff ${baseBranch}...${branchName}`, { silent: true, maxBuffer: 20 * 1024 * 1024 })
+      };
+    } catch (error) {
+      logger.error(`[GitOps] Failed to diff ${branchName}: ${error.message}`);
+      return { stat: '', diff: '' };
+    }
+  }
+
   /**
    * Get list of changed files
+   * @param {Object} options - { cwd } to ask a worktree
    * @returns {Array} Array of file paths
    */
-  getChangedFiles() {
+  getChangedFiles(options = {}) {
     try {
-      const output = this.exec('git status --porcelain', { silent: true });
+      const output = this.exec('git status --porcelain', { silent: true, cwd: options.cwd });
       return output.split('\n')
         .filter(line => line.trim())
         .map(line => line.substring(3).trim());
@@ -292,6 +339,143 @@ class GitOps {
     }
   }
 
+  /**
+   * Check out a task branch in its own worktree, so agents working at the same
+   * time never touch each other's files or the main checkout. An existing
+   * worktree for the task is reused, and an existing branch (e.g. from a task
+   * that was blocked) is checked out as is instead of being reset.
+   * @param {string} taskId - Task ID (names the worktree directory)
+   * @param {string} branchName - Branch to work on
+   * @param {string} baseBranch - Branch to start new work from
+   * @returns {Object} Result object with worktree path
+   */
+  createWorktree(taskId, branchName, baseBranch = this.defaultBranch) {
+    const worktreePath = workspace.worktreePath(taskId);
+
+    try {
+      if (!this.isValidBranchName(branchName)) {
+        throw new Error(`Invalid branch name: ${branchName}`);
+      }
+
+      const existing = this.listWorktrees().find(w => path.resolve(w.path) === worktreePath);
+      if (existing) {
+        logger.info(`[GitOps] Reusing worktree for ${taskId} at ${worktreePath}`);
+        return { success: true, path: worktreePath, branchName: existing.branch || branchName, reused: true };
+      }
+
+      // A directory left behind by a crash would make `worktree add` fail
+      this.exec('git worktree prune', { silent: true });
+      if (fs.existsSync(worktreePath)) {
+        fs.rmSync(worktreePath, { recursive: true, force: true });
+      }
+      fs.mkdirSync(path.dirname(worktreePath), { recursive: true });
+
+      if (this.branchExists(branchName)) {
+        this.exec(`git worktree add "${worktreePath}" ${branchName}`, { silent: true });
+      } else {
+        this.exec(`git worktree add -b ${branchName} "${worktreePath}" ${this.resolveBaseRef(baseBranch)}`, { silent: true });
+      }
+
+      logger.info(`[GitOps] Created worktree for ${taskId} on ${branchName} at ${worktreePath}`);
+      return { success: true, path: worktreePath, branchName, baseBranch };
+    } catch (error) {
+      logger.error(`[GitOps] Failed to create worktree for ${taskId}: ${error.message}`);
+      return { success: false, error: error.message, branchName };
+    }
+  }
+
+  /**
+   * Latest known commit of the base branch: origin's copy when there is a
+   * remote, otherwise the local branch
+   * @param {string} baseBranch - Branch name
+   * @returns {string} Ref to start from
+   */
+  resolveBaseRef(baseBranch) {
+    try {
+      this.exec(`git fetch origin ${baseBranch}`, { silent: true, quiet: true });
+      return `origin/${baseBranch}`;
+    } catch (error) {
+      logger.warn(`[GitOps] Could not fetch origin/${baseBranch}, branching from local ${baseBranch}`);
+      return baseBranch;
+    }
+  }
+
+  /**
+   * Remove a task's worktree. The branch is kept so pushed or saved work
+   * isn't lost; uncommitted changes in the worktree are discarded.
+   * @param {string} taskId - Task ID
+   * @returns {Object} Result object
+   */
+  removeWorktree(taskId) {
+    const worktreePath = workspace.worktreePath(taskId);
+
+    try {
+      if (this.listWorktrees().some(w => path.resolve(w.path) === worktreePath)) {
+        this.exec(`git worktree remove --force "${worktreePath}"`, { silent: true });
+      } else if (fs.existsSync(worktreePath)) {
+        fs.rmSync(worktreePath, { recursive: true, force: true });
+      }
+      this.exec('git worktree prune', { silent: true });
+
+      logger.info(`[GitOps] Removed worktree for ${taskId}`);
+      return { success: true, path: worktreePath };
+    } catch (error) {
+      logger.error(`[GitOps] Failed to remove worktree for ${taskId}: ${error.message}`);
+      return { success: false, error: error.message, path: worktreePath };
+    }
+  }
+
+  /**
+   * List worktrees of the project repository
+   * @returns {Array} { path, branch, head } for each worktree (the main checkout included)
+   */
+  listWorktrees() {
+    try {
+      const output = this.exec('git worktree list --porcelain', { silent: true });
+      return output.split(/\n\n+/).filter(Boolean).map(block => {
+        const entry = {};
+        for (const line of block.split('\n')) {
+          const [key, ...rest] = line.split(' ');
+          entry[key] = rest.join(' ');
+        }
+        return {
+          path: entry.worktree,
+          branch: entry.branch ? entry.branch.replace(/^refs\/heads\//, '') : null,
+          head: entry.HEAD
+        };
+      });
+    } catch (error) {
+      logger.error(`[GitOps] Failed to list worktrees: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Remove task worktrees left behind by tasks that are no longer being worked on
+   * (e.g. after a crash)
+   * @param {Array<string>} activeTaskIds - Tasks whose worktrees should be kept
+   * @returns {Array<string>} Task IDs whose worktrees were removed
+   */
+  cleanupWorktrees(activeTaskIds = []) {
+    const root = workspace.worktreesRoot();
+    const removed = [];
+
+    for (const worktree of this.listWorktrees()) {
+      const resolved = path.resolve(worktree.path);
+      if (path.dirname(resolved) !== root) continue;
+
+      const taskId = path.basename(resolved);
+      if (!activeTaskIds.includes(taskId) && this.removeWorktree(taskId).success) {
+        removed.push(taskId);
+      }
+    }
+
+    if (removed.length > 0) {
+      logger.info(`[GitOps] Cleaned up stale worktrees: ${removed.join(', ')}`);
+    }
+    return removed;
+  }
+
   /**
    * Validate branch name format
    * @param {string} branchName - Branch name to validate
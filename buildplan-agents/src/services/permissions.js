@@ -1,13 +1,20 @@
+const fs = require('fs');
 const path = require('path');
+const database = require('../utils/database');
 const logger = require('../utils/logger');
 
 /**
  * Permissions
  * Manages file access permissions for agents
- * Prevents agents from accessing files outside their allowed scope
+ * Prevents agents from accessing files outside their allowed scope.
+ * Agents touch the project through readFile/writeFile/readDir, which check the
+ * globs below, refuse paths outside the project root and record every decision
+ * in the permission_audit table.
  */
 class Permissions {
   constructor() {
+    this.schemaReady = false;
+
     // Define permission levels for each agent type
     this.agentPermissions = {
       'pm-agent': {
@@ -21,18 +28,18 @@ class Permissions {
         restricted: ['src/**', 'tasks/completed/**', '.env']
       },
       'backend-agent': {
-        read: ['src/**', 'tasks/**', 'workspace/backend-agent/**', 'packages/api/**', 'prisma/**'],
+        read: ['src/**', 'tasks/**', 'workspace/backend-agent/**', 'packages/api/**', 'prisma/**', 'tests/**'],
         write: ['src/**', 'packages/api/**', 'prisma/**', 'workspace/backend-agent/**', 'tests/**'],
         restricted: ['.env', 'node_modules/**', 'tasks/completed/**']
       },
       'frontend-agent': {
-        read: ['src/**', 'tasks/**', 'workspace/frontend-agent/**', 'packages/web/**', 'public/**'],
+        read: ['src/**', 'tasks/**', 'workspace/frontend-agent/**', 'workspace/shared/**', 'packages/web/**', 'public/**'],
         write: ['packages/web/**', 'public/**', 'workspace/frontend-agent/**', 'src/components/**'],
         restricted: ['.env', 'node_modules/**', 'tasks/completed/**', 'packages/api/**']
       },
       'architect-agent': {
         read: ['src/**', 'tasks/**', 'workspace/architect-agent/**', 'docs/**', 'prisma/**'],
-        write: ['docs/**', 'workspace/architect-agent/**', 'architecture/**'],
+        write: ['docs/**', 'workspace/architect-agent/**', 'workspace/shared/**', 'architecture/**'],
         restricted: ['.env', 'node_modules/**']
       },
       'qa-agent': {
@@ -42,7 +49,7 @@ class Permissions {
       },
       'devops-agent': {
         read: ['**'],
-        write: ['.github/**', 'docker/**', 'deployment/**', 'workspace/devops-agent/**'],
+        write: ['.github/**', 'docker/**', 'deployment/**', 'packages/api/prisma/migrations/**', 'workspace/devops-agent/**'],
         restricted: ['.env.production', 'secrets/**']
       },
       'docs-agent': {
@@ -153,7 +160,7 @@ class Permissions {
    */
   normalizePath(filePath) {
     // Convert Windows paths to Unix style for pattern matching
-    return filePath.replace(/\\/g, '/');
+    return filePath.replace(/\\/g, '/').replace(/^\.\//, '');
   }
 
   /**
@@ -181,9 +188,12 @@ class Permissions {
 
     // Convert glob pattern to regex
     let regexPattern = pattern
-      .replace(/\./g, '\\.')  // Escape dots
-      .replace(/\*\*/g, '.*')  // ** matches any path
-      .replace(/\*/g, '[^/]*'); // * matches within directory
+      .replace(/[.+^${}()|[\]\\]/g, '\\$&')  // Escape regex characters
+      .replace(/\*\*\//g, '\u0000')           // **/ matches zero or more directories
+      .replace(/\*\*/g, '\u0001')              // ** matches any path
+      .replace(/\*/g, '[^/]*')                // * matches within directory
+      .replace(/\u0000/g, '(?:.*/)?')
+      .replace(/\u0001/g, '.*');
 
     // Add anchors
     regexPattern = `^${regexPattern}$`;
@@ -212,30 +222,130 @@ class Permissions {
     return permissions ? permissions.write : [];
   }
 
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS permission_audit (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          agent TEXT NOT NULL,
+          action TEXT NOT NULL,
+          resource TEXT NOT NULL,
+          allowed INTEGER NOT NULL,
+          reason TEXT,
+          created_at DATETIME NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS idx_permission_audit_agent ON permission_audit(agent, created_at);
+      `);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
   /**
    * Log permission check for audit trail
    * @param {string} agentName - Agent name
    * @param {string} action - Action type (read, write, execute)
    * @param {string} resource - Resource being accessed
    * @param {boolean} allowed - Whether action was allowed
+   * @param {string} reason - Why it was denied
    */
-  logAccess(agentName, action, resource, allowed) {
+  logAccess(agentName, action, resource, allowed, reason = null) {
     const status = allowed ? 'ALLOWED' : 'DENIED';
-    logger.info(`[Permissions] ${status} - ${agentName} ${action} ${resource}`);
+    const message = `[Permissions] ${status} - ${agentName} ${action} ${resource}${reason ? ` (${reason})` : ''}`;
+    if (allowed) {
+      logger.info(message);
+    } else {
+      logger.warn(message);
+    }
+
+    try {
+      this.db.prepare(`
+        INSERT INTO permission_audit (agent, action, resource, allowed, reason, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(agentName, action, resource, allowed ? 1 : 0, reason, new Date().toISOString());
+    } catch (error) {
+      logger.error(`[Permissions] Failed to write audit entry: ${error.message}`);
+    }
   }
 
   /**
-   * Validate path doesn't escape project root
+   * Query the audit trail, newest first
+   * @param {Object} filters - { agent, action, allowed, limit }
+   * @returns {Array} permission_audit rows
+   */
+  getAuditLog(filters = {}) {
+    const { agent = null, action = null, allowed = null, limit = 20 } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (agent) {
+      conditions.push('agent = ?');
+      params.push(agent);
+    }
+    if (action) {
+      conditions.push('action = ?');
+      params.push(action);
+    }
+    if (allowed !== null) {
+      conditions.push('allowed = ?');
+      params.push(allowed ? 1 : 0);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM permission_audit ${where} ORDER BY id DESC LIMIT ?`)
+      .all(...params, limit)
+      .map(row => ({ ...row, allowed: row.allowed === 1 }));
+  }
+
+  /**
+   * Format audit entries for Telegram (HTML)
+   * @param {Array} entries - Rows from getAuditLog()
+   * @returns {string} Formatted log
+   */
+  formatAuditLog(entries) {
+    if (entries.length === 0) {
+      return '📭 No matching file access recorded';
+    }
+
+    const escape = (text) => String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    let log = `<b>🔐 File Access Audit</b> (latest ${entries.length})\n\n`;
+
+    for (const entry of entries) {
+      log += `${entry.allowed ? '✅' : '⛔'} <code>${escape(entry.created_at.slice(0, 19).replace('T', ' '))}</code> ` +
+        `${escape(entry.agent)} ${escape(entry.action)} <code>${escape(entry.resource)}</code>`;
+      if (entry.reason) log += `\n    <i>${escape(entry.reason)}</i>`;
+      log += '\n';
+    }
+
+    return log;
+  }
+
+  /**
+   * Validate path doesn't escape project root (including through symlinks)
    * @param {string} filePath - File path to validate
    * @param {string} projectRoot - Project root directory
    * @returns {boolean} True if path is safe
    */
   isPathSafe(filePath, projectRoot) {
-    const resolvedPath = path.resolve(projectRoot, filePath);
     const normalizedRoot = path.resolve(projectRoot);
-    
-    // Check if resolved path starts with project root
-    const isSafe = resolvedPath.startsWith(normalizedRoot);
+    const resolvedPath = path.resolve(normalizedRoot, filePath);
+
+    let isSafe = this.isInside(resolvedPath, normalizedRoot);
+
+    // A symlink inside the root can still point outside it; check the real
+    // location of the deepest part of the path that already exists
+    if (isSafe && fs.existsSync(normalizedRoot)) {
+      let existing = resolvedPath;
+      while (!fs.existsSync(existing) && existing !== normalizedRoot) {
+        existing = path.dirname(existing);
+      }
+      try {
+        isSafe = this.isInside(fs.realpathSync(existing), fs.realpathSync(normalizedRoot));
+      } catch (error) {
+        isSafe = false;
+      }
+    }
     
     if (!isSafe) {
       logger.warn(`[Permissions] Path traversal attempt blocked: ${filePath}`);
@@ -243,6 +353,100 @@ class Permissions {
     
     return isSafe;
   }
+
+  /**
+   * Whether a resolved path is the root or below it
+   */
+  isInside(resolvedPath, root) {
+    const relative = path.relative(root, resolvedPath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  /**
+   * Resolve a path an agent asked for against the project root
+   * @param {string} filePath - Absolute, or relative to the root
+   * @param {string} root - Project root (defaults to PROJECT_ROOT)
+   * @returns {Object} { absolutePath, relativePath }
+   */
+  resolvePath(filePath, root = null) {
+    const projectRoot = path.resolve(root || process.env.PROJECT_ROOT || process.cwd());
+    const absolutePath = path.resolve(projectRoot, filePath);
+    const relativePath = this.normalizePath(path.relative(projectRoot, absolutePath)) || '.';
+    return { projectRoot, absolutePath, relativePath };
+  }
+
+  /**
+   * Check an access, record it, and throw if it isn't allowed
+   * @param {string} agentName - Agent name
+   * @param {string} action - 'read' or 'write'
+   * @param {string} filePath - Requested path
+   * @param {Object} options - { root }
+   * @returns {string} Absolute path that may be accessed
+   */
+  authorize(agentName, action, filePath, options = {}) {
+    const { projectRoot, absolutePath, relativePath } = this.resolvePath(filePath, options.root);
+
+    let reason = null;
+    if (!this.isPathSafe(absolutePath, projectRoot)) {
+      reason = 'outside project root';
+    } else if (!this.agentPermissions[agentName]) {
+      reason = 'unknown agent';
+    } else if (action === 'write' ? !this.canWrite(agentName, relativePath) : !this.canRead(agentName, relativePath)) {
+      reason = `not in ${agentName} ${action} scope`;
+    }
+
+    this.logAccess(agentName, action, relativePath, !reason, reason);
+
+    if (reason) {
+      const error = new Error(`[Permissions] ${agentName} may not ${action} ${relativePath}: ${reason}`);
+      error.code = 'PERMISSION_DENIED';
+      throw error;
+    }
+
+    return absolutePath;
+  }
+
+  /**
+   * Read a file on behalf of an agent
+   * @param {string} agentName - Agent name
+   * @param {string} filePath - Absolute, or relative to the project root
+   * @param {Object} options - { root }
+   * @returns {Promise<string>} File content
+   * @throws {Error} code PERMISSION_DENIED, or the fs error if the file is missing
+   */
+  async readFile(agentName, filePath, options = {}) {
+    const absolutePath = this.authorize(agentName, 'read', filePath, options);
+    return fs.promises.readFile(absolutePath, 'utf8');
+  }
+
+  /**
+   * Write a file on behalf of an agent, creating parent directories
+   * @param {string} agentName - Agent name
+   * @param {string} filePath - Absolute, or relative to the project root
+   * @param {string} content - File content
+   * @param {Object} options - { root }
+   * @returns {Promise<string>} Absolute path written
+   * @throws {Error} code PERMISSION_DENIED
+   */
+  async writeFile(agentName, filePath, content, options = {}) {
+    const absolutePath = this.authorize(agentName, 'write', filePath, options);
+    await fs.promises.mkdir(path.dirname(absolutePath), { recursive: true });
+    await fs.promises.writeFile(absolutePath, content, 'utf8');
+    return absolutePath;
+  }
+
+  /**
+   * List a directory on behalf of an agent
+   * @param {string} agentName - Agent name
+   * @param {string} dirPath - Absolute, or relative to the project root
+   * @param {Object} options - { root }
+   * @returns {Promise<Array<string>>} Entry names
+   * @throws {Error} code PERMISSION_DENIED, or the fs error if the directory is missing
+   */
+  async readDir(agentName, dirPath, options = {}) {
+    const absolutePath = this.authorize(agentName, 'read', dirPath, options);
+    return fs.promises.readdir(absolutePath);
+  }
 }
 
 module.exports = new Permissions();
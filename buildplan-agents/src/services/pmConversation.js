@@ -1,6 +1,9 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const taskFile = require('../utils/task-file');
+const blockerStore = require('./blockerStore');
+const retryPolicy = require('./retryPolicy');
 
 /**
  * PM Conversation Service
@@ -39,6 +42,7 @@ class PMConversationService {
         metadata: taskData.metadata,
         progressLog: taskData.progressLog,
         blocker: taskData.blocker,
+        openBlocker: blockerStore.openForTask(taskId),
         description: taskData.description
       };
     } catch (error) {
@@ -76,6 +80,7 @@ class PMConversationService {
         blockedAt: taskData.metadata.created_at,
         reason: taskData.blocker.reason,
         details: taskData.blocker.details,
+        openBlocker: blockerStore.openForTask(taskId),
         progressLog: taskData.progressLog.slice(-5) // Last 5 entries
       });
     }
@@ -114,39 +119,26 @@ class PMConversationService {
    * @returns {object} Parsed task data
    */
   parseTaskFile(content) {
-    const lines = content.split('\n');
+    // Frontmatter through the canonical loader; fall back to the raw fields so a
+    // malformed task can still be inspected from Telegram
+    const parsed = taskFile.parse(content);
+    const validated = taskFile.validate(parsed.metadata, parsed.parsed);
+    const rawMetadata = parsed.parsed.errors.length > 0 ? taskFile.parseLegacy(content).metadata : parsed.metadata;
+
+    const lines = parsed.content.split('\n');
     const result = {
-      metadata: {},
+      metadata: validated.success ? validated.data : rawMetadata,
       progressLog: [],
       blocker: { reason: null, details: null },
       description: ''
     };
 
-    // Parse frontmatter metadata
-    let inFrontmatter = false;
     let inDescription = false;
     let currentSection = null;
 
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i];
 
-      if (line === '---') {
-        if (!inFrontmatter) {
-          inFrontmatter = true;
-          continue;
-        } else {
-          inFrontmatter = false;
-          continue;
-        }
-      }
-
-      if (inFrontmatter) {
-        const match = line.match(/^(\w+):\s*(.+)$/);
-        if (match) {
-          result.metadata[match[1]] = match[2];
-        }
-      }
-
       // Parse description section
       if (line.startsWith('## Description')) {
         inDescription = true;
@@ -222,6 +214,10 @@ class PMConversationService {
       }
     }
 
+    if (taskInfo.openBlocker) {
+      message += `${this.formatOpenBlocker(taskInfo.openBlocker)}\n\n`;
+    }
+
     if (taskInfo.progressLog && taskInfo.progressLog.length > 0) {
       message += `📊 **Recent Progress (last 5):**\n`;
       taskInfo.progressLog.slice(-5).forEach(log => {
@@ -248,6 +244,9 @@ class PMConversationService {
       message += `${index + 1}. **${task.taskId}**\n`;
       message += `   Title: ${task.title}\n`;
       message += `   Reason: ${task.reason}\n`;
+      if (task.openBlocker) {
+        message += `   ${this.formatOpenBlocker(task.openBlocker)}\n`;
+      }
       
       if (task.details) {
         // Truncate long details
@@ -261,6 +260,23 @@ class PMConversationService {
 
     return message;
   }
+
+  /**
+   * One line about an open blocker: ID, failure class, automatic retries
+   * made, severity, escalation and how to resolve it
+   * @param {Object} blocker - From BlockerStore
+   * @returns {string} Formatted line
+   */
+  formatOpenBlocker(blocker) {
+    const retries = blocker.taskId ? retryPolicy.retriesFor(blocker.taskId) : 0;
+    const details = [
+      blocker.type,
+      retries > 0 ? `${retries} automatic ${retries === 1 ? 'retry' : 'retries'}` : null,
+      blocker.severity,
+      blocker.escalation === 'none' ? 'not escalated' : `escalated to ${blocker.escalation}`
+    ].filter(Boolean);
+    return `🔖 ${blocker.id} (${details.join(', ')}): /resolve ${blocker.id} [what fixed it]`;
+  }
 }
 
 module.exports = PMConversationService;
@@ -0,0 +1,352 @@
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+const taskStore = require('./taskStore');
+const conversationMemory = require('./conversationMemory');
+const accessControl = require('./accessControl');
+const { z } = require('zod/v4');
+const { TASK_STATUSES, TASK_PRIORITIES } = require('../utils/task-schema');
+
+const taskId = z.string().min(1).describe('Task ID, e.g. TASK-001-02');
+
+/**
+ * Tools the PM can call from chat. Each wraps an existing PM action, going
+ * through the control plane so the same checks apply as to chat commands and
+ * the API; `confirm` tools change work that is hard to undo, so calling one
+ * only records a pending action that runs once the user confirms it. `role` is
+ * the lowest access role (see accessControl) that may call the tool; approver
+ * if unset.
+ */
+const TOOLS = {
+  query_task: {
+    description: 'Look up a task: status, assignee, priority, blocker and recent progress.',
+    parameters: z.object({ taskId }),
+    readOnly: true,
+    role: 'viewer',
+    summary: args => `Looked up ${args.taskId}`,
+    run: async (pm, args) => {
+      const PMConversation = require('./pmConversation');
+      const pmConvo = new PMConversation();
+      return pmConvo.formatTaskInfo(await pmConvo.queryTask(args.taskId));
+    }
+  },
+  list_tasks: {
+    description: 'List tasks, optionally only those with a status or belonging to a request.',
+    parameters: z.object({
+      status: z.enum(TASK_STATUSES).optional(),
+      requestId: z.string().optional().describe('Request ID, e.g. REQ-1700000000000')
+    }),
+    readOnly: true,
+    role: 'viewer',
+    summary: () => 'Listed tasks',
+    run: async (pm, args) => {
+      const tasks = taskStore.listTasks({ status: args.status, requestId: args.requestId });
+      if (tasks.length === 0) return 'No matching tasks';
+      return tasks.slice(0, 50)
+        .map(t => `${t.task_id} [${t.status}] ${t.type}, ${t.priority}: ${t.title || ''}${t.assigned_agent ? ` (${t.assigned_agent})` : ''}`)
+        .join('\n');
+    }
+  },
+  assign_pending_tasks: {
+    description: 'Start every backlog task whose dependencies are completed.',
+    parameters: z.object({}),
+    summary: () => 'Assigned ready tasks',
+    run: async (pm) => {
+      const before = new Set(taskStore.listTasks({ status: 'in-progress' }).map(t => t.task_id));
+      await pm.assignPendingTasks();
+      const started = taskStore.listTasks({ status: 'in-progress' }).filter(t => !before.has(t.task_id));
+      return started.length > 0
+        ? `Started ${started.map(t => `${t.task_id} (${t.assigned_agent})`).join(', ')}`
+        : 'No tasks were ready to start';
+    }
+  },
+  reprioritize_task: {
+    description: 'Change the priority of a task.',
+    parameters: z.object({ taskId, priority: z.enum(TASK_PRIORITIES) }),
+    summary: args => `Set ${args.taskId} to ${args.priority} priority`,
+    run: async (pm, args, username) => {
+      pm.reprioritizeTask(args.taskId, args.priority, username);
+      return `${args.taskId} is now ${args.priority} priority`;
+    }
+  },
+  create_request: {
+    description: 'Submit a new feature request for the team to analyze.',
+    parameters: z.object({
+      description: z.string().min(1).describe('What is wanted; the first line becomes the title')
+    }),
+    role: 'requester',
+    summary: () => 'Created a request',
+    run: async (pm, args, username) => {
+      const request = controlOf(pm).createRequest(args.description, username);
+      return `Created ${request.request_id}: ${request.title}. It will be analyzed shortly.`;
+    }
+  },
+  approve_task: {
+    description: 'Approve a task in review (completing it), or a request in analysis (creating its tasks).',
+    parameters: z.object({ taskId: taskId.describe('Task or request ID') }),
+    confirm: true,
+    summary: args => `Approve ${args.taskId}`,
+    run: async (pm, args, username) => {
+      await controlOf(pm).approve(args.taskId, username);
+      return statusOf(args.taskId);
+    }
+  },
+  reject_task: {
+    description: 'Reject a task in review and send it back to its agent with feedback.',
+    parameters: z.object({ taskId, reason: z.string().min(1).describe('What needs to change') }),
+    confirm: true,
+    summary: args => `Reject ${args.taskId}: ${args.reason}`,
+    run: async (pm, args, username) => {
+      await controlOf(pm).reject(args.taskId, args.reason, username);
+      return statusOf(args.taskId);
+    }
+  },
+  retry_task: {
+    description: 'Retry a blocked task with instructions for the next attempt, e.g. a smaller scope.',
+    parameters: z.object({
+      taskId,
+      instructions: z.string().min(1).describe('What the agent should do differently this time')
+    }),
+    confirm: true,
+    summary: args => `Retry ${args.taskId}: ${args.instructions}`,
+    run: async (pm, args, username) => {
+      await controlOf(pm).retryTask(args.taskId, args.instructions, username);
+      return statusOf(args.taskId);
+    }
+  },
+  resolve_blocker: {
+    description: 'Resolve an open blocker (BLK-<n>) with what fixed it; a blocked task goes back to the backlog with the resolution in its context.',
+    parameters: z.object({
+      blockerId: z.string().min(1).describe('Blocker ID, e.g. BLK-12'),
+      resolution: z.string().min(1).describe('What fixed it, for the agent to act on')
+    }),
+    confirm: true,
+    summary: args => `Resolve ${args.blockerId}: ${args.resolution}`,
+    run: async (pm, args, username) => {
+      const blocker = await controlOf(pm).resolveBlocker(args.blockerId, args.resolution, username);
+      return blocker.taskId ? statusOf(blocker.taskId) : `${blocker.id} resolved`;
+    }
+  },
+  cancel_task: {
+    description: 'Cancel a task that is not finished, e.g. one that is no longer needed.',
+    parameters: z.object({ taskId, reason: z.string().optional().describe('Why it is no longer needed') }),
+    confirm: true,
+    summary: args => `Cancel ${args.taskId}${args.reason ? `: ${args.reason}` : ''}`,
+    run: async (pm, args, username) => {
+      await controlOf(pm).cancelTask(args.taskId, args.reason || null, username);
+      return statusOf(args.taskId);
+    }
+  },
+  reassign_task: {
+    description: 'Give a backlog or blocked task to another agent by changing its type.',
+    parameters: z.object({
+      taskId,
+      type: z.enum(['design', 'backend', 'frontend', 'devops', 'qa', 'docs', 'rd'])
+    }),
+    confirm: true,
+    summary: args => `Reassign ${args.taskId} to ${args.type}`,
+    run: async (pm, args, username) => {
+      await controlOf(pm).reassignTask(args.taskId, args.type, username);
+      return statusOf(args.taskId);
+    }
+  }
+};
+
+function controlOf(pm) {
+  return pm.orchestrator.controlPlane;
+}
+
+function statusOf(id) {
+  const task = taskStore.getTask(id);
+  return task
+    ? `${id} is now ${task.status}${task.assigned_agent ? ` (${task.assigned_agent})` : ''}`
+    : `Done (${id})`;
+}
+
+/**
+ * PMTools
+ * Runs the PM's chat tools and keeps the actions waiting for confirmation in
+ * agents.db (pm_pending_actions), so a confirmation button still works after
+ * a restart.
+ */
+class PMTools {
+  /**
+   * @param {PMAgent} pmAgent - Agent whose methods the tools call
+   */
+  constructor(pmAgent) {
+    this.pmAgent = pmAgent;
+    this.schemaReady = false;
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS pm_pending_actions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          thread_id TEXT NOT NULL,
+          tool TEXT NOT NULL,
+          args TEXT NOT NULL,
+          requested_by TEXT,
+          status TEXT NOT NULL DEFAULT 'pending',
+          result TEXT,
+          created_at DATETIME NOT NULL,
+          resolved_by TEXT,
+          resolved_at DATETIME
+        );
+      `);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  /**
+   * Tool definitions for the provider
+   * @returns {Array} [{ name, description, parameters (JSON Schema) }]
+   */
+  definitions() {
+    return Object.entries(TOOLS).map(([name, tool]) => {
+      const { $schema, ...parameters } = z.toJSONSchema(tool.parameters, { io: 'input' });
+      return {
+        name,
+        description: tool.confirm ? `${tool.description} Runs only after the user confirms.` : tool.description,
+        parameters
+      };
+    });
+  }
+
+  /**
+   * Lowest access role allowed to call a tool
+   * @param {string} name - Tool name
+   * @returns {string} Role
+   */
+  requiredRole(name) {
+    return (TOOLS[name] && TOOLS[name].role) || 'approver';
+  }
+
+  /**
+   * Get an action waiting for (or past) confirmation
+   * @param {number} id - Action ID
+   * @returns {Object|null} pm_pending_actions row
+   */
+  getAction(id) {
+    return this.db.prepare('SELECT * FROM pm_pending_actions WHERE id = ?').get(id) || null;
+  }
+
+  /**
+   * Handle one tool call from the model. Failures become the output so the
+   * model can explain them rather than the whole answer failing.
+   * @param {Object} call - { id, name, arguments }
+   * @param {Object} context - { threadId, username, user, chat }; with a
+   *   chat user and chat the call is checked against their role
+   * @returns {Promise<Object>} { name, args, summary, output, readOnly, pendingAction }
+   */
+  async call(call, context = {}) {
+    const tool = TOOLS[call.name];
+    if (!tool) {
+      return { name: call.name, args: call.arguments, readOnly: true, output: `Error: unknown tool ${call.name}` };
+    }
+
+    const parsed = tool.parameters.safeParse(call.arguments || {});
+    if (!parsed.success) {
+      const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'arguments'}: ${issue.message}`).join('; ');
+      return { name: call.name, args: call.arguments, readOnly: true, output: `Error: invalid arguments (${issues})` };
+    }
+
+    const args = parsed.data;
+    const result = { name: call.name, args, summary: tool.summary(args), readOnly: Boolean(tool.readOnly) };
+
+    if (context.user) {
+      const access = accessControl.authorize(context.user, context.chat, call.name, JSON.stringify(args), this.requiredRole(call.name));
+      if (!access.allowed) {
+        result.output = `Error: ${context.username || 'this user'} is ${access.role || 'not allowed'} and ${call.name} needs the ${access.required} role`;
+        return result;
+      }
+    }
+
+    if (tool.confirm) {
+      result.pendingAction = this.request(call.name, args, context);
+      result.output = 'Waiting for the user to confirm with the button sent below your answer';
+      return result;
+    }
+
+    result.output = await this.run(tool, args, context.username);
+    return result;
+  }
+
+  async run(tool, args, username) {
+    try {
+      return await tool.run(this.pmAgent, args, username || 'PM-Agent');
+    } catch (error) {
+      logger.warn(`[PMTools] ${tool.summary(args)} failed: ${error.message}`);
+      return `Error: ${error.message}`;
+    }
+  }
+
+  /**
+   * Record an action that waits for confirmation
+   * @returns {Object} { id, tool, args, summary }
+   */
+  request(name, args, context) {
+    const result = this.db.prepare(`
+      INSERT INTO pm_pending_actions (thread_id, tool, args, requested_by, created_at)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(context.threadId || 'default', name, JSON.stringify(args), context.username || null, new Date().toISOString());
+
+    const action = { id: Number(result.lastInsertRowid), tool: name, args, summary: TOOLS[name].summary(args) };
+    logger.info(`[PMTools] Action ${action.id} waiting for confirmation: ${action.summary}`);
+    return action;
+  }
+
+  /**
+   * Run or cancel an action waiting for confirmation
+   * @param {number} id - Action ID
+   * @param {boolean} confirmed - Run it (true) or cancel it
+   * @param {string} username - Who pressed the button
+   * @returns {Promise<Object>} { success, summary, output }
+   */
+  async resolve(id, confirmed, username) {
+    const row = this.db.prepare('SELECT * FROM pm_pending_actions WHERE id = ?').get(id);
+    if (!row) {
+      return { success: false, output: 'This action no longer exists' };
+    }
+
+    const args = JSON.parse(row.args);
+    const tool = TOOLS[row.tool];
+    const summary = tool.summary(args);
+    if (row.status !== 'pending') {
+      return { success: false, summary, output: `Already ${row.status}` };
+    }
+
+    // Claim the action first so a double tap can't run it twice
+    const claimed = this.db.prepare(`
+      UPDATE pm_pending_actions SET status = ?, resolved_by = ?, resolved_at = ? WHERE id = ? AND status = 'pending'
+    `).run(confirmed ? 'confirmed' : 'cancelled', username || null, new Date().toISOString(), id).changes;
+    if (!claimed) {
+      return { success: false, summary, output: 'Already handled' };
+    }
+
+    const output = confirmed ? await this.run(tool, args, username) : 'Cancelled';
+    this.db.prepare('UPDATE pm_pending_actions SET result = ? WHERE id = ?').run(output, id);
+
+    conversationMemory.addTurn(row.thread_id, {
+      role: 'assistant',
+      author: 'PM-Agent',
+      content: `${summary}: ${confirmed ? `confirmed by ${username}. ${output}` : `cancelled by ${username}`}`,
+      metadata: { actionId: id }
+    });
+
+    logger.info(`[PMTools] Action ${id} ${confirmed ? 'confirmed' : 'cancelled'} by ${username}: ${output}`);
+    return { success: confirmed && !output.startsWith('Error:'), summary, output };
+  }
+
+  /**
+   * Prompt shown with the confirmation buttons
+   * @param {Object} action - From call().pendingAction
+   * @returns {string} Plain text
+   */
+  formatConfirmation(action) {
+    return `⚠️ Confirm action: ${action.summary}?`;
+  }
+}
+
+module.exports = PMTools;
@@ -1,7 +1,6 @@
-const path = require('path');
-const fileOps = require('../utils/file-ops');
 const logger = require('../utils/logger');
-const taskManager = require('./taskManager');
+const taskFile = require('../utils/task-file');
+const taskStore = require('./taskStore');
 
 /**
  * ProgressTracker
@@ -15,34 +14,15 @@ class ProgressTracker {
    */
   getSprintProgress(sprintId) {
     try {
-      // Get all tasks for this sprint (would need to query by sprintId)
-      // For now, get all tasks and filter
-      const backlogPath = path.join(process.env.TASKS_DIR || '', 'backlog');
-      const inProgressPath = path.join(process.env.TASKS_DIR || '', 'in-progress');
-      const reviewPath = path.join(process.env.TASKS_DIR || '', 'review');
-      const completedPath = path.join(process.env.TASKS_DIR || '', 'completed');
-      const blockedPath = path.join(process.env.TASKS_DIR || '', 'blocked');
-
-      const backlog = this.countTasksInDirectory(backlogPath);
-      const inProgress = this.countTasksInDirectory(inProgressPath);
-      const review = this.countTasksInDirectory(reviewPath);
-      const completed = this.countTasksInDirectory(completedPath);
-      const blocked = this.countTasksInDirectory(blockedPath);
-
-      const total = backlog + inProgress + review + completed + blocked;
-      const completionPercentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+      const counts = { backlog: 0, 'in-progress': 0, review: 0, completed: 0, blocked: 0 };
 
-      return {
-        sprintId,
-        total,
-        backlog,
-        inProgress,
-        review,
-        completed,
-        blocked,
-        completionPercentage,
-        status: this.determineSprintStatus(completionPercentage, blocked, inProgress)
-      };
+      for (const row of taskStore.listTasks()) {
+        const task = taskFile.load(taskStore.getTaskPath(row.task_id));
+        if (!task || task.metadata.sprint_id !== sprintId) continue;
+        if (row.status in counts) counts[row.status]++;
+      }
+
+      return this.summarize(counts, { sprintId });
     } catch (error) {
       logger.error('[ProgressTracker] Error getting sprint progress:', error);
       return null;
@@ -55,27 +35,11 @@ class ProgressTracker {
    */
   getOverallProgress() {
     try {
-      const tasksDir = process.env.TASKS_DIR || '';
-      
-      const backlog = this.countTasksInDirectory(path.join(tasksDir, 'backlog'));
-      const inProgress = this.countTasksInDirectory(path.join(tasksDir, 'in-progress'));
-      const review = this.countTasksInDirectory(path.join(tasksDir, 'review'));
-      const completed = this.countTasksInDirectory(path.join(tasksDir, 'completed'));
-      const blocked = this.countTasksInDirectory(path.join(tasksDir, 'blocked'));
-
-      const total = backlog + inProgress + review + completed + blocked;
-      const active = inProgress + review;
-      const completionPercentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+      const summary = this.summarize(taskStore.countByStatus());
 
       return {
-        total,
-        backlog,
-        inProgress,
-        review,
-        completed,
-        blocked,
-        active,
-        completionPercentage,
+        ...summary,
+        active: summary.inProgress + summary.review,
         velocity: this.calculateVelocity(),
         blockers: this.getBlockersList()
       };
@@ -86,18 +50,32 @@ class ProgressTracker {
   }
 
   /**
-   * Count tasks in a directory
-   * @param {string} directory - Directory path
-   * @returns {number} Count of .md or .json files
+   * Turn per-status counts into a progress summary (cancelled tasks are left out)
+   * @param {Object} counts - { backlog, 'in-progress', review, completed, blocked }
+   * @param {Object} extra - Fields to include in the summary
+   * @returns {Object} Progress summary
    */
-  countTasksInDirectory(directory) {
-    try {
-      if (!fileOps.fileExists(directory)) return 0;
-      const files = fileOps.readDir(directory);
-      return files.filter(f => f.endsWith('.md') || f.endsWith('.json')).length;
-    } catch (error) {
-      return 0;
-    }
+  summarize(counts, extra = {}) {
+    const backlog = counts.backlog || 0;
+    const inProgress = counts['in-progress'] || 0;
+    const review = counts.review || 0;
+    const completed = counts.completed || 0;
+    const blocked = counts.blocked || 0;
+
+    const total = backlog + inProgress + review + completed + blocked;
+    const completionPercentage = total > 0 ? Math.round((completed / total) * 100) : 0;
+
+    return {
+      ...extra,
+      total,
+      backlog,
+      inProgress,
+      review,
+      completed,
+      blocked,
+      completionPercentage,
+      status: this.determineSprintStatus(completionPercentage, blocked, inProgress)
+    };
   }
 
   /**
@@ -122,20 +100,10 @@ class ProgressTracker {
   calculateVelocity() {
     try {
       // Simple velocity calculation: count completed tasks in last 7 days
-      const completedPath = path.join(process.env.TASKS_DIR || '', 'completed');
-      if (!fileOps.fileExists(completedPath)) return 0;
-
-      const files = fileOps.readDir(completedPath).filter(f => f.endsWith('.md') || f.endsWith('.json'));
       const sevenDaysAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-
-      let recentCount = 0;
-      for (const file of files) {
-        const filePath = path.join(completedPath, file);
-        const stats = require('fs').statSync(filePath);
-        if (stats.mtimeMs > sevenDaysAgo) {
-          recentCount++;
-        }
-      }
+      const recentCount = taskStore.listTasks({ status: 'completed' })
+        .filter(task => task.completed_at && Date.parse(task.completed_at) > sevenDaysAgo)
+        .length;
 
       return (recentCount / 7).toFixed(1);
     } catch (error) {
@@ -149,50 +117,23 @@ class ProgressTracker {
    */
   getBlockersList() {
     try {
-      const blockedPath = path.join(process.env.TASKS_DIR || '', 'blocked');
-      if (!fileOps.fileExists(blockedPath)) return [];
-
-      const files = fileOps.readDir(blockedPath).filter(f => f.endsWith('.md') || f.endsWith('.json'));
-      const blockers = [];
-
-      for (const file of files) {
-        const filePath = path.join(blockedPath, file);
-        const content = fileOps.readFile(filePath);
-        if (!content) continue;
-
-        const taskId = file.replace(/\.(md|json)$/, '');
-        const titleMatch = content.match(/title:\s*(.+)/i);
-        const reasonMatch = content.match(/blocked_reason:\s*(.+)/i) || content.match(/## Blocker\s*\n+(.+)/i);
-
-        blockers.push({
-          taskId,
-          title: titleMatch ? titleMatch[1].trim() : taskId,
-          reason: reasonMatch ? reasonMatch[1].trim() : 'Unknown reason',
-          blockedSince: this.getFileModifiedDate(filePath)
-        });
-      }
-
-      return blockers;
+      return taskStore.listTasks({ status: 'blocked' }).map(row => {
+        const task = taskFile.load(taskStore.getTaskPath(row.task_id));
+        const blockedEntry = task ? task.content.match(/BLOCKED:\s*(.+)/) : null;
+
+        return {
+          taskId: row.task_id,
+          title: (task && task.metadata.title) || row.title || row.task_id,
+          reason: (task && task.metadata.blocked_reason) || (blockedEntry ? blockedEntry[1].trim() : 'Unknown reason'),
+          blockedSince: row.updated_at || row.created_at
+        };
+      });
     } catch (error) {
       logger.error('[ProgressTracker] Error getting blockers:', error);
       return [];
     }
   }
 
-  /**
-   * Get file modified date
-   * @param {string} filePath - Path to file
-   * @returns {string} ISO date string
-   */
-  getFileModifiedDate(filePath) {
-    try {
-      const stats = require('fs').statSync(filePath);
-      return new Date(stats.mtime).toISOString();
-    } catch (error) {
-      return new Date().toISOString();
-    }
-  }
-
   /**
    * Generate progress report text
    * @returns {string} Formatted progress report
@@ -228,23 +169,11 @@ class ProgressTracker {
    */
   getStaleTasks() {
     try {
-      const inProgressPath = path.join(process.env.TASKS_DIR || '', 'in-progress');
-      if (!fileOps.fileExists(inProgressPath)) return [];
-
-      const files = fileOps.readDir(inProgressPath).filter(f => f.endsWith('.md') || f.endsWith('.json'));
       const threeDaysAgo = Date.now() - (3 * 24 * 60 * 60 * 1000);
-      const staleTasks = [];
-
-      for (const file of files) {
-        const filePath = path.join(inProgressPath, file);
-        const stats = require('fs').statSync(filePath);
-        
-        if (stats.mtimeMs < threeDaysAgo) {
-          staleTasks.push(file.replace(/\.(md|json)$/, ''));
-        }
-      }
 
-      return staleTasks;
+      return taskStore.listTasks({ status: 'in-progress' })
+        .filter(task => Date.parse(task.updated_at || task.started_at || task.created_at) < threeDaysAgo)
+        .map(task => task.task_id);
     } catch (error) {
       logger.error('[ProgressTracker] Error checking stale tasks:', error);
       return [];
@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+const database = require('../utils/database');
+const fileOps = require('../utils/file-ops');
+const logger = require('../utils/logger');
+const eventBus = require('./eventBus');
+
+/**
+ * Request statuses and the REQUESTS_DIR subdirectory each one's file sits in.
+ * A request waiting for information stays in in-analysis.
+ */
+const STATUS_DIRS = {
+  'pending': 'pending',
+  'in-analysis': 'in-analysis',
+  'awaiting-info': 'in-analysis',
+  'approved': 'approved',
+  'rejected': 'rejected'
+};
+
+/**
+ * Legal transitions: from → allowed targets
+ */
+const TRANSITIONS = {
+  'pending': ['in-analysis', 'rejected'],
+  'in-analysis': ['awaiting-info', 'approved', 'rejected'],
+  'awaiting-info': ['in-analysis', 'approved', 'rejected'],
+  'approved': [],
+  'rejected': []
+};
+
+// Statuses a request can still be acted on in
+const OPEN_STATUSES = ['pending', 'in-analysis', 'awaiting-info'];
+
+/**
+ * RequestStore
+ * State of every request, persisted in agents.db (requests +
+ * request_transitions) so several requests can be in flight at once and
+ * survive restarts. Like TaskStore, the directory a request file sits in under
+ * REQUESTS_DIR is a projection of the stored status. Publishes
+ * request.created and request.transitioned.
+ */
+class RequestStore {
+  constructor() {
+    this.schemaReady = false;
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      this.ensureSchema(db);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  get requestsDir() {
+    return process.env.REQUESTS_DIR || 'requests';
+  }
+
+  /**
+   * Create tables
+   * @param {Database} db - Connection
+   */
+  ensureSchema(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS requests (
+        request_id TEXT PRIMARY KEY,
+        title TEXT,
+        status TEXT NOT NULL,
+        submitted_by TEXT,
+        required_info TEXT,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS request_transitions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        request_id TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        reason TEXT,
+        created_at DATETIME NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_request_transitions_request ON request_transitions(request_id);
+    `);
+
+    // Databases from before the store have a requests table without these
+    database.ensureColumn('requests', 'submitted_by', 'TEXT');
+    database.ensureColumn('requests', 'required_info', 'TEXT');
+    database.ensureColumn('requests', 'updated_at', 'DATETIME');
+  }
+
+  /**
+   * Register a request and write its file to pending
+   * @param {Object} request - { id, title, submittedBy, content }
+   * @returns {string} Path of the request file
+   */
+  createRequest(request) {
+    const now = new Date().toISOString();
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO requests (request_id, title, status, submitted_by, created_at, updated_at)
+        VALUES (?, ?, 'pending', ?, ?, ?)
+      `).run(request.id, request.title, request.submittedBy || null, now, now);
+      this.recordTransition(request.id, null, 'pending', request.submittedBy || 'system', 'Request submitted', now);
+    })();
+
+    const requestPath = this.pathFor(request.id, 'pending');
+    fileOps.writeFile(requestPath, request.content);
+    logger.info(`[RequestStore] Created ${request.id} (${request.submittedBy || 'system'})`);
+    eventBus.publish('request.created', { requestId: request.id, title: request.title || request.id, actor: request.submittedBy || 'system' });
+    return requestPath;
+  }
+
+  /**
+   * Move a request to a new status, and its file to that status's directory
+   * @param {string} requestId - Request ID
+   * @param {string} toStatus - Target status
+   * @param {Object} options - { actor, reason, requiredInfo (for awaiting-info) }
+   * @returns {string} Path of the request file
+   */
+  transition(requestId, toStatus, options = {}) {
+    const { actor = 'system', reason = null, requiredInfo = null } = options;
+    const request = this.getRequest(requestId);
+
+    if (!request) {
+      throw new Error(`[RequestStore] Unknown request: ${requestId}`);
+    }
+
+    if (!TRANSITIONS[request.status] || !TRANSITIONS[request.status].includes(toStatus)) {
+      const error = new Error(`[RequestStore] Illegal transition for ${requestId}: ${request.status} → ${toStatus}`);
+      error.code = 'INVALID_TRANSITION';
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+
+    this.db.transaction(() => {
+      this.db.prepare('UPDATE requests SET status = ?, required_info = ?, updated_at = ? WHERE request_id = ?')
+        .run(toStatus, requiredInfo ? JSON.stringify(requiredInfo) : null, now, requestId);
+      this.recordTransition(requestId, request.status, toStatus, actor, reason, now);
+    })();
+
+    const from = this.pathFor(requestId, request.status);
+    const to = this.pathFor(requestId, toStatus);
+    if (from !== to && fs.existsSync(from)) {
+      fileOps.moveFile(from, to);
+    }
+
+    logger.info(`[RequestStore] ${requestId}: ${request.status} → ${toStatus} (${actor})`);
+    eventBus.publish('request.transitioned', { requestId, from: request.status, to: toStatus, actor, reason });
+    return to;
+  }
+
+  recordTransition(requestId, fromStatus, toStatus, actor, reason, timestamp) {
+    this.db.prepare(`
+      INSERT INTO request_transitions (request_id, from_status, to_status, actor, reason, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(requestId, fromStatus, toStatus, actor, reason, timestamp);
+  }
+
+  /**
+   * Get a request
+   * @param {string} requestId - Request ID
+   * @returns {Object|null} Row, with required_info parsed
+   */
+  getRequest(requestId) {
+    const row = this.db.prepare('SELECT * FROM requests WHERE request_id = ?').get(requestId);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * List requests, newest first
+   * @param {Object} filter - { status (one or an array), submittedBy }
+   * @returns {Array} Rows
+   */
+  listRequests(filter = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (filter.status) {
+      const statuses = [].concat(filter.status);
+      clauses.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+    if (filter.submittedBy) {
+      clauses.push('submitted_by = ?');
+      params.push(filter.submittedBy);
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM requests ${where} ORDER BY created_at DESC, request_id DESC`)
+      .all(...params).map(row => this.fromRow(row));
+  }
+
+  /**
+   * Get transition history for a request
+   * @param {string} requestId - Request ID
+   * @returns {Array} Transitions, oldest first
+   */
+  getTransitions(requestId) {
+    return this.db.prepare('SELECT * FROM request_transitions WHERE request_id = ? ORDER BY id').all(requestId);
+  }
+
+  /**
+   * Work out which request a command without an ID means: the only one in the
+   * given statuses, preferring the user's own requests
+   * @param {Array} statuses - Statuses the command applies to
+   * @param {string} username - Who ran the command
+   * @returns {Object} { request } when unambiguous, otherwise { candidates } (possibly empty)
+   */
+  resolve(statuses, username) {
+    const candidates = this.listRequests({ status: statuses });
+    const own = candidates.filter(r => username && r.submitted_by === username);
+    const choices = own.length > 0 ? own : candidates;
+
+    return choices.length === 1 ? { request: choices[0] } : { candidates: choices };
+  }
+
+  /**
+   * Path of a request's file for a given status
+   * @param {string} requestId - Request ID
+   * @param {string} status - Request status
+   * @returns {string} File path
+   */
+  pathFor(requestId, status) {
+    return path.join(this.requestsDir, STATUS_DIRS[status], `${requestId}.md`);
+  }
+
+  /**
+   * Path of a request's file according to its stored status
+   * @param {string} requestId - Request ID
+   * @returns {string|null} File path
+   */
+  getRequestPath(requestId) {
+    const request = this.getRequest(requestId);
+    return request ? this.pathFor(requestId, request.status) : null;
+  }
+
+  fromRow(row) {
+    return { ...row, required_info: row.required_info ? JSON.parse(row.required_info) : null };
+  }
+
+  /**
+   * Import request files that predate the store (run at startup), with the
+   * status of the directory they are in
+   * @returns {number} Requests imported
+   */
+  reconcile() {
+    let imported = 0;
+
+    for (const status of ['approved', 'rejected', 'in-analysis', 'pending']) {
+      for (const filePath of fileOps.listFiles(path.join(this.requestsDir, status))) {
+        const requestId = path.basename(filePath, '.md');
+        if (this.getRequest(requestId)) continue;
+
+        const content = fileOps.readFile(filePath) || '';
+        // Older databases declare title NOT NULL; readers treat '' as untitled
+        const title = (content.match(/^# [^:\n]+:\s*(.+)$/m) || [])[1] || '';
+        const submittedBy = (content.match(/\*\*Submitted By\*\*:\s*(.+)/) || [])[1] || null;
+        const now = new Date().toISOString();
+
+        this.db.transaction(() => {
+          this.db.prepare(`
+            INSERT INTO requests (request_id, title, status, submitted_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+          `).run(requestId, title, status, submittedBy, now, now);
+          this.recordTransition(requestId, null, status, 'reconcile', 'Imported from filesystem', now);
+        })();
+        imported++;
+      }
+    }
+
+    if (imported > 0) {
+      logger.info(`[RequestStore] Imported ${imported} requests from ${this.requestsDir}`);
+    }
+    return imported;
+  }
+}
+
+const requestStore = new RequestStore();
+requestStore.TRANSITIONS = TRANSITIONS;
+requestStore.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = requestStore;
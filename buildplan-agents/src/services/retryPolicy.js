@@ -0,0 +1,144 @@
+const database = require('../utils/database');
+const logger = require('../utils/logger');
+
+/**
+ * Automatic retries per failure class (see utils/failure-classifier):
+ * maxAttempts retries at most, the first after delayMs and each later one
+ * `factor` times longer, up to MAX_DELAY_MS. needs-human is never retried.
+ */
+const DEFAULT_POLICIES = {
+  'transient': { maxAttempts: 3, delayMs: 60000, factor: 2 },
+  'environmental': { maxAttempts: 2, delayMs: 300000, factor: 3 },
+  'code-defect': { maxAttempts: 1, delayMs: 60000, factor: 1 },
+  'needs-human': { maxAttempts: 0, delayMs: 0, factor: 1 }
+};
+
+const MAX_DELAY_MS = 3600000;
+
+function loadPolicies() {
+  if (!process.env.RETRY_POLICY) return DEFAULT_POLICIES;
+  try {
+    const overrides = JSON.parse(process.env.RETRY_POLICY);
+    const policies = { ...DEFAULT_POLICIES };
+    for (const [failureClass, policy] of Object.entries(overrides)) {
+      policies[failureClass] = { ...DEFAULT_POLICIES[failureClass], ...policy };
+    }
+    return policies;
+  } catch (error) {
+    logger.warn(`[RetryPolicy] Ignoring invalid RETRY_POLICY: ${error.message}`);
+    return DEFAULT_POLICIES;
+  }
+}
+
+/**
+ * RetryPolicy
+ * Decides whether a failed task attempt is retried and when, counting the
+ * failures of each class per task in agents.db (task_retries) so the limits
+ * hold across restarts. A task waiting out its backoff stays in the backlog
+ * until its retry_at; the counts are cleared once the task gets past the
+ * failure or a person steps in (see RetryScheduler).
+ */
+class RetryPolicy {
+  constructor() {
+    this.schemaReady = false;
+    this.policies = loadPolicies();
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS task_retries (
+          task_id TEXT NOT NULL,
+          failure_class TEXT NOT NULL,
+          failures INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          retry_at DATETIME,
+          updated_at DATETIME NOT NULL,
+          PRIMARY KEY (task_id, failure_class)
+        );
+      `);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  /**
+   * Count a failure and decide what happens next
+   * @param {string} taskId - Task ID
+   * @param {string} failureClass - From the failure classifier
+   * @param {string} error - What went wrong
+   * @returns {Object} { retry, attempt (retries used, counting this one), maxAttempts, delayMs, retryAt }
+   */
+  recordFailure(taskId, failureClass, error) {
+    const policy = this.policyFor(failureClass);
+    const now = new Date();
+    const row = this.db.prepare('SELECT failures FROM task_retries WHERE task_id = ? AND failure_class = ?').get(taskId, failureClass);
+    const failures = (row ? row.failures : 0) + 1;
+
+    const retry = failures <= policy.maxAttempts;
+    const delayMs = retry ? Math.min(policy.delayMs * policy.factor ** (failures - 1), MAX_DELAY_MS) : 0;
+    const retryAt = retry ? new Date(now.getTime() + delayMs).toISOString() : null;
+
+    this.db.prepare(`
+      INSERT INTO task_retries (task_id, failure_class, failures, last_error, retry_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ON CONFLICT(task_id, failure_class) DO UPDATE SET
+        failures = excluded.failures, last_error = excluded.last_error,
+        retry_at = excluded.retry_at, updated_at = excluded.updated_at
+    `).run(taskId, failureClass, failures, error, retryAt, now.toISOString());
+
+    return { retry, attempt: retry ? failures : failures - 1, maxAttempts: policy.maxAttempts, delayMs, retryAt };
+  }
+
+  /**
+   * When a task waiting to be retried may start again
+   * @param {string} taskId - Task ID
+   * @param {Date} now - Current time
+   * @returns {string|null} ISO time, or null if it isn't waiting
+   */
+  waitingUntil(taskId, now = new Date()) {
+    const row = this.db.prepare('SELECT MAX(retry_at) AS retry_at FROM task_retries WHERE task_id = ? AND retry_at > ?')
+      .get(taskId, now.toISOString());
+    return row ? row.retry_at : null;
+  }
+
+  /**
+   * Retries that are still waiting
+   * @param {Date} now - Current time
+   * @returns {Array} { taskId, failureClass, retryAt }
+   */
+  pending(now = new Date()) {
+    return this.db.prepare('SELECT task_id, failure_class, retry_at FROM task_retries WHERE retry_at > ? ORDER BY retry_at')
+      .all(now.toISOString())
+      .map(row => ({ taskId: row.task_id, failureClass: row.failure_class, retryAt: row.retry_at }));
+  }
+
+  /**
+   * Automatic retries a task has had since its counts were last cleared
+   * @param {string} taskId - Task ID
+   * @returns {number} Retries
+   */
+  retriesFor(taskId) {
+    return this.db.prepare('SELECT failure_class, failures FROM task_retries WHERE task_id = ?').all(taskId)
+      .reduce((sum, row) => sum + Math.min(row.failures, this.policyFor(row.failure_class).maxAttempts), 0);
+  }
+
+  /**
+   * Forget a task's failures, giving it the full retry allowance again
+   * @param {string} taskId - Task ID
+   */
+  clear(taskId) {
+    this.db.prepare('DELETE FROM task_retries WHERE task_id = ?').run(taskId);
+  }
+
+  /**
+   * @param {string} failureClass - Failure class
+   * @returns {Object} { maxAttempts, delayMs, factor }
+   */
+  policyFor(failureClass) {
+    return this.policies[failureClass] || this.policies['code-defect'];
+  }
+}
+
+module.exports = new RetryPolicy();
@@ -0,0 +1,87 @@
+const logger = require('../utils/logger');
+const eventBus = require('./eventBus');
+const retryPolicy = require('./retryPolicy');
+
+// Timers can fire a little early; give the backoff a moment to run out
+const TIMER_SLACK_MS = 1000;
+
+/**
+ * RetryScheduler
+ * Starts tasks again once their retry backoff has run out. A failed attempt
+ * that RetryPolicy allows to be retried leaves its task in the backlog, where
+ * the PM skips it until its retry time; this asks the PM to assign tasks at
+ * that time, including for retries still waiting from before a restart. It
+ * also clears a task's failure counts when it gets to review or is finished,
+ * or when a person moves it out of blocked.
+ */
+class RetryScheduler {
+  /**
+   * @param {Object} orchestrator - Provides pmAgent
+   */
+  constructor(orchestrator) {
+    this.orchestrator = orchestrator;
+    this.timers = new Map();
+    this.subscriptions = [];
+  }
+
+  /**
+   * Subscribe to task events and arm timers for waiting retries
+   */
+  start() {
+    if (this.subscriptions.length > 0) return;
+
+    this.subscriptions = [
+      eventBus.subscribe('task.failed', ({ payload }) => {
+        if (payload.retry) this.schedule(payload.taskId, payload.retryAt);
+      }),
+      eventBus.subscribe('task.transitioned', event => this.onTaskTransitioned(event.payload))
+    ];
+
+    const pending = retryPolicy.pending();
+    pending.forEach(retry => this.schedule(retry.taskId, retry.retryAt));
+    logger.info(`[RetryScheduler] Watching for task failures (${pending.length} retries waiting)`);
+  }
+
+  /**
+   * Unsubscribe and cancel the timers
+   */
+  stop() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  /**
+   * Ask the PM to assign tasks once a retry is due
+   * @param {string} taskId - Task waiting to be retried
+   * @param {string} retryAt - ISO time
+   */
+  schedule(taskId, retryAt) {
+    clearTimeout(this.timers.get(taskId));
+
+    const delay = Math.max(0, new Date(retryAt) - Date.now()) + TIMER_SLACK_MS;
+    const timer = setTimeout(async () => {
+      this.timers.delete(taskId);
+      try {
+        await this.orchestrator.pmAgent.assignPendingTasks();
+      } catch (error) {
+        logger.error(`[RetryScheduler] Could not retry ${taskId}: ${error.message}`);
+      }
+    }, delay);
+    timer.unref();
+
+    this.timers.set(taskId, timer);
+    logger.info(`[RetryScheduler] ${taskId} will be retried in ${Math.round(delay / 1000)}s`);
+  }
+
+  onTaskTransitioned({ taskId, from, to }) {
+    if (from !== 'blocked' && !['review', 'completed', 'cancelled'].includes(to)) return;
+
+    retryPolicy.clear(taskId);
+    clearTimeout(this.timers.get(taskId));
+    this.timers.delete(taskId);
+  }
+}
+
+module.exports = RetryScheduler;
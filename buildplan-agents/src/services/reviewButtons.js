@@ -0,0 +1,120 @@
+const taskStore = require('./taskStore');
+const requestStore = require('./requestStore');
+const callbackSigner = require('../utils/callback-signer');
+const logger = require('../utils/logger');
+
+// Single-letter codes keep button data inside Telegram's 64 bytes
+const ACTIONS = {
+  a: 'approve',
+  r: 'reject',
+  c: 'changes',
+  d: 'diff',
+  m: 'modify'
+};
+const CODES = Object.fromEntries(Object.entries(ACTIONS).map(([code, action]) => [action, code]));
+
+/**
+ * ReviewButtons
+ * Inline keyboards for review notifications: Approve / Reject / Request
+ * changes / View diff on tasks in review, Approve / Modify on requests in
+ * analysis. Each button carries the ID of the transition that put the task or
+ * request where it is, signed, so a button from an earlier review round (or
+ * one a client made up) is refused instead of acting on the current state.
+ */
+class ReviewButtons {
+  /**
+   * Keyboard for a task in review
+   * @param {string} taskId - Task ID
+   * @returns {Array|null} Button rows, null if the task isn't in review
+   */
+  forTask(taskId) {
+    return this.keyboard(taskId, [
+      [['✅ Approve', 'approve'], ['❌ Reject', 'reject']],
+      [['✏️ Request changes', 'changes'], ['🔍 View diff', 'diff']]
+    ]);
+  }
+
+  /**
+   * Keyboard for a request in analysis
+   * @param {string} requestId - Request ID
+   * @returns {Array|null} Button rows, null if the request is no longer in analysis
+   */
+  forRequest(requestId) {
+    return this.keyboard(requestId, [[['✅ Approve', 'approve'], ['✏️ Modify', 'modify']]]);
+  }
+
+  /**
+   * @param {string} id - Task or request ID
+   * @param {Array} rows - Rows of [text, action]
+   * @returns {Array|null} Button rows ([[{ text, data }]]), null if there is
+   *   nothing to review or the ID is too long for the button data
+   */
+  keyboard(id, rows) {
+    const version = this.versionOf(id);
+    if (!version) return null;
+
+    try {
+      return rows.map(row => row.map(([text, action]) => ({
+        text,
+        data: callbackSigner.sign(`rv:${CODES[action]}:${id}:${version}`)
+      })));
+    } catch (error) {
+      logger.warn(`[ReviewButtons] No buttons for ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Read a review button press
+   * @param {string} data - Button data
+   * @returns {Object|null} null if it isn't a review button, otherwise
+   *   { valid, reason ('forged'|'stale'), action, id, version }
+   */
+  parse(data) {
+    if (!String(data || '').startsWith('rv:')) return null;
+
+    const payload = callbackSigner.verify(data);
+    if (!payload) return { valid: false, reason: 'forged' };
+
+    const [, code, id, version] = payload.split(':');
+    const press = { action: ACTIONS[code], id, version: Number(version) };
+    return this.isCurrent(id, press.version)
+      ? { valid: true, ...press }
+      : { valid: false, reason: 'stale', ...press };
+  }
+
+  /**
+   * Whether a button issued at `version` still applies
+   * @param {string} id - Task or request ID
+   * @param {number} version - Transition ID from the button
+   * @returns {boolean} True if nothing has moved since
+   */
+  isCurrent(id, version) {
+    return Boolean(version) && this.versionOf(id) === version;
+  }
+
+  /**
+   * ID of the transition that put a task into review or a request into
+   * analysis; null when it is in neither
+   * @param {string} id - Task or request ID
+   * @returns {number|null} Transition ID
+   */
+  versionOf(id) {
+    const task = taskStore.getTask(id);
+    if (task) {
+      return task.status === 'review' ? this.latest(taskStore.getTransitions(id)) : null;
+    }
+
+    const request = requestStore.getRequest(id);
+    if (request && ['in-analysis', 'awaiting-info'].includes(request.status)) {
+      return this.latest(requestStore.getTransitions(id));
+    }
+    return null;
+  }
+
+  latest(transitions) {
+    return transitions.length > 0 ? transitions[transitions.length - 1].id : null;
+  }
+}
+
+module.exports = new ReviewButtons();
@@ -1,11 +1,14 @@
 const fs = require('fs');
 const path = require('path');
+const frontmatter = require('../utils/frontmatter');
 const logger = require('../utils/logger');
+const { SkillMetadataSchema } = require('../utils/skill-schema');
 
 /**
  * SkillLoader
  * Loads OpenClaw-style SKILL.md files from skills directory and exposes
- * skills by agent/domain. Each skill folder contains SKILL.md with YAML frontmatter.
+ * skills by agent/domain. Each skill folder contains SKILL.md with YAML frontmatter
+ * validated against utils/skill-schema.
  */
 class SkillLoader {
   constructor(options = {}) {
@@ -14,7 +17,7 @@ class SkillLoader {
   }
 
   /**
-   * Load all skills into memory (cached)
+   * Load all skills into memory (cached). Invalid skills are logged and skipped.
    */
   loadAll() {
     if (!fs.existsSync(this.skillsRoot)) {
@@ -40,8 +43,13 @@ class SkillLoader {
         const skillPath = path.join(domainDir, sd, 'SKILL.md');
         if (!fs.existsSync(skillPath)) continue;
         const raw = fs.readFileSync(skillPath, 'utf8');
-        const { frontmatter, body } = this.parseFrontmatter(raw);
-        result[domain].push({ ...frontmatter, body, path: skillPath });
+
+        try {
+          const skill = this.parseSkill(raw, path.relative(this.skillsRoot, skillPath));
+          result[domain].push({ ...skill, domain, path: skillPath });
+        } catch (error) {
+          logger.error(`[SkillLoader] Skipping invalid skill:\n${error.message}`);
+        }
       }
     }
 
@@ -55,32 +63,54 @@ class SkillLoader {
   }
 
   /**
-   * Parse YAML frontmatter from a markdown document
+   * Parse and validate a SKILL.md document
+   * @param {string} raw - File content
+   * @param {string} source - File name for error messages
+   * @returns {Object} { name, version, description, category, agents, dependencies, examples, content }
+   * @throws {FrontmatterError} With line-level issues when the frontmatter is malformed
    */
-  parseFrontmatter(md) {
-    const m = md.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-    if (!m) return { frontmatter: {}, body: md };
-    const yaml = m[1];
-    const body = m[2].trim();
-    const frontmatter = {};
-    for (const line of yaml.split('\n')) {
-      const idx = line.indexOf(':');
-      if (idx === -1) continue;
-      const key = line.slice(0, idx).trim();
-      const value = line.slice(idx + 1).trim();
-      frontmatter[key] = this.parseValue(value);
-    }
-    return { frontmatter, body };
+  parseSkill(raw, source = 'SKILL.md') {
+    const { data, content } = frontmatter.load(raw, SkillMetadataSchema, source);
+    const body = content.trim();
+
+    return {
+      ...data,
+      examples: data.examples || this.extractExamples(body),
+      content: body
+    };
   }
 
-  parseValue(val) {
-    if (val === 'true') return true;
-    if (val === 'false') return false;
-    if (!isNaN(Number(val))) return Number(val);
-    if (val.startsWith('[') && val.endsWith(']')) {
-      try { return JSON.parse(val.replace(/(['\"])?([a-zA-Z0-9_\- ]+)(['\"])?:/g, '"$2":')); } catch (_) {}
-    }
-    return val.replace(/^['\"]|['\"]$/g, '');
+  /**
+   * Collect `### ...` subsections under a `## Examples` heading
+   * @param {string} body - Markdown body
+   * @returns {Array} { title, code }
+   */
+  extractExamples(body) {
+    const section = body.match(/^##\s+Examples?\s*\n([\s\S]*?)(?=^##\s|(?![\s\S]))/m);
+    if (!section) return [];
+
+    return section[1].split(/^###\s+/m).slice(1).map(block => {
+      const [title, ...rest] = block.split('\n');
+      return { title: title.trim(), code: rest.join('\n').trim() };
+    });
+  }
+
+  /**
+   * Skills an agent should use: those from the given domains (or categories)
+   * that list the agent, or don't restrict agents at all
+   * @param {string} agentKey - e.g. 'backend-agent'
+   * @param {Array} categories - Skill domains/categories to include
+   * @returns {Array} Skills
+   */
+  loadSkillsForAgent(agentKey, categories = []) {
+    const all = this.getAll();
+    const agent = agentKey.toLowerCase();
+
+    return Object.values(all)
+      .flat()
+      .filter(skill => categories.length === 0 ||
+        categories.includes(skill.domain) || categories.includes(skill.category))
+      .filter(skill => skill.agents.length === 0 || skill.agents.includes(agent));
   }
 }
 
@@ -3,6 +3,9 @@ const fileOps = require('../utils/file-ops');
 const workspace = require('./workspaceManager');
 const logger = require('../utils/logger');
 const openai = require('../utils/openai-client');
+const { taskBreakdownSchema } = require('../utils/llm-schemas');
+
+const SPRINT_TASK_TYPES = ['architecture', 'backend', 'frontend', 'devops', 'qa', 'docs'];
 
 /**
  * SprintPlanner
@@ -58,7 +61,7 @@ class SprintPlanner {
   /**
    * Parse research document into actionable tasks using AI
    * @param {string} researchContent - The research markdown content
-   * @returns {Array} Array of task objects
+   * @returns {Array} Array of task objects (empty if the model never gave a valid breakdown)
    */
   async parseResearchIntoTasks(researchContent) {
     try {
@@ -73,68 +76,59 @@ For each task, provide:
 3. Brief description of what needs to be done
 4. Priority (high, medium, low) based on dependencies and criticality
 5. Estimated complexity (1-5, where 1=simple, 5=complex)
-
-Format each task as:
-TASK: [type] - [title]
-DESCRIPTION: [description]
-PRIORITY: [priority]
-COMPLEXITY: [1-5]
+6. Which earlier tasks (by number, starting at 1) must be finished before this one can start
 
 Focus on:
 - Breaking down high-level features into concrete implementation steps
 - Ordering tasks by dependency (architecture → backend → frontend)
 - Including testing and documentation tasks
-- Being specific about what code/files need to be created or modified
-
-Generate the tasks now:`;
+- Being specific about what code/files need to be created or modified`;
 
-      const response = await openai.pmAgentChat(
+      const { tasks } = await openai.pmAgentJSON(
         'You are a technical project manager breaking down R&D research into implementation tasks.',
-        prompt
+        prompt,
+        taskBreakdownSchema(SPRINT_TASK_TYPES),
+        { name: 'sprint_tasks' }
       );
 
-      return this.parseTasksFromAIResponse(response);
+      // 1-based task numbers as written by the model; resolved to indexes next
+      return this.resolveDependencies(tasks.map(({ dependsOn, ...task }) => ({ ...task, dependsOnNumbers: dependsOn })));
     } catch (error) {
-      logger.error('[SprintPlanner] Error parsing research with AI:', error);
-      // Fallback to basic tasks if AI fails
-      return [
-        { type: 'architecture', title: 'Define system architecture', description: 'Create architecture diagram and API contracts', priority: 'high', complexity: 3 },
-        { type: 'backend', title: 'Implement backend logic', description: 'Build backend services and APIs', priority: 'high', complexity: 4 },
-        { type: 'frontend', title: 'Build user interface', description: 'Create frontend components', priority: 'medium', complexity: 3 }
-      ];
+      logger.error(`[SprintPlanner] Error parsing research with AI: ${error.message}`);
+      return [];
     }
   }
 
   /**
-   * Parse AI response into structured task objects
-   * @param {string} aiResponse - Raw AI response text
-   * @returns {Array} Array of task objects
+   * Turn declared task numbers into `dependsOn` indexes into the task list.
+   * Only earlier tasks may be depended on, so the result is always acyclic.
+   * If the model declared no dependencies at all, fall back to layering by
+   * type: architecture → backend/devops → frontend → qa/docs.
+   * @param {Array} tasks - Parsed tasks
+   * @returns {Array} Tasks with dependsOn (array of indexes)
    */
-  parseTasksFromAIResponse(aiResponse) {
-    const tasks = [];
-    const taskBlocks = aiResponse.split(/\n(?=TASK:)/g);
-
-    for (const block of taskBlocks) {
-      if (!block.trim().startsWith('TASK:')) continue;
-
-      const typeMatch = block.match(/TASK:\s*\[?([^\]\-]+)\]?\s*-\s*(.+?)\n/i);
-      const descMatch = block.match(/DESCRIPTION:\s*(.+?)(?=\n[A-Z]+:|$)/is);
-      const priorityMatch = block.match(/PRIORITY:\s*(high|medium|low)/i);
-      const complexityMatch = block.match(/COMPLEXITY:\s*(\d)/i);
-
-      if (typeMatch) {
-        tasks.push({
-          type: typeMatch[1].trim().toLowerCase(),
-          title: typeMatch[2].trim(),
-          description: descMatch ? descMatch[1].trim() : '',
-          priority: priorityMatch ? priorityMatch[1].toLowerCase() : 'medium',
-          complexity: complexityMatch ? parseInt(complexityMatch[1]) : 3
-        });
+  resolveDependencies(tasks) {
+    const declared = tasks.some(t => t.dependsOnNumbers.length > 0);
+    const layer = { architecture: 0, backend: 1, devops: 1, frontend: 2, qa: 3, docs: 3 };
+
+    return tasks.map((task, i) => {
+      const { dependsOnNumbers, ...rest } = task;
+      let dependsOn;
+
+      if (declared) {
+        dependsOn = [...new Set(dependsOnNumbers.map(n => n - 1))].filter(j => j >= 0 && j < i);
+      } else {
+        // Depend on the tasks in the nearest earlier layer that has any
+        const own = layer[task.type] ?? 1;
+        const earlier = tasks
+          .map((t, j) => ({ j, l: layer[t.type] ?? 1 }))
+          .filter(({ l }) => l < own);
+        const nearest = Math.max(-1, ...earlier.map(({ l }) => l));
+        dependsOn = earlier.filter(({ l }) => l === nearest).map(({ j }) => j);
       }
-    }
 
-    // If parsing failed, return empty (will use fallback)
-    return tasks;
+      return { ...rest, dependsOn };
+    });
   }
 
   /**
@@ -1,48 +1,53 @@
-const path = require('path');
-const fileOps = require('../utils/file-ops');
-const workspace = require('./workspaceManager');
 const logger = require('../utils/logger');
+const taskFile = require('../utils/task-file');
+const taskStore = require('./taskStore');
+const taskScheduler = require('./taskScheduler');
 
 /**
  * TaskManager
- * Creates task files from sprint definitions, assigns to agents, tracks status
+ * Creates tasks from sprint definitions, assigns to agents, tracks status.
+ * Tasks are canonical markdown files in TASKS_DIR (see utils/task-file), so
+ * sprint tasks go through the same scheduler as every other task.
  */
 class TaskManager {
-  constructor() {
-    this.backlogPath = workspace.resolveAgentPath('pm-agent', 'backlog');
-  }
-
   /**
-   * Create task files from sprint definitions
+   * Create tasks from sprint definitions
    * @param {Array} sprints - Array of sprint objects
    * @param {string} rdTaskId - The R&D task these sprints came from
    * @returns {Array} Created task IDs
    */
   async createTasksFromSprints(sprints, rdTaskId) {
     const createdTasks = [];
+    const rdTask = taskStore.getTask(rdTaskId);
 
     try {
       for (const sprint of sprints) {
-        for (const task of sprint.tasks) {
-          const taskId = `TASK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-          
-          const taskSpec = {
+        // Assign IDs up front so dependencies (indexes into sprint.tasks) can be mapped
+        const taskIds = sprint.tasks.map(() => `TASK-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
+
+        for (const [index, task] of sprint.tasks.entries()) {
+          const taskId = taskIds[index];
+          const dependencies = (task.dependsOn || []).map(i => taskIds[i]).filter(Boolean);
+
+          const canonical = taskFile.create({
             id: taskId,
-            sprintId: sprint.id,
-            rdTaskId,
+            request_id: rdTask ? rdTask.request_id : undefined,
+            sprint_id: sprint.id,
+            rd_task_id: rdTaskId,
             type: task.type,
             title: task.title,
+            assigned_to: this.getAgentForType(task.type),
             priority: task.priority || 'medium',
-            status: 'pending',
-            assignedAgent: this.getAgentForType(task.type),
-            createdAt: new Date().toISOString(),
-            dependencies: [],
-            metadata: {}
-          };
+            complexity: task.complexity,
+            depends_on: dependencies
+          }, {
+            description: task.description,
+            createdBy: 'Sprint Planner',
+            source: `${sprint.id} (${rdTaskId})`
+          });
 
-          // Write task file to PM backlog
-          const taskFilePath = path.join(this.backlogPath, `${taskId}.json`);
-          fileOps.writeFile(taskFilePath, JSON.stringify(taskSpec, null, 2));
+          taskStore.createTask(canonical, 'TaskManager');
+          taskScheduler.setDependencies(taskId, dependencies, `Sprint ${sprint.id} ordering`);
 
           createdTasks.push(taskId);
           logger.info(`[TaskManager] Created task ${taskId} for ${task.type} agent`);
@@ -76,40 +81,27 @@ class TaskManager {
   /**
    * Get task by ID
    * @param {string} taskId - Task ID
-   * @returns {Object|null} Task spec or null
+   * @returns {Object|null} Canonical task { metadata, content, path } or null
    */
   getTask(taskId) {
-    try {
-      const taskPath = path.join(this.backlogPath, `${taskId}.json`);
-      const content = fileOps.readFile(taskPath);
-      return content ? JSON.parse(content) : null;
-    } catch (error) {
-      logger.error(`[TaskManager] Error reading task ${taskId}:`, error);
-      return null;
-    }
+    const taskPath = taskStore.getTaskPath(taskId);
+    return taskPath ? taskFile.load(taskPath) : null;
   }
 
   /**
    * Update task status
    * @param {string} taskId - Task ID
-   * @param {string} status - New status (pending, in-progress, completed, blocked)
+   * @param {string} status - New status (backlog, in-progress, review, blocked, completed, cancelled)
+   * @param {string} actor - Who made the change
    * @returns {boolean} Success
    */
-  updateTaskStatus(taskId, status) {
+  updateTaskStatus(taskId, status, actor = 'TaskManager') {
     try {
-      const task = this.getTask(taskId);
-      if (!task) return false;
-
-      task.status = status;
-      task.updatedAt = new Date().toISOString();
-
-      const taskPath = path.join(this.backlogPath, `${taskId}.json`);
-      fileOps.writeFile(taskPath, JSON.stringify(task, null, 2));
-
+      taskStore.transition(taskId, status, { actor });
       logger.info(`[TaskManager] Updated ${taskId} status to ${status}`);
       return true;
     } catch (error) {
-      logger.error(`[TaskManager] Error updating task ${taskId}:`, error);
+      logger.error(`[TaskManager] Error updating task ${taskId}: ${error.message}`);
       return false;
     }
   }
@@ -117,24 +109,13 @@ class TaskManager {
   /**
    * Get all tasks for a specific agent
    * @param {string} agentName - Agent name
-   * @returns {Array} Array of task specs
+   * @returns {Array} Canonical tasks
    */
   getTasksForAgent(agentName) {
     try {
-      const files = fileOps.readDir(this.backlogPath);
-      const tasks = [];
-
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const content = fileOps.readFile(path.join(this.backlogPath, file));
-          const task = JSON.parse(content);
-          if (task.assignedAgent === agentName) {
-            tasks.push(task);
-          }
-        }
-      }
-
-      return tasks;
+      return taskStore.listTasks()
+        .map(row => this.getTask(row.task_id))
+        .filter(task => task && task.metadata.assigned_to === agentName);
     } catch (error) {
       logger.error('[TaskManager] Error getting agent tasks:', error);
       return [];
@@ -0,0 +1,334 @@
+const database = require('../utils/database');
+const taskFile = require('../utils/task-file');
+const logger = require('../utils/logger');
+const taskStore = require('./taskStore');
+const agentCollaboration = require('./agentCollaboration');
+
+const PRIORITY_RANK = { high: 0, medium: 1, low: 2 };
+const TERMINAL = ['completed', 'cancelled'];
+
+/**
+ * TaskScheduler
+ * Dependency graph over tasks. Dependencies are declared in task frontmatter
+ * (`depends_on: [TASK-1, TASK-2]`) or registered by the sprint planner, indexed in
+ * the task_dependencies table, and used to release backlog tasks only once
+ * everything they depend on is completed.
+ */
+class TaskScheduler {
+  constructor() {
+    this.schemaReady = false;
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS task_dependencies (
+          task_id TEXT NOT NULL,
+          depends_on TEXT NOT NULL,
+          reason TEXT,
+          created_at DATETIME NOT NULL,
+          PRIMARY KEY (task_id, depends_on)
+        );
+      `);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  /**
+   * Get the IDs a task depends on
+   * @param {string} taskId - Task ID
+   * @returns {Array} Task IDs
+   */
+  getDependencies(taskId) {
+    return this.db.prepare('SELECT depends_on FROM task_dependencies WHERE task_id = ? ORDER BY depends_on')
+      .all(taskId)
+      .map(row => row.depends_on);
+  }
+
+  /**
+   * Get the IDs of tasks that depend on a task
+   * @param {string} taskId - Task ID
+   * @returns {Array} Task IDs
+   */
+  getDependents(taskId) {
+    return this.db.prepare('SELECT task_id FROM task_dependencies WHERE depends_on = ? ORDER BY task_id')
+      .all(taskId)
+      .map(row => row.task_id);
+  }
+
+  /**
+   * Add a single dependency, refusing edges that would close a cycle
+   * @param {string} taskId - Dependent task ID
+   * @param {string} dependsOn - Task ID it depends on
+   * @param {string} reason - Why
+   */
+  addDependency(taskId, dependsOn, reason = '') {
+    if (taskId === dependsOn || this.reaches(dependsOn, taskId)) {
+      const error = new Error(`[TaskScheduler] ${taskId} → ${dependsOn} would create a dependency cycle`);
+      error.code = 'DEPENDENCY_CYCLE';
+      throw error;
+    }
+
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO task_dependencies (task_id, depends_on, reason, created_at)
+      VALUES (?, ?, ?, ?)
+    `).run(taskId, dependsOn, reason, new Date().toISOString());
+
+    if (result.changes > 0) {
+      agentCollaboration.addDependency(taskId, dependsOn, reason);
+    }
+  }
+
+  /**
+   * Replace a task's dependencies with the given list (as declared in its frontmatter).
+   * Cycles are stored as declared and reported by findCycles().
+   * @param {string} taskId - Task ID
+   * @param {Array} dependsOn - Task IDs
+   * @param {string} reason - Why
+   */
+  setDependencies(taskId, dependsOn, reason = 'Declared in task file') {
+    const current = this.getDependencies(taskId);
+    const wanted = [...new Set(dependsOn)].filter(id => id !== taskId);
+    const added = wanted.filter(id => !current.includes(id));
+    const removed = current.filter(id => !wanted.includes(id));
+
+    if (added.length === 0 && removed.length === 0) return;
+
+    const now = new Date().toISOString();
+    this.db.transaction(() => {
+      const remove = this.db.prepare('DELETE FROM task_dependencies WHERE task_id = ? AND depends_on = ?');
+      const insert = this.db.prepare(`
+        INSERT INTO task_dependencies (task_id, depends_on, reason, created_at) VALUES (?, ?, ?, ?)
+      `);
+      removed.forEach(id => remove.run(taskId, id));
+      added.forEach(id => insert.run(taskId, id, reason, now));
+    })();
+
+    added.forEach(id => agentCollaboration.addDependency(taskId, id, reason));
+    logger.info(`[TaskScheduler] ${taskId} depends on: ${wanted.join(', ') || 'nothing'}`);
+  }
+
+  /**
+   * Re-read depends_on from the files of every open task
+   */
+  syncFromTaskFiles() {
+    const open = taskStore.listTasks().filter(t => !TERMINAL.includes(t.status));
+
+    for (const task of open) {
+      const loaded = taskFile.load(taskStore.getTaskPath(task.task_id));
+      if (loaded) {
+        this.setDependencies(task.task_id, loaded.metadata.depends_on);
+      }
+    }
+  }
+
+  /**
+   * Tell AgentCollaboration that tasks waiting on a completed task are unblocked
+   * @param {string} taskId - Completed task ID
+   */
+  markCompleted(taskId) {
+    for (const dependent of this.getDependents(taskId)) {
+      agentCollaboration.resolveDependency(dependent, taskId);
+    }
+  }
+
+  /**
+   * Whether `to` is reachable from `from` following depends_on edges
+   */
+  reaches(from, to) {
+    const seen = new Set();
+    const stack = [from];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current === to) return true;
+      if (seen.has(current)) continue;
+      seen.add(current);
+      stack.push(...this.getDependencies(current));
+    }
+    return false;
+  }
+
+  /**
+   * Build the graph for a set of tasks
+   * @param {Array} tasks - task_queue rows
+   * @returns {Map} taskId → depends_on IDs
+   */
+  buildGraph(tasks) {
+    const graph = new Map(tasks.map(t => [t.task_id, []]));
+    const rows = this.db.prepare('SELECT task_id, depends_on FROM task_dependencies').all();
+    for (const row of rows) {
+      if (graph.has(row.task_id)) {
+        graph.get(row.task_id).push(row.depends_on);
+      }
+    }
+    return graph;
+  }
+
+  /**
+   * Order tasks so every task comes after its dependencies (Kahn's algorithm).
+   * Among tasks that are free at the same time, higher priority and older go first.
+   * Tasks caught in or behind a cycle are returned separately.
+   * @param {Array} tasks - task_queue rows
+   * @returns {Object} { ordered: [rows], layers: [[rows]], cyclic: [rows] }
+   */
+  topologicalSort(tasks) {
+    const byId = new Map(tasks.map(t => [t.task_id, t]));
+    const graph = this.buildGraph(tasks);
+    const indegree = new Map();
+    const dependents = new Map(tasks.map(t => [t.task_id, []]));
+
+    for (const [taskId, deps] of graph) {
+      const internal = deps.filter(d => byId.has(d));
+      indegree.set(taskId, internal.length);
+      internal.forEach(d => dependents.get(d).push(taskId));
+    }
+
+    const compare = (a, b) =>
+      (PRIORITY_RANK[a.priority] ?? 1) - (PRIORITY_RANK[b.priority] ?? 1) ||
+      String(a.created_at).localeCompare(String(b.created_at)) ||
+      a.task_id.localeCompare(b.task_id);
+
+    const ordered = [];
+    const layers = [];
+    let frontier = tasks.filter(t => indegree.get(t.task_id) === 0);
+
+    while (frontier.length > 0) {
+      frontier.sort(compare);
+      layers.push(frontier);
+      ordered.push(...frontier);
+
+      const next = [];
+      for (const task of frontier) {
+        for (const dependent of dependents.get(task.task_id)) {
+          indegree.set(dependent, indegree.get(dependent) - 1);
+          if (indegree.get(dependent) === 0) {
+            next.push(byId.get(dependent));
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    const placed = new Set(ordered.map(t => t.task_id));
+    const cyclic = tasks.filter(t => !placed.has(t.task_id));
+
+    return { ordered, layers, cyclic };
+  }
+
+  /**
+   * Find dependency cycles among open tasks
+   * @returns {Array} Cycles, each an array of task IDs (first repeated at the end)
+   */
+  findCycles() {
+    const open = taskStore.listTasks().filter(t => !TERMINAL.includes(t.status));
+    const graph = this.buildGraph(open);
+    const cycles = [];
+    const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+    const stack = [];
+
+    const visit = (taskId) => {
+      state.set(taskId, 1);
+      stack.push(taskId);
+
+      for (const dep of graph.get(taskId) || []) {
+        if (!graph.has(dep)) continue;
+        if (state.get(dep) === 1) {
+          cycles.push([...stack.slice(stack.indexOf(dep)), dep]);
+        } else if (!state.has(dep)) {
+          visit(dep);
+        }
+      }
+
+      stack.pop();
+      state.set(taskId, 2);
+    };
+
+    for (const taskId of graph.keys()) {
+      if (!state.has(taskId)) visit(taskId);
+    }
+
+    return cycles;
+  }
+
+  /**
+   * Backlog tasks whose dependencies are all completed, in scheduling order
+   * @returns {Array} task_queue rows
+   */
+  getReadyTasks() {
+    const backlog = taskStore.listTasks({ status: 'backlog' });
+    const ready = backlog.filter(task => this.getDependencies(task.task_id).every(depId => {
+      const dep = taskStore.getTask(depId);
+      if (!dep) {
+        logger.warn(`[TaskScheduler] ${task.task_id} depends on unknown task ${depId}`);
+        return false;
+      }
+      return dep.status === 'completed';
+    }));
+
+    return this.topologicalSort(ready).ordered;
+  }
+
+  /**
+   * Render the dependency graph as Telegram HTML, one layer per step
+   * @param {string} requestId - Optional request ID to limit the graph to
+   * @returns {string} Formatted graph
+   */
+  renderGraph(requestId = null) {
+    let tasks;
+    if (requestId) {
+      tasks = taskStore.listTasks({ requestId });
+    } else {
+      // Open tasks plus whatever they directly depend on
+      const open = taskStore.listTasks().filter(t => !TERMINAL.includes(t.status));
+      const ids = new Set(open.map(t => t.task_id));
+      open.forEach(t => this.getDependencies(t.task_id).forEach(id => ids.add(id)));
+      tasks = [...ids].map(id => taskStore.getTask(id)).filter(Boolean);
+    }
+
+    if (tasks.length === 0) {
+      return requestId ? `📭 No tasks found for ${requestId}` : '📭 No open tasks';
+    }
+
+    const icons = {
+      'backlog': '⏳',
+      'in-progress': '🔨',
+      'review': '👀',
+      'blocked': '🚫',
+      'completed': '✅',
+      'cancelled': '✖️'
+    };
+    const escape = (text) => String(text || '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    const { layers, cyclic } = this.topologicalSort(tasks);
+    const ready = new Set(this.getReadyTasks().map(t => t.task_id));
+
+    let graph = `<b>🕸️ Task Graph${requestId ? ` — ${escape(requestId)}` : ''}</b>\n\n`;
+
+    layers.forEach((layer, i) => {
+      graph += `<b>Step ${i + 1}</b>\n`;
+      for (const task of layer) {
+        const deps = this.getDependencies(task.task_id);
+        graph += `${icons[task.status] || '•'} <code>${escape(task.task_id)}</code> ${escape(task.title || task.type)}`;
+        if (ready.has(task.task_id)) graph += ' <i>(ready)</i>';
+        if (deps.length > 0) graph += `\n    ↳ after ${deps.map(d => `<code>${escape(d)}</code>`).join(', ')}`;
+        graph += '\n';
+      }
+      graph += '\n';
+    });
+
+    if (cyclic.length > 0) {
+      graph += `<b>⚠️ Cannot be scheduled (dependency cycle)</b>\n`;
+      for (const cycle of this.findCycles()) {
+        graph += `🔁 ${cycle.map(id => `<code>${escape(id)}</code>`).join(' → ')}\n`;
+      }
+      graph += '\n';
+    }
+
+    graph += `<i>${Object.entries(icons).map(([status, icon]) => `${icon} ${status}`).join('  ')}</i>`;
+    return graph;
+  }
+}
+
+module.exports = new TaskScheduler();
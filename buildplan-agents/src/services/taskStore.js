@@ -0,0 +1,455 @@
+const fs = require('fs');
+const path = require('path');
+const database = require('../utils/database');
+const fileOps = require('../utils/file-ops');
+const logger = require('../utils/logger');
+const taskFile = require('../utils/task-file');
+const eventBus = require('./eventBus');
+const frontmatter = require('../utils/frontmatter');
+const { TASK_STATUSES } = require('../utils/task-schema');
+
+/**
+ * Task status directories under TASKS_DIR. The directory a task file sits in is
+ * a projection of the status stored in agents.db, never the source of truth.
+ */
+const STATES = TASK_STATUSES;
+
+/**
+ * Legal transitions: from → allowed targets
+ */
+const TRANSITIONS = {
+  'backlog': ['in-progress', 'blocked', 'cancelled'],
+  'in-progress': ['review', 'blocked', 'backlog', 'cancelled'],
+  'review': ['completed', 'in-progress', 'cancelled'],
+  'blocked': ['backlog', 'in-progress', 'cancelled'],
+  'completed': [],
+  'cancelled': []
+};
+
+/**
+ * TaskStore
+ * Durable task state machine persisted in agents.db (task_queue + task_transitions).
+ * Every status change is validated against TRANSITIONS, recorded with actor and
+ * timestamp, and then projected onto the markdown file in TASKS_DIR/<status>/.
+ * Publishes task.created and task.transitioned once a change is in place.
+ */
+class TaskStore {
+  constructor() {
+    this.schemaReady = false;
+  }
+
+  get db() {
+    const db = database.getConnection();
+    if (!this.schemaReady) {
+      this.ensureSchema(db);
+      this.schemaReady = true;
+    }
+    return db;
+  }
+
+  get tasksDir() {
+    return process.env.TASKS_DIR || 'tasks';
+  }
+
+  /**
+   * Create tables (task_queue predates this store, so add its newer columns)
+   * @param {Database} db - Connection
+   */
+  ensureSchema(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS task_queue (
+        task_id TEXT PRIMARY KEY,
+        type TEXT NOT NULL,
+        priority TEXT NOT NULL,
+        status TEXT NOT NULL,
+        assigned_agent TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        completed_at DATETIME
+      );
+
+      CREATE TABLE IF NOT EXISTS task_transitions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        task_id TEXT NOT NULL,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        reason TEXT,
+        created_at DATETIME NOT NULL
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_task_transitions_task ON task_transitions(task_id);
+    `);
+
+    database.ensureColumn('task_queue', 'title', 'TEXT');
+    database.ensureColumn('task_queue', 'request_id', 'TEXT');
+    database.ensureColumn('task_queue', 'updated_at', 'DATETIME');
+  }
+
+  /**
+   * Register a new task in backlog and write its file
+   * @param {Object} task - Canonical task { metadata, content } (see utils/task-file)
+   * @param {string} actor - Who created it
+   * @returns {string} Path of the task file
+   */
+  createTask(task, actor = 'system') {
+    const validation = taskFile.validate({ ...task.metadata, status: 'backlog' });
+    if (!validation.success) {
+      throw new Error(`[TaskStore] Invalid task ${task.metadata.id}: ${validation.error}`);
+    }
+
+    const metadata = validation.data;
+    const now = new Date().toISOString();
+
+    const insert = this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO task_queue (task_id, type, priority, status, title, request_id, created_at, updated_at)
+        VALUES (?, ?, ?, 'backlog', ?, ?, ?, ?)
+      `).run(metadata.id, metadata.type, metadata.priority, metadata.title, metadata.request_id || null, now, now);
+
+      this.recordTransition(metadata.id, null, 'backlog', actor, 'Task created', now);
+    });
+    insert();
+
+    const taskPath = this.pathFor(metadata.id, 'backlog');
+    taskFile.save(taskPath, { metadata, content: task.content });
+    logger.info(`[TaskStore] Created ${metadata.id} in backlog (${actor})`);
+    eventBus.publish('task.created', {
+      taskId: metadata.id,
+      requestId: metadata.request_id || null,
+      title: metadata.title,
+      type: metadata.type,
+      priority: metadata.priority,
+      actor
+    });
+
+    return taskPath;
+  }
+
+  /**
+   * Move a task to a new status
+   * @param {string} taskId - Task ID
+   * @param {string} toStatus - Target status
+   * @param {Object} options - { actor, reason, assignedAgent }
+   * @returns {string} Path of the task file after projection
+   */
+  transition(taskId, toStatus, options = {}) {
+    const { actor = 'system', reason = null, assignedAgent } = options;
+    const task = this.getTask(taskId);
+
+    if (!task) {
+      throw new Error(`[TaskStore] Unknown task: ${taskId}`);
+    }
+
+    if (!TRANSITIONS[task.status] || !TRANSITIONS[task.status].includes(toStatus)) {
+      const error = new Error(`[TaskStore] Illegal transition for ${taskId}: ${task.status} → ${toStatus}`);
+      error.code = 'INVALID_TRANSITION';
+      throw error;
+    }
+
+    const now = new Date().toISOString();
+
+    const apply = this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE task_queue
+        SET status = ?,
+            updated_at = ?,
+            assigned_agent = COALESCE(?, assigned_agent),
+            started_at = CASE WHEN ? = 'in-progress' AND started_at IS NULL THEN ? ELSE started_at END,
+            completed_at = CASE WHEN ? = 'completed' THEN ? ELSE completed_at END
+        WHERE task_id = ?
+      `).run(toStatus, now, assignedAgent || null, toStatus, now, toStatus, now, taskId);
+
+      this.recordTransition(taskId, task.status, toStatus, actor, reason, now);
+    });
+    apply();
+
+    logger.info(`[TaskStore] ${taskId}: ${task.status} → ${toStatus} (${actor})`);
+    try {
+      // The new status is stored either way; reconcile() re-projects the file at startup
+      return this.project(taskId);
+    } finally {
+      eventBus.publish('task.transitioned', {
+        taskId, from: task.status, to: toStatus, actor, reason, assignedAgent: assignedAgent || task.assigned_agent || null
+      });
+    }
+  }
+
+  /**
+   * Change a task's priority or type, in agents.db and in its file
+   * @param {string} taskId - Task ID
+   * @param {Object} changes - { priority, type }
+   * @param {string} actor - Who made the change
+   * @returns {Object} Updated task row
+   */
+  updateTask(taskId, changes, actor = 'system') {
+    const task = this.getTask(taskId);
+    if (!task) {
+      throw new Error(`[TaskStore] Unknown task: ${taskId}`);
+    }
+
+    const fields = Object.fromEntries(
+      Object.entries(changes).filter(([key, value]) => ['priority', 'type'].includes(key) && value)
+    );
+    if (Object.keys(fields).length === 0) return task;
+
+    const assignments = Object.keys(fields).map(key => `${key} = ?`).join(', ');
+    this.db.prepare(`UPDATE task_queue SET ${assignments}, updated_at = ? WHERE task_id = ?`)
+      .run(...Object.values(fields), new Date().toISOString(), taskId);
+
+    const taskPath = this.pathFor(taskId, task.status);
+    const content = fileOps.readFile(taskPath);
+    if (content) {
+      try {
+        fileOps.writeFileAtomic(taskPath, frontmatter.update(content, fields));
+      } catch (error) {
+        logger.warn(`[TaskStore] Could not update ${taskId} frontmatter: ${error.message}`);
+      }
+    }
+
+    logger.info(`[TaskStore] ${taskId}: ${Object.entries(fields).map(([k, v]) => `${k}=${v}`).join(', ')} (${actor})`);
+    return this.getTask(taskId);
+  }
+
+  /**
+   * Check whether a transition is allowed from the task's current status
+   * @param {string} taskId - Task ID
+   * @param {string} toStatus - Target status
+   * @returns {boolean} True if legal
+   */
+  canTransition(taskId, toStatus) {
+    const task = this.getTask(taskId);
+    return !!task && (TRANSITIONS[task.status] || []).includes(toStatus);
+  }
+
+  recordTransition(taskId, fromStatus, toStatus, actor, reason, timestamp) {
+    this.db.prepare(`
+      INSERT INTO task_transitions (task_id, from_status, to_status, actor, reason, created_at)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(taskId, fromStatus, toStatus, actor, reason, timestamp);
+  }
+
+  /**
+   * Get a task row
+   * @param {string} taskId - Task ID
+   * @returns {Object|null} Task row
+   */
+  getTask(taskId) {
+    return this.db.prepare('SELECT * FROM task_queue WHERE task_id = ?').get(taskId) || null;
+  }
+
+  /**
+   * List tasks, optionally filtered
+   * @param {Object} filter - { status, requestId, assignedAgent }
+   * @returns {Array} Task rows ordered by creation
+   */
+  listTasks(filter = {}) {
+    const clauses = [];
+    const params = [];
+
+    if (filter.status) {
+      clauses.push('status = ?');
+      params.push(filter.status);
+    }
+    if (filter.requestId) {
+      clauses.push('request_id = ?');
+      params.push(filter.requestId);
+    }
+    if (filter.assignedAgent) {
+      clauses.push('assigned_agent = ?');
+      params.push(filter.assignedAgent);
+    }
+
+    const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM task_queue ${where} ORDER BY created_at, task_id`).all(...params);
+  }
+
+  /**
+   * Count tasks per status
+   * @returns {Object} { backlog: n, 'in-progress': n, ... }
+   */
+  countByStatus() {
+    const counts = Object.fromEntries(STATES.map(s => [s, 0]));
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS n FROM task_queue GROUP BY status').all()) {
+      counts[row.status] = row.n;
+    }
+    return counts;
+  }
+
+  /**
+   * Get transition history for a task
+   * @param {string} taskId - Task ID
+   * @returns {Array} Transitions, oldest first
+   */
+  getTransitions(taskId) {
+    return this.db.prepare('SELECT * FROM task_transitions WHERE task_id = ? ORDER BY id').all(taskId);
+  }
+
+  /**
+   * Path of a task's file for a given status
+   * @param {string} taskId - Task ID
+   * @param {string} status - Status directory
+   * @returns {string} File path
+   */
+  pathFor(taskId, status) {
+    return path.join(this.tasksDir, status, `${taskId}.md`);
+  }
+
+  /**
+   * Path of a task's file according to its stored status
+   * @param {string} taskId - Task ID
+   * @returns {string|null} File path
+   */
+  getTaskPath(taskId) {
+    const task = this.getTask(taskId);
+    return task ? this.pathFor(taskId, task.status) : null;
+  }
+
+  /**
+   * Find every copy of a task file across status directories
+   * @param {string} taskId - Task ID
+   * @returns {Array} [{ status, path, mtimeMs }]
+   */
+  findTaskFiles(taskId) {
+    return STATES
+      .map(status => ({ status, path: this.pathFor(taskId, status) }))
+      .filter(f => fs.existsSync(f.path))
+      .map(f => ({ ...f, mtimeMs: fs.statSync(f.path).mtimeMs }));
+  }
+
+  /**
+   * Make the filesystem match the stored status: exactly one file, in the
+   * directory for that status, with its frontmatter status updated. Other
+   * copies are only removed once the target has been written, so a failed
+   * write never loses the task file.
+   * @param {string} taskId - Task ID
+   * @returns {string} Projected file path
+   * @throws {Error} code PROJECTION_FAILED if the file can't be read or written
+   */
+  project(taskId) {
+    const task = this.getTask(taskId);
+    const target = this.pathFor(taskId, task.status);
+    const copies = this.findTaskFiles(taskId);
+
+    if (copies.length === 0) {
+      logger.warn(`[TaskStore] No file found for ${taskId}, nothing to project`);
+      return target;
+    }
+
+    // Prefer a copy already at the target, otherwise the most recently written one
+    const source = copies.find(c => c.path === target) ||
+      copies.sort((a, b) => b.mtimeMs - a.mtimeMs)[0];
+
+    const content = fileOps.readFile(source.path);
+    if (content === null || !fileOps.writeFileAtomic(target, this.withStatus(content, task))) {
+      const error = new Error(`[TaskStore] Could not write ${target} for ${taskId}; left ${copies.map(c => c.path).join(', ')} in place`);
+      error.code = 'PROJECTION_FAILED';
+      throw error;
+    }
+
+    for (const copy of copies) {
+      if (copy.path !== target) {
+        fileOps.deleteFile(copy.path);
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Set the status field in a task file's frontmatter. Files whose frontmatter
+   * isn't YAML yet are rewritten in the canonical format, as migrate-tasks would.
+   * @param {string} content - Task file content
+   * @param {Object} task - task_queue row
+   * @returns {string} Updated content
+   */
+  withStatus(content, task) {
+    try {
+      return frontmatter.update(content, { status: task.status });
+    } catch (error) {
+      const normalized = taskFile.normalize(content, { id: task.task_id, status: task.status, created_at: task.created_at });
+      const validation = taskFile.validate(normalized.metadata);
+      if (validation.success) {
+        return taskFile.serialize({ metadata: validation.data, content: normalized.content });
+      }
+      // Leave files that can't be repaired as they are; the directory still reflects the status
+      logger.warn(`[TaskStore] Could not update status in frontmatter of ${task.task_id}: ${validation.error}`);
+      return content;
+    }
+  }
+
+  /**
+   * Bring the database and filesystem back in sync (run at startup).
+   * Task files not yet tracked are normalized like migrate-tasks does and
+   * imported with the status of their directory, or left untracked with an
+   * error if they still aren't valid; tracked tasks are re-projected, which
+   * repairs files left duplicated or in the wrong directory by an interrupted
+   * move.
+   * @returns {Object} { imported, rejected, projected }
+   */
+  reconcile() {
+    let imported = 0;
+    const rejected = [];
+    const seen = new Set();
+
+    for (const status of STATES) {
+      for (const filePath of fileOps.listFiles(path.join(this.tasksDir, status))) {
+        const taskId = path.basename(filePath, '.md');
+        if (seen.has(taskId) || this.getTask(taskId)) {
+          seen.add(taskId);
+          continue;
+        }
+        seen.add(taskId);
+
+        // Untracked: if copies exist in several directories, trust the newest
+        const newest = this.findTaskFiles(taskId).sort((a, b) => b.mtimeMs - a.mtimeMs)[0];
+        const raw = fileOps.readFile(newest.path) || '';
+        const now = new Date().toISOString();
+        const task = taskFile.normalize(raw, { id: taskId, status: newest.status, created_at: new Date(newest.mtimeMs).toISOString() });
+        const validation = taskFile.validate(task.metadata);
+        if (!validation.success) {
+          logger.error(`[TaskStore] Not importing ${newest.path}: ${validation.error}. Fix its frontmatter and restart, or run migrate-tasks`);
+          rejected.push(taskId);
+          continue;
+        }
+
+        // Rewrite the file first, so the database never tracks a file whose frontmatter can't be updated
+        const metadata = validation.data;
+        if (taskFile.serialize({ metadata, content: task.content }) !== raw && !taskFile.save(newest.path, { metadata, content: task.content })) {
+          logger.error(`[TaskStore] Not importing ${taskId}: could not rewrite ${newest.path}`);
+          rejected.push(taskId);
+          continue;
+        }
+        const field = (name) => metadata[name] || null;
+
+        this.db.transaction(() => {
+          this.db.prepare(`
+            INSERT INTO task_queue (task_id, type, priority, status, title, request_id, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          `).run(taskId, field('type') || 'unknown', field('priority') || 'medium', newest.status,
+            field('title'), field('request_id'), field('created_at') || now, now);
+          this.recordTransition(taskId, null, newest.status, 'reconcile', 'Imported from filesystem', now);
+        })();
+        imported++;
+      }
+    }
+
+    const tracked = this.db.prepare('SELECT task_id FROM task_queue').all();
+    for (const { task_id: taskId } of tracked) {
+      try {
+        this.project(taskId);
+      } catch (error) {
+        logger.error(error.message);
+      }
+    }
+
+    logger.info(`[TaskStore] Reconciled: ${imported} imported, ${rejected.length} rejected, ${tracked.length} projected`);
+    return { imported, rejected, projected: tracked.length };
+  }
+}
+
+const taskStore = new TaskStore();
+taskStore.STATES = STATES;
+taskStore.TRANSITIONS = TRANSITIONS;
+
+module.exports = taskStore;
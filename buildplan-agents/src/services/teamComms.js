@@ -1,15 +1,24 @@
 const logger = require('../utils/logger');
+const generationStream = require('./generationStream');
+const eventBus = require('./eventBus');
+const conversationMemory = require('./conversationMemory');
+
+// Conversation thread holding agent-to-agent messages
+const TEAM_THREAD = 'team';
+
+// Telegram allows about 20 messages (edits included) per minute in a group
+const DEFAULT_EDIT_INTERVAL_MS = 3000;
 
 /**
  * Team Communication Service
- * Enables visible agent-to-agent communication in Telegram
- * All agents can see and respond to each other's messages
+ * Enables visible agent-to-agent communication in the team chat
+ * All agents can see and respond to each other's messages. Each message is
+ * published as team.message, shaped as getRecentConversation() returns it.
  */
 class TeamCommsService {
   constructor(orchestrator) {
     this.orchestrator = orchestrator;
-    this.conversationHistory = []; // Last 50 messages for context
-    this.maxHistorySize = 50;
+    this.maxHistorySize = 50; // Team messages kept in agents.db for context
     
     // Agent profiles with emojis for identification
     this.agentProfiles = {
@@ -22,10 +31,17 @@ class TeamCommsService {
       'QA-Agent': { emoji: '🧪', role: 'QA Engineer' },
       'Docs-Agent': { emoji: '📚', role: 'Documentation' }
     };
+
+    // Streamed generations: one chat message each, edited as it progresses
+    this.liveMessages = new Map();
+    this.editInterval = parseInt(process.env.TELEGRAM_EDIT_INTERVAL_MS, 10) || DEFAULT_EDIT_INTERVAL_MS;
+    generationStream.on('start', generation => this.startLiveProgress(generation));
+    generationStream.on('progress', generation => this.updateLiveProgress(generation));
+    generationStream.on('end', generation => this.updateLiveProgress(generation));
   }
 
   /**
-   * Send a message to the team channel (Telegram)
+   * Send a message to the team chat
    * @param {string} agentName - Name of the agent sending message
    * @param {string} message - The message content
    * @param {object} options - Additional options (mention, replyTo, etc.)
@@ -53,8 +69,8 @@ class TeamCommsService {
         replyTo: options.replyTo
       });
       
-      // Send to Telegram
-      await this.orchestrator.notifyTelegram(formattedMessage, { parse_mode: 'HTML' });
+      // Send to the team chat
+      await this.orchestrator.notifyTeam(formattedMessage, { format: 'html' });
       
       logger.info(`[TeamComms] ${agentName}: ${message.substring(0, 100)}...`);
       
@@ -84,7 +100,7 @@ class TeamCommsService {
       target: toAgent
     });
     
-    await this.orchestrator.notifyTelegram(formattedQuestion, { parse_mode: 'HTML' });
+    await this.orchestrator.notifyTeam(formattedQuestion, { format: 'html' });
   }
 
   /**
@@ -110,7 +126,7 @@ class TeamCommsService {
       taskId: taskId
     });
     
-    await this.orchestrator.notifyTelegram(message, { parse_mode: 'HTML' });
+    await this.orchestrator.notifyTeam(message, { format: 'html' });
   }
 
   /**
@@ -140,7 +156,7 @@ class TeamCommsService {
       percent: percentComplete
     });
     
-    await this.orchestrator.notifyTelegram(message, { parse_mode: 'HTML' });
+    await this.orchestrator.notifyTeam(message, { format: 'html' });
   }
 
   /**
@@ -166,7 +182,108 @@ class TeamCommsService {
       taskId: taskId
     });
     
-    await this.orchestrator.notifyTelegram(message, { parse_mode: 'HTML' });
+    await this.orchestrator.notifyTeam(message, { format: 'html' });
+  }
+
+  /**
+   * Post the progress message for a generation that just started
+   * @param {Object} generation - Snapshot from GenerationStream
+   */
+  async startLiveProgress(generation) {
+    const live = { messageId: null, latest: generation, sentText: null, nextEditAt: 0, timer: null, editing: false };
+    this.liveMessages.set(generation.id, live);
+
+    const text = this.formatLiveProgress(generation);
+    const sent = await this.orchestrator.notifyTeam(text, { format: 'html' });
+
+    if (!sent) {
+      this.liveMessages.delete(generation.id);
+      return;
+    }
+    live.messageId = sent.messageId;
+    live.sentText = text;
+    live.nextEditAt = Date.now() + this.editInterval;
+    this.scheduleLiveEdit(generation.id);
+  }
+
+  /**
+   * Record a generation's latest state; the message is edited at most once
+   * per TELEGRAM_EDIT_INTERVAL_MS, always ending with its final state
+   * @param {Object} generation - Snapshot from GenerationStream
+   */
+  updateLiveProgress(generation) {
+    const live = this.liveMessages.get(generation.id);
+    if (!live) return;
+    live.latest = generation;
+    this.scheduleLiveEdit(generation.id);
+  }
+
+  scheduleLiveEdit(id) {
+    const live = this.liveMessages.get(id);
+    // Not posted yet or mid-edit (both reschedule when done), or already scheduled
+    if (!live || !live.messageId || live.timer || live.editing) return;
+    live.timer = setTimeout(() => this.flushLiveProgress(id), Math.max(0, live.nextEditAt - Date.now()));
+  }
+
+  async flushLiveProgress(id) {
+    const live = this.liveMessages.get(id);
+    if (!live) return;
+    live.timer = null;
+
+    const text = this.formatLiveProgress(live.latest);
+
+    if (text !== live.sentText) {
+      live.editing = true;
+      try {
+        await this.orchestrator.editTeamMessage(live.messageId, text, { format: 'html' });
+        live.sentText = text;
+        live.nextEditAt = Date.now() + this.editInterval;
+      } catch (error) {
+        if (error.retryAfter) {
+          // Rate limited: try again once the platform allows it
+          live.editing = false;
+          live.nextEditAt = Date.now() + error.retryAfter * 1000;
+          this.scheduleLiveEdit(id);
+          return;
+        }
+        logger.warn(`[TeamComms] Could not update progress message for ${live.latest.agent}: ${error.message}`);
+        live.sentText = text;
+      }
+      live.editing = false;
+    }
+
+    // Updates that arrived during the edit, including the final state
+    if (this.formatLiveProgress(live.latest) !== live.sentText) {
+      this.scheduleLiveEdit(id);
+    } else if (live.latest.status !== 'running') {
+      this.liveMessages.delete(id);
+    }
+  }
+
+  /**
+   * Format a generation's progress message
+   * @param {Object} generation - Snapshot from GenerationStream
+   * @returns {string} HTML message
+   */
+  formatLiveProgress(generation) {
+    const profile = this.agentProfiles[generation.agent] || { emoji: '🤖' };
+    const icon = { running: '✍️', done: '✅', failed: '❌' }[generation.status] || '✍️';
+    const escape = (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+    let message = `${profile.emoji} <b>${generation.agent}</b>`;
+    if (generation.taskId) {
+      message += ` · <code>${generation.taskId}</code>`;
+    }
+    message += `\n${icon} ${escape(generation.phase)}${generation.status === 'running' ? '…' : ''}\n`;
+    message += `🔢 ~${generation.tokens.toLocaleString('en-US')} tokens`;
+
+    if (generation.files.length > 0) {
+      const shown = generation.files.slice(0, 10).map(file => `<code>${escape(file)}</code>`).join(', ');
+      const more = generation.files.length > 10 ? ` and ${generation.files.length - 10} more` : '';
+      message += `\n📄 ${generation.files.length} file${generation.files.length === 1 ? '' : 's'}: ${shown}${more}`;
+    }
+
+    return message;
   }
 
   /**
@@ -175,7 +292,8 @@ class TeamCommsService {
    * @returns {Array} Recent messages
    */
   getRecentConversation(count = 10) {
-    return this.conversationHistory.slice(-count);
+    return conversationMemory.getTurns(TEAM_THREAD, { limit: count, includeSummarized: true })
+      .map(turn => ({ ...turn.metadata, timestamp: turn.createdAt, agent: turn.author, message: turn.content }));
   }
 
   /**
@@ -213,16 +331,21 @@ class TeamCommsService {
   }
 
   /**
-   * Add message to conversation history
+   * Add message to conversation history (persisted, so it survives restarts)
    * @private
    */
   addToHistory(entry) {
-    this.conversationHistory.push(entry);
-    
-    // Keep only last N messages
-    if (this.conversationHistory.length > this.maxHistorySize) {
-      this.conversationHistory.shift();
+    const { timestamp, agent, message, ...metadata } = entry;
+
+    try {
+      conversationMemory.addTurn(TEAM_THREAD, { role: 'agent', author: agent, content: message, metadata, timestamp });
+      // Keep only last N messages
+      conversationMemory.trim(TEAM_THREAD, this.maxHistorySize);
+    } catch (error) {
+      logger.error(`[TeamComms] Could not store message from ${agent}: ${error.message}`);
     }
+
+    eventBus.publish('team.message', { ...metadata, timestamp, agent, message });
   }
 
   /**
@@ -246,7 +369,7 @@ class TeamCommsService {
       type: 'help-request'
     });
     
-    await this.orchestrator.notifyTelegram(message, { parse_mode: 'HTML' });
+    await this.orchestrator.notifyTeam(message, { format: 'html' });
   }
 
   /**
@@ -263,7 +386,7 @@ class TeamCommsService {
       type: 'team-announcement'
     });
     
-    await this.orchestrator.notifyTelegram(formattedMessage, { parse_mode: 'HTML' });
+    await this.orchestrator.notifyTeam(formattedMessage, { format: 'html' });
   }
 
   /**
@@ -283,7 +406,7 @@ class TeamCommsService {
       type: 'celebration'
     });
     
-    await this.orchestrator.notifyTelegram(message, { parse_mode: 'HTML' });
+    await this.orchestrator.notifyTeam(message, { format: 'html' });
   }
 }
 
@@ -0,0 +1,120 @@
+const logger = require('../utils/logger');
+const eventBus = require('./eventBus');
+const taskStore = require('./taskStore');
+const reviewButtons = require('./reviewButtons');
+const blockerStore = require('./blockerStore');
+const accessControl = require('./accessControl');
+
+/**
+ * TeamNotifier
+ * Posts the team chat notices that follow from domain events: a task
+ * starting, waiting for review or being cancelled, a request being turned
+ * down, a blocker being escalated or resolved, a standup being generated. Code that changes state publishes the
+ * event and leaves the telling to this subscriber.
+ */
+class TeamNotifier {
+  /**
+   * @param {Object} orchestrator - Provides notifyTeam()
+   */
+  constructor(orchestrator) {
+    this.orchestrator = orchestrator;
+    this.subscriptions = [];
+  }
+
+  /**
+   * Subscribe to the event bus
+   */
+  start() {
+    if (this.subscriptions.length > 0) return;
+
+    this.subscriptions = [
+      eventBus.subscribe('task.transitioned', event => this.onTaskTransitioned(event.payload)),
+      eventBus.subscribe('request.transitioned', event => this.onRequestTransitioned(event.payload)),
+      eventBus.subscribe('blocker.escalated', event => this.onBlockerEscalated(event.payload)),
+      eventBus.subscribe('blocker.resolved', event => this.onBlockerResolved(event.payload)),
+      eventBus.subscribe('standup.generated', event => this.notify(event.payload.report, { format: 'markdown' }))
+    ];
+    logger.info('[TeamNotifier] Subscribed to task, request, blocker and standup events');
+  }
+
+  /**
+   * Unsubscribe from the event bus
+   */
+  stop() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+  }
+
+  async onTaskTransitioned({ taskId, from, to, actor, reason, assignedAgent }) {
+    if (to === 'in-progress' && from === 'backlog' && assignedAgent) {
+      await this.notify(`🚀 ${assignedAgent} started working on ${taskId}`);
+    } else if (to === 'review') {
+      const task = taskStore.getTask(taskId);
+      const keyboard = reviewButtons.forTask(taskId);
+      await this.notify(
+        `👀 <b>Task Ready for Review</b>\n\n` +
+        `Task: <code>${taskId}</code>\n` +
+        `Title: ${(task && task.title) || taskId}\n\n` +
+        `Use the buttons below, or <code>/approve ${taskId}</code> / <code>/reject ${taskId} [reason]</code>`,
+        { format: 'html', ...(keyboard ? { buttons: keyboard } : {}) }
+      );
+    } else if (to === 'cancelled') {
+      await this.notify(`🗑️ ${taskId} cancelled by ${actor}${reason ? `: ${reason}` : ''}`);
+    }
+  }
+
+  async onRequestTransitioned({ requestId, to, actor, reason }) {
+    if (to === 'rejected') {
+      await this.notify(`🚫 Request ${requestId} rejected by ${actor}: ${reason || 'No reason provided'}`);
+    }
+  }
+
+  async onBlockerEscalated({ blockerId, level }) {
+    const blocker = blockerStore.get(blockerId);
+    if (!blocker) return;
+
+    const [toPm, toHuman] = blockerStore.slaFor(blocker.severity);
+    const summary =
+      `<code>${blocker.id}</code> on <code>${blocker.taskId || 'no task'}</code> (${blocker.severity}, raised by ${escape(blocker.agent)})\n` +
+      `${escape(blocker.description)}\n\n`;
+
+    if (level === 'pm') {
+      const message =
+        `⏰ ${summary}` +
+        `Open for over ${toPm} minutes, so it's with me now; if it's still open after ${toHuman} minutes I'll ask a human.\n` +
+        `👉 <code>/resolve ${blocker.id} [what fixed it]</code>, <code>/retry</code> or <code>/reassign</code>`;
+      if (this.orchestrator.teamComms) {
+        await this.orchestrator.teamComms.sendMessage('PM-Agent', message);
+      } else {
+        await this.notify(message, { format: 'html' });
+      }
+    } else if (level === 'human') {
+      const people = accessControl.mentionable('approver');
+      await this.notify(
+        `🆘 <b>Blocker Needs a Human</b>\n\n${summary}` +
+        `Open for over ${toHuman} minutes and the agents can't clear it.` +
+        `${people.length > 0 ? ` ${people.join(' ')}, can you help?` : ''}\n\n` +
+        `👉 <code>/resolve ${blocker.id} [what fixed it]</code>`,
+        { format: 'html' }
+      );
+    }
+  }
+
+  async onBlockerResolved({ blockerId, taskId, actor, resolution }) {
+    await this.notify(
+      `✅ <code>${blockerId}</code>${taskId ? ` on <code>${taskId}</code>` : ''} resolved by ${escape(actor)}` +
+      `${resolution ? `: ${escape(resolution)}` : ''}`,
+      { format: 'html' }
+    );
+  }
+
+  notify(message, options = {}) {
+    return this.orchestrator.notifyTeam(message, options);
+  }
+}
+
+function escape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+module.exports = TeamNotifier;
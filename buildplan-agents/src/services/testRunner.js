@@ -27,12 +27,13 @@ class TestRunner {
       path: testPath = null,
       bail = false,
       coverage = false,
-      updateSnapshots = false
+      updateSnapshots = false,
+      cwd = this.projectRoot // e.g. a task worktree
     } = options;
 
     try {
       // Detect test framework
-      const framework = this.detectTestFramework();
+      const framework = this.detectTestFramework(cwd);
       logger.info(`[TestRunner] Running ${type} tests with ${framework}`);
 
       // Build test command
@@ -46,7 +47,7 @@ class TestRunner {
 
       // Execute tests
       const startTime = Date.now();
-      const result = await this.executeTests(command);
+      const result = await this.executeTests(command, cwd);
       const duration = Date.now() - startTime;
 
       // Parse results
@@ -125,11 +126,12 @@ class TestRunner {
 
   /**
    * Detect which test framework is being used
+   * @param {string} cwd - Directory containing package.json
    * @returns {string} Framework name (jest, vitest, playwright, npm)
    */
-  detectTestFramework() {
+  detectTestFramework(cwd = this.projectRoot) {
     try {
-      const packageJsonPath = path.join(this.projectRoot, 'package.json');
+      const packageJsonPath = path.join(cwd, 'package.json');
       const packageJson = JSON.parse(fileOps.readFile(packageJsonPath));
       
       const deps = {
@@ -203,12 +205,13 @@ class TestRunner {
   /**
    * Execute test command
    * @param {string} command - Command to execute
+   * @param {string} cwd - Directory to run in
    * @returns {Object} Execution result
    */
-  async executeTests(command) {
+  async executeTests(command, cwd = this.projectRoot) {
     try {
       const output = execSync(command, {
-        cwd: this.projectRoot,
+        cwd,
         encoding: 'utf8',
         stdio: ['pipe', 'pipe', 'pipe']
       });
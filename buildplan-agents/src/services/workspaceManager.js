@@ -1,4 +1,3 @@
-const fs = require('fs');
 const path = require('path');
 const fileOps = require('../utils/file-ops');
 
@@ -27,6 +26,30 @@ class WorkspaceManager {
     fileOps.writeFile(p, content);
     return p;
   }
+
+  /**
+   * Directory holding one git worktree per task in progress (WORKTREES_DIR)
+   */
+  worktreesRoot() {
+    return path.resolve(process.env.WORKTREES_DIR || path.join(this.root, 'worktrees'));
+  }
+
+  worktreePath(taskId) {
+    const base = this.worktreesRoot();
+    const target = path.resolve(base, taskId);
+    if (path.dirname(target) !== base) {
+      throw new Error(`Invalid task ID for a worktree: ${taskId}`);
+    }
+    return target;
+  }
+
+  /**
+   * npm cache shared by the dependency installs of every worktree
+   * (NPM_CACHE_DIR), so each install after the first is mostly offline
+   */
+  npmCacheDir() {
+    return path.resolve(process.env.NPM_CACHE_DIR || path.join(this.root, 'npm-cache'));
+  }
 }
 
 module.exports = new WorkspaceManager();
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Telegram rejects callback_data longer than this many bytes (the tightest of the chat platforms)
+const MAX_CALLBACK_BYTES = 64;
+// Characters of the base64url HMAC kept (96 bits)
+const SIGNATURE_LENGTH = 16;
+
+/**
+ * CallbackSigner
+ * Signs button data with an HMAC so a modified client can't send payloads the
+ * bot never issued. The key is TELEGRAM_CALLBACK_SECRET, or one derived from
+ * the Telegram, Slack or Discord bot token, so buttons keep working across
+ * restarts.
+ */
+class CallbackSigner {
+  constructor() {
+    this.fallbackSecret = null;
+  }
+
+  get secret() {
+    if (process.env.TELEGRAM_CALLBACK_SECRET) return process.env.TELEGRAM_CALLBACK_SECRET;
+    const token = process.env.TELEGRAM_BOT_TOKEN || process.env.SLACK_BOT_TOKEN || process.env.DISCORD_BOT_TOKEN;
+    if (token) {
+      return crypto.createHash('sha256').update(`callback:${token}`).digest('hex');
+    }
+    if (!this.fallbackSecret) {
+      logger.warn('[CallbackSigner] No TELEGRAM_CALLBACK_SECRET or bot token; buttons will stop working after a restart');
+      this.fallbackSecret = crypto.randomBytes(32).toString('hex');
+    }
+    return this.fallbackSecret;
+  }
+
+  signature(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url').slice(0, SIGNATURE_LENGTH);
+  }
+
+  /**
+   * @param {string} payload - Colon-separated fields, e.g. "rv:a:TASK-001-01:42"
+   * @returns {string} callback_data with the signature appended
+   * @throws {Error} If the result is too long for Telegram
+   */
+  sign(payload) {
+    const data = `${payload}:${this.signature(payload)}`;
+    if (Buffer.byteLength(data) > MAX_CALLBACK_BYTES) {
+      throw new Error(`[CallbackSigner] Callback data too long (${Buffer.byteLength(data)} bytes): ${payload}`);
+    }
+    return data;
+  }
+
+  /**
+   * @param {string} data - callback_data from a callback query
+   * @returns {string|null} The payload, or null if the signature doesn't match
+   */
+  verify(data) {
+    const at = String(data || '').lastIndexOf(':');
+    if (at === -1) return null;
+
+    const payload = data.slice(0, at);
+    const expected = Buffer.from(this.signature(payload));
+    const actual = Buffer.from(data.slice(at + 1));
+
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? payload : null;
+  }
+}
+
+module.exports = new CallbackSigner();
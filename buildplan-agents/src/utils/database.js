@@ -0,0 +1,52 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+const logger = require('./logger');
+
+/**
+ * Shared connection to agents.db
+ * Opened lazily so services also work from CLI commands that don't start the
+ * orchestrator. Each service creates the tables it owns on first use.
+ */
+class AgentDatabase {
+  constructor() {
+    this.dbPath = process.env.AGENTS_DB_PATH || path.join(__dirname, '..', '..', 'agents.db');
+    this.db = null;
+  }
+
+  /**
+   * Get (and open on first call) the database connection
+   * @returns {Database} better-sqlite3 connection
+   */
+  getConnection() {
+    if (!this.db) {
+      this.db = new Database(this.dbPath);
+      this.db.pragma('journal_mode = WAL');
+      logger.info(`[Database] Opened ${this.dbPath}`);
+    }
+    return this.db;
+  }
+
+  /**
+   * Add a column to an existing table if it is missing
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type/constraints
+   */
+  ensureColumn(table, column, definition) {
+    const db = this.getConnection();
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      logger.info(`[Database] Added column ${table}.${column}`);
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+module.exports = new AgentDatabase();
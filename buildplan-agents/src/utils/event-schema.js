@@ -0,0 +1,125 @@
+const { z } = require('zod/v4');
+
+/**
+ * Domain events
+ * Every event published on services/eventBus has one of these types and a
+ * payload matching its schema. Types are <subject>.<what happened>; subscribe
+ * to 'task.*' for every task event.
+ */
+
+const optional = z.string().nullable().optional();
+
+const EVENT_SCHEMAS = {
+  'request.created': z.object({
+    requestId: z.string(),
+    title: z.string(),
+    actor: z.string()
+  }),
+  'request.transitioned': z.object({
+    requestId: z.string(),
+    from: z.string(),
+    to: z.string(),
+    actor: z.string(),
+    reason: optional
+  }),
+  'task.created': z.object({
+    taskId: z.string(),
+    requestId: optional,
+    title: z.string(),
+    type: z.string(),
+    priority: z.string(),
+    actor: z.string()
+  }),
+  'task.transitioned': z.object({
+    taskId: z.string(),
+    from: z.string(),
+    to: z.string(),
+    actor: z.string(),
+    reason: optional,
+    assignedAgent: optional
+  }),
+  // An attempt at a task failed; retry says whether it waits in the backlog
+  // until retryAt or was blocked (see utils/failure-classifier)
+  'task.failed': z.object({
+    taskId: z.string(),
+    agent: z.string(),
+    failureClass: z.string(),
+    error: z.string(),
+    retry: z.boolean(),
+    attempt: z.number(),
+    maxAttempts: z.number(),
+    retryAt: optional
+  }),
+  // A generation starting or finishing (status running, done or failed)
+  'agent.phase': z.object({
+    agent: z.string(),
+    taskId: optional,
+    phase: z.string(),
+    status: z.string(),
+    generationId: z.string()
+  }),
+  'agent.status': z.object({
+    agent: z.string(),
+    status: z.string(),
+    metadata: z.record(z.string(), z.any()).default({})
+  }),
+  'pr.opened': z.object({
+    taskId: z.string(),
+    url: z.string(),
+    agent: z.string()
+  }),
+  'blocker.raised': z.object({
+    blockerId: z.string(),
+    taskId: optional,
+    agent: z.string(),
+    type: optional,
+    description: z.string(),
+    severity: z.string()
+  }),
+  // level is pm or human
+  'blocker.escalated': z.object({
+    blockerId: z.string(),
+    taskId: optional,
+    severity: z.string(),
+    level: z.string()
+  }),
+  'blocker.resolved': z.object({
+    blockerId: z.string(),
+    taskId: optional,
+    actor: z.string(),
+    resolution: optional
+  }),
+  'approval.registered': z.object({
+    taskId: z.string(),
+    researchPath: optional,
+    mockupPath: optional,
+    mockupUrl: optional
+  }),
+  'approval.feedback': z.object({
+    taskId: z.string(),
+    text: z.string()
+  }),
+  'approval.approved': z.object({
+    taskId: z.string()
+  }),
+  'approval.rejected': z.object({
+    taskId: z.string(),
+    reason: optional
+  }),
+  // An agent-to-agent message, as TeamCommsService.getRecentConversation() returns it
+  'team.message': z.object({
+    agent: z.string(),
+    message: z.string()
+  }).passthrough(),
+  'standup.generated': z.object({
+    date: z.string(),
+    report: z.string()
+  })
+};
+
+const EVENT_TYPES = Object.keys(EVENT_SCHEMAS);
+
+module.exports = {
+  EVENT_SCHEMAS,
+  EVENT_TYPES
+};
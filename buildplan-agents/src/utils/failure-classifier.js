@@ -0,0 +1,74 @@
+/**
+ * Failure classification
+ * Sorts a failed task attempt into one of four classes, which decide whether
+ * it is retried automatically (see services/retryPolicy):
+ *   transient     - rate limits, network and API timeouts, dropped connections,
+ *                   5xx responses
+ *   environmental - the machine or a service isn't set up right: missing
+ *                   modules or commands, failed installs, git or GitHub trouble
+ *   needs-human   - only a person can fix it: credentials, permissions, quota,
+ *                   merge conflicts, missing information
+ *   code-defect   - the generated code is wrong: failing or timed-out tests,
+ *                   edits that don't apply, nothing usable generated (the default)
+ */
+
+const FAILURE_CLASSES = ['transient', 'environmental', 'needs-human', 'code-defect'];
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET', 'LLM_TIMEOUT'];
+
+// Checked in order; the first match wins. Quota errors come back as 429s but
+// won't clear by waiting, so needs-human is checked before transient, and a
+// test that times out is a defect in the code under test, not a network
+// problem, so test-runner timeouts are checked before transient too.
+const RULES = [
+  {
+    failureClass: 'needs-human',
+    status: [401, 403],
+    pattern: /bad credentials|unauthori[sz]ed|forbidden|permission denied|access denied|invalid[ _]api[ _]key|incorrect api key|insufficient[ _]quota|exceeded your current quota|merge conflict|needs? (human|manual)|requires? clarification|missing (required )?information/i
+  },
+  {
+    failureClass: 'code-defect',
+    pattern: /async callback was not invoked|exceeded timeout of \d+ ?ms|timeout of \d+ ?ms exceeded|tests? (?:run )?timed out|test timeout/i
+  },
+  {
+    failureClass: 'transient',
+    status: [408, 429, 500, 502, 503, 504],
+    code: NETWORK_CODES,
+    pattern: /rate[ _-]?limit|too many requests|(?:request|connection|connect|socket|read|response|api|llm call) timed? ?out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|socket hang up|service unavailable|bad gateway|gateway timeout|overloaded|temporarily unavailable|status(?: code)?:? 50[0234]/i
+  },
+  {
+    failureClass: 'environmental',
+    pattern: /cannot find module|module not found|command not found|is not recognized as an internal|ENOENT|no such file or directory|EACCES|ENOSPC|npm ERR!|failed to install|not a git repository|no worktree|failed to (push|commit)|github client disabled|failed to create (github )?pr\b/i
+  }
+];
+
+/**
+ * Classify a failure
+ * @param {Object} failure - An Error, or { message, details, status, code }
+ * @returns {Object} { failureClass, reason } - reason says what matched
+ */
+function classify(failure) {
+  const status = failure.status || (failure.response && failure.response.status);
+  const code = failure.code;
+  const text = `${failure.message || ''}\n${failure.details || ''}`;
+
+  for (const rule of RULES) {
+    if (status && rule.status && rule.status.includes(status)) {
+      return { failureClass: rule.failureClass, reason: `HTTP ${status}` };
+    }
+    if (code && rule.code && rule.code.includes(code)) {
+      return { failureClass: rule.failureClass, reason: code };
+    }
+    const match = text.match(rule.pattern);
+    if (match) {
+      return { failureClass: rule.failureClass, reason: `"${match[0]}"` };
+    }
+  }
+
+  return { failureClass: 'code-defect', reason: 'no infrastructure error found' };
+}
+
+module.exports = {
+  FAILURE_CLASSES,
+  classify
+};
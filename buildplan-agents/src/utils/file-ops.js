@@ -26,6 +26,40 @@ class FileOps {
     }
   }
 
+  /**
+   * Write via a temp file and rename so readers never see a partial file
+   */
+  writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    try {
+      const dir = path.dirname(filePath);
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      fs.writeFileSync(tempPath, content, 'utf8');
+      fs.renameSync(tempPath, filePath);
+      return true;
+    } catch (error) {
+      logger.error(`Error writing file ${filePath}:`, error);
+      if (fs.existsSync(tempPath)) {
+        fs.unlinkSync(tempPath);
+      }
+      return false;
+    }
+  }
+
+  deleteFile(filePath) {
+    try {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+      return true;
+    } catch (error) {
+      logger.error(`Error deleting file ${filePath}:`, error);
+      return false;
+    }
+  }
+
   moveFile(source, destination) {
     try {
       const destDir = path.dirname(destination);
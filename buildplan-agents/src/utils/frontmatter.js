@@ -0,0 +1,230 @@
+const YAML = require('yaml');
+
+const FENCE = /^---\r?\n([\s\S]*?\r?\n)?---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Error for frontmatter that can't be parsed or doesn't match its schema.
+ * `issues` holds one { line, column, path, message } entry per problem, with
+ * line numbers counted from the top of the file.
+ */
+class FrontmatterError extends Error {
+  constructor(source, issues) {
+    super(issues.map(issue => formatIssue(source, issue)).join('\n'));
+    this.name = 'FrontmatterError';
+    this.code = 'INVALID_FRONTMATTER';
+    this.source = source;
+    this.issues = issues;
+  }
+}
+
+function formatIssue(source, issue) {
+  const location = issue.line ? `${source}:${issue.line}${issue.column ? `:${issue.column}` : ''}` : source;
+  const field = issue.path && issue.path.length > 0 ? `${issue.path.join('.')}: ` : '';
+  return `${location}: ${field}${issue.message}`;
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Frontmatter
+ * YAML frontmatter for markdown files (tasks, skills), built on the yaml
+ * Document API so untouched keys, comments, quoting and ordering survive a
+ * read-modify-write round trip.
+ */
+class Frontmatter {
+  /**
+   * Parse a markdown document
+   * @param {string} raw - File content
+   * @returns {Object} { data, content, document, lineCounter, hasFrontmatter, errors }
+   *   `errors` lists YAML syntax problems; `data` is {} when there are any
+   */
+  parse(raw) {
+    const text = String(raw);
+    const match = text.match(FENCE);
+
+    if (!match) {
+      return { data: {}, content: text, document: null, lineCounter: null, hasFrontmatter: false, errors: [] };
+    }
+
+    const lineCounter = new YAML.LineCounter();
+    const document = YAML.parseDocument(match[1] || '', { lineCounter, prettyErrors: false });
+    const errors = document.errors.map(error => {
+      const position = error.pos ? lineCounter.linePos(error.pos[0]) : null;
+      return {
+        // +1 for the opening --- line
+        line: position ? position.line + 1 : null,
+        column: position ? position.col : null,
+        path: [],
+        message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, '')
+      };
+    });
+
+    let data = {};
+    if (errors.length === 0) {
+      const value = document.toJS();
+      if (value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+        errors.push({ line: 2, column: 1, path: [], message: 'Frontmatter must be a mapping of key: value pairs' });
+      } else {
+        data = value || {};
+      }
+    }
+
+    return {
+      data,
+      content: text.slice(match[0].length),
+      document,
+      lineCounter,
+      hasFrontmatter: true,
+      errors
+    };
+  }
+
+  /**
+   * Line (in the file) where a key path is defined
+   * @param {Object} parsed - Result of parse()
+   * @param {Array} keyPath - e.g. ['depends_on', 0]
+   * @returns {Object|null} { line, column }
+   */
+  locate(parsed, keyPath) {
+    if (!parsed.document || !parsed.document.contents) return null;
+
+    let node = parsed.document.contents;
+    let range = node.range;
+
+    for (const key of keyPath) {
+      if (!node || !node.items) break;
+      if (YAML.isSeq(node)) {
+        node = node.items[key];
+        range = node && node.range;
+      } else {
+        const pair = node.items.find(item => item.key && item.key.value === key);
+        if (!pair) break;
+        range = pair.key.range;
+        node = pair.value;
+      }
+    }
+
+    if (!range) return null;
+    const position = parsed.lineCounter.linePos(range[0]);
+    return { line: position.line + 1, column: position.col };
+  }
+
+  /**
+   * Validate frontmatter data against a zod schema
+   * @param {Object} parsed - Result of parse()
+   * @param {ZodSchema} schema - Schema for the data
+   * @returns {Object} { success, data, issues }
+   */
+  validate(parsed, schema) {
+    if (parsed.errors.length > 0) {
+      return { success: false, issues: parsed.errors };
+    }
+
+    const result = schema.safeParse(parsed.data);
+    if (result.success) {
+      return { success: true, data: result.data, issues: [] };
+    }
+
+    const issues = result.error.issues.map(issue => {
+      // Missing keys point at their parent (or the top of the block)
+      const position = !parsed.lineCounter ? null :
+        this.locate(parsed, issue.path) || this.locate(parsed, issue.path.slice(0, -1)) || { line: 2, column: 1 };
+      return {
+        line: position ? position.line : (parsed.hasFrontmatter ? null : 1),
+        column: position ? position.column : null,
+        path: issue.path,
+        message: parsed.hasFrontmatter || issue.path.length > 0 ? issue.message : 'Missing frontmatter block'
+      };
+    });
+
+    return { success: false, issues };
+  }
+
+  /**
+   * Parse and validate, throwing on failure
+   * @param {string} raw - File content
+   * @param {ZodSchema} schema - Schema for the data
+   * @param {string} source - File name for error messages
+   * @returns {Object} { data, content }
+   */
+  load(raw, schema, source = 'document') {
+    const parsed = this.parse(raw);
+    const result = this.validate(parsed, schema);
+    if (!result.success) {
+      throw new FrontmatterError(source, result.issues);
+    }
+    return { data: result.data, content: parsed.content };
+  }
+
+  /**
+   * Serialize data and body into a new document
+   * @param {Object} data - Frontmatter values (undefined and empty arrays are left out)
+   * @param {string} content - Markdown body
+   * @returns {string} File content
+   */
+  stringify(data, content = '') {
+    const clean = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (value === undefined || value === null) continue;
+      if (Array.isArray(value) && value.length === 0) continue;
+      clean[key] = value;
+    }
+
+    const yaml = new YAML.Document(clean).toString({ lineWidth: 0, flowCollectionPadding: false });
+    return `---\n${yaml}---\n\n${String(content).replace(/^\n+/, '')}`;
+  }
+
+  /**
+   * Rewrite a document with new values, touching only keys whose value changed.
+   * Comments, quoting and the order of existing keys are preserved; new keys are
+   * appended. Keys set to undefined are removed.
+   * @param {string} raw - Original file content
+   * @param {Object} changes - Keys to set
+   * @param {string} content - New body (defaults to the original body)
+   * @returns {string} File content
+   */
+  update(raw, changes, content) {
+    const parsed = this.parse(raw);
+    if (parsed.errors.length > 0) {
+      throw new FrontmatterError('document', parsed.errors);
+    }
+
+    if (!parsed.hasFrontmatter) {
+      return this.stringify(changes, content === undefined ? parsed.content : content);
+    }
+
+    const document = parsed.document;
+    if (!document.contents) {
+      document.contents = document.createNode({});
+    }
+
+    let changed = false;
+    for (const [key, value] of Object.entries(changes)) {
+      const isEmpty = value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+      if (isEmpty) {
+        if (document.has(key)) {
+          document.delete(key);
+          changed = true;
+        }
+      } else if (!isEqual(parsed.data[key], value)) {
+        document.set(key, document.createNode(value));
+        changed = true;
+      }
+    }
+
+    let head = changed ? `---\n${document.toString({ lineWidth: 0, flowCollectionPadding: false })}---\n` : raw.match(FENCE)[0];
+    if (content === undefined) {
+      return head + parsed.content;
+    }
+
+    if (!head.endsWith('\n')) head += '\n';
+    return `${head}\n${String(content).replace(/^\n+/, '')}`;
+  }
+}
+
+const frontmatter = new Frontmatter();
+frontmatter.FrontmatterError = FrontmatterError;
+
+module.exports = frontmatter;
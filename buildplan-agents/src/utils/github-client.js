@@ -58,96 +58,6 @@ class GitHubClient {
     }
   }
 
-  /**
-   * Commit files to a branch
-   * @param {string} branchName - Target branch
-   * @param {Array} files - Array of {path, content} objects
-   * @param {string} message - Commit message
-   * @returns {Promise<string|null>} Commit SHA or null on failure
-   */
-  async commitFiles(branchName, files, message) {
-    if (!this.enabled) {
-      logger.warn('GitHub client disabled');
-      return null;
-    }
-
-    try {
-      // Get current commit SHA
-      const { data: ref } = await this.octokit.git.getRef({
-        owner: this.owner,
-        repo: this.repo,
-        ref: `heads/${branchName}`
-      });
-      const currentSha = ref.object.sha;
-
-      // Get current tree
-      const { data: commit } = await this.octokit.git.getCommit({
-        owner: this.owner,
-        repo: this.repo,
-        commit_sha: currentSha
-      });
-      const currentTreeSha = commit.tree.sha;
-
-      // Create blobs for each file
-      const blobs = await Promise.all(
-        files.map(async (file) => {
-          const { data: blob } = await this.octokit.git.createBlob({
-            owner: this.owner,
-            repo: this.repo,
-            content: Buffer.from(file.content).toString('base64'),
-            encoding: 'base64'
-          });
-          return {
-            path: file.path,
-            mode: '100644',
-            type: 'blob',
-            sha: blob.sha
-          };
-        })
-      );
-
-      // Create new tree
-      logger.info(`Creating tree with ${blobs.length} blobs`);
-      logger.debug('Tree items:', JSON.stringify(blobs.map(b => ({ path: b.path, type: b.type }))));
-      
-      const { data: tree } = await this.octokit.git.createTree({
-        owner: this.owner,
-        repo: this.repo,
-        base_tree: currentTreeSha,
-        tree: blobs
-      });
-
-      // Create commit
-      const { data: newCommit } = await this.octokit.git.createCommit({
-        owner: this.owner,
-        repo: this.repo,
-        message,
-        tree: tree.sha,
-        parents: [currentSha]
-      });
-
-      // Update branch reference
-      await this.octokit.git.updateRef({
-        owner: this.owner,
-        repo: this.repo,
-        ref: `heads/${branchName}`,
-        sha: newCommit.sha
-      });
-
-      logger.info(`Committed ${files.length} files to ${branchName}: ${message}`);
-      return newCommit.sha;
-    } catch (error) {
-      logger.error(`Failed to commit files to ${branchName}:`, error.message);
-      if (error.response) {
-        logger.error('GitHub API response:', JSON.stringify(error.response.data, null, 2));
-      }
-      if (error.status === 422 && files) {
-        logger.error('Files that failed:', files.map(f => f.path).join(', '));
-      }
-      return null;
-    }
-  }
-
   /**
    * Create a pull request
    * @param {string} branchName - Source branch
@@ -219,56 +129,6 @@ class GitHubClient {
       return null;
     }
   }
-
-  /**
-   * Complete workflow: Create branch, commit files, create PR
-   * @param {string} taskId - Task identifier (used for branch name)
-   * @param {Array} files - Files to commit
-   * @param {string} prTitle - Pull request title
-   * @param {string} prBody - Pull request description
-   * @returns {Promise<Object|null>} PR data or null on failure
-   */
-  async createFeaturePR(taskId, files, prTitle, prBody) {
-    if (!this.enabled) {
-      logger.warn('GitHub client disabled');
-      return null;
-    }
-
-    const branchName = `feature/${taskId.toLowerCase()}`;
-    const commitMessage = `[${taskId}] ${prTitle}`;
-
-    try {
-      // Create branch
-      const branchCreated = await this.createBranch(branchName);
-      if (!branchCreated) {
-        logger.error('Failed to create branch');
-        return null;
-      }
-
-      // Commit files
-      const commitSha = await this.commitFiles(branchName, files, commitMessage);
-      if (!commitSha) {
-        logger.error('Failed to commit files');
-        return null;
-      }
-
-      // Create PR
-      const pr = await this.createPullRequest(branchName, prTitle, prBody);
-      if (!pr) {
-        logger.error('Failed to create PR');
-        return null;
-      }
-
-      return {
-        ...pr,
-        branch: branchName,
-        commitSha
-      };
-    } catch (error) {
-      logger.error(`Failed to create feature PR for ${taskId}:`, error.message);
-      return null;
-    }
-  }
 }
 
 // Singleton instance
@@ -0,0 +1,31 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * LLM call context
+ * Carries the task and request an agent is working on through async code, so
+ * every LLM call made along the way can be attributed without threading IDs
+ * through each prompt helper. Nested run() calls inherit the outer context.
+ *
+ *   llmContext.run({ taskId, requestId }, () => agent.executeTask(taskPath))
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with the given context added to the current one
+ * @param {Object} context - { taskId, requestId }
+ * @param {Function} fn - Sync or async function
+ * @returns {*} fn's return value
+ */
+function run(context, fn) {
+  return storage.run({ ...current(), ...context }, fn);
+}
+
+/**
+ * Context of the code currently running
+ * @returns {Object} { taskId, requestId } (empty outside run())
+ */
+function current() {
+  return storage.getStore() || {};
+}
+
+module.exports = { run, current };
@@ -0,0 +1,106 @@
+const BaseProvider = require('./base-provider');
+
+/**
+ * AnthropicProvider
+ * Maps OpenAI-style messages onto the Anthropic Messages API
+ * (system prompt is a top-level field, max_tokens is required). There is no
+ * response_format; JSON responses rely on the schema OpenAIClient.chatJSON
+ * puts in the prompt.
+ */
+class AnthropicProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('anthropic', config);
+    // Required lazily so the SDK is only needed when this provider is selected
+    const Anthropic = require('@anthropic-ai/sdk');
+    this.client = new Anthropic({
+      apiKey: config.apiKey || process.env.ANTHROPIC_API_KEY,
+      maxRetries: 0
+    });
+  }
+
+  async chat(messages, options = {}) {
+    const { system, conversation } = this.splitMessages(messages);
+
+    const params = {
+      model: this.resolveModel(options),
+      system: system || undefined,
+      messages: conversation,
+      temperature: options.temperature ?? 0.7,
+      max_tokens: this.resolveMaxTokens(options)
+    };
+
+    if (options.tools && options.tools.length > 0) {
+      params.tools = options.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+      params.tool_choice = { type: options.toolChoice || 'auto' };
+    }
+
+    let response;
+    if (options.onDelta && !options.tools) {
+      const stream = this.client.messages.stream(params, { signal: options.signal });
+      stream.on('text', text => options.onDelta(text));
+      response = await stream.finalMessage();
+    } else {
+      response = await this.client.messages.create(params, { signal: options.signal });
+    }
+
+    const content = response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content,
+      model: response.model,
+      finishReason: response.stop_reason,
+      usage: this.buildUsage(response.usage.input_tokens, response.usage.output_tokens),
+      toolCalls: response.content
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input }))
+    };
+  }
+
+  /**
+   * Pull system messages out of the conversation
+   * @param {Array} messages - OpenAI-style messages
+   * @returns {Object} { system, conversation }
+   */
+  splitMessages(messages) {
+    const system = messages
+      .filter(m => m.role === 'system')
+      .map(m => m.content)
+      .join('\n\n');
+
+    const conversation = [];
+    for (const m of messages.filter(message => message.role !== 'system')) {
+      if (m.role === 'tool') {
+        // Tool results are user content blocks; consecutive ones share a message
+        const block = { type: 'tool_result', tool_use_id: m.toolCallId, content: m.content };
+        const previous = conversation[conversation.length - 1];
+        if (previous && previous.role === 'user' && Array.isArray(previous.content) &&
+          previous.content.every(b => b.type === 'tool_result')) {
+          previous.content.push(block);
+        } else {
+          conversation.push({ role: 'user', content: [block] });
+        }
+      } else if (m.role === 'assistant' && m.toolCalls && m.toolCalls.length > 0) {
+        conversation.push({
+          role: 'assistant',
+          content: [
+            ...(m.content ? [{ type: 'text', text: m.content }] : []),
+            ...m.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+          ]
+        });
+      } else {
+        conversation.push({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content });
+      }
+    }
+
+    return { system, conversation };
+  }
+}
+
+module.exports = AnthropicProvider;
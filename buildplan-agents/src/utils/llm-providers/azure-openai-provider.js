@@ -0,0 +1,23 @@
+const { AzureOpenAI } = require('openai');
+const OpenAIProvider = require('./openai-provider');
+
+/**
+ * AzureOpenAIProvider
+ * Same request/response shape as OpenAI; the "model" is the Azure deployment name.
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    const client = new AzureOpenAI({
+      apiKey: config.apiKey || process.env.AZURE_OPENAI_API_KEY,
+      endpoint: config.endpoint || process.env.AZURE_OPENAI_ENDPOINT,
+      // Structured outputs (json_schema response formats) need 2024-08-01 or later
+      apiVersion: config.apiVersion || process.env.AZURE_OPENAI_API_VERSION || '2024-10-21',
+      deployment: config.model,
+      maxRetries: 0
+    });
+
+    super({ ...config, client }, 'azure');
+  }
+}
+
+module.exports = AzureOpenAIProvider;
@@ -0,0 +1,92 @@
+// Response length cap when neither the call nor LLM_MAX_TOKENS sets one
+const DEFAULT_MAX_TOKENS = 4000;
+
+/**
+ * BaseProvider
+ * Common interface every LLM provider adapter implements.
+ *
+ * chat() always resolves to a normalized response so callers never depend on
+ * a vendor SDK's response shape:
+ *   { content, model, finishReason, usage: { promptTokens, completionTokens, totalTokens },
+ *     toolCalls: [{ id, name, arguments }] }
+ *
+ * Tool calling uses the same vendor-neutral shapes: options.tools is
+ * [{ name, description, parameters (JSON Schema) }], an assistant message that
+ * called tools is { role: 'assistant', content, toolCalls }, and each result
+ * goes back as { role: 'tool', toolCallId, name, content }.
+ *
+ * Retries belong to OpenAIClient, so adapters make a single attempt (SDK
+ * clients are created with maxRetries: 0) and honor options.signal. Adapters
+ * that can stream call options.onDelta(text) for each piece of the response
+ * and still resolve to the complete normalized response.
+ */
+class BaseProvider {
+  /**
+   * @param {string} name - Provider name (openai, anthropic, azure, local, replay)
+   * @param {Object} config - Provider configuration (model, credentials, endpoint)
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+  }
+
+  /**
+   * Send a chat completion request
+   * @param {Array} messages - OpenAI-style [{ role, content }] messages
+   * @param {Object} options - { model, temperature, maxTokens, agent, signal, onDelta,
+   *   responseFormat: { name, schema } to ask for JSON matching a JSON Schema,
+   *   tools, toolChoice: 'auto' | 'none' }
+   * @returns {Promise<Object>} Normalized response
+   */
+  async chat(messages, options = {}) {
+    throw new Error(`${this.name}: chat() must be implemented by provider`);
+  }
+
+  /**
+   * Pick the model for a call: explicit option first, then provider default
+   * @param {Object} options - Call options
+   * @returns {string} Model name
+   */
+  resolveModel(options = {}) {
+    return options.model || this.config.model;
+  }
+
+  /**
+   * Response length cap for a call: explicit option first, then provider default
+   * @param {Object} options - Call options
+   * @returns {number} Max output tokens
+   */
+  resolveMaxTokens(options = {}) {
+    return options.maxTokens || this.config.maxTokens || DEFAULT_MAX_TOKENS;
+  }
+
+  /**
+   * Parse tool call arguments sent as a JSON string
+   * @param {string|Object} raw - Arguments
+   * @returns {Object|null} Arguments, null if they aren't valid JSON
+   */
+  parseToolArguments(raw) {
+    if (raw && typeof raw === 'object') return raw;
+    try {
+      return JSON.parse(raw || '{}');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build a normalized usage object
+   * @param {number} promptTokens - Input tokens
+   * @param {number} completionTokens - Output tokens
+   * @returns {Object} Usage object
+   */
+  buildUsage(promptTokens = 0, completionTokens = 0) {
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    };
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,100 @@
+const path = require('path');
+const logger = require('../logger');
+
+/**
+ * LLM provider registry
+ * Resolves which provider and model an agent uses from environment config:
+ *
+ *   LLM_PROVIDER=openai                  default for every agent
+ *   LLM_PROVIDER_BACKEND_AGENT=anthropic per-agent override
+ *   LLM_MODEL_BACKEND_AGENT=claude-...   per-agent model override
+ *   LLM_MAX_TOKENS=4000                  response length cap (LLM_MAX_TOKENS_<AGENT> per agent)
+ *
+ * Providers: openai, anthropic, azure, local, replay
+ */
+
+const PROVIDERS = {
+  openai: () => require('./openai-provider'),
+  anthropic: () => require('./anthropic-provider'),
+  azure: () => require('./azure-openai-provider'),
+  local: () => require('./local-provider'),
+  replay: () => require('./replay-provider')
+};
+
+const DEFAULT_MODELS = {
+  openai: () => process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
+  anthropic: () => process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+  azure: () => process.env.AZURE_OPENAI_DEPLOYMENT,
+  local: () => process.env.LOCAL_LLM_MODEL || 'llama3.1'
+};
+
+const instances = new Map();
+
+/**
+ * Convert an agent name to its env var suffix ('Backend-Agent' → 'BACKEND_AGENT')
+ * @param {string} agent - Agent name
+ * @returns {string} Env suffix
+ */
+function envSuffix(agent) {
+  return String(agent || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+/**
+ * Read a per-agent setting, falling back to the global one
+ * @param {string} prefix - Env var prefix (LLM_PROVIDER, LLM_MODEL)
+ * @param {string} agent - Agent name
+ * @returns {string|undefined} Configured value
+ */
+function agentSetting(prefix, agent) {
+  return (agent && process.env[`${prefix}_${envSuffix(agent)}`]) || process.env[prefix];
+}
+
+/**
+ * Instantiate a provider (cached by name)
+ * @param {string} name - Provider name
+ * @returns {BaseProvider} Provider instance
+ */
+function createProvider(name) {
+  if (instances.has(name)) {
+    return instances.get(name);
+  }
+
+  const load = PROVIDERS[name];
+  if (!load) {
+    throw new Error(`Unknown LLM provider: ${name}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const Provider = load();
+  let provider;
+
+  if (name === 'replay') {
+    const mode = process.env.LLM_REPLAY_MODE || 'replay';
+    provider = new Provider({
+      mode,
+      fixturesDir: process.env.LLM_FIXTURES_DIR || path.join(__dirname, '..', '..', '..', 'fixtures', 'llm'),
+      upstream: mode === 'record' ? createProvider(process.env.LLM_RECORD_PROVIDER || 'openai') : null
+    });
+  } else {
+    provider = new Provider({ model: DEFAULT_MODELS[name]() });
+  }
+
+  instances.set(name, provider);
+  logger.info(`[LLM] Initialized ${name} provider`);
+  return provider;
+}
+
+/**
+ * Resolve provider, model and response length cap for an agent
+ * @param {string} agent - Agent name (e.g. 'backend-agent', 'pm-agent')
+ * @returns {Object} { provider, model, maxTokens } (maxTokens undefined if not configured)
+ */
+function resolveForAgent(agent) {
+  const name = (agentSetting('LLM_PROVIDER', agent) || 'openai').toLowerCase();
+  const provider = createProvider(name);
+  const model = agentSetting('LLM_MODEL', agent) || provider.config.model;
+  const maxTokens = parseInt(agentSetting('LLM_MAX_TOKENS', agent), 10) || undefined;
+
+  return { provider, model, maxTokens };
+}
+
+module.exports = { resolveForAgent, createProvider, envSuffix };
@@ -0,0 +1,22 @@
+const OpenAI = require('openai');
+const OpenAIProvider = require('./openai-provider');
+
+/**
+ * LocalProvider
+ * Any OpenAI-compatible server running locally (Ollama, llama.cpp server, vLLM).
+ * Defaults to Ollama's OpenAI endpoint.
+ */
+class LocalProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    const client = new OpenAI({
+      baseURL: config.baseURL || process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+      // Local servers ignore the key, but the SDK requires one
+      apiKey: config.apiKey || process.env.LOCAL_LLM_API_KEY || 'local',
+      maxRetries: 0
+    });
+
+    super({ ...config, client }, 'local');
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,146 @@
+const OpenAI = require('openai');
+const BaseProvider = require('./base-provider');
+
+/**
+ * OpenAIProvider
+ * Chat completions against api.openai.com. Azure and local OpenAI-compatible
+ * endpoints reuse this adapter with a differently configured client.
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor(config = {}, name = 'openai') {
+    super(name, config);
+    this.client = config.client || new OpenAI({
+      apiKey: config.apiKey || process.env.OPENAI_API_KEY,
+      maxRetries: 0
+    });
+  }
+
+  async chat(messages, options = {}) {
+    const params = {
+      model: this.resolveModel(options),
+      messages: this.toOpenAIMessages(messages),
+      temperature: options.temperature ?? 0.7,
+      max_tokens: this.resolveMaxTokens(options),
+      ...this.responseFormat(options),
+      ...this.toolParams(options)
+    };
+
+    // Tool calls are only read from complete responses
+    if (options.onDelta && !options.tools) {
+      return this.streamChat(params, options);
+    }
+
+    const response = await this.client.chat.completions.create(params, { signal: options.signal });
+
+    const choice = response.choices[0];
+    const usage = response.usage || {};
+
+    return {
+      content: choice.message.content,
+      model: response.model,
+      finishReason: choice.finish_reason,
+      usage: this.buildUsage(usage.prompt_tokens, usage.completion_tokens),
+      toolCalls: (choice.message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: this.parseToolArguments(call.function.arguments)
+      }))
+    };
+  }
+
+  /**
+   * Convert normalized tool-calling messages to the chat completions format
+   * @param {Array} messages - Normalized messages
+   * @returns {Array} OpenAI messages
+   */
+  toOpenAIMessages(messages) {
+    return messages.map(message => {
+      if (message.role === 'tool') {
+        return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+      }
+      if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+        return {
+          role: 'assistant',
+          content: message.content || null,
+          tool_calls: message.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+          }))
+        };
+      }
+      return message;
+    });
+  }
+
+  /**
+   * Tool definitions and choice for the request, if the call has tools
+   * @param {Object} options - Call options
+   * @returns {Object} { tools, tool_choice } or nothing
+   */
+  toolParams(options = {}) {
+    if (!options.tools || options.tools.length === 0) return {};
+    return {
+      tools: options.tools.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      })),
+      tool_choice: options.toolChoice || 'auto'
+    };
+  }
+
+  /**
+   * Stream a completion, passing each content delta to options.onDelta
+   * @param {Object} params - Request parameters
+   * @param {Object} options - Call options
+   * @returns {Promise<Object>} Normalized response
+   */
+  async streamChat(params, options) {
+    const stream = await this.client.chat.completions.create({
+      ...params,
+      stream: true,
+      // The last chunk carries token usage
+      stream_options: { include_usage: true }
+    }, { signal: options.signal });
+
+    let content = '';
+    let model = params.model;
+    let finishReason = null;
+    let usage = {};
+
+    for await (const chunk of stream) {
+      model = chunk.model || model;
+      if (chunk.usage) usage = chunk.usage;
+
+      const choice = chunk.choices && chunk.choices[0];
+      if (!choice) continue;
+      if (choice.delta && choice.delta.content) {
+        content += choice.delta.content;
+        options.onDelta(choice.delta.content);
+      }
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+    }
+
+    return {
+      content,
+      model,
+      finishReason,
+      usage: this.buildUsage(usage.prompt_tokens, usage.completion_tokens)
+    };
+  }
+
+  /**
+   * Structured output request parameters, if the call asked for JSON
+   * @param {Object} options - Call options
+   * @returns {Object} { response_format } or nothing
+   */
+  responseFormat(options = {}) {
+    if (!options.responseFormat) return {};
+    const { name, schema } = options.responseFormat;
+    return {
+      response_format: { type: 'json_schema', json_schema: { name, schema, strict: false } }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const path = require('path');
+const fileOps = require('../file-ops');
+const logger = require('../logger');
+const BaseProvider = require('./base-provider');
+
+/**
+ * ReplayProvider
+ * Deterministic record/replay provider for running agents offline.
+ *
+ * - record: forwards to an upstream provider and saves every response as a fixture
+ * - replay: answers only from fixtures and fails loudly on a miss
+ *
+ * Fixtures live at <fixturesDir>/<agent>/<key>.json. The key hashes the agent,
+ * model and messages with timestamps and generated IDs masked, so re-running the
+ * same task produces the same key.
+ */
+class ReplayProvider extends BaseProvider {
+  /**
+   * @param {Object} config - { mode, fixturesDir, upstream, model }
+   */
+  constructor(config = {}) {
+    super('replay', config);
+    this.mode = config.mode || 'replay';
+    this.fixturesDir = config.fixturesDir;
+    this.upstream = config.upstream || null;
+
+    if (this.mode === 'record' && !this.upstream) {
+      throw new Error('ReplayProvider: record mode requires an upstream provider');
+    }
+  }
+
+  async chat(messages, options = {}) {
+    const agent = options.agent || 'default';
+    const key = this.fixtureKey(agent, messages, options);
+    const fixturePath = this.fixturePath(agent, key);
+
+    if (this.mode === 'record') {
+      const response = await this.upstream.chat(messages, options);
+      fileOps.writeFile(fixturePath, JSON.stringify({
+        key,
+        agent,
+        recordedAt: new Date().toISOString(),
+        request: { model: this.resolveModel(options), messages },
+        response
+      }, null, 2));
+      logger.info(`[LLM Replay] Recorded fixture ${agent}/${key}`);
+      return response;
+    }
+
+    const raw = fileOps.fileExists(fixturePath) ? fileOps.readFile(fixturePath) : null;
+    if (!raw) {
+      throw new Error(
+        `[LLM Replay] No fixture for ${agent} (${key}) in ${this.fixturesDir}. ` +
+        'Record one with LLM_REPLAY_MODE=record'
+      );
+    }
+
+    logger.debug(`[LLM Replay] Replaying fixture ${agent}/${key}`);
+    return JSON.parse(raw).response;
+  }
+
+  /**
+   * Compute a stable fixture key for a request
+   * @param {string} agent - Calling agent
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - Call options
+   * @returns {string} Hex key
+   */
+  fixtureKey(agent, messages, options = {}) {
+    const normalized = messages.map(m => ({
+      role: m.role,
+      content: this.normalizeContent(m.content),
+      toolCalls: m.toolCalls ? m.toolCalls.map(call => ({ name: call.name, arguments: call.arguments })) : undefined
+    }));
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ agent, model: this.resolveModel(options) || null, messages: normalized }))
+      .digest('hex')
+      .substring(0, 16);
+  }
+
+  /**
+   * Mask values that change between otherwise identical runs
+   * @param {string} content - Message content
+   * @returns {string} Normalized content
+   */
+  normalizeContent(content) {
+    return String(content || '')
+      .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<timestamp>')
+      .replace(/\b\d{13}\b/g, '<epoch>');
+  }
+
+  fixturePath(agent, key) {
+    const agentDir = agent.toLowerCase().replace(/[^a-z0-9-]/g, '-');
+    return path.join(this.fixturesDir, agentDir, `${key}.json`);
+  }
+}
+
+module.exports = ReplayProvider;
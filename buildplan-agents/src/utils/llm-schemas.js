@@ -0,0 +1,44 @@
+// zod's v4 API ships in the zod 3.25 package and can emit JSON Schema, which
+// the providers pass on as a response format. Every schema in src uses it.
+const { z } = require('zod/v4');
+
+/**
+ * Schemas for structured LLM responses
+ * Used with OpenAIClient.chatJSON(): the JSON Schema goes into the request and
+ * the zod schema validates what comes back.
+ */
+
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+
+/**
+ * A breakdown of work into tasks
+ * @param {Array} types - Task types the model may use
+ * @returns {Object} zod schema for { tasks: [...] }
+ */
+function taskBreakdownSchema(types) {
+  return z.object({
+    tasks: z.array(z.object({
+      type: z.enum(types),
+      title: z.string().min(1).describe('Short, actionable title, e.g. "Implement X"'),
+      description: z.string().min(1),
+      priority: z.enum(TASK_PRIORITIES).default('medium'),
+      complexity: z.number().int().min(1).max(5).default(3).describe('1 = simple, 5 = complex'),
+      dependsOn: z.array(z.number().int().min(1)).default([])
+        .describe('Numbers (starting at 1) of earlier tasks that must be finished first')
+    })).min(1)
+  });
+}
+
+// Information a human has to supply before a request can be worked on
+const RequiredInformationSchema = z.object({
+  items: z.array(z.object({
+    item: z.string().min(1).describe('What is needed'),
+    why: z.string().min(1).describe('Why it is needed'),
+    where: z.string().min(1).describe('How to obtain it')
+  }))
+});
+
+module.exports = {
+  taskBreakdownSchema,
+  RequiredInformationSchema
+};
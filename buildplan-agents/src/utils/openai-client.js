@@ -1,32 +1,274 @@
-const OpenAI = require('openai');
 const logger = require('./logger');
+const providers = require('./llm-providers');
+const llmContext = require('./llm-context');
+const { z } = require('zod/v4');
+const costTracker = require('../services/costTracker');
 
-class OpenAIClient {
-  constructor() {
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-    this.model = process.env.OPENAI_MODEL || 'gpt-4-turbo-preview';
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 60000;
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+function llmError(message, code, props = {}) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, props);
+}
+
+/**
+ * Whether a failed call is worth repeating: rate limits, server errors,
+ * timeouts and dropped connections, but not bad requests or cancellations
+ */
+function isRetryable(error) {
+  if (error.code === 'LLM_CANCELLED' || error.code === 'BUDGET_EXCEEDED') return false;
+  if (error.code === 'LLM_TIMEOUT') return true;
+  if (error.status) return error.status === 408 || error.status === 429 || error.status >= 500;
+  return RETRYABLE_NETWORK_CODES.includes(error.code) ||
+    ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor && error.constructor.name);
+}
+
+/**
+ * How long to wait before retry number `attempt` (0-based): the server's
+ * Retry-After when it sends one, otherwise exponential backoff with jitter
+ */
+function retryDelay(error, attempt) {
+  const headers = error.headers || {};
+  const retryAfter = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseFloat(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.min(seconds * 1000, RETRY_MAX_DELAY_MS);
   }
+  const backoff = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * backoff / 2, RETRY_MAX_DELAY_MS);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(llmError('LLM call cancelled', 'LLM_CANCELLED'));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(llmError('LLM call cancelled', 'LLM_CANCELLED'));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * The JSON in a model response, tolerating a ```json fence or prose around it
+ */
+function extractJSON(content) {
+  const text = String(content || '').trim();
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)```/);
+  if (fenced) return fenced[1];
+  const start = text.search(/[{[]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  return start !== -1 && end > start ? text.slice(start, end + 1) : text;
+}
 
+/**
+ * LLM client used by every agent.
+ * Kept under its original name; each call is routed to the provider configured
+ * for the calling agent (see utils/llm-providers). Calls are tagged with the
+ * task and request from utils/llm-context, refused once those are over budget,
+ * and their usage is recorded by services/costTracker. Rate limits, server
+ * errors and timeouts are retried with exponential backoff. Pass onDelta to
+ * stream a response as it is generated.
+ */
+class OpenAIClient {
+  /**
+   * Send a chat request and return the response text
+   * @param {Array} messages - [{ role, content }] messages
+   * @param {Object} options - See complete()
+   * @returns {Promise<string>} Response content
+   */
   async chat(messages, options = {}) {
+    const response = await this.complete(messages, options);
+    return response.content;
+  }
+
+  /**
+   * Send a chat request and return the full normalized response
+   * @param {Array} messages - [{ role, content }] messages
+   * @param {Object} options - { agent, model, temperature, maxTokens, responseFormat,
+   *   signal (AbortSignal to cancel), timeoutMs (per attempt, LLM_TIMEOUT_MS),
+   *   maxRetries (LLM_MAX_RETRIES), onDelta(delta, textSoFar) to stream the response;
+   *   textSoFar starts over when an attempt is retried; tools and toolChoice, see BaseProvider }
+   * @returns {Promise<Object>} { content, model, finishReason, usage, toolCalls }
+   * @throws {Error} code BUDGET_EXCEEDED when the current task or request is over budget,
+   *   LLM_TIMEOUT when every attempt timed out, LLM_CANCELLED when `signal` aborted
+   */
+  async complete(messages, options = {}) {
+    const agent = options.agent || 'default';
+    const { provider, model, maxTokens } = providers.resolveForAgent(agent);
+    const { taskId, requestId } = llmContext.current();
+    const { signal, timeoutMs = envInt('LLM_TIMEOUT_MS', 120000), maxRetries = envInt('LLM_MAX_RETRIES', 3), ...callOptions } = options;
+
+    costTracker.assertWithinBudget({ taskId, requestId });
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.attempt(provider, messages, {
+          ...callOptions,
+          agent,
+          model: options.model || model,
+          maxTokens: options.maxTokens || maxTokens
+        }, timeoutMs, signal);
+
+        costTracker.record({
+          agent,
+          taskId,
+          requestId,
+          provider: provider.name,
+          model: response.model || options.model || model,
+          usage: response.usage,
+          // Local models and replayed fixtures cost nothing
+          billable: provider.name !== 'local' && !(provider.name === 'replay' && provider.mode !== 'record')
+        });
+
+        return response;
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryable(error)) {
+          logger.error(`LLM API error (${provider.name}, ${agent}): ${error.message}`);
+          throw error;
+        }
+
+        const delay = retryDelay(error, attempt);
+        logger.warn(`[LLM] ${provider.name} call for ${agent} failed (${error.status || error.code || error.message}); ` +
+          `retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * One provider call, aborted after timeoutMs or when the caller's signal fires
+   * @returns {Promise<Object>} Normalized response
+   */
+  async attempt(provider, messages, options, timeoutMs, signal) {
+    if (signal && signal.aborted) {
+      throw llmError('LLM call cancelled', 'LLM_CANCELLED');
+    }
+
+    // Hand listeners the full text so far, which restarts with each attempt
+    const { onDelta } = options;
+    let text = '';
+    const callOptions = onDelta
+      ? { ...options, onDelta: (delta) => { text += delta; onDelta(delta, text); } }
+      : options;
+
+    const timeout = new AbortController();
+    const combined = signal ? AbortSignal.any([signal, timeout.signal]) : timeout.signal;
+    let onAbort;
+
+    // Providers pass the signal to their SDK; the race also covers any that don't
+    const aborted = new Promise((resolve, reject) => {
+      onAbort = () => reject(timeout.signal.aborted
+        ? llmError(`LLM call timed out after ${timeoutMs}ms`, 'LLM_TIMEOUT')
+        : llmError('LLM call cancelled', 'LLM_CANCELLED'));
+      combined.addEventListener('abort', onAbort, { once: true });
+    });
+    const timer = setTimeout(() => timeout.abort(), timeoutMs);
+
     try {
-      const response = await this.client.chat.completions.create({
-        model: options.model || this.model,
-        messages,
-        temperature: options.temperature || 0.7,
-        max_tokens: options.maxTokens || 4000,
-        ...options
-      });
-
-      return response.choices[0].message.content;
+      const response = await Promise.race([provider.chat(messages, { ...callOptions, signal: combined }), aborted]);
+      // Providers that can't stream deliver the whole response at once
+      if (onDelta && !text && response.content) onDelta(response.content, response.content);
+      return response;
     } catch (error) {
-      logger.error('OpenAI API error:', error);
+      // The SDK's own abort error loses why the call was aborted
+      if (combined.aborted) {
+        throw timeout.signal.aborted
+          ? llmError(`LLM call timed out after ${timeoutMs}ms`, 'LLM_TIMEOUT')
+          : llmError('LLM call cancelled', 'LLM_CANCELLED');
+      }
       throw error;
+    } finally {
+      clearTimeout(timer);
+      combined.removeEventListener('abort', onAbort);
     }
   }
 
-  async pmAgentChat(systemPrompt, userMessage) {
+  /**
+   * Ask for a JSON response matching a schema. The JSON Schema is sent as the
+   * response format and spelled out in the prompt; a response that isn't
+   * valid JSON or fails validation is sent back to the model with the errors,
+   * up to LLM_MAX_REPAIRS times.
+   * @param {Array} messages - [{ role, content }] messages
+   * @param {Object} schema - zod schema (from utils/llm-schemas)
+   * @param {Object} options - complete() options plus { name, maxRepairs }
+   * @returns {Promise<Object>} Parsed, validated data
+   * @throws {Error} code LLM_INVALID_OUTPUT with `issues` when no response validates
+   */
+  async chatJSON(messages, schema, options = {}) {
+    const { name = 'response', maxRepairs = envInt('LLM_MAX_REPAIRS', 2), ...chatOptions } = options;
+    const { $schema, ...jsonSchema } = z.toJSONSchema(schema, { io: 'input' });
+
+    const conversation = [
+      ...messages,
+      {
+        role: 'system',
+        content: 'Respond with a single JSON object and nothing else. It must match this JSON Schema:\n' +
+          `\`\`\`json\n${JSON.stringify(jsonSchema, null, 2)}\n\`\`\``
+      }
+    ];
+
+    for (let attempt = 0; ; attempt++) {
+      const content = await this.chat(conversation, { ...chatOptions, responseFormat: { name, schema: jsonSchema } });
+      const { data, issues } = this.validateJSON(content, schema);
+
+      if (!issues) return data;
+
+      if (attempt >= maxRepairs) {
+        throw llmError(
+          `LLM response for ${name} is still invalid after ${maxRepairs} repair attempts: ${issues.join('; ')}`,
+          'LLM_INVALID_OUTPUT',
+          { issues }
+        );
+      }
+
+      logger.warn(`[LLM] Invalid ${name} from ${chatOptions.agent || 'default'} (attempt ${attempt + 1}): ${issues.join('; ')}`);
+      conversation.push(
+        { role: 'assistant', content },
+        {
+          role: 'user',
+          content: `That response is not valid:\n${issues.map(issue => `- ${issue}`).join('\n')}\n\n` +
+            'Send the complete corrected JSON object, with no other text.'
+        }
+      );
+    }
+  }
+
+  /**
+   * Parse and validate a JSON response
+   * @returns {Object} { data } when valid, otherwise { issues } listing the problems
+   */
+  validateJSON(content, schema) {
+    let parsed;
+    try {
+      parsed = JSON.parse(extractJSON(content));
+    } catch (error) {
+      return { issues: [`not valid JSON (${error.message})`] };
+    }
+
+    const result = schema.safeParse(parsed);
+    if (result.success) return { data: result.data };
+    return {
+      issues: result.error.issues.map(issue => `${issue.path.length > 0 ? issue.path.join('.') : '(root)'}: ${issue.message}`)
+    };
+  }
+
+  async pmAgentChat(systemPrompt, userMessage, options = {}) {
     const messages = [
       {
         role: 'system',
@@ -38,7 +280,19 @@ class OpenAIClient {
       }
     ];
 
-    return await this.chat(messages);
+    return await this.chat(messages, { agent: 'pm-agent', ...options });
+  }
+
+  /**
+   * PM agent request for a JSON response; see chatJSON()
+   */
+  async pmAgentJSON(systemPrompt, userMessage, schema, options = {}) {
+    const messages = [
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: userMessage }
+    ];
+
+    return await this.chatJSON(messages, schema, { agent: 'pm-agent', ...options });
   }
 
   async specialistAgentChat(agentName, systemPrompt, context, task) {
@@ -53,7 +307,7 @@ class OpenAIClient {
       }
     ];
 
-    return await this.chat(messages, { temperature: 0.5 });
+    return await this.chat(messages, { agent: agentName, temperature: 0.5 });
   }
 }
 
@@ -0,0 +1,359 @@
+const BLOCK = /```([^\n]*)\n([\s\S]*?)```/g;
+const SEARCH_REPLACE = /<<<<<<< SEARCH\r?\n([\s\S]*?)^=======[ \t]*\r?\n([\s\S]*?)^>>>>>>> REPLACE[ \t]*$/gm;
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/;
+
+/**
+ * Error for an edit that can't be applied. `path` is the file it targets and
+ * `change` the hunk or block label ("hunk 2", "block 1") when one is to blame.
+ */
+class PatchError extends Error {
+  constructor(filePath, message, change) {
+    super(`${filePath}: ${change ? `${change} ` : ''}${message}`);
+    this.name = 'PatchError';
+    this.code = 'PATCH_MISMATCH';
+    this.path = filePath;
+    this.change = change;
+  }
+}
+
+function normalizePath(filePath) {
+  return filePath.trim().replace(/\\/g, '/').replace(/^\/+/, '');
+}
+
+// Path from a "--- a/x" or "+++ b/x" header, without git's a/ and b/ prefixes
+function diffPath(header) {
+  const filePath = header.slice(4).split('\t')[0].trim();
+  return filePath === '/dev/null' ? filePath : normalizePath(filePath).replace(/^[ab]\//, '');
+}
+
+function splitLines(text) {
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+function sameLines(lines, at, expected, loose) {
+  for (let i = 0; i < expected.length; i++) {
+    const actual = lines[at + i];
+    if (actual === undefined) return false;
+    if (loose ? actual.trimEnd() !== expected[i].trimEnd() : actual !== expected[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Every position where `expected` occurs in `lines`; exact matches win over
+ * ones that only differ in trailing whitespace
+ */
+function findMatches(lines, expected) {
+  for (const loose of [false, true]) {
+    const matches = [];
+    for (let at = 0; at + expected.length <= lines.length; at++) {
+      if (sameLines(lines, at, expected, loose)) matches.push(at);
+    }
+    if (matches.length > 0) return matches;
+  }
+  return [];
+}
+
+/**
+ * Where the file probably diverges from what the model expected: the lines
+ * around the first occurrence of the change's first non-blank line
+ */
+function closestRegion(lines, expected) {
+  const anchor = expected.find(line => line.trim());
+  if (!anchor) return null;
+  const at = lines.findIndex(line => line.trim() === anchor.trim());
+  if (at === -1) return null;
+  const start = Math.max(0, at - 2);
+  return { line: start + 1, text: lines.slice(start, at + expected.length + 2).join('\n') };
+}
+
+/**
+ * PatchApplier
+ * Turns model output into file contents. Besides complete files
+ * (```filename: path```), a response can edit existing files with unified
+ * diffs (```diff```) or SEARCH/REPLACE blocks inside a ```filename: path```
+ * fence. Edits are located by their context lines rather than trusted line
+ * numbers, and each file's edits apply all together or not at all.
+ */
+class PatchApplier {
+  /**
+   * Extract edits from a model response
+   * @param {string} text - Model response
+   * @returns {Array} { type: 'file'|'replace'|'diff', path, content?, changes? }
+   */
+  parse(text) {
+    const edits = [];
+    let match;
+
+    BLOCK.lastIndex = 0;
+    while ((match = BLOCK.exec(String(text || ''))) !== null) {
+      const info = match[1].trim();
+      const body = match[2];
+      const file = info.match(/^(?:filename|file|edit):\s*(.+)$/i);
+
+      if (file) {
+        const filePath = normalizePath(file[1]);
+        const blocks = this.parseSearchReplace(body);
+        if (blocks.length > 0) {
+          edits.push({ type: 'replace', path: filePath, changes: blocks });
+        } else if (body.trim()) {
+          edits.push({ type: 'file', path: filePath, content: body.trim() });
+        }
+      } else if (/^(diff|patch)$/i.test(info) || (/^--- /m.test(body) && /^\+\+\+ /m.test(body) && /^@@ -\d/m.test(body))) {
+        edits.push(...this.parseUnifiedDiff(body));
+      }
+    }
+
+    return edits;
+  }
+
+  /**
+   * Files a response names so far, from fence headers and diff headers. Works
+   * on incomplete text, e.g. while a response is still streaming.
+   * @param {string} text - Model response, possibly partial
+   * @returns {Array} Paths in order of first mention
+   */
+  listPaths(text) {
+    const paths = new Set();
+    const header = /^```(?:filename|file|edit):\s*(.+)$|^\+\+\+ .+$/gim;
+    let match;
+
+    while ((match = header.exec(String(text || ''))) !== null) {
+      const filePath = match[1] ? normalizePath(match[1]) : diffPath(match[0]);
+      if (filePath && filePath !== '/dev/null') paths.add(filePath);
+    }
+    return [...paths];
+  }
+
+  /**
+   * @param {string} body - Fence content
+   * @returns {Array} { label, old, new } per SEARCH/REPLACE block
+   */
+  parseSearchReplace(body) {
+    const blocks = [];
+    let match;
+
+    SEARCH_REPLACE.lastIndex = 0;
+    while ((match = SEARCH_REPLACE.exec(body)) !== null) {
+      blocks.push({
+        label: `block ${blocks.length + 1}`,
+        old: splitLines(match[1]),
+        new: splitLines(match[2])
+      });
+    }
+    return blocks;
+  }
+
+  /**
+   * Parse a unified diff that may touch several files. Hunk line counts are
+   * ignored because models rarely get them right; a hunk ends at the next
+   * header.
+   * @param {string} body - Diff text
+   * @returns {Array} { type: 'diff', path, isNew, isDelete, changes }
+   */
+  parseUnifiedDiff(body) {
+    const edits = [];
+    let current = null;
+    let hunk = null;
+    let oldPath = null;
+
+    const lines = body.split(/\r?\n/);
+
+    lines.forEach((line, i) => {
+      if (line.startsWith('diff --git ') || line.startsWith('index ')) return;
+
+      // "--- " is a file header only when "+++ " follows; otherwise it's a removed "-- " line
+      if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) {
+        oldPath = diffPath(line);
+        hunk = null;
+        return;
+      }
+      if (line.startsWith('+++ ') && oldPath !== null) {
+        const newPath = diffPath(line);
+        current = {
+          type: 'diff',
+          path: newPath === '/dev/null' ? oldPath : newPath,
+          isNew: oldPath === '/dev/null',
+          isDelete: newPath === '/dev/null',
+          changes: []
+        };
+        edits.push(current);
+        oldPath = null;
+        return;
+      }
+
+      const header = line.match(HUNK_HEADER);
+      if (header && current) {
+        hunk = {
+          label: `hunk ${current.changes.length + 1} (${line.match(/^@@[^@]*@@/)[0]})`,
+          hint: Math.max(0, parseInt(header[1], 10) - 1),
+          insertAfter: header[2] === '0',
+          old: [],
+          new: [],
+          ops: []
+        };
+        current.changes.push(hunk);
+        return;
+      }
+
+      if (!hunk) return;
+
+      // Models often drop the leading space on blank context lines
+      const op = line === '' ? ' ' : line[0];
+      const text = line.slice(1);
+      // Anything else ("\ No newline at end of file", prose) is ignored
+      if (!['-', '+', ' '].includes(op)) return;
+
+      if (op !== '+') hunk.old.push(text);
+      if (op !== '-') hunk.new.push(text);
+      hunk.ops.push(op);
+    });
+
+    // Blank lines after the last hunk are usually fence padding, not context
+    for (const edit of edits) {
+      for (const change of edit.changes) {
+        while (change.old.length > 0 && change.new.length > 0 &&
+          change.old[change.old.length - 1] === '' && change.new[change.new.length - 1] === '') {
+          change.old.pop();
+          change.new.pop();
+          change.ops.pop();
+        }
+      }
+    }
+
+    return edits;
+  }
+
+  /**
+   * Apply one file's diff or SEARCH/REPLACE changes
+   * @param {string|null} original - Current content, null if the file doesn't exist
+   * @param {Object} edit - From parse()
+   * @returns {string} New content
+   * @throws {PatchError} When a change doesn't match the file
+   */
+  applyChanges(original, edit) {
+    if (edit.isDelete) {
+      throw new PatchError(edit.path, 'deletes the file, which agents are not allowed to do');
+    }
+    if (edit.isNew && original !== null) {
+      throw new PatchError(edit.path, 'is a new-file diff but the file already exists; diff against its current content');
+    }
+
+    const eol = original && original.includes('\r\n') ? '\r\n' : '\n';
+    const lines = original === null ? [] : splitLines(original);
+    let offset = 0;
+
+    for (const change of edit.changes) {
+      let at;
+
+      if (change.old.length === 0) {
+        if (original !== null && edit.type === 'replace') {
+          throw new PatchError(edit.path, 'has an empty SEARCH section; only new files can be created that way', change.label);
+        }
+        at = change.hint === undefined ? lines.length
+          : Math.min(lines.length, change.hint + offset + (change.insertAfter ? 1 : 0));
+      } else {
+        const matches = findMatches(lines, change.old);
+
+        if (matches.length === 0) {
+          const region = closestRegion(lines, change.old);
+          const message = original === null
+            ? 'targets a file that does not exist'
+            : `does not match the file. Expected:\n${change.old.join('\n')}` +
+              (region ? `\nClosest match at line ${region.line}:\n${region.text}` : '');
+          throw new PatchError(edit.path, message, change.label);
+        }
+
+        if (change.hint === undefined) {
+          if (matches.length > 1) {
+            throw new PatchError(edit.path, `matches ${matches.length} places (lines ${matches.map(m => m + 1).join(', ')}); include more surrounding lines`, change.label);
+          }
+          at = matches[0];
+        } else {
+          // Several matches: take the one nearest the line number the diff claims
+          const expected = change.hint + offset;
+          at = matches.reduce((best, m) => (Math.abs(m - expected) < Math.abs(best - expected) ? m : best));
+        }
+      }
+
+      lines.splice(at, change.old.length, ...this.replacementLines(lines, at, change));
+      offset += change.new.length - change.old.length;
+    }
+
+    return lines.length > 0 ? lines.join(eol) + eol : '';
+  }
+
+  /**
+   * A change's new lines, with diff context lines taken from the file so a
+   * match that ignored trailing whitespace doesn't rewrite untouched lines
+   */
+  replacementLines(lines, at, change) {
+    if (!change.ops) return change.new;
+
+    const result = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+    for (const op of change.ops) {
+      if (op === ' ') {
+        result.push(lines[at + oldIndex++]);
+        newIndex++;
+      } else if (op === '-') {
+        oldIndex++;
+      } else {
+        result.push(change.new[newIndex++]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Apply parsed edits in order. Edits to the same file build on each other;
+   * if any of them fails the file is left out of `files` and reported in
+   * `errors`, so a file is never half-edited.
+   * @param {Array} edits - From parse()
+   * @param {Function} readFile - async (path) => current content or null
+   * @returns {Promise<Object>} { files: [{ path, content }], errors: [PatchError] }
+   */
+  async apply(edits, readFile) {
+    const contents = new Map();
+    const failed = new Map();
+
+    for (const edit of edits) {
+      if (failed.has(edit.path)) continue;
+
+      try {
+        if (edit.type === 'file') {
+          contents.set(edit.path, edit.content);
+          continue;
+        }
+
+        const original = contents.has(edit.path) ? contents.get(edit.path) : await readFile(edit.path);
+        contents.set(edit.path, this.applyChanges(original === undefined ? null : original, edit));
+      } catch (error) {
+        contents.delete(edit.path);
+        failed.set(edit.path, error.name === 'PatchError' ? error : new PatchError(edit.path, error.message));
+      }
+    }
+
+    return {
+      files: [...contents].map(([filePath, content]) => ({ path: filePath, content })),
+      errors: [...failed.values()]
+    };
+  }
+
+  /**
+   * Describe failed edits for the model so it can send corrected ones
+   * @param {Array} errors - PatchErrors from apply()
+   * @returns {string} Markdown list
+   */
+  formatErrors(errors) {
+    return errors.map(error => `- ${error.message.replace(/\n/g, '\n  ')}`).join('\n');
+  }
+}
+
+const patchApplier = new PatchApplier();
+patchApplier.PatchError = PatchError;
+
+module.exports = patchApplier;
@@ -1,4 +1,5 @@
 const { exec, spawn } = require('child_process');
+const fs = require('fs');
 const path = require('path');
 const logger = require('./logger');
 
@@ -18,7 +19,7 @@ class ShellExecutor {
   loadAllowedCommands() {
     return {
       // Package management
-      'npm': ['install', 'run', 'test', 'build', 'start'],
+      'npm': ['install', 'ci', 'run', 'test', 'build', 'start'],
       'pnpm': ['install', 'run', 'test', 'build'],
       'yarn': ['install', 'run', 'test', 'build'],
       
@@ -224,13 +225,31 @@ class ShellExecutor {
 
   /**
    * Install npm packages
+   * @param {Array|string} packages - Packages to install
+   * @param {Object} options - { dev, cwd } (cwd e.g. a task worktree)
    */
   async installPackages(packages, options = {}) {
-    const { dev = false } = options;
+    const { dev = false, ...execOptions } = options;
     const devFlag = dev ? '--save-dev' : '';
     const packageList = Array.isArray(packages) ? packages.join(' ') : packages;
     
-    return this.execute(`npm install ${devFlag} ${packageList}`);
+    return this.execute(`npm install ${devFlag} ${packageList}`, execOptions);
+  }
+
+  /**
+   * Install a project's own dependencies: `npm ci` from its lockfile, or
+   * `npm install` without writing a lockfile when it has none
+   * @param {Object} options - { cwd, cacheDir (npm cache to share between installs) }
+   */
+  async installDependencies(options = {}) {
+    const { cacheDir, ...execOptions } = options;
+    const cwd = execOptions.cwd || this.workingDir;
+    const command = fs.existsSync(path.join(cwd, 'package-lock.json'))
+      ? 'npm ci --prefer-offline --no-audit --no-fund'
+      : 'npm install --no-package-lock --prefer-offline --no-audit --no-fund';
+    const env = cacheDir ? { ...process.env, npm_config_cache: cacheDir } : process.env;
+
+    return this.execute(command, { timeout: 600000, ...execOptions, env });
   }
 
   /**
@@ -242,9 +261,11 @@ class ShellExecutor {
 
   /**
    * Run tests
+   * @param {string} testPath - Optional test path
+   * @param {Object} options - Execution options ({ cwd } to test a task worktree)
    */
-  async runTests(testPath = '') {
-    return this.execute(`npm test ${testPath}`);
+  async runTests(testPath = '', options = {}) {
+    return this.execute(`npm test ${testPath}`, options);
   }
 
   /**
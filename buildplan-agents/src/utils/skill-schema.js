@@ -0,0 +1,42 @@
+const { z } = require('zod/v4');
+
+/**
+ * Skill schema
+ * Frontmatter of skills/<domain>/<skill>/SKILL.md. Older skills use `agent`
+ * and `requires`; they're accepted as aliases of `agents` and `dependencies`.
+ */
+
+// Agent names are matched as keys: "Backend-Agent" → "backend-agent"
+const agentName = z.coerce.string().min(1).transform(value => value.trim().toLowerCase().replace(/\s+/g, '-'));
+
+const list = (item) => z.preprocess(
+  value => (value === undefined || Array.isArray(value) ? value : value === null ? [] : [value]),
+  z.array(item).optional()
+);
+
+const SkillMetadataSchema = z.object({
+  name: z.coerce.string().min(1),
+  description: z.string().min(1).transform(value => value.trim()),
+  // YAML reads `version: 1` and `version: 1.0` as numbers
+  version: z.preprocess(
+    value => (typeof value === 'number' && Number.isInteger(value) ? value.toFixed(1) : value),
+    z.coerce.string().min(1).default('1.0.0')
+  ),
+  category: z.string().min(1).optional(),
+  agents: list(agentName),
+  agent: list(agentName),
+  dependencies: list(z.coerce.string().min(1)),
+  requires: list(z.coerce.string().min(1)),
+  examples: list(z.union([
+    z.string().min(1),
+    z.object({ title: z.string().optional(), code: z.string().min(1) }).passthrough()
+  ]))
+}).passthrough().transform(({ agent, requires, ...skill }) => ({
+  ...skill,
+  agents: skill.agents || agent || [],
+  dependencies: skill.dependencies || requires || []
+}));
+
+module.exports = {
+  SkillMetadataSchema
+};
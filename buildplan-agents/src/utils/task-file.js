@@ -0,0 +1,219 @@
+const path = require('path');
+const fileOps = require('./file-ops');
+const frontmatter = require('./frontmatter');
+const logger = require('./logger');
+const { TaskMetadataSchema, FIELD_ORDER } = require('./task-schema');
+
+/**
+ * Loader and serializer for canonical task files
+ * A task is { metadata, content, path }: validated frontmatter, the markdown body,
+ * and where it was read from. Frontmatter is YAML (see utils/frontmatter).
+ */
+class TaskFile {
+  /**
+   * Split a task file into frontmatter and body (no schema validation)
+   * @param {string} raw - File content
+   * @returns {Object} { metadata, content, parsed } where parsed.errors lists YAML syntax errors
+   */
+  parse(raw) {
+    const parsed = frontmatter.parse(raw);
+    return { metadata: parsed.data, content: parsed.content.trim(), parsed };
+  }
+
+  /**
+   * Parse frontmatter the way pre-YAML task files were written: one `key: value`
+   * per line, split on the first colon. Only used to migrate old files whose
+   * values aren't valid YAML (e.g. an unquoted colon in a title).
+   * @param {string} raw - File content
+   * @returns {Object} { metadata, content }
+   */
+  parseLegacy(raw) {
+    const match = String(raw).match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+    if (!match) {
+      return { metadata: {}, content: String(raw).trim() };
+    }
+
+    const metadata = {};
+    for (const line of match[1].split(/\r?\n/)) {
+      const separator = line.indexOf(':');
+      if (separator <= 0) continue;
+      const key = line.slice(0, separator).trim();
+      if (key) metadata[key] = line.slice(separator + 1).trim();
+    }
+
+    return { metadata, content: match[2].trim() };
+  }
+
+  /**
+   * Fill in what older task files are missing. Files written before frontmatter
+   * was real YAML (e.g. "title: Fix: login") are read with parseLegacy().
+   * @param {string} raw - File content
+   * @param {Object} defaults - { id, status, created_at }; status always wins,
+   *   since the directory (or the task store) decides it
+   * @returns {Object} { metadata, content } - validate() the metadata before saving
+   */
+  normalize(raw, defaults) {
+    const parsed = this.parse(raw);
+    const { metadata, content } = parsed.parsed.errors.length > 0 ? this.parseLegacy(raw) : parsed;
+    const id = metadata.id || defaults.id;
+    const heading = content.match(/^#\s+(?:[^:\n]+:\s*)?(.+)$/m);
+
+    return {
+      metadata: {
+        ...metadata,
+        id,
+        type: metadata.type || 'unknown',
+        title: metadata.title || (heading ? heading[1].trim() : id),
+        status: defaults.status,
+        priority: String(metadata.priority || 'medium').toLowerCase(),
+        created_at: metadata.created_at || defaults.created_at
+      },
+      content: content || `# ${id}: ${metadata.title || id}`
+    };
+  }
+
+  /**
+   * Validate frontmatter against the canonical schema
+   * @param {Object} metadata - Frontmatter values
+   * @param {Object} parsed - frontmatter.parse() result, to report line numbers
+   * @returns {Object} { success, data, error, issues }
+   */
+  validate(metadata, parsed = null) {
+    const result = frontmatter.validate(
+      parsed || { data: metadata, errors: [], document: null, lineCounter: null, hasFrontmatter: true },
+      TaskMetadataSchema
+    );
+
+    if (result.success) {
+      return { success: true, data: result.data };
+    }
+
+    const error = result.issues
+      .map(issue => `${issue.line ? `line ${issue.line}: ` : ''}${issue.path.length > 0 ? `${issue.path.join('.')}: ` : ''}${issue.message}`)
+      .join('; ');
+    return { success: false, error, issues: result.issues };
+  }
+
+  /**
+   * Parse and validate task file content
+   * @param {string} raw - File content
+   * @param {string} source - Where it came from, for error messages
+   * @returns {Object|null} { metadata, content } or null if invalid
+   */
+  fromString(raw, source = 'task') {
+    const { content, parsed } = this.parse(raw);
+    const result = frontmatter.validate(parsed, TaskMetadataSchema);
+
+    if (!result.success) {
+      logger.error(`[TaskFile] Invalid task:\n${new frontmatter.FrontmatterError(source, result.issues).message}`);
+      return null;
+    }
+
+    return { metadata: result.data, content };
+  }
+
+  /**
+   * Load a task file
+   * @param {string} filePath - Path to the .md file
+   * @returns {Object|null} { metadata, content, path } or null if missing or invalid
+   */
+  load(filePath) {
+    const raw = fileOps.readFile(filePath);
+    if (raw === null) {
+      return null;
+    }
+
+    const task = this.fromString(raw, path.basename(filePath));
+    return task ? { ...task, path: filePath } : null;
+  }
+
+  /**
+   * Serialize a task to markdown
+   * @param {Object} task - { metadata, content }
+   * @returns {string} File content
+   */
+  serialize(task) {
+    const metadata = task.metadata || {};
+    const ordered = {};
+    for (const key of [
+      ...FIELD_ORDER.filter(key => key in metadata),
+      ...Object.keys(metadata).filter(key => !FIELD_ORDER.includes(key))
+    ]) {
+      ordered[key] = metadata[key];
+    }
+
+    return frontmatter.stringify(ordered, `${(task.content || '').trim()}\n`);
+  }
+
+  /**
+   * Validate and write a task file atomically. If the file already exists, only
+   * the fields that changed are rewritten so comments and formatting survive.
+   * @param {string} filePath - Destination path
+   * @param {Object} task - { metadata, content }
+   * @returns {boolean} Success
+   */
+  save(filePath, task) {
+    const result = this.validate(task.metadata);
+    if (!result.success) {
+      logger.error(`[TaskFile] Refusing to write invalid task ${path.basename(filePath)}: ${result.error}`);
+      return false;
+    }
+
+    const body = `${(task.content || '').trim()}\n`;
+    const existing = fileOps.fileExists(filePath) ? fileOps.readFile(filePath) : null;
+    const previous = existing ? this.parse(existing) : null;
+    const previousValid = previous ? frontmatter.validate(previous.parsed, TaskMetadataSchema) : null;
+
+    if (!previousValid || !previousValid.success) {
+      return fileOps.writeFileAtomic(filePath, this.serialize({ metadata: result.data, content: body }));
+    }
+
+    const changes = {};
+    for (const key of new Set([...Object.keys(previousValid.data), ...Object.keys(result.data)])) {
+      if (JSON.stringify(previousValid.data[key]) !== JSON.stringify(result.data[key])) {
+        changes[key] = result.data[key];
+      }
+    }
+
+    return fileOps.writeFileAtomic(filePath, frontmatter.update(existing, changes, body));
+  }
+
+  /**
+   * Build a new canonical task (status backlog)
+   * @param {Object} fields - Metadata (id, type, title, request_id, priority, depends_on, ...)
+   * @param {Object} body - { description, requirements, createdBy, source }
+   * @returns {Object} { metadata, content }
+   */
+  create(fields, body = {}) {
+    const now = new Date().toISOString();
+    const metadata = {
+      assigned_to: 'none',
+      priority: 'medium',
+      ...fields,
+      status: 'backlog',
+      created_at: fields.created_at || now
+    };
+
+    const requirements = body.requirements || [
+      'Follow project conventions',
+      'Include tests',
+      'Add documentation',
+      'Create PR when complete'
+    ];
+
+    const content = `# ${metadata.id}: ${metadata.title}
+
+## Description
+${body.description || metadata.title}
+
+## Requirements
+${requirements.map(r => `- ${r}`).join('\n')}
+
+## Progress Log
+- [${now}] ${body.createdBy || 'PM Agent'}: Task created${body.source ? ` from ${body.source}` : ''}`;
+
+    return { metadata, content };
+  }
+}
+
+module.exports = new TaskFile();
@@ -0,0 +1,79 @@
+const { z } = require('zod/v4');
+
+/**
+ * Canonical task schema
+ * Every task is a markdown file with this frontmatter, stored under
+ * TASKS_DIR/<status>/<id>.md. Read and write tasks through utils/task-file.
+ */
+
+const TASK_STATUSES = ['backlog', 'in-progress', 'review', 'blocked', 'completed', 'cancelled'];
+const TASK_PRIORITIES = ['high', 'medium', 'low'];
+
+// Statuses written by older code, mapped onto the state machine
+const LEGACY_STATUSES = {
+  pending: 'backlog',
+  todo: 'backlog',
+  'in_progress': 'in-progress',
+  done: 'completed'
+};
+
+const optionalString = z.preprocess(
+  value => (value === '' || value === null || value === 'none' ? undefined : value),
+  z.coerce.string().optional()
+);
+
+// A list, also accepted as a comma-separated string for hand-written files
+const stringList = z.preprocess(
+  value => {
+    if (Array.isArray(value)) return value;
+    if (value === undefined || value === null) return [];
+    return String(value)
+      .replace(/^\[|\]$/g, '')
+      .split(/[,\s]+/)
+      .map(item => item.trim().replace(/^['"]|['"]$/g, ''))
+      .filter(item => item && item !== 'none');
+  },
+  z.array(z.coerce.string().min(1)).default([])
+);
+
+const TaskMetadataSchema = z.object({
+  id: z.coerce.string().min(1),
+  request_id: optionalString,
+  sprint_id: optionalString,
+  rd_task_id: optionalString,
+  type: z.string().min(1).transform(value => value.toLowerCase()),
+  title: z.coerce.string().min(1),
+  status: z.preprocess(
+    value => LEGACY_STATUSES[value] || value,
+    z.enum(TASK_STATUSES)
+  ),
+  assigned_to: z.string().default('none'),
+  priority: z.preprocess(
+    value => (typeof value === 'string' ? value.toLowerCase() : value),
+    z.enum(TASK_PRIORITIES).default('medium')
+  ),
+  complexity: z.coerce.number().int().min(1).max(5).optional(),
+  depends_on: stringList,
+  labels: z.array(z.coerce.string().min(1)).optional(),
+  acceptance_criteria: z.array(z.coerce.string().min(1)).optional(),
+  created_at: z.string().min(1),
+  started_at: optionalString,
+  completed_at: optionalString
+}).passthrough();
+
+/**
+ * Field order used when serializing; unknown fields follow in their original order
+ */
+const FIELD_ORDER = [
+  'id', 'request_id', 'sprint_id', 'rd_task_id', 'type', 'title', 'status', 'assigned_to',
+  'priority', 'complexity', 'depends_on', 'labels', 'acceptance_criteria',
+  'created_at', 'started_at', 'completed_at'
+];
+
+module.exports = {
+  TaskMetadataSchema,
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  LEGACY_STATUSES,
+  FIELD_ORDER
+};
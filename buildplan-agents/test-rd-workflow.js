@@ -21,7 +21,7 @@ async function testRDWorkflow() {
 
   // Create a mock orchestrator
   const mockOrchestrator = {
-    notifyTelegram: async (msg) => console.log('[Telegram]:', msg),
+    notifyTeam: async (msg) => console.log('[Telegram]:', msg),
     getAgentForTask: (type) => null // For this test, we're not running the full agent
   };
 